@@ -0,0 +1,456 @@
+/* ============================================================
+   ADMIN ANALYTICS TAB
+   ============================================================
+   Charts of the analytics report (see server/lib/analytics.js),
+   drawn with Chart.js. Relies on admin.js for the API session,
+   toasts, permission checks and error handling.
+
+   Features:
+   - Loads when the Analytics tab is opened, and again on every
+     refresh while it is open
+   - Occupancy per lot over time (share of each lot's places)
+   - New registrations per day since registration opened
+   - Solo vs shared uptake against the places open
+   - Shared-half balance (A vs B halves filled) per lot
+   - Grade mix by spot type
+   - Fill-rate projection to registrationDeadline, with a summary
+   - Each chart downloads as a PNG image or as CSV (Export
+     permission)
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+const ANALYTICS_COLORS = ['#0d6efd', '#198754', '#fd7e14', '#6f42c1', '#dc3545', '#20c997', '#ffc107', '#6c757d'];
+
+let analyticsData = null;
+
+// Chart.js instances and the CSV table behind each chart, by chart name
+const analyticsCharts = {};
+const analyticsTables = {};
+
+/**
+ * Setup analytics tab listeners on DOM load
+ */
+document.addEventListener('DOMContentLoaded', function () {
+  const analyticsTab = document.getElementById('analyticsTab');
+  const refreshBtn = document.getElementById('refreshBtn');
+  const charts = document.getElementById('analyticsCharts');
+
+  if (analyticsTab) {
+    analyticsTab.addEventListener('shown.bs.tab', loadAnalytics);
+  }
+
+  if (refreshBtn) {
+    refreshBtn.addEventListener('click', function () {
+      if (analyticsTab && analyticsTab.classList.contains('active')) loadAnalytics();
+    });
+  }
+
+  if (charts) {
+    charts.addEventListener('click', function (e) {
+      const button = e.target.closest('button[data-chart]');
+      if (button) exportAnalyticsChart(button.dataset.chart, button.dataset.format);
+    });
+  }
+});
+
+/**
+ * Load the analytics report and redraw the charts
+ */
+function loadAnalytics() {
+  const unavailableMsg = document.getElementById('analyticsUnavailableMsg');
+
+  if (typeof Chart === 'undefined') {
+    if (unavailableMsg) unavailableMsg.style.display = 'block';
+    console.error('✗ Chart.js is not loaded');
+    return;
+  }
+  if (unavailableMsg) unavailableMsg.style.display = 'none';
+
+  window.parkingApi.getAnalytics()
+    .then(data => {
+      analyticsData = data;
+      renderAnalytics();
+      console.log('✓ Analytics loaded:', data.days.length, 'days');
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not load the analytics');
+    });
+}
+
+/**
+ * Move a day forward
+ * @param {string} day - 'YYYY-MM-DD'
+ * @param {number} count - Days to add
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function addAnalyticsDays(day, count) {
+  const date = new Date(Number(day.slice(0, 4)), Number(day.slice(5, 7)) - 1, Number(day.slice(8, 10)) + count);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Format a day for chart labels and messages
+ * @param {string} day - 'YYYY-MM-DD'
+ * @returns {string} e.g. 'Jul 15'
+ */
+function formatAnalyticsDay(day) {
+  return new Date(Number(day.slice(0, 4)), Number(day.slice(5, 7)) - 1, Number(day.slice(8, 10)))
+    .toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Students registered at the end of each day, over all lots
+ * @returns {number[]} Totals by day
+ */
+function getAnalyticsTotals() {
+  return analyticsData.days.map((day, index) =>
+    Object.values(analyticsData.occupancy).reduce((sum, counts) => sum + counts[index], 0));
+}
+
+/**
+ * Draw (or redraw) a chart and keep the table behind it for CSV
+ * @param {string} name - Chart name (canvas ID without 'Chart')
+ * @param {object} config - Chart.js config
+ * @param {{header: string[], rows: Array[]}} table - CSV table
+ */
+function drawAnalyticsChart(name, config, table) {
+  const canvas = document.getElementById(`${name}Chart`);
+  if (!canvas) return;
+
+  if (analyticsCharts[name]) analyticsCharts[name].destroy();
+
+  // Paint the card background behind the chart, so downloaded images are not transparent
+  config.plugins = [{
+    id: 'analyticsBackground',
+    beforeDraw: chart => {
+      const card = chart.canvas.closest('.card');
+      chart.ctx.save();
+      chart.ctx.fillStyle = card ? getComputedStyle(card).backgroundColor : '#ffffff';
+      chart.ctx.fillRect(0, 0, chart.width, chart.height);
+      chart.ctx.restore();
+    }
+  }];
+  config.options = Object.assign({ responsive: true, maintainAspectRatio: false }, config.options);
+
+  analyticsCharts[name] = new Chart(canvas, config);
+  analyticsTables[name] = table;
+}
+
+/**
+ * Draw every chart and the projection summary
+ */
+function renderAnalytics() {
+  Chart.defaults.color = document.body.classList.contains('dark-mode') ? '#e0e0e0' : '#666666';
+
+  renderOccupancyChart();
+  renderRegistrationsChart();
+  renderUptakeChart();
+  renderHalvesChart();
+  renderGradesChart();
+  renderProjectionChart();
+  renderProjectionSummary();
+}
+
+/**
+ * Occupancy per lot over time, as a share of each lot's places
+ */
+function renderOccupancyChart() {
+  const days = analyticsData.days;
+  const lots = analyticsData.lots;
+  const percent = (count, capacity) => capacity > 0 ? Math.round((count / capacity) * 1000) / 10 : null;
+
+  drawAnalyticsChart('occupancy', {
+    type: 'line',
+    data: {
+      labels: days.map(formatAnalyticsDay),
+      datasets: lots.filter(lot => lot.capacity > 0).map((lot, index) => ({
+        label: lot.name,
+        data: analyticsData.occupancy[lot.lotKey].map(count => percent(count, lot.capacity)),
+        borderColor: ANALYTICS_COLORS[index % ANALYTICS_COLORS.length],
+        backgroundColor: ANALYTICS_COLORS[index % ANALYTICS_COLORS.length],
+        tension: 0.2,
+        pointRadius: days.length > 60 ? 0 : 2
+      }))
+    },
+    options: {
+      scales: { y: { min: 0, max: 100, title: { display: true, text: '% of places taken' } } },
+      plugins: {
+        tooltip: {
+          callbacks: {
+            label: context => {
+              const lot = lots.filter(item => item.capacity > 0)[context.datasetIndex];
+              return `${lot.name}: ${analyticsData.occupancy[lot.lotKey][context.dataIndex]} of ${lot.capacity} ` +
+                `(${context.parsed.y}%)`;
+            }
+          }
+        }
+      }
+    }
+  }, {
+    header: ['day'].concat(...lots.map(lot => [`${lot.name} students`, `${lot.name} %`])),
+    rows: days.map((day, index) => [day].concat(...lots.map(lot => {
+      const count = analyticsData.occupancy[lot.lotKey][index];
+      return [count, percent(count, lot.capacity)];
+    })))
+  });
+}
+
+/**
+ * New registrations per day since registration opened
+ */
+function renderRegistrationsChart() {
+  const days = analyticsData.days;
+
+  drawAnalyticsChart('registrations', {
+    type: 'bar',
+    data: {
+      labels: days.map(formatAnalyticsDay),
+      datasets: [{
+        label: 'New registrations',
+        data: analyticsData.registrationsPerDay,
+        backgroundColor: ANALYTICS_COLORS[0]
+      }]
+    },
+    options: {
+      scales: { y: { beginAtZero: true, ticks: { precision: 0 } } },
+      plugins: { legend: { display: false } }
+    }
+  }, {
+    header: ['day', 'newRegistrations'],
+    rows: days.map((day, index) => [day, analyticsData.registrationsPerDay[index]])
+  });
+}
+
+/**
+ * Solo vs shared uptake against the places open
+ */
+function renderUptakeChart() {
+  const uptake = analyticsData.uptake;
+  const types = [
+    { label: 'Solo spots', figures: uptake.solo },
+    { label: 'Shared spots (halves)', figures: uptake.shared }
+  ];
+
+  drawAnalyticsChart('uptake', {
+    type: 'bar',
+    data: {
+      labels: types.map(type => type.label),
+      datasets: [
+        {
+          label: 'Registered',
+          data: types.map(type => type.figures.registrations),
+          backgroundColor: ANALYTICS_COLORS[0]
+        },
+        {
+          label: 'Still open',
+          data: types.map(type => Math.max(0, type.figures.capacity - type.figures.registrations)),
+          backgroundColor: ANALYTICS_COLORS[7]
+        }
+      ]
+    },
+    options: {
+      indexAxis: 'y',
+      scales: { x: { stacked: true, beginAtZero: true, ticks: { precision: 0 } }, y: { stacked: true } }
+    }
+  }, {
+    header: ['spotType', 'registered', 'places', 'percentTaken'],
+    rows: [['solo', uptake.solo], ['shared', uptake.shared]].map(([type, figures]) => [type, figures.registrations,
+      figures.capacity, figures.capacity > 0 ? Math.round((figures.registrations / figures.capacity) * 1000) / 10 : ''])
+  });
+}
+
+/**
+ * Filled A halves vs B halves in each lot with shared spots
+ */
+function renderHalvesChart() {
+  const balance = analyticsData.halfBalance;
+
+  drawAnalyticsChart('halves', {
+    type: 'bar',
+    data: {
+      labels: balance.map(lot => lot.name),
+      datasets: [
+        { label: 'A halves (Mon/Wed/Fri)', data: balance.map(lot => lot.A), backgroundColor: ANALYTICS_COLORS[0] },
+        { label: 'B halves (Tue/Thu)', data: balance.map(lot => lot.B), backgroundColor: ANALYTICS_COLORS[2] }
+      ]
+    },
+    options: {
+      scales: { y: { beginAtZero: true, ticks: { precision: 0 } } },
+      plugins: {
+        tooltip: {
+          callbacks: {
+            label: context => `${context.dataset.label}: ${context.parsed.y} of ${balance[context.dataIndex].spots}`
+          }
+        }
+      }
+    }
+  }, {
+    header: ['lot', 'sharedSpots', 'halfAFilled', 'halfBFilled', 'difference'],
+    rows: balance.map(lot => [lot.name, lot.spots, lot.A, lot.B, lot.A - lot.B])
+  });
+}
+
+/**
+ * Registered students by grade and spot type
+ */
+function renderGradesChart() {
+  const grades = analyticsData.grades;
+
+  drawAnalyticsChart('grades', {
+    type: 'bar',
+    data: {
+      labels: grades.map(grade => grade.gradeLevel),
+      datasets: [
+        { label: 'Solo', data: grades.map(grade => grade.solo), backgroundColor: ANALYTICS_COLORS[0] },
+        { label: 'Shared', data: grades.map(grade => grade.shared), backgroundColor: ANALYTICS_COLORS[1] }
+      ]
+    },
+    options: {
+      scales: { x: { stacked: true }, y: { stacked: true, beginAtZero: true, ticks: { precision: 0 } } }
+    }
+  }, {
+    header: ['gradeLevel', 'solo', 'shared', 'total'],
+    rows: grades.map(grade => [grade.gradeLevel, grade.solo, grade.shared, grade.solo + grade.shared])
+  });
+}
+
+/**
+ * Students registered so far, the projection to the deadline and
+ * the places open
+ */
+function renderProjectionChart() {
+  const projection = analyticsData.projection;
+  const totals = getAnalyticsTotals();
+  const days = analyticsData.days.slice();
+  const today = days[days.length - 1];
+  const projected = totals.map((total, index) => index === totals.length - 1 ? total : null);
+
+  // Extend the days to the deadline while it is still ahead
+  if (projection.deadline && projection.deadline > today) {
+    for (let step = 1; step <= projection.daysLeft; step++) {
+      days.push(addAnalyticsDays(today, step));
+      projected.push(Math.min(projection.capacity, Math.round(projection.current + projection.ratePerDay * step)));
+    }
+  }
+
+  const registered = days.map((day, index) => index < totals.length ? totals[index] : null);
+
+  drawAnalyticsChart('projection', {
+    type: 'line',
+    data: {
+      labels: days.map(formatAnalyticsDay),
+      datasets: [
+        {
+          label: 'Registered',
+          data: registered,
+          borderColor: ANALYTICS_COLORS[0],
+          backgroundColor: ANALYTICS_COLORS[0],
+          pointRadius: 0
+        },
+        {
+          label: 'Projected',
+          data: projected,
+          borderColor: ANALYTICS_COLORS[2],
+          backgroundColor: ANALYTICS_COLORS[2],
+          borderDash: [6, 4],
+          pointRadius: 0
+        },
+        {
+          label: 'Places open',
+          data: days.map(() => projection.capacity),
+          borderColor: ANALYTICS_COLORS[4],
+          backgroundColor: ANALYTICS_COLORS[4],
+          pointRadius: 0
+        }
+      ]
+    },
+    options: {
+      scales: { y: { beginAtZero: true, ticks: { precision: 0 } } },
+      plugins: { tooltip: { mode: 'index', intersect: false } }
+    }
+  }, {
+    header: ['day', 'registered', 'projected', 'places'],
+    rows: days.map((day, index) => [day, registered[index], projected[index], projection.capacity])
+  });
+}
+
+/**
+ * Describe the fill-rate projection above the charts
+ */
+function renderProjectionSummary() {
+  const summary = document.getElementById('analyticsProjectionSummary');
+  const projection = analyticsData.projection;
+  if (!summary) return;
+
+  const taken = `<strong>${projection.current}</strong> of ${projection.capacity} places taken`;
+  const rate = `about ${projection.ratePerDay} a day over the last ${projection.rateWindowDays} day(s)`;
+  const deadline = projection.deadline ? escapeHtml(formatAnalyticsDay(projection.deadline)) : '';
+  const messages = {
+    'full': [`All ${projection.capacity} places are taken.`, 'alert-success'],
+    'no-deadline': [`${taken}; ${rate}` + (projection.fullOn
+      ? `. At this rate the lots fill around ${escapeHtml(formatAnalyticsDay(projection.fullOn))}.` : '.'),
+    'alert-secondary'],
+    'deadline-passed': [`Registration closed on ${deadline} with ${taken}.`, 'alert-secondary'],
+    'stalled': [`${taken}, with no new registrations over the last ${projection.rateWindowDays} day(s). ` +
+      `The deadline is ${deadline} (${projection.daysLeft} day(s) left).`, 'alert-warning'],
+    'fills-before-deadline': [`${taken}; ${rate}. At this rate the lots fill around ` +
+      `<strong>${escapeHtml(formatAnalyticsDay(projection.fullOn))}</strong>, before the deadline on ${deadline}.`,
+    'alert-success'],
+    'short-at-deadline': [`${taken}; ${rate}. At this rate about <strong>${projection.projectedAtDeadline}</strong> ` +
+      `places will be taken by the deadline on ${deadline} (${projection.daysLeft} day(s) left).`, 'alert-warning']
+  };
+  const message = messages[projection.status];
+
+  summary.className = `alert ${message[1]}`;
+  summary.innerHTML = `📈 ${message[0]}`;
+  summary.style.display = 'block';
+}
+
+/**
+ * Download a chart as a PNG image or its figures as CSV
+ * @param {string} name - Chart name
+ * @param {string} format - 'png' or 'csv'
+ */
+function exportAnalyticsChart(name, format) {
+  if (!hasPermission('export')) return;
+
+  const chart = analyticsCharts[name];
+  const table = analyticsTables[name];
+  if (!chart || !table) {
+    showToastMessage('Open the Analytics tab and wait for the charts to load first', 'error');
+    return;
+  }
+
+  const fileName = `mhs-parking-analytics-${name}-${new Date().toISOString().split('T')[0]}.${format}`;
+  if (format === 'png') {
+    downloadAnalyticsFile(chart.toBase64Image('image/png'), fileName);
+  } else {
+    const quote = value => `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+    const csv = [table.header].concat(table.rows).map(row => row.map(quote).join(',')).join('\n') + '\n';
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    downloadAnalyticsFile(url, fileName);
+    URL.revokeObjectURL(url);
+  }
+
+  console.log('✓ Analytics chart exported:', name, format);
+}
+
+/**
+ * Download a URL as a file
+ * @param {string} url - Data or object URL
+ * @param {string} fileName - File name
+ */
+function downloadAnalyticsFile(url, fileName) {
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  showToastMessage('Chart exported successfully', 'success');
+}
@@ -0,0 +1,197 @@
+/* ============================================================
+   ADMIN AUDIT LOG TAB
+   ============================================================
+   Browses the server's append-only audit trail from the admin
+   dashboard. Relies on admin.js for the API session, toasts,
+   permission checks and error handling.
+
+   Features:
+   - Loads entries when the Audit Log tab is opened or refreshed
+   - Filters by actor, action and date range
+   - Expandable before/after values for each entry
+   - Export of the filtered entries as a timestamped JSON file
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+let auditEntries = [];
+
+/**
+ * Setup audit tab listeners on DOM load
+ */
+document.addEventListener('DOMContentLoaded', function () {
+  const auditTab = document.getElementById('auditTab');
+  const refreshBtn = document.getElementById('refreshBtn');
+  const exportBtn = document.getElementById('auditExportBtn');
+
+  if (auditTab) {
+    auditTab.addEventListener('shown.bs.tab', loadAuditLog);
+  }
+
+  if (refreshBtn) {
+    refreshBtn.addEventListener('click', function () {
+      if (isAuditTabActive()) loadAuditLog();
+    });
+  }
+
+  ['auditActorFilter', 'auditActionFilter', 'auditFromFilter', 'auditToFilter'].forEach(id => {
+    const filter = document.getElementById(id);
+    if (filter) filter.addEventListener('change', loadAuditLog);
+  });
+
+  if (exportBtn) {
+    exportBtn.addEventListener('click', exportAuditLog);
+  }
+});
+
+/**
+ * Check whether the audit tab is currently shown
+ * @returns {boolean} True if active
+ */
+function isAuditTabActive() {
+  const auditTab = document.getElementById('auditTab');
+  return Boolean(auditTab && auditTab.classList.contains('active'));
+}
+
+/**
+ * Read the current filter values
+ * @returns {object} {actor, action, from, to}
+ */
+function getAuditFilters() {
+  const value = id => {
+    const element = document.getElementById(id);
+    return element ? element.value : '';
+  };
+
+  return {
+    actor: value('auditActorFilter'),
+    action: value('auditActionFilter'),
+    from: value('auditFromFilter'),
+    to: value('auditToFilter')
+  };
+}
+
+/**
+ * Load audit entries matching the filters
+ */
+function loadAuditLog() {
+  window.parkingApi.getAuditLog(getAuditFilters())
+    .then(result => {
+      auditEntries = result.entries;
+      populateAuditFilters(result.actors, result.actions);
+      populateAuditTable();
+      console.log('✓ Audit log loaded:', auditEntries.length);
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not load audit log');
+    });
+}
+
+/**
+ * Fill the actor and action dropdowns, keeping the current choice
+ * @param {string[]} actors - Every actor in the log
+ * @param {string[]} actions - Every known action
+ */
+function populateAuditFilters(actors, actions) {
+  const fill = (id, values, allLabel) => {
+    const select = document.getElementById(id);
+    if (!select) return;
+
+    const current = select.value;
+    select.innerHTML = `<option value="">${allLabel}</option>` +
+      values.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`).join('');
+    select.value = values.includes(current) ? current : '';
+  };
+
+  fill('auditActorFilter', actors, 'All Actors');
+  fill('auditActionFilter', actions, 'All Actions');
+}
+
+/**
+ * Summarize a before/after value in a few words
+ * @param {*} value - Logged value
+ * @returns {string} Short description
+ */
+function summarizeAuditValue(value) {
+  if (value === null || value === undefined) return '-';
+  if (value.fullName) return `${value.fullName} (${value.parkingSpot})`;
+  if (Array.isArray(value.registrations)) return `${value.registrations.length} registration(s)`;
+
+  const text = JSON.stringify(value);
+  return text.length > 60 ? text.substring(0, 57) + '...' : text;
+}
+
+/**
+ * Render a before/after value as an expandable cell
+ * @param {*} value - Logged value
+ * @returns {string} Cell HTML
+ */
+function renderAuditValue(value) {
+  if (value === null || value === undefined) return '-';
+
+  return `
+    <details>
+      <summary>${escapeHtml(summarizeAuditValue(value))}</summary>
+      <pre class="audit-json">${escapeHtml(JSON.stringify(value, null, 2))}</pre>
+    </details>
+  `;
+}
+
+/**
+ * Populate the audit table
+ */
+function populateAuditTable() {
+  const tableBody = document.getElementById('auditTableBody');
+  const noAuditMsg = document.getElementById('noAuditMsg');
+
+  if (!tableBody) return;
+
+  tableBody.innerHTML = '';
+  if (noAuditMsg) noAuditMsg.style.display = auditEntries.length === 0 ? 'block' : 'none';
+
+  auditEntries.forEach(entry => {
+    const row = document.createElement('tr');
+
+    row.innerHTML = `
+      <td><small>${escapeHtml(new Date(entry.timestamp).toLocaleString())}</small></td>
+      <td>${escapeHtml(entry.actor)} <span class="badge bg-secondary">${escapeHtml(entry.actorType)}</span></td>
+      <td><code>${escapeHtml(entry.action)}</code></td>
+      <td>${escapeHtml(entry.target || '-')}</td>
+      <td>${renderAuditValue(entry.before)}</td>
+      <td>${renderAuditValue(entry.after)}</td>
+    `;
+
+    tableBody.appendChild(row);
+  });
+}
+
+/**
+ * Export the filtered audit entries as a JSON file
+ */
+function exportAuditLog() {
+  if (!hasPermission('export')) {
+    showToastMessage('Your role does not allow exporting data.', 'error');
+    return;
+  }
+
+  const exportData = {
+    exportDate: new Date().toISOString(),
+    filters: getAuditFilters(),
+    entries: auditEntries
+  };
+
+  const dataBlob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(dataBlob);
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = `mhs-parking-audit-${new Date().toISOString().split('T')[0]}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+
+  showToastMessage('Audit log exported successfully', 'success');
+  console.log('✓ Audit log exported');
+}
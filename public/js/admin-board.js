@@ -0,0 +1,159 @@
+/* ============================================================
+   ADMIN PARTNER BOARD TAB
+   ============================================================
+   Lets staff moderate the partner-finder board (board.html).
+   Relies on admin.js for the API session, toasts, permission
+   checks and error handling.
+
+   Features:
+   - Loads posts when the Partner Board tab is opened or refreshed
+   - Full name, student ID, preferences, note and match status
+   - Hide a post (with a reason shown to the student) or put a
+     hidden post back on the board
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+let boardPosts = [];
+
+/**
+ * Setup partner board tab listeners on DOM load
+ */
+document.addEventListener('DOMContentLoaded', function () {
+  const boardTab = document.getElementById('boardTab');
+  const refreshBtn = document.getElementById('refreshBtn');
+  const statusFilter = document.getElementById('boardStatusFilter');
+  const tableBody = document.getElementById('boardTableBody');
+
+  if (boardTab) {
+    boardTab.addEventListener('shown.bs.tab', loadBoardPosts);
+  }
+
+  if (refreshBtn) {
+    refreshBtn.addEventListener('click', function () {
+      if (boardTab && boardTab.classList.contains('active')) loadBoardPosts();
+    });
+  }
+
+  if (statusFilter) {
+    statusFilter.addEventListener('change', populateBoardTable);
+  }
+
+  if (tableBody) {
+    tableBody.addEventListener('click', handleModerateClick);
+  }
+});
+
+/**
+ * Load all partner board posts from the server
+ */
+function loadBoardPosts() {
+  window.parkingApi.getBoardPosts()
+    .then(posts => {
+      boardPosts = posts;
+      populateBoardTable();
+      console.log('✓ Partner board posts loaded:', boardPosts.length);
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not load partner board');
+    });
+}
+
+/**
+ * Build one table row's cells
+ * @param {object} post - Post (admin view)
+ * @returns {string} Row HTML
+ */
+function renderBoardRow(post) {
+  const lotName = post.lotPreference && parkingData && parkingData[post.lotPreference]
+    ? parkingData[post.lotPreference].name
+    : post.lotPreference || 'Any lot';
+  const days = post.preferredDays === 'either' ? 'Either schedule' : post.preferredDays.replace(/-/g, '/');
+  const statusClasses = { open: 'bg-info', matched: 'bg-success', withdrawn: 'bg-secondary' };
+  const canEdit = hasPermission('edit-registrations');
+
+  let status = `<span class="badge ${statusClasses[post.status] || 'bg-secondary'}">${escapeHtml(post.status)}</span>`;
+  if (post.hidden) {
+    status += ` <span class="badge bg-danger">hidden</span><br>
+      <small class="text-muted">by ${escapeHtml(post.moderation.by)}${post.moderation.reason ? `: ${escapeHtml(post.moderation.reason)}` : ''}</small>`;
+  } else if (post.pendingRequests > 0) {
+    status += `<br><small class="text-muted">${post.pendingRequests} pending request(s)</small>`;
+  }
+
+  let actions = '-';
+  if (canEdit && post.hidden) {
+    actions = '<button class="btn btn-sm btn-outline-success btn-moderate" data-action="restore">Restore</button>';
+  } else if (canEdit && post.status !== 'withdrawn') {
+    actions = '<button class="btn btn-sm btn-outline-danger btn-moderate" data-action="hide">Hide</button>';
+  }
+
+  return `
+    <td><small>${escapeHtml(new Date(post.postedAt).toLocaleDateString())}</small></td>
+    <td>${escapeHtml(post.fullName)}<br><small class="text-muted">${escapeHtml(post.email)}</small></td>
+    <td>${escapeHtml(post.studentId)}</td>
+    <td>${escapeHtml(lotName)}<br><small class="text-muted">${escapeHtml(days)}</small></td>
+    <td><small>${escapeHtml(post.note || '-')}</small></td>
+    <td>${status}</td>
+    <td class="text-nowrap">${actions}</td>
+  `;
+}
+
+/**
+ * Populate the partner board table using the status filter
+ */
+function populateBoardTable() {
+  const tableBody = document.getElementById('boardTableBody');
+  const noBoardMsg = document.getElementById('noBoardMsg');
+  const filter = document.getElementById('boardStatusFilter');
+
+  if (!tableBody) return;
+
+  const shown = boardPosts.filter(post => {
+    if (filter && filter.value === 'listed') return post.listed;
+    if (filter && filter.value === 'hidden') return post.hidden;
+    return true;
+  });
+
+  tableBody.innerHTML = '';
+  if (noBoardMsg) noBoardMsg.style.display = shown.length === 0 ? 'block' : 'none';
+
+  shown.forEach(post => {
+    const row = document.createElement('tr');
+    row.dataset.postId = post.postId;
+    row.innerHTML = renderBoardRow(post);
+    tableBody.appendChild(row);
+  });
+}
+
+/**
+ * Handle hide and restore buttons in the table
+ * @param {Event} e - Click event
+ */
+function handleModerateClick(e) {
+  const button = e.target.closest('.btn-moderate');
+  if (!button || !hasPermission('edit-registrations')) return;
+
+  const postId = button.closest('tr').dataset.postId;
+  const post = boardPosts.find(item => item.postId === postId);
+  if (!post) return;
+
+  const action = button.dataset.action;
+  let reason = '';
+  if (action === 'hide') {
+    reason = prompt(`Hide ${post.fullName}'s post from the partner board? Reason (shown to the student):`, '');
+    if (reason === null) return;
+  } else if (!confirm(`Put ${post.fullName}'s post back on the partner board?`)) {
+    return;
+  }
+
+  window.parkingApi.moderateBoardPost(postId, action, reason.trim())
+    .then(() => {
+      loadBoardPosts();
+      showToastMessage(`${post.fullName}'s post ${action === 'hide' ? 'hidden' : 'restored'}`, 'success');
+      console.log('✓ Partner board post moderated:', postId, action);
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not update post');
+    });
+}
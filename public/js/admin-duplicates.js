@@ -0,0 +1,296 @@
+/* ============================================================
+   ADMIN DUPLICATES & CONFLICTS TAB
+   ============================================================
+   Finds registrations that break the one-student-one-spot rules
+   (usually data saved before they were enforced) and lets staff
+   fix them. Relies on admin.js for the API session, toasts,
+   permission checks and error handling.
+
+   Features:
+   - Loads the report when the tab is opened or data is refreshed
+   - Count badge on the tab
+   - Same student ID / same email: keep one registration and
+     merge the others into it
+   - Spot conflicts: keep one student and remove the others
+   - Repair reservations that no longer match a registration
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+let duplicatesReport = null;
+
+/**
+ * Setup duplicates tab listeners on DOM load
+ */
+document.addEventListener('DOMContentLoaded', function () {
+  const duplicatesTab = document.getElementById('duplicatesTab');
+  const refreshBtn = document.getElementById('refreshBtn');
+  const panel = document.getElementById('duplicatesPanel');
+  const repairBtn = document.getElementById('repairReservationsBtn');
+
+  if (duplicatesTab) {
+    duplicatesTab.addEventListener('shown.bs.tab', loadDuplicates);
+  }
+
+  // Refresh keeps the tab badge current even when another tab is open
+  if (refreshBtn) {
+    refreshBtn.addEventListener('click', loadDuplicates);
+  }
+
+  if (panel) {
+    panel.addEventListener('click', handleDuplicateAction);
+  }
+
+  if (repairBtn) {
+    repairBtn.addEventListener('click', handleRepairReservations);
+  }
+});
+
+/**
+ * Load the duplicates and conflicts report from the server
+ */
+function loadDuplicates() {
+  window.parkingApi.getDuplicates()
+    .then(report => {
+      duplicatesReport = report;
+      renderDuplicates();
+      console.log('✓ Duplicates report loaded:', report.total, 'issue(s)');
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not load duplicates report');
+    });
+}
+
+/**
+ * Describe a registration's spot for the report
+ * @param {object} registration - Registration
+ * @returns {string} e.g. 'A-4 (half B)'
+ */
+function describeDuplicateSpot(registration) {
+  return registration.parkingSpot + (registration.half ? ` (half ${registration.half})` : '');
+}
+
+/**
+ * Build one group of registrations with a "keep" choice
+ * @param {object} group - {kind, key, spotId, title, registrations}
+ * @returns {string} Card HTML
+ */
+function renderDuplicateGroup(group) {
+  const canEdit = hasPermission('edit-registrations');
+  const radioName = `keep-${group.kind}-${group.key}`;
+
+  const rows = group.registrations.map((registration, index) => `
+    <tr>
+      <td>${canEdit ? `<input class="form-check-input" type="radio" name="${escapeHtml(radioName)}"
+        value="${escapeHtml(registration.referenceId)}" ${index === 0 ? 'checked' : ''}
+        aria-label="Keep ${escapeHtml(registration.referenceId)}">` : ''}</td>
+      <td><code>${escapeHtml(registration.referenceId)}</code></td>
+      <td>${escapeHtml(registration.fullName)}</td>
+      <td>${escapeHtml(registration.studentId)}</td>
+      <td>${escapeHtml(registration.email)}</td>
+      <td>${escapeHtml(describeDuplicateSpot(registration))}</td>
+      <td><small>${escapeHtml(new Date(registration.submittedAt).toLocaleString())}</small></td>
+    </tr>
+  `).join('');
+
+  const action = group.kind === 'spot'
+    ? '<button class="btn btn-sm btn-outline-danger btn-resolve-spot" type="button">Keep selected, remove others</button>'
+    : '<button class="btn btn-sm btn-outline-primary btn-merge" type="button">Merge into selected</button>';
+
+  return `
+    <div class="card mb-3 duplicate-group" data-kind="${escapeHtml(group.kind)}"
+      data-radio="${escapeHtml(radioName)}" data-spot-id="${escapeHtml(group.spotId || '')}">
+      <div class="card-header">${escapeHtml(group.title)}</div>
+      <div class="card-body p-0 table-responsive">
+        <table class="table table-sm mb-0">
+          <thead>
+            <tr>
+              <th>Keep</th>
+              <th>Reference</th>
+              <th>Name</th>
+              <th>Student ID</th>
+              <th>Email</th>
+              <th>Spot</th>
+              <th>Submitted</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      ${canEdit ? `<div class="card-footer text-end">${action}</div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Show or hide a report section and fill its list
+ * @param {string} sectionId - Section element ID
+ * @param {string} listId - List element ID
+ * @param {string[]} items - HTML for each item
+ */
+function fillDuplicateSection(sectionId, listId, items) {
+  const section = document.getElementById(sectionId);
+  const list = document.getElementById(listId);
+  if (!section || !list) return;
+
+  section.style.display = items.length > 0 ? 'block' : 'none';
+  list.innerHTML = items.join('');
+}
+
+/**
+ * Render the whole report and update the tab badge
+ */
+function renderDuplicates() {
+  const report = duplicatesReport;
+  const count = document.getElementById('duplicatesCount');
+  const noDuplicatesMsg = document.getElementById('noDuplicatesMsg');
+
+  if (!report) return;
+  if (count) count.textContent = report.total || '';
+  if (noDuplicatesMsg) noDuplicatesMsg.style.display = report.total === 0 ? 'block' : 'none';
+
+  fillDuplicateSection('duplicateStudentsSection', 'duplicateStudentsList', report.students.map(group =>
+    renderDuplicateGroup({
+      kind: 'student',
+      key: group.studentId,
+      title: `Student ID ${group.studentId}: ${group.registrations.length} registrations`,
+      registrations: group.registrations
+    })
+  ));
+
+  fillDuplicateSection('duplicateEmailsSection', 'duplicateEmailsList', report.emails.map(group =>
+    renderDuplicateGroup({
+      kind: 'email',
+      key: group.email,
+      title: `${group.email}: used by ${group.registrations.length} registrations`,
+      registrations: group.registrations
+    })
+  ));
+
+  fillDuplicateSection('spotConflictsSection', 'spotConflictsList', report.spots.map(group =>
+    renderDuplicateGroup({
+      kind: 'spot',
+      key: group.spotId + (group.half || ''),
+      spotId: group.spotId,
+      title: group.half
+        ? `Spot ${group.spotId}, half ${group.half}: ${group.registrations.length} students`
+        : `Spot ${group.spotId}: ${group.registrations.length} students`,
+      registrations: group.registrations
+    })
+  ));
+
+  const orphaned = report.reservations.orphaned.map(reservation => `
+    <li>Spot ${escapeHtml(reservation.spotId + (reservation.half ? ` (half ${reservation.half})` : ''))}
+      is reserved for ${escapeHtml(reservation.assignedTo || reservation.referenceId || 'unknown')},
+      who has no registration</li>`);
+  const missing = report.reservations.missing.map(registration => `
+    <li>${escapeHtml(registration.fullName)} (<code>${escapeHtml(registration.referenceId)}</code>) is registered
+      on ${escapeHtml(describeDuplicateSpot(registration))} but the spot is not reserved for them</li>`);
+
+  fillDuplicateSection('reservationIssuesSection', 'reservationIssuesList',
+    orphaned.length + missing.length > 0 ? [`<ul>${orphaned.join('')}${missing.join('')}</ul>`] : []);
+}
+
+/**
+ * Handle merge and resolve buttons in the report
+ * @param {Event} e - Click event
+ */
+function handleDuplicateAction(e) {
+  const button = e.target.closest('.btn-merge, .btn-resolve-spot');
+  if (!button || !hasPermission('edit-registrations')) return;
+
+  const card = button.closest('.duplicate-group');
+  const selected = card.querySelector(`input[name="${CSS.escape(card.dataset.radio)}"]:checked`);
+  if (!selected) return;
+
+  const keepId = selected.value;
+  const otherIds = [...card.querySelectorAll(`input[name="${CSS.escape(card.dataset.radio)}"]`)]
+    .map(input => input.value)
+    .filter(id => id !== keepId);
+
+  if (button.classList.contains('btn-merge')) {
+    mergeDuplicates(keepId, otherIds);
+  } else {
+    resolveConflict(card.dataset.spotId, keepId, otherIds);
+  }
+}
+
+/**
+ * Merge duplicate registrations into the selected one
+ * @param {string} keepId - Reference ID to keep
+ * @param {string[]} otherIds - Reference IDs to merge in and remove
+ */
+function mergeDuplicates(keepId, otherIds) {
+  if (!confirm(`Keep ${keepId} and remove ${otherIds.join(', ')}? ` +
+    'Missing contact details are copied to the kept registration and the removed spots become available.')) {
+    return;
+  }
+
+  window.parkingApi.mergeRegistrations(keepId, otherIds)
+    .then(result => {
+      afterDuplicateFix();
+      showToastMessage(`Merged ${result.removed.length} registration(s) into ${keepId}`, 'success');
+      console.log('✓ Registrations merged into', keepId);
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not merge registrations');
+    });
+}
+
+/**
+ * Keep the selected student on a conflicting spot
+ * @param {string} spotId - Spot ID
+ * @param {string} keepId - Reference ID to keep
+ * @param {string[]} otherIds - Reference IDs that will be removed
+ */
+function resolveConflict(spotId, keepId, otherIds) {
+  if (!confirm(`Keep ${keepId} on spot ${spotId} and remove ${otherIds.join(', ')}? This cannot be undone.`)) {
+    return;
+  }
+
+  window.parkingApi.resolveSpotConflict(spotId, keepId)
+    .then(result => {
+      afterDuplicateFix();
+      showToastMessage(`Spot ${spotId} resolved: ${result.removed.length} registration(s) removed`, 'success');
+      console.log('✓ Spot conflict resolved:', spotId);
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not resolve spot conflict');
+    });
+}
+
+/**
+ * Repair reservations that do not match a registration
+ */
+function handleRepairReservations() {
+  if (!hasPermission('edit-registrations')) return;
+  if (!confirm('Remove reservations without a registration and re-reserve spots for registered students?')) {
+    return;
+  }
+
+  window.parkingApi.repairReservations()
+    .then(result => {
+      afterDuplicateFix();
+      const message = `Reservations repaired: ${result.removed.length} removed, ${result.added.length} added`;
+      if (result.skipped.length > 0) {
+        showToastMessage(`${message}. ${result.skipped.length} spot(s) are taken by someone else; ` +
+          'resolve those conflicts first.', 'info');
+      } else {
+        showToastMessage(message, 'success');
+      }
+      console.log('✓', message);
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not repair reservations');
+    });
+}
+
+/**
+ * Reload the report and the dashboard data after a fix
+ */
+function afterDuplicateFix() {
+  loadDuplicates();
+  loadParkingData();
+  loadStudentSubmissions();
+}
@@ -0,0 +1,596 @@
+/* ============================================================
+   ADMIN EXPORTS TAB
+   ============================================================
+   Spreadsheet exports of registrations and spots, built in the
+   browser from the same data as the dashboard. Relies on
+   admin.js for the API session, toasts, permission checks and
+   error handling, and on SheetJS for Excel files.
+
+   Features:
+   - Three views: registrations, parking spots, and every spot
+     (or half of a shared spot) with the student assigned to it
+   - Column picker (all, default or none) with a preview of the
+     first rows
+   - Filters by lot, spot type and registration date range
+   - CSV (UTF-8 with a byte order mark, every field quoted,
+     text that a spreadsheet would run as a formula prefixed
+     with ') or Excel .xlsx (names and notes as text cells,
+     dates as date cells)
+   - Presets saved on the server (see server/lib/export-presets.js)
+     and shared by every staff account
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+const EXPORT_VIEWS = {
+  registrations: 'Registrations',
+  spots: 'Parking Spots',
+  assignments: 'Spot Assignments'
+};
+const EXPORT_SCHEDULES = { A: 'Monday/Wednesday/Friday', B: 'Tuesday/Thursday' };
+const EXPORT_PREVIEW_ROWS = 5;
+
+// Registration columns appear in the registrations and assignments views
+const REGISTRATION_VIEWS = ['registrations', 'assignments'];
+const SPOT_VIEWS = ['spots', 'assignments'];
+const ALL_VIEWS = Object.keys(EXPORT_VIEWS);
+
+/**
+ * Every export column. get(row) reads a row built by buildExportRows():
+ * {lotKey, lot, spot, half, registration}. type is 'text' (default),
+ * 'number' or 'date'.
+ */
+const EXPORT_COLUMNS = [
+  { key: 'lotName', label: 'Lot', views: ALL_VIEWS, default: true,
+    get: row => row.lot ? row.lot.name : row.registration.parkingLot },
+  { key: 'spotId', label: 'Spot', views: ALL_VIEWS, default: true,
+    get: row => row.spot ? row.spot.id : row.registration.parkingSpot },
+  { key: 'spotType', label: 'Spot Type', views: ALL_VIEWS, default: true, get: row => getExportSpotType(row) },
+  { key: 'half', label: 'Half', views: REGISTRATION_VIEWS, default: true, get: row => row.half || '' },
+  { key: 'days', label: 'Days', views: REGISTRATION_VIEWS,
+    get: row => row.half ? EXPORT_SCHEDULES[row.half] : getExportSpotType(row) === 'solo' ? 'Every day' : '' },
+  { key: 'designation', label: 'Designation', views: SPOT_VIEWS, get: row => row.spot ? row.spot.designation : '' },
+  { key: 'spotStatus', label: 'Status', views: SPOT_VIEWS, default: true,
+    get: row => !row.spot ? '' : row.half && row.spot.halves ? row.spot.halves[row.half].status : row.spot.status },
+  { key: 'outOfService', label: 'Out of Service', views: ['spots'], get: row => row.spot.outOfService ? 'Yes' : 'No' },
+  { key: 'assignedTo', label: 'Assigned To', views: ['spots'], default: true, get: row => row.spot.assignedTo || '' },
+  { key: 'referenceId', label: 'Reference', views: REGISTRATION_VIEWS, default: true,
+    get: row => registrationField(row, 'referenceId') },
+  { key: 'fullName', label: 'Name', views: REGISTRATION_VIEWS, default: true,
+    get: row => registrationField(row, 'fullName') },
+  { key: 'studentId', label: 'Student ID', views: REGISTRATION_VIEWS, default: true,
+    get: row => registrationField(row, 'studentId') },
+  { key: 'email', label: 'Email', views: REGISTRATION_VIEWS, default: true, get: row => registrationField(row, 'email') },
+  { key: 'phone', label: 'Phone', views: REGISTRATION_VIEWS, get: row => registrationField(row, 'phone') },
+  { key: 'gradeLevel', label: 'Grade', views: REGISTRATION_VIEWS, default: true,
+    get: row => registrationField(row, 'gradeLevel') },
+  { key: 'partnerName', label: 'Partner', views: REGISTRATION_VIEWS,
+    get: row => registrationField(row, 'parkingPartner') },
+  { key: 'partnerStudentId', label: 'Partner ID', views: REGISTRATION_VIEWS,
+    get: row => row.registration && row.registration.partner ? row.registration.partner.studentId : '' },
+  { key: 'partnerStatus', label: 'Partner Status', views: REGISTRATION_VIEWS,
+    get: row => row.registration && row.registration.partner ? row.registration.partner.status : '' },
+  { key: 'vehicles', label: 'Vehicles', views: REGISTRATION_VIEWS, default: true,
+    get: row => (row.registration ? row.registration.vehicles || [] : []).map(vehicle =>
+      `${vehicle.state} ${vehicle.plate} (${[vehicle.color, vehicle.make, vehicle.model].filter(Boolean).join(' ')})`)
+      .join('; ') },
+  { key: 'violationCount', label: 'Violations', views: REGISTRATION_VIEWS, type: 'number',
+    get: row => row.registration ? (row.registration.violations || []).filter(v => !v.voided).length : '' },
+  { key: 'violationNotes', label: 'Violation Notes', views: REGISTRATION_VIEWS,
+    get: row => (row.registration ? row.registration.violations || [] : []).filter(v => !v.voided && v.notes)
+      .map(v => v.notes).join('\n') },
+  { key: 'suspendedUntil', label: 'Suspended Until', views: REGISTRATION_VIEWS, type: 'date',
+    get: row => row.registration && row.registration.suspension ? row.registration.suspension.until : '' },
+  { key: 'lotteryTicket', label: 'Lottery Ticket', views: REGISTRATION_VIEWS, type: 'number',
+    get: row => row.registration && row.registration.lottery ? row.registration.lottery.ticket : '' },
+  { key: 'submittedAt', label: 'Registered', views: REGISTRATION_VIEWS, type: 'date', default: true,
+    get: row => registrationField(row, 'submittedAt') },
+  { key: 'changedAt', label: 'Last Changed', views: REGISTRATION_VIEWS, type: 'date',
+    get: row => registrationField(row, 'changedAt') }
+];
+
+let exportSource = { registrations: [], parkingData: {} };
+let exportPresetList = [];
+
+/**
+ * Setup exports tab listeners on DOM load
+ */
+document.addEventListener('DOMContentLoaded', function () {
+  const exportsTab = document.getElementById('exportsTab');
+  const refreshBtn = document.getElementById('refreshBtn');
+  const form = document.getElementById('exportForm');
+  const presetSelect = document.getElementById('exportPresetSelect');
+
+  if (exportsTab) {
+    exportsTab.addEventListener('shown.bs.tab', loadExports);
+  }
+
+  if (refreshBtn) {
+    refreshBtn.addEventListener('click', function () {
+      if (exportsTab && exportsTab.classList.contains('active')) loadExports();
+    });
+  }
+
+  if (form) {
+    form.addEventListener('submit', handleExportDownload);
+    form.addEventListener('change', function (e) {
+      if (e.target.id === 'exportView') renderExportColumns(getDefaultExportColumns(e.target.value));
+      if (e.target.id !== 'exportPresetName') markExportCustom();
+      renderExportPreview();
+    });
+  }
+
+  if (presetSelect) {
+    presetSelect.addEventListener('change', function () {
+      const preset = exportPresetList.find(item => item.presetId === presetSelect.value);
+      if (preset) applyExportPreset(preset);
+      document.getElementById('exportPresetDeleteBtn').disabled = !preset;
+    });
+  }
+
+  const buttons = {
+    exportPresetSaveBtn: handleSaveExportPreset,
+    exportPresetDeleteBtn: handleDeleteExportPreset,
+    exportSelectAllBtn: () => selectExportColumns('all'),
+    exportSelectDefaultBtn: () => selectExportColumns('default'),
+    exportSelectNoneBtn: () => selectExportColumns('none')
+  };
+  Object.entries(buttons).forEach(([id, handler]) => {
+    const button = document.getElementById(id);
+    if (button) button.addEventListener('click', handler);
+  });
+});
+
+/**
+ * Load presets and the latest data, then show the preview
+ */
+function loadExports() {
+  if (!hasPermission('export')) return;
+
+  Promise.all([window.parkingApi.getExportPresets(), fetchExportSource()])
+    .then(([presets]) => {
+      exportPresetList = presets;
+      populateExportPresets();
+      populateExportLots();
+      if (document.querySelectorAll('#exportColumns input').length === 0) {
+        renderExportColumns(getDefaultExportColumns(document.getElementById('exportView').value));
+      }
+      renderExportPreview();
+      console.log('✓ Exports loaded:', presets.length, 'presets');
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not load the exports');
+    });
+}
+
+/**
+ * Fetch the registrations and spots to export
+ * @returns {Promise<object>} {registrations, parkingData}
+ */
+function fetchExportSource() {
+  return Promise.all([window.parkingApi.getRegistrations(), window.parkingApi.getParkingData()])
+    .then(([registrations, data]) => {
+      exportSource = { registrations: registrations, parkingData: data };
+      return exportSource;
+    });
+}
+
+/**
+ * Read a registration field for a row ('' for a spot nobody holds)
+ * @param {object} row - Export row
+ * @param {string} field - Registration field
+ * @returns {*} Value
+ */
+function registrationField(row, field) {
+  return row.registration && row.registration[field] !== undefined && row.registration[field] !== null
+    ? row.registration[field] : '';
+}
+
+/**
+ * Get a row's spot type, from the spot or else the registration
+ * @param {object} row - Export row
+ * @returns {string} 'solo' or 'shared'
+ */
+function getExportSpotType(row) {
+  if (row.spot) return row.spot.type;
+  return String(row.registration.spotType || 'solo').toLowerCase();
+}
+
+/**
+ * Columns offered for a view
+ * @param {string} view - View name
+ * @returns {object[]} Columns from EXPORT_COLUMNS
+ */
+function getExportColumns(view) {
+  return EXPORT_COLUMNS.filter(column => column.views.includes(view));
+}
+
+/**
+ * Default column keys for a view
+ * @param {string} view - View name
+ * @returns {string[]} Column keys
+ */
+function getDefaultExportColumns(view) {
+  return getExportColumns(view).filter(column => column.default).map(column => column.key);
+}
+
+/**
+ * Show one checkbox per column of the selected view
+ * @param {string[]} checked - Column keys to tick
+ */
+function renderExportColumns(checked) {
+  const container = document.getElementById('exportColumns');
+  const view = document.getElementById('exportView').value;
+  if (!container) return;
+
+  container.innerHTML = getExportColumns(view).map(column => `
+    <div class="col-6 col-md-3 col-lg-2">
+      <div class="form-check">
+        <input class="form-check-input" type="checkbox" id="exportColumn-${column.key}" value="${column.key}"
+          ${checked.includes(column.key) ? 'checked' : ''}>
+        <label class="form-check-label small" for="exportColumn-${column.key}">${escapeHtml(column.label)}</label>
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Tick all, the default or no columns
+ * @param {string} which - 'all', 'default' or 'none'
+ */
+function selectExportColumns(which) {
+  const view = document.getElementById('exportView').value;
+  const defaults = getDefaultExportColumns(view);
+
+  document.querySelectorAll('#exportColumns input').forEach(input => {
+    input.checked = which === 'all' || (which === 'default' && defaults.includes(input.value));
+  });
+  markExportCustom();
+  renderExportPreview();
+}
+
+/**
+ * Fill the lot filter from the lot registry, keeping the selection
+ */
+function populateExportLots() {
+  const select = document.getElementById('exportLotFilter');
+  if (!select) return;
+
+  const selected = select.value;
+  select.innerHTML = '<option value="">All lots</option>' + Object.entries(exportSource.parkingData)
+    .map(([lotKey, lot]) => `<option value="${escapeHtml(lotKey)}">${escapeHtml(lot.name)}</option>`).join('');
+  select.value = selected;
+}
+
+/**
+ * Read the export settings from the form
+ * @returns {object} {view, format, columns, filters: {lotKey, spotType, from, to}}
+ */
+function readExportSettings() {
+  return {
+    view: document.getElementById('exportView').value,
+    format: document.getElementById('exportFormat').value,
+    columns: Array.from(document.querySelectorAll('#exportColumns input:checked')).map(input => input.value),
+    filters: {
+      lotKey: document.getElementById('exportLotFilter').value,
+      spotType: document.getElementById('exportTypeFilter').value,
+      from: document.getElementById('exportFromDate').value,
+      to: document.getElementById('exportToDate').value
+    }
+  };
+}
+
+/**
+ * Format a time as a local day
+ * @param {string} time - ISO time
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function localExportDay(time) {
+  const date = new Date(time);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Build the rows of a view, applying the filters
+ * @param {object} settings - From readExportSettings()
+ * @returns {object[]} Rows {lotKey, lot, spot, half, registration}
+ */
+function buildExportRows(settings) {
+  const data = exportSource.parkingData;
+  const filters = settings.filters;
+  const byDate = Boolean(filters.from || filters.to);
+  let rows = [];
+
+  if (settings.view === 'registrations') {
+    rows = exportSource.registrations.map(registration => {
+      const lotKey = Object.keys(data).find(key => data[key].spots.some(spot => spot.id === registration.parkingSpot));
+      return {
+        lotKey: lotKey || null,
+        lot: lotKey ? data[lotKey] : null,
+        spot: lotKey ? data[lotKey].spots.find(spot => spot.id === registration.parkingSpot) : null,
+        half: registration.half || null,
+        registration: registration
+      };
+    });
+  } else {
+    Object.entries(data).forEach(([lotKey, lot]) => {
+      lot.spots.forEach(spot => {
+        const halves = settings.view === 'assignments' && spot.type === 'shared' ? ['A', 'B'] : [null];
+        halves.forEach(half => {
+          rows.push({
+            lotKey: lotKey,
+            lot: lot,
+            spot: spot,
+            half: half,
+            registration: settings.view === 'spots' ? null : exportSource.registrations.find(registration =>
+              registration.parkingSpot === spot.id && (half === null || registration.half === half)) || null
+          });
+        });
+      });
+    });
+  }
+
+  return rows.filter(row => {
+    if (filters.lotKey && row.lotKey !== filters.lotKey) return false;
+    if (filters.spotType && getExportSpotType(row) !== filters.spotType) return false;
+
+    // Date filters apply to the registration; the spots view has none
+    if (byDate && settings.view !== 'spots') {
+      if (!row.registration || !row.registration.submittedAt) return false;
+      const day = localExportDay(row.registration.submittedAt);
+      if ((filters.from && day < filters.from) || (filters.to && day > filters.to)) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Turn rows into a table of typed values
+ * @param {object} settings - From readExportSettings()
+ * @returns {{columns: object[], values: Array[]}} values: one array per row
+ *   (dates as Date objects, numbers as numbers, the rest as text)
+ */
+function buildExportTable(settings) {
+  const columns = getExportColumns(settings.view).filter(column => settings.columns.includes(column.key));
+  const values = buildExportRows(settings).map(row => columns.map(column => {
+    const value = column.get(row);
+    if (value === '' || value === null || value === undefined) return '';
+    if (column.type === 'date') {
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? '' : date;
+    }
+    return column.type === 'number' ? Number(value) : String(value);
+  }));
+
+  return { columns: columns, values: values };
+}
+
+/**
+ * Format a date for CSV so spreadsheets read it as a date and time
+ * @param {Date} date - Date
+ * @returns {string} 'YYYY-MM-DD HH:MM' (local time)
+ */
+function formatExportDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${localExportDay(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Build CSV text (RFC 4180). Every field is quoted; text starting
+ * with = + - @ or a tab/return gets a leading ' so spreadsheet
+ * software shows it instead of running it as a formula.
+ * @param {{columns: object[], values: Array[]}} table - From buildExportTable()
+ * @returns {string} CSV text with a byte order mark
+ */
+function buildExportCsv(table) {
+  const cell = value => {
+    let textValue;
+    if (value instanceof Date) {
+      textValue = formatExportDate(value);
+    } else if (typeof value === 'number') {
+      textValue = String(value);
+    } else {
+      textValue = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+    }
+    return `"${textValue.replace(/"/g, '""')}"`;
+  };
+  const lines = [table.columns.map(column => cell(column.label))]
+    .concat(table.values.map(row => row.map(cell)))
+    .map(row => row.join(','));
+
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Build an Excel workbook
+ * @param {{columns: object[], values: Array[]}} table - From buildExportTable()
+ * @param {string} sheetName - Worksheet name
+ * @returns {object} SheetJS workbook
+ */
+function buildExportWorkbook(table, sheetName) {
+  const rows = [table.columns.map(column => column.label)].concat(table.values);
+  const sheet = XLSX.utils.aoa_to_sheet(rows, { cellDates: true, dateNF: 'yyyy-mm-dd hh:mm' });
+  const workbook = XLSX.utils.book_new();
+
+  sheet['!cols'] = table.columns.map(column => ({ wch: column.type === 'date' ? 17 : Math.max(10, column.label.length + 2) }));
+  XLSX.utils.book_append_sheet(workbook, sheet, sheetName.slice(0, 31));
+  return workbook;
+}
+
+/**
+ * Show the row count and the first rows of the export
+ */
+function renderExportPreview() {
+  const head = document.getElementById('exportPreviewHead');
+  const body = document.getElementById('exportPreviewBody');
+  const summary = document.getElementById('exportSummary');
+  const noRowsMsg = document.getElementById('noExportRowsMsg');
+  const settings = readExportSettings();
+  const table = buildExportTable(settings);
+  const show = value => value instanceof Date ? value.toLocaleString() : value;
+
+  document.getElementById('exportFromDate').disabled = settings.view === 'spots';
+  document.getElementById('exportToDate').disabled = settings.view === 'spots';
+
+  if (summary) {
+    summary.textContent = `${table.values.length} row(s), ${table.columns.length} column(s)`;
+  }
+  if (noRowsMsg) noRowsMsg.style.display = table.values.length === 0 ? 'block' : 'none';
+  if (!head || !body) return;
+
+  head.innerHTML = `<tr>${table.columns.map(column => `<th>${escapeHtml(column.label)}</th>`).join('')}</tr>`;
+  body.innerHTML = table.values.slice(0, EXPORT_PREVIEW_ROWS).map(row =>
+    `<tr>${row.map(value => `<td><small>${escapeHtml(show(value))}</small></td>`).join('')}</tr>`).join('');
+}
+
+/**
+ * Download the export with the latest data
+ * @param {Event} e - Submit event
+ */
+function handleExportDownload(e) {
+  e.preventDefault();
+  if (!hasPermission('export')) return;
+
+  const settings = readExportSettings();
+  if (settings.columns.length === 0) {
+    showToastMessage('Choose at least one column to export', 'error');
+    return;
+  }
+  if (settings.format === 'xlsx' && typeof XLSX === 'undefined') {
+    showToastMessage('The Excel library could not be loaded. Export as CSV, or check the connection and reload.', 'error');
+    return;
+  }
+
+  fetchExportSource()
+    .then(() => {
+      const table = buildExportTable(settings);
+      const fileName = `mhs-parking-${settings.view}-${new Date().toISOString().split('T')[0]}.${settings.format}`;
+
+      if (settings.format === 'xlsx') {
+        XLSX.writeFile(buildExportWorkbook(table, EXPORT_VIEWS[settings.view]), fileName, { compression: true });
+      } else {
+        downloadExportFile(buildExportCsv(table), fileName);
+      }
+
+      renderExportPreview();
+      showToastMessage(`Exported ${table.values.length} row(s) to ${fileName}`, 'success');
+      console.log('✓ Export downloaded:', fileName, table.values.length, 'rows');
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Export failed');
+    });
+}
+
+/**
+ * Download CSV text as a file
+ * @param {string} content - CSV text
+ * @param {string} fileName - File name
+ */
+function downloadExportFile(content, fileName) {
+  const dataBlob = new Blob([content], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(dataBlob);
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Fill the preset list, keeping the selection
+ */
+function populateExportPresets() {
+  const select = document.getElementById('exportPresetSelect');
+  if (!select) return;
+
+  const selected = select.value;
+  select.innerHTML = '<option value="">- Custom -</option>' + exportPresetList.map(preset =>
+    `<option value="${escapeHtml(preset.presetId)}">${escapeHtml(preset.name)} (${escapeHtml(EXPORT_VIEWS[preset.view])}, ` +
+    `${preset.format.toUpperCase()})</option>`).join('');
+  select.value = exportPresetList.some(preset => preset.presetId === selected) ? selected : '';
+  document.getElementById('exportPresetDeleteBtn').disabled = !select.value;
+}
+
+/**
+ * Put a preset's settings in the form
+ * @param {object} preset - Saved preset
+ */
+function applyExportPreset(preset) {
+  document.getElementById('exportView').value = preset.view;
+  document.getElementById('exportFormat').value = preset.format;
+  document.getElementById('exportLotFilter').value = preset.filters.lotKey;
+  document.getElementById('exportTypeFilter').value = preset.filters.spotType;
+  document.getElementById('exportFromDate').value = preset.filters.from;
+  document.getElementById('exportToDate').value = preset.filters.to;
+  document.getElementById('exportPresetName').value = preset.name;
+  renderExportColumns(preset.columns);
+
+  // A lot removed since the preset was saved falls back to all lots
+  if (document.getElementById('exportLotFilter').value !== preset.filters.lotKey) {
+    showToastMessage(`The lot in preset "${preset.name}" no longer exists; showing all lots`, 'info');
+  }
+  renderExportPreview();
+}
+
+/**
+ * Show the settings as custom once they differ from the preset
+ */
+function markExportCustom() {
+  const select = document.getElementById('exportPresetSelect');
+  if (select) select.value = '';
+  document.getElementById('exportPresetDeleteBtn').disabled = true;
+}
+
+/**
+ * Save the current settings as a preset
+ */
+function handleSaveExportPreset() {
+  if (!hasPermission('export')) return;
+
+  const settings = readExportSettings();
+  settings.name = document.getElementById('exportPresetName').value.trim();
+
+  window.parkingApi.saveExportPreset(settings)
+    .then(preset => {
+      exportPresetList = exportPresetList.filter(item => item.presetId !== preset.presetId).concat(preset)
+        .sort((a, b) => a.name.localeCompare(b.name));
+      populateExportPresets();
+      document.getElementById('exportPresetSelect').value = preset.presetId;
+      document.getElementById('exportPresetDeleteBtn').disabled = false;
+      showToastMessage(`Preset "${preset.name}" saved`, 'success');
+      console.log('✓ Export preset saved:', preset.presetId);
+    })
+    .catch(error => {
+      if (error.details && error.details.length > 0) {
+        showToastMessage(`${error.message}:`, 'error', error.details);
+      } else {
+        handleAdminApiError(error, 'Could not save the preset');
+      }
+    });
+}
+
+/**
+ * Delete the selected preset after confirmation
+ */
+function handleDeleteExportPreset() {
+  const preset = exportPresetList.find(item => item.presetId === document.getElementById('exportPresetSelect').value);
+  if (!preset || !hasPermission('export')) return;
+  if (!confirm(`Delete the export preset "${preset.name}" for every staff account?`)) return;
+
+  window.parkingApi.removeExportPreset(preset.presetId)
+    .then(() => {
+      exportPresetList = exportPresetList.filter(item => item.presetId !== preset.presetId);
+      populateExportPresets();
+      document.getElementById('exportPresetName').value = '';
+      showToastMessage(`Preset "${preset.name}" deleted`, 'success');
+      console.log('✓ Export preset deleted:', preset.presetId);
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not delete the preset');
+    });
+}
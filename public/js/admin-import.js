@@ -0,0 +1,268 @@
+/* ============================================================
+   ADMIN IMPORT & RESTORE TAB
+   ============================================================
+   Loads a JSON snapshot from the Export Data button or a CSV
+   registration list back into the portal (see
+   server/lib/import.js). Relies on admin.js for the API
+   session, toasts, permission checks and error handling.
+
+   Features:
+   - Preview first: counts of added, updated, removed and
+     unchanged records, lot layout and roster changes, the
+     registrations that change, and rejected rows
+   - Merge with or replace the existing data
+   - Apply the previewed import in one step (Import data
+     permission); if the data changed since the preview, the
+     server refuses and the preview is refreshed
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+const IMPORT_COLLECTION_LABELS = {
+  registrations: 'Registrations',
+  holds: 'Spot holds',
+  waitlist: 'Waitlist entries',
+  partnerPosts: 'Partner board posts',
+  partnerRequests: 'Partner match requests',
+  eligibilityReviews: 'Eligibility reviews',
+  violations: 'Violations',
+  swaps: 'Spot swaps',
+  phaseOverrides: 'Phase overrides',
+  lotteryApplications: 'Lottery applications',
+  lotteryDraws: 'Lottery draws'
+};
+
+let importRequest = null;
+let importPreview = null;
+
+/**
+ * Setup import tab listeners on DOM load
+ */
+document.addEventListener('DOMContentLoaded', function () {
+  const importForm = document.getElementById('importForm');
+  const applyBtn = document.getElementById('importApplyBtn');
+  const cancelBtn = document.getElementById('importCancelBtn');
+
+  if (importForm) {
+    importForm.addEventListener('submit', handleImportPreview);
+    importForm.addEventListener('change', clearImportPreview);
+  }
+
+  if (applyBtn) {
+    applyBtn.addEventListener('click', handleImportApply);
+  }
+
+  if (cancelBtn) {
+    cancelBtn.addEventListener('click', clearImportPreview);
+  }
+});
+
+/**
+ * Read the chosen file and ask the server for a preview
+ * @param {Event} e - Submit event
+ */
+function handleImportPreview(e) {
+  e.preventDefault();
+  if (!hasPermission('import-data')) return;
+
+  const file = document.getElementById('importFile').files[0];
+  const mode = document.querySelector('input[name="importMode"]:checked').value;
+  if (!file) return;
+
+  file.text()
+    .then(content => {
+      importRequest = {
+        format: /\.json$/i.test(file.name) || /^\s*[{[]/.test(content) ? 'json' : 'csv',
+        mode: mode,
+        content: content,
+        fileName: file.name
+      };
+      return window.parkingApi.previewImport(importRequest);
+    })
+    .then(preview => {
+      importPreview = preview;
+      renderImportPreview();
+      console.log('✓ Import previewed:', preview.fileName, preview.counts);
+    })
+    .catch(error => {
+      clearImportPreview();
+      showImportError(error, 'Could not read the import file');
+    });
+}
+
+/**
+ * Show an import error with its details
+ * @param {Error} error - API error
+ * @param {string} message - Fallback message
+ */
+function showImportError(error, message) {
+  if (error.details && error.details.length > 0) {
+    showToastMessage(`${error.message}:`, 'error', error.details);
+    console.error('✗ Import rejected:', error.details);
+  } else {
+    handleAdminApiError(error, message);
+  }
+}
+
+/**
+ * Hide the preview (the file or mode changed, or it was cancelled)
+ */
+function clearImportPreview() {
+  const preview = document.getElementById('importPreview');
+
+  importPreview = null;
+  if (preview) preview.style.display = 'none';
+}
+
+/**
+ * Describe a registration's spot
+ * @param {object} registration - {parkingSpot, half}
+ * @returns {string} e.g. 'A-12 (half B)'
+ */
+function describeImportSpot(registration) {
+  return registration.parkingSpot + (registration.half ? ` (half ${registration.half})` : '');
+}
+
+/**
+ * Describe a roster summary
+ * @param {object|null} roster - {fileName, total} or null
+ * @returns {string} e.g. 'roster.csv (412 students)'
+ */
+function describeImportRoster(roster) {
+  return roster ? `${roster.fileName || 'roster'} (${roster.total} students)` : 'no roster';
+}
+
+/**
+ * Render the preview: summary, counts, layout and roster
+ * changes, registration changes and rejected rows
+ */
+function renderImportPreview() {
+  const preview = importPreview;
+  const summary = document.getElementById('importPreviewSummary');
+  const countsBody = document.getElementById('importCountsBody');
+  const layoutChanges = document.getElementById('importLayoutChanges');
+  const rosterChanges = document.getElementById('importRosterChanges');
+  const changesBody = document.getElementById('importChangesBody');
+  const changesNote = document.getElementById('importChangesNote');
+  const rejected = document.getElementById('importRejected');
+  const rejectedList = document.getElementById('importRejectedList');
+
+  summary.innerHTML = `<strong>${escapeHtml(preview.fileName)}</strong>: ` +
+    (preview.format === 'json' ? 'data snapshot' : 'CSV registration list') +
+    (preview.exportDate ? ` exported ${escapeHtml(new Date(preview.exportDate).toLocaleString())}` : '') +
+    ` with ${preview.rows} registration row(s), to <strong>${preview.mode}</strong> with the current data.`;
+
+  countsBody.innerHTML = Object.entries(preview.counts).map(([name, counts]) => `
+    <tr>
+      <td>${escapeHtml(IMPORT_COLLECTION_LABELS[name] || name)}</td>
+      <td>${counts.added}</td>
+      <td>${counts.updated}</td>
+      <td class="${counts.removed > 0 ? 'text-danger fw-bold' : ''}">${counts.removed}</td>
+      <td>${counts.unchanged}</td>
+    </tr>
+  `).join('');
+
+  if (preview.lots) {
+    const lots = Object.keys(preview.lots.after.lots);
+    const spots = Object.keys(preview.lots.after.spots);
+    layoutChanges.innerHTML = '<strong>The lot layout will be restored from the snapshot:</strong> ' +
+      `${lots.length} lot(s) and ${spots.length} spot(s) change` +
+      (spots.length > 0 ? ` (${escapeHtml(spots.slice(0, 20).join(', '))}${spots.length > 20 ? ', ...' : ''})` : '') + '.';
+    layoutChanges.style.display = 'block';
+  } else {
+    layoutChanges.style.display = 'none';
+  }
+
+  if (preview.roster) {
+    rosterChanges.innerHTML = preview.roster.kept
+      ? `<strong>The eligibility roster is not restored when merging:</strong> the current ` +
+        `${escapeHtml(describeImportRoster(preview.roster.before))} is kept instead of the snapshot's ` +
+        `${escapeHtml(describeImportRoster(preview.roster.after))}. Choose Replace to restore it.`
+      : `<strong>The eligibility roster will be restored from the snapshot:</strong> ` +
+        `${escapeHtml(describeImportRoster(preview.roster.before))} becomes ` +
+        `${escapeHtml(describeImportRoster(preview.roster.after))}.`;
+    rosterChanges.style.display = 'block';
+  } else {
+    rosterChanges.style.display = 'none';
+  }
+
+  const changes = preview.registrations;
+  const rows = []
+    .concat(changes.added.map(registration => ({ label: 'Added', badge: 'bg-success', registration: registration,
+      details: '' })))
+    .concat(changes.updated.map(registration => ({ label: 'Updated', badge: 'bg-warning text-dark',
+      registration: registration, details: `Changes ${registration.fields.join(', ')}` +
+        (describeImportSpot(registration.before) !== describeImportSpot(registration)
+          ? `; moves from ${describeImportSpot(registration.before)}` : '') })))
+    .concat(changes.removed.map(registration => ({ label: 'Removed', badge: 'bg-danger', registration: registration,
+      details: '' })));
+
+  changesBody.innerHTML = rows.map(row => `
+    <tr>
+      <td><span class="badge ${row.badge}">${row.label}</span></td>
+      <td><code class="small">${escapeHtml(row.registration.referenceId)}</code></td>
+      <td>${escapeHtml(row.registration.fullName)}<br>
+        <small class="text-muted">${escapeHtml(row.registration.studentId)}</small></td>
+      <td>${escapeHtml(describeImportSpot(row.registration))}</td>
+      <td><small>${escapeHtml(row.details)}</small></td>
+    </tr>
+  `).join('');
+
+  const counts = preview.counts.registrations;
+  const listed = counts.added + counts.updated + counts.removed;
+  changesNote.textContent = listed === 0 ? 'No registrations change.'
+    : rows.length < listed ? `Showing ${rows.length} of ${listed} changes.` : '';
+
+  rejectedList.innerHTML = preview.rejected.map(problem => `<li>${escapeHtml(problem)}</li>`).join('') +
+    (preview.rejectedTotal > preview.rejected.length
+      ? `<li>...and ${preview.rejectedTotal - preview.rejected.length} more</li>` : '');
+  rejected.style.display = preview.rejectedTotal > 0 ? 'block' : 'none';
+
+  document.getElementById('importPreview').style.display = 'block';
+}
+
+/**
+ * Apply the previewed import after confirmation
+ */
+function handleImportApply() {
+  if (!hasPermission('import-data') || !importPreview) return;
+
+  const counts = importPreview.counts.registrations;
+  if (!confirm(`${importPreview.mode === 'replace' ? 'Replace' : 'Merge'} the data with ${importPreview.fileName}? ` +
+      `${counts.added} registration(s) will be added, ${counts.updated} updated and ${counts.removed} removed` +
+      (importPreview.rejectedTotal > 0 ? `; ${importPreview.rejectedTotal} rejected row(s) will be skipped` : '') +
+      '.')) {
+    return;
+  }
+
+  window.parkingApi.runImport(Object.assign({}, importRequest, { fingerprint: importPreview.fingerprint }))
+    .then(result => {
+      const imported = result.counts.registrations;
+      document.getElementById('importForm').reset();
+      clearImportPreview();
+      importRequest = null;
+      loadParkingData();
+      loadStudentSubmissions();
+      showToastMessage(`Imported ${result.fileName}: ${imported.added} added, ${imported.updated} updated, ` +
+        `${imported.removed} removed` + (result.rejectedTotal > 0 ? `, ${result.rejectedTotal} skipped` : ''), 'success');
+      console.log('✓ Import applied:', result.fileName, result.counts);
+    })
+    .catch(error => {
+      if (error.status === 409 && importRequest) {
+        // The data changed since the preview: show the new preview instead
+        showToastMessage(error.message, 'error');
+        window.parkingApi.previewImport(importRequest)
+          .then(preview => {
+            importPreview = preview;
+            renderImportPreview();
+          })
+          .catch(previewError => {
+            clearImportPreview();
+            showImportError(previewError, 'Could not read the import file');
+          });
+        return;
+      }
+      showImportError(error, 'Could not apply the import');
+    });
+}
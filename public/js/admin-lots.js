@@ -0,0 +1,677 @@
+/* ============================================================
+   ADMIN LOT LAYOUT EDITOR
+   ============================================================
+   Edits the lot layout from the Spots tab of the admin
+   dashboard. Changes are made to a draft shown in the spot
+   table (see populateSpotTable() in admin.js) and only reach
+   the server when the layout is saved.
+
+   Features:
+   - Create, rename and delete lots
+   - Add or remove spot ranges (e.g., D-1 to D-40)
+   - Select spots by checkbox or range
+   - Switch selected spots between solo and shared
+   - Mark spots reserved, handicap-accessible, compact or
+     out of service
+   - Edit each lot's map geometry (rows, aisles, orientation,
+     entrances, landmarks) as JSON
+   - Spots held by a registration are protected from removal,
+     closing and type changes (the server checks this too)
+
+   Permission: manage-lots
+   API: GET/PUT /api/admin/lots (saved changes are audited)
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+const MAX_RANGE_SIZE = 500;
+
+let lotDraft = null;
+let lotDraftDirty = false;
+let editorLotKey = null;
+
+/**
+ * Setup lot editor listeners on DOM load
+ */
+document.addEventListener('DOMContentLoaded', function () {
+  const handlers = {
+    editLayoutBtn: openLotEditor,
+    editorUpdateLotBtn: handleRenameLot,
+    editorNewLotBtn: handleNewLot,
+    editorDeleteLotBtn: handleDeleteLot,
+    editorApplyGeometryBtn: handleApplyGeometry,
+    editorAddRangeBtn: handleAddRange,
+    editorRemoveRangeBtn: handleRemoveRange,
+    editorSelectRangeBtn: handleSelectRange,
+    editorApplyBtn: handleApplyToSelected,
+    editorSaveBtn: handleSaveLayout,
+    editorCancelBtn: handleCancelEditing
+  };
+
+  Object.entries(handlers).forEach(([id, handler]) => {
+    const button = document.getElementById(id);
+    if (button) button.addEventListener('click', handler);
+  });
+
+  const lotSelect = document.getElementById('editorLotSelect');
+  if (lotSelect) {
+    lotSelect.addEventListener('change', function () {
+      selectEditorLot(this.value);
+    });
+  }
+
+  // Spot checkboxes are re-created with the table, so listen on the body
+  const tableBody = document.getElementById('spotTableBody');
+  if (tableBody) {
+    tableBody.addEventListener('change', function (e) {
+      if (!spotTableView || !e.target.classList.contains('spot-select')) return;
+
+      const spotId = e.target.closest('tr').dataset.spotId;
+      if (e.target.checked) {
+        spotTableView.selected.add(spotId);
+      } else {
+        spotTableView.selected.delete(spotId);
+      }
+      updateSelectedCount();
+    });
+  }
+
+  const selectAll = document.getElementById('spotSelectAll');
+  if (selectAll) {
+    selectAll.addEventListener('change', function () {
+      toggleVisibleSpots(this.checked);
+    });
+  }
+
+  window.addEventListener('beforeunload', function (e) {
+    if (lotDraftDirty) {
+      e.preventDefault();
+      e.returnValue = '';
+    }
+  });
+});
+
+/* ============================================================
+   EDITOR STATE
+   ============================================================ */
+
+/**
+ * Open the editor with a draft copy of the current layout
+ */
+function openLotEditor() {
+  if (!hasPermission('manage-lots')) {
+    showToastMessage('Your role does not allow editing lots.', 'error');
+    return;
+  }
+
+  if (!parkingData) return;
+
+  lotDraft = JSON.parse(JSON.stringify(parkingData));
+  Object.values(lotDraft).forEach(lot => {
+    lot.spots.forEach(spot => delete spot.halves);
+  });
+
+  lotDraftDirty = false;
+  spotTableView = { data: lotDraft, selected: new Set() };
+
+  const filter = document.getElementById('spotLotFilter');
+  const startLot = filter && lotDraft[filter.value] ? filter.value : Object.keys(lotDraft)[0];
+
+  setEditorVisible(true);
+  populateEditorLots();
+  selectEditorLot(startLot);
+  refreshEditorTable();
+
+  console.log('→ Lot layout editor opened');
+}
+
+/**
+ * Close the editor and show live data again
+ */
+function closeLotEditor() {
+  lotDraft = null;
+  lotDraftDirty = false;
+  editorLotKey = null;
+  spotTableView = null;
+
+  setEditorVisible(false);
+  showEditorErrors([]);
+  populateLotFilter();
+  populateSpotTable();
+  applyLotFilter();
+}
+
+/**
+ * Show or hide the editor panel and the Edit button
+ * @param {boolean} visible - True while editing
+ */
+function setEditorVisible(visible) {
+  const editor = document.getElementById('lotEditor');
+  const editButton = document.getElementById('editLayoutBtn');
+  const dirtyBadge = document.getElementById('lotEditorDirty');
+  const selectAll = document.getElementById('spotSelectAll');
+
+  if (editor) editor.classList.toggle('d-none', !visible);
+  if (editButton) editButton.classList.toggle('d-none', visible);
+  if (dirtyBadge) dirtyBadge.classList.add('d-none');
+  if (selectAll) selectAll.checked = false;
+}
+
+/**
+ * Record an unsaved change and redraw the table
+ */
+function markLayoutDirty() {
+  lotDraftDirty = true;
+
+  const dirtyBadge = document.getElementById('lotEditorDirty');
+  if (dirtyBadge) dirtyBadge.classList.remove('d-none');
+
+  refreshEditorTable();
+}
+
+/**
+ * Redraw the lot filter and spot table from the draft
+ */
+function refreshEditorTable() {
+  populateLotFilter();
+
+  const filter = document.getElementById('spotLotFilter');
+  if (filter && editorLotKey) filter.value = editorLotKey;
+
+  populateSpotTable();
+  applyLotFilter();
+  updateSelectedCount();
+}
+
+/**
+ * Show how many spots are selected
+ */
+function updateSelectedCount() {
+  const count = document.getElementById('editorSelectedCount');
+  if (count && spotTableView) count.textContent = spotTableView.selected.size;
+}
+
+/**
+ * Check or uncheck every spot row currently shown
+ * @param {boolean} checked - New state
+ */
+function toggleVisibleSpots(checked) {
+  if (!spotTableView) return;
+
+  document.querySelectorAll('#spotTableBody tr').forEach(row => {
+    if (row.style.display === 'none') return;
+
+    const checkbox = row.querySelector('.spot-select');
+    if (checkbox) checkbox.checked = checked;
+
+    if (checked) {
+      spotTableView.selected.add(row.dataset.spotId);
+    } else {
+      spotTableView.selected.delete(row.dataset.spotId);
+    }
+  });
+
+  updateSelectedCount();
+}
+
+/**
+ * Show layout errors from the server (or clear them)
+ * @param {string[]} messages - Error messages
+ */
+function showEditorErrors(messages) {
+  const errorsDiv = document.getElementById('lotEditorErrors');
+  if (!errorsDiv) return;
+
+  if (messages.length === 0) {
+    errorsDiv.classList.add('d-none');
+    errorsDiv.innerHTML = '';
+    return;
+  }
+
+  errorsDiv.innerHTML = '<ul class="mb-0">' +
+    messages.map(message => `<li>${escapeHtml(message)}</li>`).join('') +
+    '</ul>';
+  errorsDiv.classList.remove('d-none');
+}
+
+/* ============================================================
+   LOTS
+   ============================================================ */
+
+/**
+ * Fill the editing-lot select from the draft
+ */
+function populateEditorLots() {
+  const lotSelect = document.getElementById('editorLotSelect');
+  if (!lotSelect || !lotDraft) return;
+
+  lotSelect.innerHTML = '';
+  Object.entries(lotDraft).forEach(([lotKey, lot]) => {
+    const option = document.createElement('option');
+    option.value = lotKey;
+    option.textContent = lot.name;
+    lotSelect.appendChild(option);
+  });
+}
+
+/**
+ * Switch the editor (and the table filter) to a lot
+ * @param {string} lotKey - Lot key in the draft
+ */
+function selectEditorLot(lotKey) {
+  const lot = lotDraft[lotKey];
+  if (!lot) return;
+
+  editorLotKey = lotKey;
+
+  const values = {
+    editorLotSelect: lotKey,
+    editorLotName: lot.name,
+    editorLotDescription: lot.description || '',
+    editorLotGeometry: lot.geometry ? JSON.stringify(lot.geometry, null, 2) : '',
+    editorRangePrefix: guessSpotPrefix(lot)
+  };
+  Object.entries(values).forEach(([id, value]) => {
+    const element = document.getElementById(id);
+    if (element) element.value = value;
+  });
+
+  const filter = document.getElementById('spotLotFilter');
+  if (filter) {
+    filter.value = lotKey;
+    applyLotFilter();
+  }
+}
+
+/**
+ * Guess the spot ID prefix of a lot (e.g., 'C' for 'C-12' or 'Lot C')
+ * @param {object} lot - Lot from the draft
+ * @returns {string} Prefix
+ */
+function guessSpotPrefix(lot) {
+  if (lot.spots.length > 0) {
+    const id = lot.spots[0].id;
+    const dash = id.lastIndexOf('-');
+    if (dash > 0) return id.substring(0, dash);
+  }
+
+  const words = lot.name.trim().split(/\s+/);
+  return words[words.length - 1].replace(/[^A-Za-z0-9]/g, '').substring(0, 8).toUpperCase();
+}
+
+/**
+ * Check whether another lot in the draft already has a name
+ * @param {string} name - Lot name
+ * @param {string|null} exceptKey - Lot being renamed
+ * @returns {boolean} True if taken
+ */
+function isLotNameTaken(name, exceptKey) {
+  return Object.entries(lotDraft).some(([lotKey, lot]) =>
+    lotKey !== exceptKey && lot.name.toLowerCase() === name.toLowerCase()
+  );
+}
+
+/**
+ * Create a new, empty lot
+ */
+function handleNewLot() {
+  const input = prompt('Name for the new lot (e.g., "Lot D"):');
+  const name = (input || '').trim();
+  if (!name) return;
+
+  if (isLotNameTaken(name, null)) {
+    showToastMessage(`A lot named "${name}" already exists.`, 'error');
+    return;
+  }
+
+  // Keys look like the existing ones: "Lot D" -> "lotD"
+  const base = 'lot' + name.replace(/^lot\s+/i, '').replace(/[^A-Za-z0-9]/g, '').substring(0, 24);
+  let lotKey = base;
+  for (let n = 2; lotDraft[lotKey]; n++) {
+    lotKey = `${base}${n}`;
+  }
+
+  lotDraft[lotKey] = { name: name, description: '', spots: [] };
+  populateEditorLots();
+  selectEditorLot(lotKey);
+  markLayoutDirty();
+
+  showToastMessage(`${name} added. Add a spot range to give it spots.`, 'success');
+}
+
+/**
+ * Rename the current lot and update its description
+ */
+function handleRenameLot() {
+  const lot = lotDraft[editorLotKey];
+  const name = document.getElementById('editorLotName').value.trim();
+  const description = document.getElementById('editorLotDescription').value.trim();
+
+  if (!name) {
+    showToastMessage('Please enter a lot name.', 'error');
+    return;
+  }
+
+  if (isLotNameTaken(name, editorLotKey)) {
+    showToastMessage(`A lot named "${name}" already exists.`, 'error');
+    return;
+  }
+
+  lot.name = name;
+  lot.description = description;
+  populateEditorLots();
+  selectEditorLot(editorLotKey);
+  markLayoutDirty();
+}
+
+/**
+ * Delete the current lot (only if none of its spots are held)
+ */
+function handleDeleteLot() {
+  const lot = lotDraft[editorLotKey];
+
+  if (Object.keys(lotDraft).length === 1) {
+    showToastMessage('The layout needs at least one lot.', 'error');
+    return;
+  }
+
+  const held = lot.spots.filter(isSpotHeld);
+  if (held.length > 0) {
+    showToastMessage(`${lot.name} still has ${held.length} registered spot(s). Clear them first.`, 'error');
+    return;
+  }
+
+  if (!confirm(`Delete ${lot.name} and its ${lot.spots.length} spots?`)) return;
+
+  lot.spots.forEach(spot => spotTableView.selected.delete(spot.id));
+  delete lotDraft[editorLotKey];
+
+  populateEditorLots();
+  selectEditorLot(Object.keys(lotDraft)[0]);
+  markLayoutDirty();
+}
+
+/**
+ * Replace the current lot's map geometry with the JSON in the editor
+ * (an empty box switches the lot back to automatic rows)
+ */
+function handleApplyGeometry() {
+  const lot = lotDraft[editorLotKey];
+  const text = document.getElementById('editorLotGeometry').value.trim();
+
+  if (!text) {
+    delete lot.geometry;
+    markLayoutDirty();
+    showToastMessage(`${lot.name} will use automatic rows`, 'success');
+    return;
+  }
+
+  let geometry;
+  try {
+    geometry = JSON.parse(text);
+  } catch (error) {
+    showToastMessage(`The map geometry is not valid JSON: ${error.message}`, 'error');
+    return;
+  }
+
+  if (!geometry || typeof geometry !== 'object' || Array.isArray(geometry)) {
+    showToastMessage('The map geometry must be a JSON object.', 'error');
+    return;
+  }
+
+  // The server checks the details when the layout is saved
+  lot.geometry = geometry;
+  markLayoutDirty();
+  showToastMessage(`Map updated for ${lot.name}`, 'success');
+}
+
+/* ============================================================
+   SPOTS
+   ============================================================ */
+
+/**
+ * Check whether a registration holds a spot (or either half of it)
+ * @param {object} spot - Spot from the draft
+ * @returns {boolean} True if held
+ */
+function isSpotHeld(spot) {
+  return Boolean(spot.assignedTo);
+}
+
+/**
+ * Find a spot anywhere in the draft
+ * @param {string} spotId - Spot identifier
+ * @returns {object|undefined} Spot
+ */
+function findDraftSpot(spotId) {
+  for (const lot of Object.values(lotDraft)) {
+    const spot = lot.spots.find(s => s.id === spotId);
+    if (spot) return spot;
+  }
+  return undefined;
+}
+
+/**
+ * Read the spot range inputs
+ * @returns {string[]|null} Spot IDs in the range, or null if invalid
+ */
+function readSpotRange() {
+  const prefix = document.getElementById('editorRangePrefix').value.trim();
+  const from = parseInt(document.getElementById('editorRangeFrom').value, 10);
+  const to = parseInt(document.getElementById('editorRangeTo').value, 10);
+
+  if (!/^[A-Za-z0-9][A-Za-z0-9-]{0,7}$/.test(prefix)) {
+    showToastMessage('The prefix must be letters or digits (e.g., "D").', 'error');
+    return null;
+  }
+
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < from) {
+    showToastMessage('Please enter a range such as 1 to 40.', 'error');
+    return null;
+  }
+
+  if (to - from + 1 > MAX_RANGE_SIZE) {
+    showToastMessage(`Ranges are limited to ${MAX_RANGE_SIZE} spots.`, 'error');
+    return null;
+  }
+
+  const ids = [];
+  for (let n = from; n <= to; n++) {
+    ids.push(`${prefix}-${n}`);
+  }
+  return ids;
+}
+
+/**
+ * Add a range of spots to the current lot
+ */
+function handleAddRange() {
+  const ids = readSpotRange();
+  if (!ids) return;
+
+  const type = document.getElementById('editorRangeType').value;
+  const lot = lotDraft[editorLotKey];
+  const added = ids.filter(id => !findDraftSpot(id));
+
+  added.forEach(id => {
+    lot.spots.push({ id: id, type: type, designation: 'standard', outOfService: false });
+  });
+
+  if (added.length === 0) {
+    showToastMessage('All of those spots already exist.', 'error');
+    return;
+  }
+
+  markLayoutDirty();
+
+  const skipped = ids.length - added.length;
+  showToastMessage(`Added ${added.length} ${type} spot(s) to ${lot.name}` +
+    (skipped > 0 ? ` (${skipped} already existed)` : ''), 'success');
+}
+
+/**
+ * Remove a range of spots from the current lot
+ */
+function handleRemoveRange() {
+  const ids = readSpotRange();
+  if (!ids) return;
+
+  const lot = lotDraft[editorLotKey];
+  const inRange = lot.spots.filter(spot => ids.includes(spot.id));
+  const removable = inRange.filter(spot => !isSpotHeld(spot));
+  const held = inRange.length - removable.length;
+
+  if (removable.length === 0) {
+    showToastMessage(held > 0
+      ? 'Every spot in that range is registered. Clear them first.'
+      : `${lot.name} has no spots in that range.`, 'error');
+    return;
+  }
+
+  if (!confirm(`Remove ${removable.length} spot(s) from ${lot.name}?` +
+    (held > 0 ? `\n${held} registered spot(s) will be kept.` : ''))) return;
+
+  const removedIds = new Set(removable.map(spot => spot.id));
+  lot.spots = lot.spots.filter(spot => !removedIds.has(spot.id));
+  removedIds.forEach(id => spotTableView.selected.delete(id));
+
+  markLayoutDirty();
+  showToastMessage(`Removed ${removedIds.size} spot(s) from ${lot.name}`, 'success');
+}
+
+/**
+ * Select the current lot's spots in the range
+ */
+function handleSelectRange() {
+  const ids = readSpotRange();
+  if (!ids) return;
+
+  lotDraft[editorLotKey].spots
+    .filter(spot => ids.includes(spot.id))
+    .forEach(spot => spotTableView.selected.add(spot.id));
+
+  refreshEditorTable();
+}
+
+/**
+ * Apply the type, designation and service choices to the selected spots
+ */
+function handleApplyToSelected() {
+  const type = document.getElementById('editorSetType').value;
+  const designation = document.getElementById('editorSetDesignation').value;
+  const service = document.getElementById('editorSetService').value;
+
+  if (spotTableView.selected.size === 0) {
+    showToastMessage('Select one or more spots first.', 'error');
+    return;
+  }
+
+  if (!type && !designation && !service) {
+    showToastMessage('Choose at least one change to apply.', 'error');
+    return;
+  }
+
+  let changed = 0;
+  let skipped = 0;
+
+  spotTableView.selected.forEach(spotId => {
+    const spot = findDraftSpot(spotId);
+    if (!spot) return;
+
+    // Registered spots must stay open and keep their type
+    const closes = designation === 'reserved' || service === 'out';
+    const switchesType = type && type !== spot.type;
+    if (isSpotHeld(spot) && (closes || switchesType)) {
+      skipped++;
+      return;
+    }
+
+    if (type) spot.type = type;
+    if (designation) spot.designation = designation;
+    if (service) spot.outOfService = service === 'out';
+    changed++;
+  });
+
+  if (changed > 0) markLayoutDirty();
+
+  showToastMessage(`Updated ${changed} spot(s)` +
+    (skipped > 0 ? `; ${skipped} registered spot(s) skipped` : ''), changed > 0 ? 'success' : 'error');
+}
+
+/* ============================================================
+   SAVE / DISCARD
+   ============================================================ */
+
+/**
+ * Strip display fields from the draft
+ * @returns {object} Layout for the API
+ */
+function buildLayoutFromDraft() {
+  const layout = {};
+
+  Object.entries(lotDraft).forEach(([lotKey, lot]) => {
+    layout[lotKey] = {
+      name: lot.name,
+      description: lot.description || '',
+      geometry: lot.geometry || null,
+      spots: lot.spots.map(spot => ({
+        id: spot.id,
+        type: spot.type,
+        designation: spot.designation || 'standard',
+        outOfService: Boolean(spot.outOfService)
+      }))
+    };
+  });
+
+  return layout;
+}
+
+/**
+ * Save the draft layout on the server
+ */
+function handleSaveLayout() {
+  if (!hasPermission('manage-lots')) {
+    showToastMessage('Your role does not allow editing lots.', 'error');
+    return;
+  }
+
+  if (!lotDraftDirty) {
+    closeLotEditor();
+    return;
+  }
+
+  const saveBtn = document.getElementById('editorSaveBtn');
+  if (saveBtn) saveBtn.disabled = true;
+  showEditorErrors([]);
+
+  window.parkingApi.saveLotLayout(buildLayoutFromDraft())
+    .then(data => {
+      parkingData = data;
+      closeLotEditor();
+
+      // Lot names may have changed on registrations too
+      loadParkingData();
+      loadStudentSubmissions();
+
+      showToastMessage('Lot layout saved', 'success');
+      console.log('✓ Lot layout saved');
+    })
+    .catch(error => {
+      showEditorErrors(error.details || []);
+      handleAdminApiError(error, 'Could not save the lot layout');
+    })
+    .finally(() => {
+      if (saveBtn) saveBtn.disabled = false;
+    });
+}
+
+/**
+ * Leave the editor, discarding unsaved changes
+ */
+function handleCancelEditing() {
+  if (lotDraftDirty && !confirm('Discard your unsaved lot layout changes?')) return;
+
+  closeLotEditor();
+  console.log('✓ Lot layout changes discarded');
+}
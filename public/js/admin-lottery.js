@@ -0,0 +1,277 @@
+/* ============================================================
+   ADMIN LOTTERY TAB
+   ============================================================
+   Lottery applications and draws (see server/lib/lottery.js).
+   Relies on admin.js for the API session, toasts, permission
+   checks and error handling.
+
+   Features:
+   - Loads when the Lottery tab is opened or data is refreshed
+   - Count badge on the tab for applications waiting for a draw
+   - Run a draw with an optional seed, optionally adding
+     students without a spot to the waitlist (Run lottery
+     permission)
+   - Download a draw (seed, entrants, open spots, tickets and
+     outcomes) as JSON or its outcomes as CSV (Export
+     permission)
+   - Verify a draw by re-running it from its seed
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+let lotteryData = { schedule: null, applications: [], draws: [] };
+
+/**
+ * Setup lottery tab listeners on DOM load
+ */
+document.addEventListener('DOMContentLoaded', function () {
+  const lotteryTab = document.getElementById('lotteryTab');
+  const refreshBtn = document.getElementById('refreshBtn');
+  const drawForm = document.getElementById('lotteryDrawForm');
+  const statusFilter = document.getElementById('lotteryStatusFilter');
+  const drawTableBody = document.getElementById('lotteryDrawTableBody');
+
+  if (lotteryTab) {
+    lotteryTab.addEventListener('shown.bs.tab', loadLottery);
+  }
+
+  // Refresh keeps the tab badge current even when another tab is open
+  if (refreshBtn) {
+    refreshBtn.addEventListener('click', loadLottery);
+  }
+
+  if (drawForm) {
+    drawForm.addEventListener('submit', handleRunDraw);
+  }
+
+  if (statusFilter) {
+    statusFilter.addEventListener('change', populateLotteryApplicationTable);
+  }
+
+  if (drawTableBody) {
+    drawTableBody.addEventListener('click', handleDrawAction);
+  }
+});
+
+/**
+ * Load applications and draws from the server
+ */
+function loadLottery() {
+  window.parkingApi.getLottery()
+    .then(data => {
+      lotteryData = data;
+      populateLotteryDrawTable();
+      populateLotteryApplicationTable();
+      console.log('✓ Lottery loaded:', data.applications.length, 'applications,', data.draws.length, 'draws');
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not load the lottery');
+    });
+}
+
+/**
+ * Populate the draws table
+ */
+function populateLotteryDrawTable() {
+  const tableBody = document.getElementById('lotteryDrawTableBody');
+  const noDrawsMsg = document.getElementById('noLotteryDrawsMsg');
+  const canExport = hasPermission('export');
+
+  if (!tableBody) return;
+
+  tableBody.innerHTML = '';
+  if (noDrawsMsg) noDrawsMsg.style.display = lotteryData.draws.length === 0 ? 'block' : 'none';
+
+  lotteryData.draws.forEach(draw => {
+    const row = document.createElement('tr');
+    row.dataset.drawId = draw.drawId;
+    row.innerHTML = `
+      <td><small>${escapeHtml(new Date(draw.ranAt).toLocaleString())}<br>by ${escapeHtml(draw.ranBy)}</small></td>
+      <td><code class="small">${escapeHtml(draw.seed)}</code></td>
+      <td>${draw.entrants}</td>
+      <td>${draw.freeSpots}</td>
+      <td>${draw.assigned}</td>
+      <td>${draw.unassigned}${draw.waitlistUnassigned ? '<br><small class="text-muted">to waitlist</small>' : ''}</td>
+      <td class="text-nowrap">
+        <button class="btn btn-sm btn-outline-secondary" data-action="verify">Verify</button>
+        ${canExport ? `<button class="btn btn-sm btn-outline-primary" data-action="json">JSON</button>
+          <button class="btn btn-sm btn-outline-primary" data-action="csv">CSV</button>` : ''}
+      </td>
+    `;
+    tableBody.appendChild(row);
+  });
+}
+
+/**
+ * Describe an application's choices
+ * @param {object[]} preferences - [{lotKey, spotType}]
+ * @returns {string} Cell HTML
+ */
+function describeLotteryChoices(preferences) {
+  return preferences.map((choice, index) => {
+    const lot = !choice.lotKey ? 'Any lot'
+      : parkingData && parkingData[choice.lotKey] ? parkingData[choice.lotKey].name : choice.lotKey;
+    return `${index + 1}. ${escapeHtml(lot)}, ${escapeHtml(choice.spotType)}`;
+  }).join('<br>');
+}
+
+/**
+ * Describe an application's result
+ * @param {object} application - Lottery application
+ * @returns {string} Cell HTML
+ */
+function describeLotteryResult(application) {
+  const result = application.result;
+  if (application.status === 'pending') return '<span class="badge bg-info text-dark">pending</span>';
+
+  if (application.status === 'assigned') {
+    return `<span class="badge bg-success">#${result.ticket}</span> ${escapeHtml(result.spotId)}` +
+      (result.half ? ` (half ${escapeHtml(result.half)})` : '') +
+      `<br><small class="text-muted">choice ${result.preferenceRank} &middot; ${escapeHtml(result.referenceId)}</small>`;
+  }
+  return `<span class="badge bg-secondary">#${result.ticket}</span> <small>${escapeHtml(result.reason)}</small>` +
+    (result.waitlistId ? `<br><small class="text-muted">waitlist ${escapeHtml(result.waitlistId)}</small>` : '');
+}
+
+/**
+ * Populate the applications table using the status filter and
+ * update the tab badge
+ */
+function populateLotteryApplicationTable() {
+  const tableBody = document.getElementById('lotteryApplicationTableBody');
+  const noApplicationsMsg = document.getElementById('noLotteryApplicationsMsg');
+  const filter = document.getElementById('lotteryStatusFilter');
+  const count = document.getElementById('lotteryCount');
+  const pending = lotteryData.applications.filter(application => application.status === 'pending');
+
+  if (count) count.textContent = pending.length > 0 ? pending.length : '';
+  if (!tableBody) return;
+
+  const shown = filter && filter.value === 'pending' ? pending : lotteryData.applications;
+  tableBody.innerHTML = '';
+  if (noApplicationsMsg) noApplicationsMsg.style.display = shown.length === 0 ? 'block' : 'none';
+
+  shown.forEach(application => {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${escapeHtml(application.fullName)}<br><small class="text-muted">${escapeHtml(application.studentId)}
+        &middot; ${escapeHtml(application.gradeLevel)}</small></td>
+      <td><small>${describeLotteryChoices(application.preferences)}</small></td>
+      <td><small>${application.partnerStudentId
+        ? `${escapeHtml(application.parkingPartner)} (${escapeHtml(application.partnerStudentId)})` : '-'}</small></td>
+      <td><small>${escapeHtml(new Date(application.submittedAt).toLocaleString())}</small></td>
+      <td>${describeLotteryResult(application)}</td>
+    `;
+    tableBody.appendChild(row);
+  });
+}
+
+/**
+ * Run a draw after confirmation
+ * @param {Event} e - Submit event
+ */
+function handleRunDraw(e) {
+  e.preventDefault();
+  if (!hasPermission('run-lottery')) return;
+
+  const seed = document.getElementById('lotterySeed').value.trim();
+  const waitlistUnassigned = document.getElementById('lotteryWaitlistUnassigned').checked;
+  const pending = lotteryData.applications.filter(application => application.status === 'pending').length;
+
+  if (!confirm(`Run the lottery draw for ${pending} pending application(s)` +
+      (seed ? ` with seed "${seed}"` : ' with a random seed') +
+      '? Students who get a spot are registered at once, and the results are published to them.')) {
+    return;
+  }
+
+  window.parkingApi.runLotteryDraw(seed, waitlistUnassigned)
+    .then(draw => {
+      document.getElementById('lotterySeed').value = '';
+      loadLottery();
+      loadParkingData();
+      loadStudentSubmissions();
+      showToastMessage(`Lottery drawn with seed ${draw.seed}: ${draw.assigned} assigned, ` +
+        `${draw.unassigned} without a spot`, 'success');
+      console.log('✓ Lottery drawn:', draw.drawId);
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not run the lottery draw');
+    });
+}
+
+/**
+ * Handle verify and download buttons in the draws table
+ * @param {Event} e - Click event
+ */
+function handleDrawAction(e) {
+  const button = e.target.closest('button[data-action]');
+  if (!button) return;
+
+  const drawId = button.closest('tr').dataset.drawId;
+  const action = button.dataset.action;
+
+  if (action === 'verify') {
+    window.parkingApi.verifyLotteryDraw(drawId)
+      .then(result => {
+        showToastMessage(result.matches
+          ? `Draw ${drawId} verified: re-running seed ${result.seed} gives the same tickets`
+          : `Draw ${drawId} does NOT match its seed (tickets ${result.differences.join(', ')})`,
+        result.matches ? 'success' : 'error');
+      })
+      .catch(error => {
+        handleAdminApiError(error, 'Could not verify the draw');
+      });
+    return;
+  }
+
+  if (!hasPermission('export')) return;
+  window.parkingApi.getLotteryDraw(drawId)
+    .then(draw => {
+      if (action === 'json') {
+        downloadLotteryFile(JSON.stringify(draw, null, 2), 'application/json', `mhs-parking-lottery-${drawId}.json`);
+      } else {
+        downloadLotteryFile(buildLotteryCsv(draw), 'text/csv', `mhs-parking-lottery-${drawId}.csv`);
+      }
+      console.log('✓ Lottery draw exported:', drawId, action);
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not export the draw');
+    });
+}
+
+/**
+ * Build a CSV of a draw's outcomes, one row per student
+ * @param {object} draw - Full draw record
+ * @returns {string} CSV text
+ */
+function buildLotteryCsv(draw) {
+  const quote = value => `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+  const header = ['drawId', 'seed', 'ticket', 'applicationId', 'studentId', 'fullName', 'spotId', 'half', 'lotName',
+    'preferenceRank', 'referenceId', 'waitlistId', 'reason'];
+  const rows = draw.outcomes.map(outcome => header.map(field =>
+    quote(field === 'seed' ? draw.seed : outcome[field])).join(','));
+
+  return [header.join(',')].concat(rows).join('\n') + '\n';
+}
+
+/**
+ * Download text as a file
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
+ * @param {string} fileName - File name
+ */
+function downloadLotteryFile(content, type, fileName) {
+  const dataBlob = new Blob([content], { type: type });
+  const url = URL.createObjectURL(dataBlob);
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+
+  showToastMessage('Lottery draw exported successfully', 'success');
+}
@@ -0,0 +1,199 @@
+/* ============================================================
+   ADMIN REGISTRATION PHASES TAB
+   ============================================================
+   The registration schedule (registrationPhases in
+   public/data/config.json) and per-student overrides. Relies on
+   admin.js for the API session, toasts, permission checks and
+   error handling.
+
+   Features:
+   - Loads when the Registration Phases tab is opened or refreshed
+   - Current phase and what comes next
+   - Schedule table with the current phase highlighted
+   - Grant an override (student ID, name, note, optional end
+     date) or remove one (Edit registrations permission)
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+let phaseData = { schedule: null, overrides: [] };
+
+/**
+ * Setup registration phases tab listeners on DOM load
+ */
+document.addEventListener('DOMContentLoaded', function () {
+  const phasesTab = document.getElementById('phasesTab');
+  const refreshBtn = document.getElementById('refreshBtn');
+  const grantForm = document.getElementById('phaseOverrideGrantForm');
+  const tableBody = document.getElementById('phaseOverrideTableBody');
+
+  if (phasesTab) {
+    phasesTab.addEventListener('shown.bs.tab', loadPhases);
+  }
+
+  if (refreshBtn) {
+    refreshBtn.addEventListener('click', function () {
+      if (phasesTab && phasesTab.classList.contains('active')) loadPhases();
+    });
+  }
+
+  if (grantForm) {
+    grantForm.addEventListener('submit', handleGrantOverride);
+  }
+
+  if (tableBody) {
+    tableBody.addEventListener('click', function (e) {
+      const button = e.target.closest('.btn-remove-override');
+      if (button) handleRemoveOverride(button.closest('tr').dataset.studentId);
+    });
+  }
+});
+
+/**
+ * Load the schedule and overrides from the server
+ */
+function loadPhases() {
+  window.parkingApi.getPhaseOverrides()
+    .then(data => {
+      phaseData = data;
+      renderPhaseSchedule();
+      populatePhaseOverrideTable();
+      console.log('✓ Registration phases loaded:', data.schedule.current.name);
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not load the registration phases');
+    });
+}
+
+/**
+ * Format a phase time for the tables
+ * @param {string|null} time - ISO time
+ * @param {boolean} [end] - True for a closing time (shows the last day it covers)
+ * @returns {string} Date text
+ */
+function formatPhaseTime(time, end) {
+  if (!time) return '-';
+  return new Date(new Date(time).getTime() - (end ? 1 : 0)).toLocaleDateString();
+}
+
+/**
+ * Describe who may register in a phase
+ * @param {object} phase - Phase from the schedule
+ * @returns {string} Text
+ */
+function describePhaseAudience(phase) {
+  if (phase.status === 'closed') return 'Nobody (overrides only)';
+  if (phase.status === 'lottery') {
+    return 'Lottery applications' + (phase.gradeLevels.length > 0 ? ` (${phase.gradeLevels.join(', ')} only)` : '');
+  }
+  if (phase.status === 'priority') return `${phase.gradeLevels.join(', ')} only`;
+  return 'All eligible students';
+}
+
+/**
+ * Show the current phase and the schedule table
+ */
+function renderPhaseSchedule() {
+  const schedule = phaseData.schedule;
+  const summary = document.getElementById('phaseCurrentSummary');
+  const tableBody = document.getElementById('phaseTableBody');
+  const styles = { open: 'alert-success', priority: 'alert-warning', lottery: 'alert-info', closed: 'alert-secondary' };
+
+  if (summary) {
+    const current = schedule.current;
+    const next = schedule.next;
+    summary.className = `alert ${styles[current.status]}`;
+    summary.innerHTML = `<strong>Now: ${escapeHtml(current.name)}</strong> - ${escapeHtml(describePhaseAudience(current))}` +
+      (next ? `<br>Next: ${escapeHtml(next.name)} from ${escapeHtml(new Date(next.startsAt).toLocaleString())}` : '');
+  }
+
+  if (tableBody) {
+    tableBody.innerHTML = schedule.phases.map(phase => `
+      <tr class="${phase.id === schedule.current.id ? 'table-primary' : ''}">
+        <td>${escapeHtml(phase.name)}${phase.message ? `<br><small class="text-muted">${escapeHtml(phase.message)}</small>` : ''}</td>
+        <td>${escapeHtml(formatPhaseTime(phase.startsAt))}</td>
+        <td>${escapeHtml(formatPhaseTime(phase.endsAt, true))}</td>
+        <td>${escapeHtml(describePhaseAudience(phase))}</td>
+      </tr>`).join('');
+  }
+}
+
+/**
+ * Populate the overrides table
+ */
+function populatePhaseOverrideTable() {
+  const tableBody = document.getElementById('phaseOverrideTableBody');
+  const noOverridesMsg = document.getElementById('noPhaseOverridesMsg');
+  const canEdit = hasPermission('edit-registrations');
+
+  if (!tableBody) return;
+
+  tableBody.innerHTML = '';
+  if (noOverridesMsg) noOverridesMsg.style.display = phaseData.overrides.length === 0 ? 'block' : 'none';
+
+  phaseData.overrides.forEach(override => {
+    const row = document.createElement('tr');
+    row.dataset.studentId = override.studentId;
+    row.innerHTML = `
+      <td>${escapeHtml(override.fullName || '-')}<br><small class="text-muted">${escapeHtml(override.studentId)}</small></td>
+      <td><small>${escapeHtml(override.note || '-')}</small></td>
+      <td><small>${escapeHtml(new Date(override.grantedAt).toLocaleString())}<br>by ${escapeHtml(override.grantedBy)}</small></td>
+      <td>${override.expiresAt ? escapeHtml(formatPhaseTime(override.expiresAt, true)) : 'No end date'}
+        ${override.active ? '' : '<span class="badge bg-secondary">expired</span>'}</td>
+      <td>${canEdit ? '<button class="btn btn-sm btn-outline-danger btn-remove-override">Remove</button>' : '-'}</td>
+    `;
+    tableBody.appendChild(row);
+  });
+}
+
+/**
+ * Grant an override from the form
+ * @param {Event} e - Submit event
+ */
+function handleGrantOverride(e) {
+  e.preventDefault();
+  if (!hasPermission('edit-registrations')) return;
+
+  const form = e.target;
+  const override = {
+    studentId: document.getElementById('overrideStudentId').value.trim(),
+    fullName: document.getElementById('overrideFullName').value.trim(),
+    note: document.getElementById('overrideNote').value.trim(),
+    expiresAt: document.getElementById('overrideExpiresAt').value
+  };
+
+  window.parkingApi.grantPhaseOverride(override)
+    .then(saved => {
+      form.reset();
+      loadPhases();
+      showToastMessage(`Override granted to student ${saved.studentId}`, 'success');
+      console.log('✓ Registration phase override granted:', saved.studentId);
+    })
+    .catch(error => {
+      if (error.details && error.details.length > 0) {
+        showToastMessage(`${error.message}:`, 'error', error.details);
+      } else {
+        handleAdminApiError(error, 'Could not grant the override');
+      }
+    });
+}
+
+/**
+ * Remove a student's override after confirmation
+ * @param {string} studentId - Student ID
+ */
+function handleRemoveOverride(studentId) {
+  if (!hasPermission('edit-registrations')) return;
+  if (!confirm(`Remove the registration phase override for student ${studentId}?`)) return;
+
+  window.parkingApi.removePhaseOverride(studentId)
+    .then(() => {
+      loadPhases();
+      showToastMessage(`Override removed for student ${studentId}`, 'success');
+      console.log('✓ Registration phase override removed:', studentId);
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not remove the override');
+    });
+}
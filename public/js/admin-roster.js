@@ -0,0 +1,259 @@
+/* ============================================================
+   ADMIN ROSTER & ELIGIBILITY TAB
+   ============================================================
+   Imports the official roster of students eligible to park and
+   handles students who were turned away by it. Relies on
+   admin.js for the API session, toasts, permission checks and
+   error handling.
+
+   Features:
+   - Roster summary: when and by whom it was imported, license
+     counts
+   - CSV import (replaces the roster; nothing is imported if a
+     row is invalid, and the problems are listed)
+   - Manual review queue with approve / reject and a count badge
+   - Roster lookup by name or student ID
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+const ROSTER_ROWS_SHOWN = 50;
+const LICENSE_LABELS = { licensed: 'Licensed', permit: 'Permit only', none: 'None' };
+
+let rosterData = { summary: null, students: [] };
+let eligibilityReviews = [];
+
+/**
+ * Setup roster tab listeners on DOM load
+ */
+document.addEventListener('DOMContentLoaded', function () {
+  const rosterTab = document.getElementById('rosterTab');
+  const refreshBtn = document.getElementById('refreshBtn');
+  const importForm = document.getElementById('rosterImportForm');
+  const statusFilter = document.getElementById('reviewStatusFilter');
+  const reviewBody = document.getElementById('reviewTableBody');
+  const search = document.getElementById('rosterSearch');
+
+  if (rosterTab) {
+    rosterTab.addEventListener('shown.bs.tab', loadRosterTab);
+  }
+
+  if (refreshBtn) {
+    refreshBtn.addEventListener('click', function () {
+      if (rosterTab && rosterTab.classList.contains('active')) loadRosterTab();
+    });
+  }
+
+  if (importForm) {
+    importForm.addEventListener('submit', handleRosterImport);
+  }
+
+  if (statusFilter) {
+    statusFilter.addEventListener('change', populateReviewTable);
+  }
+
+  if (reviewBody) {
+    reviewBody.addEventListener('click', handleReviewDecision);
+  }
+
+  if (search) {
+    search.addEventListener('input', populateRosterTable);
+  }
+});
+
+/**
+ * Load the roster and the review queue from the server
+ */
+function loadRosterTab() {
+  Promise.all([window.parkingApi.getRoster(), window.parkingApi.getEligibilityReviews()])
+    .then(([roster, reviews]) => {
+      rosterData = roster;
+      eligibilityReviews = reviews;
+      renderRosterSummary();
+      populateReviewTable();
+      populateRosterTable();
+      console.log('✓ Roster loaded:', roster.students.length, 'students,', reviews.length, 'review(s)');
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not load the eligibility roster');
+    });
+}
+
+/**
+ * Show when the roster was imported and its license counts
+ */
+function renderRosterSummary() {
+  const summaryEl = document.getElementById('rosterSummary');
+  const summary = rosterData.summary;
+  if (!summaryEl) return;
+
+  if (!summary) {
+    summaryEl.textContent = 'No roster imported yet - registrations are not checked against a roster.';
+    return;
+  }
+
+  summaryEl.innerHTML = `<strong>${summary.total}</strong> students imported
+    ${escapeHtml(new Date(summary.importedAt).toLocaleString())} by ${escapeHtml(summary.importedBy)}
+    ${summary.fileName ? `from <code>${escapeHtml(summary.fileName)}</code>` : ''}:
+    ${summary.licensed} licensed, ${summary.permit} with a permit only, ${summary.none} without a license.
+    Only licensed students on the roster (or approved on review) can register.`;
+}
+
+/**
+ * Read the chosen CSV file and replace the roster with it
+ * @param {Event} e - Submit event
+ */
+function handleRosterImport(e) {
+  e.preventDefault();
+  if (!hasPermission('manage-roster')) return;
+
+  const fileInput = document.getElementById('rosterFile');
+  const file = fileInput.files[0];
+  if (!file) return;
+
+  if (!confirm(`Replace the eligibility roster with ${file.name}? Students not in this file will no longer be able ` +
+    'to register (existing registrations are kept).')) {
+    return;
+  }
+
+  file.text()
+    .then(csv => window.parkingApi.importRoster(csv, file.name))
+    .then(summary => {
+      fileInput.value = '';
+      loadRosterTab();
+      showToastMessage(`Roster imported: ${summary.total} students`, 'success');
+      console.log('✓ Roster imported:', summary.total);
+    })
+    .catch(error => {
+      if (error.details && error.details.length > 0) {
+        showToastMessage(`${error.message}:`, 'error', error.details);
+        console.error('✗ Roster import rejected:', error.details);
+      } else {
+        handleAdminApiError(error, 'Could not import the roster');
+      }
+    });
+}
+
+/**
+ * Describe a review's roster entry for the table
+ * @param {object} review - Review with rosterEntry
+ * @returns {string} Cell HTML
+ */
+function describeRosterEntry(review) {
+  const entry = review.rosterEntry;
+  if (!entry) return '<span class="text-danger">Not on roster</span>';
+
+  return `${escapeHtml(entry.fullName)}<br>
+    <small class="text-muted">${escapeHtml(entry.gradeLevel)} · ${escapeHtml(LICENSE_LABELS[entry.licenseStatus])}</small>`;
+}
+
+/**
+ * Populate the review table using the status filter
+ */
+function populateReviewTable() {
+  const tableBody = document.getElementById('reviewTableBody');
+  const noReviewsMsg = document.getElementById('noReviewsMsg');
+  const filter = document.getElementById('reviewStatusFilter');
+  const count = document.getElementById('reviewCount');
+  const canEdit = hasPermission('edit-registrations');
+  const statusClasses = { pending: 'bg-warning text-dark', approved: 'bg-success', rejected: 'bg-secondary' };
+
+  if (!tableBody) return;
+
+  const pending = eligibilityReviews.filter(review => review.status === 'pending');
+  const shown = filter && filter.value === 'pending' ? pending : eligibilityReviews;
+
+  if (count) count.textContent = pending.length || '';
+
+  tableBody.innerHTML = '';
+  if (noReviewsMsg) noReviewsMsg.style.display = shown.length === 0 ? 'block' : 'none';
+
+  shown.forEach(review => {
+    const row = document.createElement('tr');
+    row.dataset.reviewId = review.reviewId;
+
+    let status = `<span class="badge ${statusClasses[review.status]}">${escapeHtml(review.status)}</span>`;
+    if (review.decidedBy) {
+      status += `<br><small class="text-muted">by ${escapeHtml(review.decidedBy)}` +
+        `${review.decisionNote ? `: ${escapeHtml(review.decisionNote)}` : ''}</small>`;
+    }
+
+    const actions = canEdit && review.status === 'pending'
+      ? `<button class="btn btn-sm btn-outline-success btn-review" data-decision="approve">Approve</button>
+         <button class="btn btn-sm btn-outline-danger btn-review" data-decision="reject">Reject</button>`
+      : '-';
+
+    row.innerHTML = `
+      <td><small>${escapeHtml(new Date(review.requestedAt).toLocaleString())}</small></td>
+      <td>${escapeHtml(review.fullName)} (${escapeHtml(review.studentId)})<br>
+        <small class="text-muted">${escapeHtml(review.email)}</small></td>
+      <td><small>${escapeHtml(review.message)}</small>
+        ${review.note ? `<br><small><em>“${escapeHtml(review.note)}”</em></small>` : ''}</td>
+      <td>${describeRosterEntry(review)}</td>
+      <td>${status}</td>
+      <td class="text-nowrap">${actions}</td>
+    `;
+    tableBody.appendChild(row);
+  });
+}
+
+/**
+ * Handle approve and reject buttons in the review table
+ * @param {Event} e - Click event
+ */
+function handleReviewDecision(e) {
+  const button = e.target.closest('.btn-review');
+  if (!button || !hasPermission('edit-registrations')) return;
+
+  const reviewId = button.closest('tr').dataset.reviewId;
+  const review = eligibilityReviews.find(item => item.reviewId === reviewId);
+  if (!review) return;
+
+  const decision = button.dataset.decision;
+  const note = prompt(decision === 'approve'
+    ? `Approve ${review.fullName} (${review.studentId}) for student parking? Note (optional):`
+    : `Reject ${review.fullName}'s request? Reason (optional):`, '');
+  if (note === null) return;
+
+  window.parkingApi.decideEligibilityReview(reviewId, decision, note.trim())
+    .then(updated => {
+      loadRosterTab();
+      showToastMessage(`${review.fullName}'s review ${updated.status}. ` +
+        `Let them know at ${review.email}.`, 'success');
+      console.log('✓ Eligibility review', updated.status + ':', reviewId);
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not record the decision');
+    });
+}
+
+/**
+ * Populate the roster lookup table from the search box
+ */
+function populateRosterTable() {
+  const tableBody = document.getElementById('rosterTableBody');
+  const note = document.getElementById('rosterTableNote');
+  const search = document.getElementById('rosterSearch');
+  if (!tableBody) return;
+
+  const term = search ? search.value.trim().toLowerCase() : '';
+  const matches = rosterData.students.filter(student => !term ||
+    student.studentId.includes(term) || student.fullName.toLowerCase().includes(term));
+
+  tableBody.innerHTML = matches.slice(0, ROSTER_ROWS_SHOWN).map(student => `
+    <tr>
+      <td>${escapeHtml(student.studentId)}</td>
+      <td>${escapeHtml(student.fullName)}</td>
+      <td>${escapeHtml(student.gradeLevel)}</td>
+      <td>${escapeHtml(student.email || '-')}</td>
+      <td>${escapeHtml(LICENSE_LABELS[student.licenseStatus])}</td>
+    </tr>
+  `).join('');
+
+  if (note) {
+    note.textContent = matches.length > ROSTER_ROWS_SHOWN
+      ? `Showing ${ROSTER_ROWS_SHOWN} of ${matches.length} students - search to narrow the list.`
+      : `${matches.length} student(s)`;
+  }
+}
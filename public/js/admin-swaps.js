@@ -0,0 +1,199 @@
+/* ============================================================
+   ADMIN SWAPS TAB
+   ============================================================
+   Spot swaps between students (proposed and accepted on
+   my-registration.html). Relies on admin.js for the API
+   session, toasts, permission checks and error handling.
+
+   Features:
+   - Loads swaps when the Swaps tab is opened or data is refreshed
+   - Count badge on the tab for swaps awaiting approval
+   - Swap policy summary (server/config/swap-policy.json)
+   - Approve or reject an accepted swap (Edit registrations
+     permission) when the policy requires approval; a rejection
+     needs a reason, which both students see
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+const SWAP_STATUS_CLASSES = {
+  proposed: 'bg-info',
+  accepted: 'bg-warning text-dark',
+  completed: 'bg-success',
+  declined: 'bg-secondary',
+  cancelled: 'bg-secondary',
+  rejected: 'bg-danger',
+  expired: 'bg-secondary'
+};
+
+let swapData = { requireAdminApproval: false, expiresAfterHours: 72, swaps: [] };
+
+/**
+ * Setup swaps tab listeners on DOM load
+ */
+document.addEventListener('DOMContentLoaded', function () {
+  const swapsTab = document.getElementById('swapsTab');
+  const refreshBtn = document.getElementById('refreshBtn');
+  const statusFilter = document.getElementById('swapStatusFilter');
+  const tableBody = document.getElementById('swapTableBody');
+
+  if (swapsTab) {
+    swapsTab.addEventListener('shown.bs.tab', loadSwaps);
+  }
+
+  // Refresh keeps the tab badge current even when another tab is open
+  if (refreshBtn) {
+    refreshBtn.addEventListener('click', loadSwaps);
+  }
+
+  if (statusFilter) {
+    statusFilter.addEventListener('change', populateSwapTable);
+  }
+
+  if (tableBody) {
+    tableBody.addEventListener('click', handleSwapDecisionClick);
+  }
+});
+
+/**
+ * Load all swaps and the swap policy from the server
+ */
+function loadSwaps() {
+  window.parkingApi.getSwaps()
+    .then(data => {
+      swapData = data;
+      renderSwapPolicy();
+      populateSwapTable();
+      console.log('✓ Swaps loaded:', swapData.swaps.length);
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not load swaps');
+    });
+}
+
+/**
+ * Show the swap policy and the awaiting-approval badge
+ */
+function renderSwapPolicy() {
+  const summary = document.getElementById('swapPolicySummary');
+  const count = document.getElementById('swapsCount');
+  const awaiting = swapData.swaps.filter(swap => swap.status === 'accepted').length;
+
+  if (count) count.textContent = swapData.requireAdminApproval && awaiting > 0 ? awaiting : '';
+  if (summary) {
+    summary.textContent = (swapData.requireAdminApproval
+      ? 'Accepted swaps wait here for staff approval before the students trade spots.'
+      : 'Swaps take effect as soon as the other student accepts.') +
+      ` Proposals expire after ${swapData.expiresAfterHours} hours. A completed swap gives both students ` +
+      'new reference numbers; their old permits stop verifying.';
+  }
+}
+
+/**
+ * Describe one side of a swap
+ * @param {object} party - {fullName, studentId, parkingLot, parkingSpot, half, referenceId, newReferenceId}
+ * @returns {string} Cell HTML
+ */
+function renderSwapParty(party) {
+  const spot = `${party.parkingLot} - ${party.parkingSpot}` + (party.half ? ` (half ${party.half})` : '');
+  const reference = party.newReferenceId
+    ? `${escapeHtml(party.referenceId)} → ${escapeHtml(party.newReferenceId)}`
+    : escapeHtml(party.referenceId);
+
+  return `${escapeHtml(party.fullName)} <small class="text-muted">(${escapeHtml(party.studentId)})</small><br>
+    <small>${escapeHtml(spot)}</small><br><small class="text-muted">${reference}</small>`;
+}
+
+/**
+ * Build one table row's cells
+ * @param {object} swap - Swap
+ * @returns {string} Row HTML
+ */
+function renderSwapRow(swap) {
+  let status = `<span class="badge ${SWAP_STATUS_CLASSES[swap.status] || 'bg-secondary'}">${escapeHtml(swap.status)}</span>`;
+  if (swap.decision) {
+    status += `<br><small class="text-muted">by ${escapeHtml(swap.decision.by)}${swap.decision.reason ? `: ${escapeHtml(swap.decision.reason)}` : ''}</small>`;
+  } else if (swap.status === 'proposed') {
+    status += `<br><small class="text-muted">expires ${escapeHtml(new Date(swap.expiresAt).toLocaleString())}</small>`;
+  }
+
+  let actions = '-';
+  if (swap.status === 'accepted' && hasPermission('edit-registrations')) {
+    actions = `<button class="btn btn-sm btn-outline-success btn-swap-decision" data-decision="approve">Approve</button>
+      <button class="btn btn-sm btn-outline-danger btn-swap-decision" data-decision="reject">Reject</button>`;
+  }
+
+  return `
+    <td><small>${escapeHtml(new Date(swap.proposedAt).toLocaleString())}</small></td>
+    <td>${renderSwapParty(swap.from)}</td>
+    <td>${renderSwapParty(swap.to)}</td>
+    <td><small>${escapeHtml(swap.message || '-')}</small></td>
+    <td>${status}</td>
+    <td class="text-nowrap">${actions}</td>
+  `;
+}
+
+/**
+ * Populate the swaps table using the status filter
+ */
+function populateSwapTable() {
+  const tableBody = document.getElementById('swapTableBody');
+  const noSwapsMsg = document.getElementById('noSwapsMsg');
+  const filter = document.getElementById('swapStatusFilter');
+
+  if (!tableBody) return;
+
+  const shown = swapData.swaps.filter(swap => {
+    if (filter && filter.value === 'open') return swap.status === 'proposed' || swap.status === 'accepted';
+    if (filter && filter.value === 'completed') return swap.status === 'completed';
+    return true;
+  });
+
+  tableBody.innerHTML = '';
+  if (noSwapsMsg) noSwapsMsg.style.display = shown.length === 0 ? 'block' : 'none';
+
+  shown.forEach(swap => {
+    const row = document.createElement('tr');
+    row.dataset.swapId = swap.swapId;
+    row.innerHTML = renderSwapRow(swap);
+    tableBody.appendChild(row);
+  });
+}
+
+/**
+ * Handle approve and reject buttons in the table
+ * @param {Event} e - Click event
+ */
+function handleSwapDecisionClick(e) {
+  const button = e.target.closest('.btn-swap-decision');
+  if (!button || !hasPermission('edit-registrations')) return;
+
+  const swapId = button.closest('tr').dataset.swapId;
+  const swap = swapData.swaps.find(item => item.swapId === swapId);
+  if (!swap) return;
+
+  const decision = button.dataset.decision;
+  const names = `${swap.from.fullName} (${swap.from.parkingSpot}) and ${swap.to.fullName} (${swap.to.parkingSpot})`;
+  let reason = '';
+  if (decision === 'reject') {
+    reason = prompt(`Reject the swap between ${names}? Reason (shown to both students):`, '');
+    if (reason === null) return;
+  } else if (!confirm(`Approve the swap between ${names}? Both students trade spots and get new reference numbers.`)) {
+    return;
+  }
+
+  window.parkingApi.decideSwap(swapId, decision, reason.trim())
+    .then(() => {
+      loadSwaps();
+      if (decision === 'approve') {
+        loadParkingData();
+        loadStudentSubmissions();
+      }
+      showToastMessage(`Swap ${decision === 'approve' ? 'approved' : 'rejected'}: ${names}`, 'success');
+      console.log('✓ Swap decided:', swapId, decision);
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not update swap');
+    });
+}
@@ -0,0 +1,262 @@
+/* ============================================================
+   ADMIN VEHICLES TAB
+   ============================================================
+   Vehicle lookup for staff and security: type a plate (or a
+   name, student ID or spot) to see whose car it is and where
+   they park. Relies on admin.js for the API session, toasts,
+   permission checks and error handling.
+
+   Features:
+   - Loads registrations when the Vehicles tab is opened or
+     refreshed
+   - Search ignores case, spaces and hyphens in plates
+   - Students with no vehicle on file are listed too
+   - Edit a student's vehicles (Edit registrations permission)
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+const VEHICLE_EDITOR_MAX = 3;
+
+let vehicleRegistrations = [];
+let vehicleEditorReferenceId = null;
+
+/**
+ * Setup vehicles tab listeners on DOM load
+ */
+document.addEventListener('DOMContentLoaded', function () {
+  const vehiclesTab = document.getElementById('vehiclesTab');
+  const refreshBtn = document.getElementById('refreshBtn');
+  const search = document.getElementById('vehicleSearch');
+  const tableBody = document.getElementById('vehicleTableBody');
+  const editorRows = document.getElementById('vehicleEditorRows');
+
+  if (vehiclesTab) {
+    vehiclesTab.addEventListener('shown.bs.tab', loadVehicles);
+  }
+
+  if (refreshBtn) {
+    refreshBtn.addEventListener('click', function () {
+      if (vehiclesTab && vehiclesTab.classList.contains('active')) loadVehicles();
+    });
+  }
+
+  if (search) {
+    search.addEventListener('input', populateVehicleTable);
+  }
+
+  if (tableBody) {
+    tableBody.addEventListener('click', function (e) {
+      const button = e.target.closest('.btn-edit-vehicles');
+      if (button) openVehicleEditor(button.closest('tr').dataset.referenceId);
+    });
+  }
+
+  if (editorRows) {
+    editorRows.addEventListener('click', function (e) {
+      if (e.target.closest('.btn-remove-vehicle-row')) {
+        e.target.closest('.vehicle-editor-row').remove();
+      }
+    });
+  }
+
+  const editorButtons = {
+    vehicleEditorAddBtn: () => addVehicleEditorRow(),
+    vehicleEditorSaveBtn: saveVehicleEditor,
+    vehicleEditorCancelBtn: closeVehicleEditor
+  };
+  Object.keys(editorButtons).forEach(id => {
+    const button = document.getElementById(id);
+    if (button) button.addEventListener('click', editorButtons[id]);
+  });
+});
+
+/**
+ * Load registrations (with their vehicles) from the server
+ */
+function loadVehicles() {
+  window.parkingApi.getRegistrations()
+    .then(registrations => {
+      vehicleRegistrations = registrations;
+      populateVehicleTable();
+      console.log('✓ Vehicles loaded for', registrations.length, 'registrations');
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not load vehicles');
+    });
+}
+
+/**
+ * Normalize text for plate matching
+ * @param {string} value - Plate or search text
+ * @returns {string} Upper case without spaces or hyphens
+ */
+function normalizePlateSearch(value) {
+  return String(value || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Check whether a registration (or one of its vehicles) matches the search
+ * @param {object} registration - Registration
+ * @param {object|null} vehicle - Vehicle, or null for "no vehicle" rows
+ * @param {string} term - Search text
+ * @returns {boolean} True if it matches
+ */
+function vehicleRowMatches(registration, vehicle, term) {
+  if (!term) return true;
+
+  const plateTerm = normalizePlateSearch(term);
+  const text = term.toLowerCase();
+  return Boolean(vehicle && plateTerm && vehicle.plate.includes(plateTerm)) ||
+    registration.fullName.toLowerCase().includes(text) ||
+    registration.studentId.includes(term) ||
+    registration.parkingSpot.toLowerCase() === text;
+}
+
+/**
+ * Build one table row's cells
+ * @param {object} registration - Registration
+ * @param {object|null} vehicle - Vehicle, or null when none is on file
+ * @returns {string} Row HTML
+ */
+function renderVehicleRow(registration, vehicle) {
+  const spot = registration.parkingSpot + (registration.half ? ` (half ${registration.half})` : '');
+  const details = vehicle ? [vehicle.color, vehicle.make, vehicle.model].filter(Boolean).join(' ') : '';
+  const actions = hasPermission('edit-registrations')
+    ? `<button class="btn btn-sm btn-outline-primary btn-edit-vehicles">${vehicle ? 'Edit' : 'Add vehicle'}</button>`
+    : '-';
+
+  return `
+    <td>${vehicle ? `<strong class="font-monospace">${escapeHtml(vehicle.plate)}</strong>
+      <span class="badge bg-secondary">${escapeHtml(vehicle.state)}</span>` : '<span class="text-muted">None on file</span>'}</td>
+    <td>${escapeHtml(details || '-')}</td>
+    <td>${escapeHtml(registration.fullName)}<br><small class="text-muted">${escapeHtml(registration.studentId)}</small></td>
+    <td>${escapeHtml(registration.parkingLot)} - ${escapeHtml(spot)}</td>
+    <td class="text-nowrap">${actions}</td>
+  `;
+}
+
+/**
+ * Populate the vehicle table from the search box
+ */
+function populateVehicleTable() {
+  const tableBody = document.getElementById('vehicleTableBody');
+  const noVehiclesMsg = document.getElementById('noVehiclesMsg');
+  const search = document.getElementById('vehicleSearch');
+  if (!tableBody) return;
+
+  const term = search ? search.value.trim() : '';
+  let shown = 0;
+
+  tableBody.innerHTML = '';
+  vehicleRegistrations.forEach(registration => {
+    const vehicles = registration.vehicles && registration.vehicles.length > 0 ? registration.vehicles : [null];
+
+    vehicles.forEach(vehicle => {
+      if (!vehicleRowMatches(registration, vehicle, term)) return;
+
+      const row = document.createElement('tr');
+      row.dataset.referenceId = registration.referenceId;
+      row.innerHTML = renderVehicleRow(registration, vehicle);
+      tableBody.appendChild(row);
+      shown++;
+    });
+  });
+
+  if (noVehiclesMsg) noVehiclesMsg.style.display = shown === 0 ? 'block' : 'none';
+}
+
+/**
+ * Add an input row to the vehicle editor
+ * @param {object} [vehicle] - Values to fill in
+ */
+function addVehicleEditorRow(vehicle) {
+  const rows = document.getElementById('vehicleEditorRows');
+  if (!rows || rows.children.length >= VEHICLE_EDITOR_MAX) return;
+
+  const value = field => escapeHtml(vehicle ? vehicle[field] : '');
+  const row = document.createElement('div');
+  row.className = 'row g-2 mb-2 vehicle-editor-row';
+  row.innerHTML = `
+    <div class="col-md-3"><input type="text" class="form-control form-control-sm text-uppercase" data-field="plate"
+      placeholder="Plate" maxlength="10" aria-label="Plate" value="${value('plate')}"></div>
+    <div class="col-md-1"><input type="text" class="form-control form-control-sm text-uppercase" data-field="state"
+      placeholder="State" maxlength="2" aria-label="State" value="${vehicle ? value('state') : 'NJ'}"></div>
+    <div class="col-md-2"><input type="text" class="form-control form-control-sm" data-field="color"
+      placeholder="Color" maxlength="30" aria-label="Color" value="${value('color')}"></div>
+    <div class="col-md-2"><input type="text" class="form-control form-control-sm" data-field="make"
+      placeholder="Make" maxlength="30" aria-label="Make" value="${value('make')}"></div>
+    <div class="col-md-3"><input type="text" class="form-control form-control-sm" data-field="model"
+      placeholder="Model" maxlength="30" aria-label="Model" value="${value('model')}"></div>
+    <div class="col-md-1"><button type="button" class="btn btn-sm btn-outline-danger w-100 btn-remove-vehicle-row"
+      title="Remove vehicle">✕</button></div>
+  `;
+  rows.appendChild(row);
+}
+
+/**
+ * Open the vehicle editor for a registration
+ * @param {string} referenceId - Registration reference ID
+ */
+function openVehicleEditor(referenceId) {
+  if (!hasPermission('edit-registrations')) return;
+
+  const registration = vehicleRegistrations.find(item => item.referenceId === referenceId);
+  const editor = document.getElementById('vehicleEditor');
+  if (!registration || !editor) return;
+
+  vehicleEditorReferenceId = referenceId;
+  document.getElementById('vehicleEditorTitle').textContent =
+    `Vehicles for ${registration.fullName} (${registration.parkingSpot})`;
+  document.getElementById('vehicleEditorRows').innerHTML = '';
+
+  const vehicles = registration.vehicles || [];
+  if (vehicles.length === 0) {
+    addVehicleEditorRow();
+  }
+  vehicles.forEach(vehicle => addVehicleEditorRow(vehicle));
+
+  editor.classList.remove('d-none');
+  editor.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+/**
+ * Hide the vehicle editor without saving
+ */
+function closeVehicleEditor() {
+  const editor = document.getElementById('vehicleEditor');
+  if (editor) editor.classList.add('d-none');
+  vehicleEditorReferenceId = null;
+}
+
+/**
+ * Save the edited vehicles
+ */
+function saveVehicleEditor() {
+  if (!vehicleEditorReferenceId) return;
+
+  const vehicles = Array.from(document.querySelectorAll('#vehicleEditorRows .vehicle-editor-row')).map(row => {
+    const vehicle = {};
+    row.querySelectorAll('[data-field]').forEach(input => {
+      vehicle[input.dataset.field] = input.value.trim();
+    });
+    return vehicle;
+  });
+
+  window.parkingApi.updateVehicles(vehicleEditorReferenceId, vehicles)
+    .then(registration => {
+      closeVehicleEditor();
+      loadVehicles();
+      loadStudentSubmissions();
+      showToastMessage(`Vehicles saved for ${registration.fullName}`, 'success');
+      console.log('✓ Vehicles saved:', registration.referenceId);
+    })
+    .catch(error => {
+      if (error.details && error.details.length > 0) {
+        showToastMessage(`${error.message}:`, 'error', error.details);
+      } else {
+        handleAdminApiError(error, 'Could not save vehicles');
+      }
+    });
+}
@@ -0,0 +1,300 @@
+/* ============================================================
+   ADMIN VIOLATIONS TAB
+   ============================================================
+   Parking violations and the consequences students reached.
+   Relies on admin.js for the API session, toasts, permission
+   checks and error handling.
+
+   Features:
+   - Log a violation against a spot, plate or permit reference
+     (Record violations permission); the server charges it to
+     the matching student and applies the consequence policy
+     (warning, suspension, revocation)
+   - Violation list with search, voided entries on request and
+     a void button (Edit registrations permission)
+   - Consequence policy summary from the server
+   - 🚩 button in the student table expands that student's
+     violation history
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+const CONSEQUENCE_LABELS = { warning: 'Warning', suspension: 'Suspension', revocation: 'Revocation' };
+
+let violationData = { types: {}, consequences: [], states: [], violations: [] };
+
+/**
+ * Setup violations tab listeners on DOM load
+ */
+document.addEventListener('DOMContentLoaded', function () {
+  const violationsTab = document.getElementById('violationsTab');
+  const refreshBtn = document.getElementById('refreshBtn');
+  const form = document.getElementById('violationForm');
+  const search = document.getElementById('violationSearch');
+  const showVoided = document.getElementById('violationShowVoided');
+  const tableBody = document.getElementById('violationTableBody');
+  const studentTableBody = document.getElementById('studentTableBody');
+
+  if (violationsTab) {
+    violationsTab.addEventListener('shown.bs.tab', loadViolations);
+  }
+
+  if (refreshBtn) {
+    refreshBtn.addEventListener('click', function () {
+      if (violationsTab && violationsTab.classList.contains('active')) loadViolations();
+    });
+  }
+
+  if (form) {
+    form.addEventListener('submit', handleViolationSubmit);
+  }
+
+  if (search) {
+    search.addEventListener('input', populateViolationTable);
+  }
+
+  if (showVoided) {
+    showVoided.addEventListener('change', populateViolationTable);
+  }
+
+  if (tableBody) {
+    tableBody.addEventListener('click', function (e) {
+      const button = e.target.closest('.btn-void-violation');
+      if (button) handleVoidViolation(button.closest('tr').dataset.violationId);
+    });
+  }
+
+  if (studentTableBody) {
+    studentTableBody.addEventListener('click', function (e) {
+      const button = e.target.closest('.btn-violations');
+      if (button) toggleViolationHistory(button.closest('tr'));
+    });
+  }
+});
+
+/**
+ * Load violations, types and the consequence policy from the server
+ */
+function loadViolations() {
+  window.parkingApi.getViolations()
+    .then(data => {
+      violationData = data;
+      populateViolationTypes();
+      populateViolationStates();
+      renderViolationPolicy();
+      populateViolationTable();
+      console.log('✓ Violations loaded:', data.violations.length);
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not load violations');
+    });
+}
+
+/**
+ * Label for a violation type
+ * @param {string} type - Type key (e.g. 'wrong-spot')
+ * @returns {string} Label
+ */
+function violationTypeLabel(type) {
+  return violationData.types[type] || type;
+}
+
+/**
+ * Describe the consequence a violation brought
+ * @param {object|null} consequence - {offense, action, days, until}
+ * @returns {string} e.g. 'Suspension (5 days, until 10/24/2026) - offense 3'
+ */
+function describeConsequence(consequence) {
+  if (!consequence) return 'Not charged to a student';
+
+  let text = CONSEQUENCE_LABELS[consequence.action] || consequence.action;
+  if (consequence.action === 'suspension') {
+    text += ` (${consequence.days} days, until ${new Date(consequence.until).toLocaleDateString()})`;
+  }
+  return `${text} - offense ${consequence.offense}`;
+}
+
+/**
+ * Fill the type dropdown of the log form (keeps the current choice)
+ */
+function populateViolationTypes() {
+  const select = document.getElementById('violationType');
+  if (!select) return;
+
+  const current = select.value;
+  select.innerHTML = '<option value="">Choose...</option>' + Object.keys(violationData.types).map(type =>
+    `<option value="${escapeHtml(type)}">${escapeHtml(violationData.types[type])}</option>`).join('');
+  select.value = current;
+}
+
+/**
+ * Fill the plate state dropdown of the log form (keeps the current choice)
+ */
+function populateViolationStates() {
+  const select = document.getElementById('violationState');
+  if (!select) return;
+
+  const current = select.value;
+  select.innerHTML = '<option value="">Any</option>' + violationData.states.map(state =>
+    `<option value="${escapeHtml(state)}">${escapeHtml(state)}</option>`).join('');
+  select.value = current;
+}
+
+/**
+ * Show the consequence policy in one line
+ */
+function renderViolationPolicy() {
+  const policy = document.getElementById('violationPolicy');
+  if (!policy) return;
+
+  policy.textContent = 'Consequences: ' + violationData.consequences.map(step => {
+    const label = CONSEQUENCE_LABELS[step.action] || step.action;
+    return `${step.violations} violation(s) → ${label}${step.action === 'suspension' ? ` for ${step.days} days` : ''}`;
+  }).join('; ') + '. Voided violations do not count.';
+}
+
+/**
+ * Populate the violation table from the search box
+ */
+function populateViolationTable() {
+  const tableBody = document.getElementById('violationTableBody');
+  const noViolationsMsg = document.getElementById('noViolationsMsg');
+  const search = document.getElementById('violationSearch');
+  const showVoided = document.getElementById('violationShowVoided');
+  const canVoid = hasPermission('edit-registrations');
+  if (!tableBody) return;
+
+  const term = search ? search.value.trim().toLowerCase() : '';
+  const shown = violationData.violations.filter(violation =>
+    (!violation.voided || (showVoided && showVoided.checked)) &&
+    (!term || [violation.fullName, violation.studentId, violation.plate, violation.spotId, violation.referenceId]
+      .some(value => value && value.toLowerCase().includes(term))));
+
+  tableBody.innerHTML = '';
+  if (noViolationsMsg) noViolationsMsg.style.display = shown.length === 0 ? 'block' : 'none';
+
+  shown.forEach(violation => {
+    const row = document.createElement('tr');
+    row.dataset.violationId = violation.violationId;
+    if (violation.voided) row.classList.add('text-muted', 'text-decoration-line-through');
+
+    const where = [violation.spotId, violation.plate ? `${violation.state || ''} ${violation.plate}`.trim() : null]
+      .filter(Boolean).join(' · ');
+    const student = violation.studentId
+      ? `${escapeHtml(violation.fullName)}<br><small class="text-muted">${escapeHtml(violation.studentId)} ·
+          ${escapeHtml(violation.parkingSpot)}</small>`
+      : '<span class="text-muted">Unknown</span>';
+
+    row.innerHTML = `
+      <td><small>${escapeHtml(new Date(violation.occurredAt).toLocaleString())}</small></td>
+      <td>${escapeHtml(violationTypeLabel(violation.type))}
+        ${violation.notes ? `<br><small class="text-muted">${escapeHtml(violation.notes)}</small>` : ''}</td>
+      <td>${escapeHtml(where)}</td>
+      <td>${student}</td>
+      <td><small>${escapeHtml(describeConsequence(violation.consequence))}</small>
+        ${violation.voided ? `<br><small>Voided by ${escapeHtml(violation.voided.by)}: ${escapeHtml(violation.voided.reason)}</small>` : ''}</td>
+      <td><small>${escapeHtml(violation.recordedBy)}</small></td>
+      <td>${canVoid && !violation.voided
+        ? '<button class="btn btn-sm btn-outline-secondary btn-void-violation">Void</button>' : '-'}</td>
+    `;
+    tableBody.appendChild(row);
+  });
+}
+
+/**
+ * Log a violation from the form
+ * @param {Event} e - Submit event
+ */
+function handleViolationSubmit(e) {
+  e.preventDefault();
+  if (!hasPermission('record-violations')) return;
+
+  const value = id => document.getElementById(id).value.trim();
+  const occurredAt = value('violationOccurredAt');
+
+  window.parkingApi.recordViolation({
+    type: value('violationType'),
+    spotId: value('violationSpot'),
+    plate: value('violationPlate'),
+    state: value('violationState'),
+    referenceId: value('violationReference'),
+    notes: value('violationNotes'),
+    occurredAt: occurredAt ? new Date(occurredAt).toISOString() : ''
+  })
+    .then(result => {
+      const violation = result.violation;
+      document.getElementById('violationForm').reset();
+      loadViolations();
+      loadStudentSubmissions();
+      if (violation.consequence && violation.consequence.action === 'revocation') loadParkingData();
+
+      showToastMessage(violation.studentId
+        ? `Violation logged for ${violation.fullName}: ${describeConsequence(violation.consequence)}`
+        : 'Violation logged. No registered student matched, so it is not charged to anyone.',
+      violation.studentId ? 'success' : 'info');
+      console.log('✓ Violation logged:', violation.violationId);
+    })
+    .catch(error => {
+      if (error.details && error.details.length > 0) {
+        showToastMessage(`${error.message}:`, 'error', error.details);
+      } else {
+        handleAdminApiError(error, 'Could not log the violation');
+      }
+    });
+}
+
+/**
+ * Void a violation after asking for the reason
+ * @param {string} violationId - Violation ID
+ */
+function handleVoidViolation(violationId) {
+  if (!hasPermission('edit-registrations')) return;
+
+  const reason = prompt('Why is this violation being voided? It will no longer count toward consequences, ' +
+    'and a suspension it caused is lifted.', '');
+  if (reason === null) return;
+
+  window.parkingApi.voidViolation(violationId, reason.trim())
+    .then(() => {
+      loadViolations();
+      loadStudentSubmissions();
+      showToastMessage('Violation voided', 'success');
+      console.log('✓ Violation voided:', violationId);
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not void the violation');
+    });
+}
+
+/**
+ * Show or hide a student's violation history below their row
+ * @param {HTMLTableRowElement} row - Student table row
+ */
+function toggleViolationHistory(row) {
+  const next = row.nextElementSibling;
+  if (next && next.classList.contains('violation-history-row')) {
+    next.remove();
+    return;
+  }
+
+  const student = studentSubmissions[parseInt(row.dataset.index)];
+  if (!student) return;
+
+  const items = (student.violations || []).map(violation => `
+    <li class="${violation.voided ? 'text-muted text-decoration-line-through' : ''}">
+      <strong>${escapeHtml(new Date(violation.occurredAt).toLocaleDateString())}</strong> -
+      ${escapeHtml(violationTypeLabel(violation.type))}
+      ${violation.spotId ? `at ${escapeHtml(violation.spotId)}` : ''}:
+      ${escapeHtml(describeConsequence(violation.consequence))}
+      ${violation.notes ? `<br><small>${escapeHtml(violation.notes)}</small>` : ''}
+      ${violation.voided ? `<br><small>Voided: ${escapeHtml(violation.voided.reason)}</small>` : ''}
+    </li>`).join('');
+
+  const historyRow = document.createElement('tr');
+  historyRow.className = 'violation-history-row';
+  historyRow.innerHTML = `<td colspan="${row.children.length}">
+    <div class="small"><strong>Violation history for ${escapeHtml(student.fullName)}</strong>
+      <ul class="mb-0">${items}</ul></div></td>`;
+  row.after(historyRow);
+}
@@ -0,0 +1,218 @@
+/* ============================================================
+   ADMIN WAITLIST TAB
+   ============================================================
+   Shows the parking waitlist in order and lets staff manage it.
+   Relies on admin.js for the API session, toasts, permission
+   checks and error handling.
+
+   Features:
+   - Loads entries when the Waitlist tab is opened or refreshed
+   - Position, preferences, open offer and outcome history
+   - Move students up or down the waitlist
+   - Record whether an offered student accepted (registers them
+     on the spot) or declined (offers it to the next student);
+     offers past their hold expire on the server within a minute
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+let waitlistEntries = [];
+
+/**
+ * Setup waitlist tab listeners on DOM load
+ */
+document.addEventListener('DOMContentLoaded', function () {
+  const waitlistTab = document.getElementById('waitlistTab');
+  const refreshBtn = document.getElementById('refreshBtn');
+  const statusFilter = document.getElementById('waitlistStatusFilter');
+  const tableBody = document.getElementById('waitlistTableBody');
+
+  if (waitlistTab) {
+    waitlistTab.addEventListener('shown.bs.tab', loadWaitlist);
+  }
+
+  if (refreshBtn) {
+    refreshBtn.addEventListener('click', function () {
+      if (isWaitlistTabActive()) loadWaitlist();
+    });
+  }
+
+  if (statusFilter) {
+    statusFilter.addEventListener('change', populateWaitlistTable);
+  }
+
+  if (tableBody) {
+    tableBody.addEventListener('click', handleWaitlistAction);
+  }
+});
+
+/**
+ * Check whether the waitlist tab is currently shown
+ * @returns {boolean} True if active
+ */
+function isWaitlistTabActive() {
+  const waitlistTab = document.getElementById('waitlistTab');
+  return Boolean(waitlistTab && waitlistTab.classList.contains('active'));
+}
+
+/**
+ * Load the waitlist from the server
+ */
+function loadWaitlist() {
+  window.parkingApi.getWaitlist()
+    .then(entries => {
+      waitlistEntries = entries;
+      populateWaitlistTable();
+      console.log('✓ Waitlist loaded:', waitlistEntries.length);
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not load waitlist');
+    });
+}
+
+/**
+ * Describe a spot (or half) for the table
+ * @param {object} item - {spotId, half}
+ * @returns {string} e.g. 'A-4 (B)'
+ */
+function describeWaitlistSpot(item) {
+  return item.spotId + (item.half ? ` (${item.half})` : '');
+}
+
+/**
+ * Build one table row's cells
+ * @param {object} entry - Waitlist entry
+ * @returns {string} Row HTML
+ */
+function renderWaitlistRow(entry) {
+  const lots = entry.lotPreferences.length > 0
+    ? entry.lotPreferences.map(lotKey => (parkingData && parkingData[lotKey] ? parkingData[lotKey].name : lotKey)).join(', ')
+    : 'Any lot';
+  const spotTypes = { solo: 'Solo', shared: 'Shared', any: 'Solo or shared' };
+  const statusClasses = { waiting: 'bg-info', offered: 'bg-warning text-dark', accepted: 'bg-success', declined: 'bg-secondary',
+    expired: 'bg-secondary' };
+  const canEdit = hasPermission('edit-registrations');
+  const active = entry.position !== null;
+
+  let offer = '-';
+  if (entry.offer) {
+    const expired = new Date(entry.offer.expiresAt) < new Date();
+    offer = `${escapeHtml(entry.offer.lotName)} ${escapeHtml(describeWaitlistSpot(entry.offer))}<br>
+      <small class="${expired ? 'text-danger fw-bold' : 'text-muted'}">
+        ${expired ? 'Hold expired' : 'Held until'} ${escapeHtml(new Date(entry.offer.expiresAt).toLocaleString())}
+      </small>`;
+  } else if (entry.referenceId) {
+    offer = `<code>${escapeHtml(entry.referenceId)}</code>`;
+  }
+
+  const history = entry.history.length > 0 ? `
+    <details>
+      <summary>${entry.history.length} event(s)</summary>
+      <ul class="small mb-0 ps-3">
+        ${entry.history.map(item => `<li>${escapeHtml(item.outcome)} ${escapeHtml(describeWaitlistSpot(item))}
+          - ${escapeHtml(new Date(item.at).toLocaleString())} by ${escapeHtml(item.by)}</li>`).join('')}
+      </ul>
+    </details>` : '-';
+
+  let actions = '';
+  if (canEdit && active) {
+    actions += `
+      <button class="btn btn-sm btn-outline-secondary btn-move" data-direction="up" title="Move up">▲</button>
+      <button class="btn btn-sm btn-outline-secondary btn-move" data-direction="down" title="Move down">▼</button>`;
+  }
+  if (canEdit && entry.status === 'offered') {
+    actions += `
+      <button class="btn btn-sm btn-success btn-outcome" data-outcome="accepted" title="Student accepted the spot">Accepted</button>
+      <button class="btn btn-sm btn-outline-danger btn-outcome" data-outcome="declined" title="Student declined the spot">Declined</button>`;
+  }
+
+  return `
+    <td>${active ? entry.position : '-'}</td>
+    <td>${escapeHtml(entry.fullName)}<br><small class="text-muted">${escapeHtml(entry.email)}</small></td>
+    <td>${escapeHtml(entry.studentId)}</td>
+    <td>${escapeHtml(lots)}<br><small class="text-muted">${spotTypes[entry.spotType] || ''}${entry.parkingPartner ? ` with ${escapeHtml(entry.parkingPartner)}` : ''}${entry.partnerStudentId ? ` (${escapeHtml(entry.partnerStudentId)})` : ''}</small></td>
+    <td><small>${escapeHtml(new Date(entry.joinedAt).toLocaleDateString())}</small></td>
+    <td><span class="badge ${statusClasses[entry.status] || 'bg-secondary'}">${escapeHtml(entry.status)}</span></td>
+    <td>${offer}</td>
+    <td>${history}</td>
+    <td class="text-nowrap">${actions || '-'}</td>
+  `;
+}
+
+/**
+ * Populate the waitlist table using the status filter
+ */
+function populateWaitlistTable() {
+  const tableBody = document.getElementById('waitlistTableBody');
+  const noWaitlistMsg = document.getElementById('noWaitlistMsg');
+  const filter = document.getElementById('waitlistStatusFilter');
+  const count = document.getElementById('waitlistCount');
+
+  if (!tableBody) return;
+
+  const activeEntries = waitlistEntries.filter(entry => entry.position !== null);
+  const shown = filter && filter.value === 'active' ? activeEntries : waitlistEntries;
+
+  if (count) count.textContent = activeEntries.length || '';
+
+  tableBody.innerHTML = '';
+  if (noWaitlistMsg) noWaitlistMsg.style.display = shown.length === 0 ? 'block' : 'none';
+
+  shown.forEach(entry => {
+    const row = document.createElement('tr');
+    row.dataset.waitlistId = entry.waitlistId;
+    row.innerHTML = renderWaitlistRow(entry);
+    tableBody.appendChild(row);
+  });
+}
+
+/**
+ * Handle move and outcome buttons in the table
+ * @param {Event} e - Click event
+ */
+function handleWaitlistAction(e) {
+  const button = e.target.closest('.btn-move, .btn-outcome');
+  if (!button || !hasPermission('edit-registrations')) return;
+
+  const waitlistId = button.closest('tr').dataset.waitlistId;
+  const entry = waitlistEntries.find(item => item.waitlistId === waitlistId);
+  if (!entry) return;
+
+  if (button.classList.contains('btn-move')) {
+    window.parkingApi.moveWaitlistEntry(waitlistId, button.dataset.direction)
+      .then(() => {
+        loadWaitlist();
+        console.log('✓ Waitlist entry moved');
+      })
+      .catch(error => {
+        handleAdminApiError(error, 'Could not move waitlist entry');
+      });
+    return;
+  }
+
+  const outcome = button.dataset.outcome;
+  const question = outcome === 'accepted'
+    ? `Register ${entry.fullName} on spot ${describeWaitlistSpot(entry.offer)}?`
+    : `Record that ${entry.fullName} declined spot ${describeWaitlistSpot(entry.offer)}? It will be offered to the next student.`;
+  if (!confirm(question)) return;
+
+  window.parkingApi.recordWaitlistOutcome(waitlistId, outcome)
+    .then(result => {
+      loadWaitlist();
+      loadParkingData();
+      loadStudentSubmissions();
+
+      let message = outcome === 'accepted'
+        ? `${entry.fullName} registered (${result.registration.referenceId})`
+        : `Decline recorded for ${entry.fullName}`;
+      if (result.nextOffers.length > 0) {
+        message += `; spot offered to ${result.nextOffers.map(offer => offer.fullName).join(' and ')}`;
+      }
+      showToastMessage(message, 'success');
+      console.log('✓ Waitlist outcome recorded:', outcome);
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not record outcome');
+    });
+}
@@ -5,33 +5,41 @@
    dashboard display, and data management operations.
    
    Features:
-   - Password-protected login system (validates against config.json)
-   - Session management with localStorage persistence
-   - Automatic session validation on page load
+   - Named admin accounts with roles (verified by the server)
+   - Controls hidden or blocked according to the role's permissions
+   - Security accounts (permit checks only) are sent to security.html
+   - Signed, expiring session tokens kept in localStorage
+   - Automatic session validation with the server on page load
    - Two-screen interface (login screen and dashboard)
-   - Student registration data display and management
+   - Student registration data display and management (via REST API)
    - Parking spot inventory management
    - Real-time statistics (total/available/taken spots, registrations)
    - Data operations: Remove students, clear spots, reset all data
    - Data export to timestamped JSON files
-   - Lot-based filtering for parking spots
+   - Lot filter and per-lot statistics generated from the lot registry
+   - Spot table shared with the lot layout editor (admin-lots.js)
    - Copy-to-clipboard for student information
+   - Printable parking permits with QR codes, one at a time or a
+     batch sheet for every registration (permits.js)
    - Toast notifications and confirmation dialogs
    
-   Admin Password: "MHS2026Parking" (stored in config.json)
-   Session Storage: localStorage key 'adminSession'
+   Admin Accounts: salted hashes in server/config/admin-accounts.json
+   Session Storage: localStorage key 'adminSession' {token, expiresAt, loginTime}
    
    Dashboard Capabilities:
-   - Student Registration Table: Name, ID, Email, Spot, Partner, Type, Actions
-   - Parking Spot Table: ID, Lot, Status, Assignment, Type, Clear Action
+   - Student Registration Table: Name, ID, Email, Spot, Vehicles, Partner,
+     Type, Violations, Actions (linked shared-spot partners are listed
+     together; admin-violations.js expands the violation history)
+   - Parking Spot Table: ID, Lot, Status, Assignment, Type/Designation, Clear Action
    - Statistics Cards: Total Spots, Available, Taken, Total Registrations
-   - Control Buttons: Refresh, Reset All, Export Data
-   - Lot Filter: Filter spots by Lot A/B/C or view all
+   - Lot Statistics: Available/total spots for every lot in parkingData.json
+   - Control Buttons: Refresh, Reset All, Export Data, Print Permits
+   - Lot Filter: Filter spots by any lot in parkingData.json or view all
    
    Data Management:
    - Remove Student: Delete registration, auto-clear spot assignment
    - Clear Spot: Remove spot assignment, delete associated student
-   - Reset All: Clear all data (requires dual confirmation)
+   - Reset All: Clear all data, including swap requests (requires dual confirmation)
    - Export: Download complete data snapshot as JSON
    
    @version 1.0
@@ -43,6 +51,9 @@ const ADMIN_SESSION_KEY = 'adminSession';
 const LOGIN_SCREEN_ID = 'loginScreen';
 const DASHBOARD_SCREEN_ID = 'dashboardScreen';
 
+// Logged-in account: {username, displayName, role, roleLabel, permissions}
+let adminAccount = null;
+
 /**
  * Initialize admin page on DOM load
  */
@@ -54,28 +65,56 @@ document.addEventListener('DOMContentLoaded', function () {
 });
 
 /**
- * Check if admin session exists and show appropriate screen
+ * Check if admin session exists and show appropriate screen.
+ * The dashboard is only shown once the server accepts the token.
  */
 function checkAdminSession() {
   const session = localStorage.getItem(ADMIN_SESSION_KEY);
+
+  if (!session || !isSessionValid(session)) {
+    showLoginScreen();
+    return;
+  }
+
+  window.parkingApi.setAuthToken(JSON.parse(session).token);
+  window.parkingApi.getSession()
+    .then(result => {
+      adminAccount = result.account;
+      
+      // Security staff only check permits; their page is security.html
+      if (!hasPermission('view')) {
+        console.log('→ Account cannot view the dashboard, opening the permit check page');
+        window.location.href = 'security.html';
+        return;
+      }
+      
+      // Session exists and is valid - show dashboard
+      const loginScreen = document.getElementById(LOGIN_SCREEN_ID);
+      const dashboardScreen = document.getElementById(DASHBOARD_SCREEN_ID);
+      if (loginScreen) loginScreen.style.display = 'none';
+      if (dashboardScreen) dashboardScreen.style.display = 'block';
+      console.log('✓ Valid admin session found');
+      
+      // Initialize dashboard after a brief delay to ensure DOM is ready
+      setTimeout(initializeDashboard, 100);
+    })
+    .catch(error => {
+      console.warn('⚠ Admin session rejected:', error.message);
+      showLoginScreen();
+    });
+}
+
+/**
+ * Show the login screen and forget any stored session
+ */
+function showLoginScreen() {
   const loginScreen = document.getElementById(LOGIN_SCREEN_ID);
   const dashboardScreen = document.getElementById(DASHBOARD_SCREEN_ID);
 
-  if (session && isSessionValid(session)) {
-    // Session exists and is valid - show dashboard
-    if (loginScreen) loginScreen.style.display = 'none';
-    if (dashboardScreen) dashboardScreen.style.display = 'block';
-    console.log('✓ Valid admin session found');
-    
-    // Initialize dashboard after a brief delay to ensure DOM is ready
-    setTimeout(initializeDashboard, 100);
-  } else {
-    // No valid session - show login screen
-    if (loginScreen) loginScreen.style.display = 'block';
-    if (dashboardScreen) dashboardScreen.style.display = 'none';
-    clearAdminSession();
-    console.log('→ No valid session, showing login screen');
-  }
+  if (loginScreen) loginScreen.style.display = 'block';
+  if (dashboardScreen) dashboardScreen.style.display = 'none';
+  clearAdminSession();
+  console.log('→ No valid session, showing login screen');
 }
 
 /**
@@ -110,8 +149,10 @@ function setupLogoutButtonListener() {
  * Handle admin login attempt
  */
 function handleAdminLogin() {
+  const usernameInput = document.getElementById('adminUsername');
   const passwordInput = document.getElementById('adminPassword');
   const errorDiv = document.getElementById('loginError');
+  const username = usernameInput ? usernameInput.value.trim() : '';
   const password = passwordInput ? passwordInput.value.trim() : '';
 
   // Clear previous error
@@ -120,87 +161,70 @@ function handleAdminLogin() {
     errorDiv.textContent = '';
   }
 
-  // Validate password input
-  if (!password) {
-    showLoginError('Please enter a password.', errorDiv);
-    console.warn('⚠ Login attempt with empty password');
+  // Validate login input
+  if (!username || !password) {
+    showLoginError('Please enter your username and password.', errorDiv);
+    console.warn('⚠ Login attempt with empty username or password');
     return;
   }
 
-  // Fetch config to get correct password
-  fetch('public/data/config.json')
-    .then(response => response.json())
-    .then(config => {
-      const correctPassword = config.adminPassword;
-
-      // Verify password
-      if (password === correctPassword) {
-        // Password correct - create session
-        createAdminSession();
-        console.log('✓ Admin login successful');
-        
-        // Clear password field and show dashboard
-        if (passwordInput) passwordInput.value = '';
-        checkAdminSession();
-      } else {
-        // Password incorrect
-        showLoginError('Invalid password. Please try again.', errorDiv);
-        console.warn('✗ Admin login failed - incorrect password');
-        
-        // Clear password field for security
-        if (passwordInput) passwordInput.value = '';
-        if (passwordInput) passwordInput.focus();
-      }
+  // Server checks the password hash and applies the lockout rules
+  window.parkingApi.login(username, password)
+    .then(result => {
+      // Password correct - create session
+      createAdminSession(result);
+      console.log('✓ Admin login successful:', result.account.username);
+      
+      // Clear password field and show dashboard
+      if (passwordInput) passwordInput.value = '';
+      checkAdminSession();
     })
     .catch(error => {
-      console.error('✗ Error loading config:', error);
-      showLoginError('Error loading system configuration. Please refresh the page.', errorDiv);
+      // Password incorrect, locked out, or server unreachable
+      showLoginError(error.message, errorDiv);
+      console.warn('✗ Admin login failed:', error.message);
+      
+      // Clear password field for security
+      if (passwordInput) passwordInput.value = '';
+      if (passwordInput) passwordInput.focus();
     });
 }
 
 /**
  * Create admin session in localStorage
+ * @param {object} login - {token, expiresAt} returned by the server
  */
-function createAdminSession() {
+function createAdminSession(login) {
   const sessionData = {
-    authenticated: true,
-    loginTime: new Date().toISOString(),
-    sessionId: generateSessionId()
+    token: login.token,
+    expiresAt: login.expiresAt,
+    loginTime: new Date().toISOString()
   };
 
   localStorage.setItem(ADMIN_SESSION_KEY, JSON.stringify(sessionData));
 }
 
 /**
- * Check if session is valid
+ * Check if a stored session is usable (the server makes the final call)
  * @param {string} sessionData - JSON string of session data
- * @returns {boolean} - True if session is valid
+ * @returns {boolean} - True if session has a token that has not expired
  */
 function isSessionValid(sessionData) {
   try {
     const session = JSON.parse(sessionData);
     
     // Check if session has required fields
-    if (!session.authenticated || !session.loginTime) {
+    if (!session.token || !session.expiresAt) {
       return false;
     }
 
-    // Session is valid (no expiration time set for now)
-    return true;
+    return new Date(session.expiresAt).getTime() > Date.now();
   } catch (error) {
     console.error('✗ Error parsing session data:', error);
     return false;
   }
 }
 
-/**
- * Generate unique session ID
- * @returns {string} - Session ID
- */
-function generateSessionId() {
-  return 'SESSION-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
-}
-
 /**
  * Handle admin logout
  */
@@ -208,14 +232,19 @@ function handleAdminLogout() {
   const confirmed = confirm('Are you sure you want to logout?');
 
   if (confirmed) {
-    clearAdminSession();
-    console.log('✓ Admin logged out successfully');
-    
-    // Show login screen
-    checkAdminSession();
-    
-    // Show logout confirmation
-    showToastMessage('You have been logged out.', 'success');
+    // End the session on the server; the local copy is cleared either way
+    window.parkingApi.logout()
+      .catch(error => console.warn('⚠ Server logout failed:', error.message))
+      .then(() => {
+        clearAdminSession();
+        console.log('✓ Admin logged out successfully');
+        
+        // Show login screen
+        checkAdminSession();
+        
+        // Show logout confirmation
+        showToastMessage('You have been logged out.', 'success');
+      });
   }
 }
 
@@ -224,9 +253,58 @@ function handleAdminLogout() {
  */
 function clearAdminSession() {
   localStorage.removeItem(ADMIN_SESSION_KEY);
+  window.parkingApi.setAuthToken(null);
+  adminAccount = null;
   console.log('✓ Admin session cleared');
 }
 
+/**
+ * Check whether the logged-in account's role grants a permission
+ * @param {string} permission - Permission name (e.g., 'reset')
+ * @returns {boolean} True if allowed
+ */
+function hasPermission(permission) {
+  return Boolean(adminAccount && adminAccount.permissions.includes(permission));
+}
+
+/**
+ * Show who is logged in and hide controls their role cannot use
+ */
+function applyRolePermissions() {
+  const userInfo = document.getElementById('adminUserInfo');
+
+  if (userInfo && adminAccount) {
+    userInfo.textContent = `Logged in as ${adminAccount.displayName} (${adminAccount.roleLabel})`;
+  }
+
+  document.querySelectorAll('[data-permission]').forEach(element => {
+    element.style.display = hasPermission(element.dataset.permission) ? '' : 'none';
+  });
+}
+
+/**
+ * Handle a failed admin API request.
+ * An expired or rejected session sends the admin back to the login screen.
+ * @param {Error} error - Error from the API client
+ * @param {string} message - What the admin was trying to do
+ */
+function handleAdminApiError(error, message) {
+  console.error(`✗ ${message}:`, error);
+
+  if (error.status === 401) {
+    showLoginScreen();
+    showToastMessage(error.message, 'error');
+    return;
+  }
+
+  if (error.status === 403) {
+    showToastMessage(error.message, 'error');
+    return;
+  }
+
+  showToastMessage(`${message}: ${error.message}`, 'error');
+}
+
 /**
  * Show login error message
  * @param {string} message - Error message
@@ -243,8 +321,9 @@ function showLoginError(message, errorDiv) {
  * Show toast notification message
  * @param {string} message - Message to display
  * @param {string} type - Message type (success, error, info)
+ * @param {string[]} [details] - Lines listed under the message
  */
-function showToastMessage(message, type = 'info') {
+function showToastMessage(message, type = 'info', details = []) {
   const toast = document.createElement('div');
   const bgClass = type === 'success' ? 'bg-success' : 
                   type === 'error' ? 'bg-danger' : 'bg-info';
@@ -257,9 +336,22 @@ function showToastMessage(message, type = 'info') {
   toast.style.zIndex = '9999';
   toast.style.minWidth = '300px';
   toast.innerHTML = `
-    ${message}
+    <span class="toast-text"></span>
     <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="Close"></button>
   `;
+  toast.querySelector('.toast-text').textContent = message;
+
+  // Details (e.g. the problems a request was rejected for) as a list
+  if (details.length > 0) {
+    const list = document.createElement('ul');
+    list.className = 'mb-0';
+    details.forEach(detail => {
+      const item = document.createElement('li');
+      item.textContent = detail;
+      list.appendChild(item);
+    });
+    toast.insertBefore(list, toast.querySelector('.btn-close'));
+  }
 
   document.body.appendChild(toast);
 
@@ -285,6 +377,10 @@ function applyTheme() {
 
 let parkingData = null;
 let studentSubmissions = [];
+let dashboardListenersReady = false;
+
+// Set by the lot editor while a layout draft is open: {data, selected}
+let spotTableView = null;
 
 /**
  * Initialize dashboard on page load
@@ -294,26 +390,34 @@ function initializeDashboard() {
   const dashboardScreen = document.getElementById(DASHBOARD_SCREEN_ID);
   
   if (dashboardScreen && dashboardScreen.style.display === 'block') {
+    applyRolePermissions();
     loadParkingData();
     loadStudentSubmissions();
     calculateStatistics();
-    setupDashboardButtons();
-    setupTableActions();
-    setupLotFilter();
+    
+    // Listeners survive logout, so only attach them once
+    if (!dashboardListenersReady) {
+      setupDashboardButtons();
+      setupTableActions();
+      setupLotFilter();
+      dashboardListenersReady = true;
+    }
     console.log('✓ Dashboard initialized');
   }
 }
 
 /**
- * Load parking data from JSON file
+ * Load parking data (with reservations applied) from the server
  */
 function loadParkingData() {
-  fetch('public/data/parkingData.json')
-    .then(response => response.json())
+  window.parkingApi.getParkingData()
     .then(data => {
       parkingData = data;
       console.log('✓ Parking data loaded');
+      populateLotFilter();
       populateSpotTable();
+      applyLotFilter();
+      calculateStatistics();
     })
     .catch(error => {
       console.error('✗ Error loading parking data:', error);
@@ -322,25 +426,19 @@ function loadParkingData() {
 }
 
 /**
- * Load student submissions from localStorage
+ * Load student submissions from the server
  */
 function loadStudentSubmissions() {
-  const submissions = localStorage.getItem('parkingSubmissions');
-  
-  if (submissions) {
-    try {
-      studentSubmissions = JSON.parse(submissions);
+  window.parkingApi.getRegistrations()
+    .then(submissions => {
+      studentSubmissions = submissions;
       console.log('✓ Student submissions loaded:', studentSubmissions.length);
-    } catch (error) {
-      console.error('✗ Error parsing submissions:', error);
-      studentSubmissions = [];
-    }
-  } else {
-    studentSubmissions = [];
-    console.log('→ No student submissions found');
-  }
-  
-  populateStudentTable();
+      populateStudentTable();
+      calculateStatistics();
+    })
+    .catch(error => {
+      handleAdminApiError(error, 'Could not load student registrations');
+    });
 }
 
 /**
@@ -376,9 +474,44 @@ function calculateStatistics() {
   if (takenSpotsEl) takenSpotsEl.textContent = takenSpots;
   if (registrationsEl) registrationsEl.textContent = studentSubmissions.length;
   
+  renderLotStatistics();
+  
   console.log(`✓ Statistics: Total=${totalSpots}, Available=${availableSpots}, Taken=${takenSpots}, Registrations=${studentSubmissions.length}`);
 }
 
+/**
+ * Render one availability card per lot in the registry
+ */
+function renderLotStatistics() {
+  const container = document.getElementById('lotStats');
+  
+  if (!container || !parkingData) return;
+  
+  container.innerHTML = '';
+  
+  Object.values(parkingData).forEach(lot => {
+    const spots = lot.spots || [];
+    const available = spots.filter(spot => spot.status === 'available').length;
+    const percent = spots.length ? Math.round((available / spots.length) * 100) : 0;
+    
+    const col = document.createElement('div');
+    col.className = 'col-md-4 col-lg-3 mb-3';
+    col.innerHTML = `
+      <div class="card lot-stat-card">
+        <div class="card-body">
+          <h3 class="h6 mb-1">${escapeHtml(lot.name)}</h3>
+          <p class="text-muted small mb-2">${escapeHtml(lot.description || '')}</p>
+          <div class="progress mb-1" role="progressbar" aria-valuenow="${percent}" aria-valuemin="0" aria-valuemax="100">
+            <div class="progress-bar bg-success" style="width: ${percent}%"></div>
+          </div>
+          <small>${available} of ${spots.length} spots available</small>
+        </div>
+      </div>
+    `;
+    container.appendChild(col);
+  });
+}
+
 /**
  * Populate student registration table
  */
@@ -401,25 +534,34 @@ function populateStudentTable() {
   // Hide no students message
   if (noStudentsMsg) noStudentsMsg.style.display = 'none';
   
-  // Populate table rows
-  studentSubmissions.forEach((student, index) => {
+  // Populate table rows (linked shared-spot partners next to each other)
+  orderWithPartners(studentSubmissions).forEach(index => {
+    const student = studentSubmissions[index];
     const row = document.createElement('tr');
     row.dataset.index = index;
+    if (student.partner && student.partner.status === 'confirmed') {
+      row.classList.add('partner-linked');
+    }
     
-    const partnerName = student.parkingPartner || '-';
+    const partnerName = describePartner(student);
     const spotType = student.spotType || 'Solo';
     const spotDisplay = `${student.parkingLot}-${student.parkingSpot}`;
+    const violations = describeViolations(student);
     
     row.innerHTML = `
-      <td><strong>${student.fullName}</strong></td>
-      <td>${student.studentId}</td>
-      <td><small>${student.email}</small></td>
-      <td>${spotDisplay}</td>
+      <td><strong>${escapeHtml(student.fullName)}</strong></td>
+      <td>${escapeHtml(student.studentId)}</td>
+      <td><small>${escapeHtml(student.email)}</small></td>
+      <td>${escapeHtml(spotDisplay)}</td>
+      <td><small>${(student.vehicles || []).map(vehicle => escapeHtml(`${vehicle.state} ${vehicle.plate}`)).join('<br>') ||
+        '<span class="text-muted">None</span>'}</small></td>
       <td>${partnerName}</td>
       <td><span class="badge ${spotType === 'Shared' ? 'badge-shared' : 'badge-available'}">${spotType}</span></td>
+      <td>${violations}</td>
       <td>
         <button class="btn btn-sm btn-info btn-copy" title="Copy student info">📋</button>
-        <button class="btn btn-sm btn-danger btn-remove" title="Remove student">🗑️</button>
+        <button class="btn btn-sm btn-outline-primary btn-permit" title="Print parking permit">🎫</button>
+        ${hasPermission('edit-registrations') ? '<button class="btn btn-sm btn-danger btn-remove" title="Remove student">🗑️</button>' : ''}
       </td>
     `;
     
@@ -429,36 +571,134 @@ function populateStudentTable() {
   console.log(`✓ Student table populated with ${studentSubmissions.length} entries`);
 }
 
+/**
+ * Describe a student's violations for the table: the count that
+ * still counts, a suspension in force, and a button for the history
+ * @param {object} student - Registration with its violations
+ * @returns {string} Cell HTML
+ */
+function describeViolations(student) {
+  const history = student.violations || [];
+  const counting = history.filter(violation => !violation.voided);
+  let html = history.length > 0
+    ? `<button class="btn btn-sm ${counting.length > 0 ? 'btn-outline-danger' : 'btn-outline-secondary'} btn-violations"
+        title="Show violation history">🚩 ${counting.length}</button>`
+    : '<span class="text-muted">None</span>';
+  
+  if (student.suspension && new Date(student.suspension.until) > new Date()) {
+    html += `<br><span class="badge bg-warning text-dark">Suspended until
+      ${escapeHtml(new Date(student.suspension.until).toLocaleDateString())}</span>`;
+  }
+  return html;
+}
+
+/**
+ * Order registrations so each one is followed by its linked partner
+ * @param {object[]} students - Registrations
+ * @returns {number[]} Indexes into students, in display order
+ */
+function orderWithPartners(students) {
+  const order = [];
+  
+  students.forEach((student, index) => {
+    if (order.includes(index)) return;
+    order.push(index);
+    
+    const partnerIndex = student.partner && student.partner.referenceId
+      ? students.findIndex(other => other.referenceId === student.partner.referenceId)
+      : -1;
+    if (partnerIndex !== -1 && !order.includes(partnerIndex)) {
+      order.push(partnerIndex);
+    }
+  });
+  
+  return order;
+}
+
+/**
+ * Build the partner column: name plus pairing status
+ * @param {object} student - Registration
+ * @returns {string} Cell HTML
+ */
+function describePartner(student) {
+  const partner = student.partner;
+  if (!partner) return escapeHtml(student.parkingPartner || '-');
+  
+  const statusBadges = {
+    invited: '<span class="badge bg-warning text-dark">invited</span>',
+    confirmed: '<span class="badge bg-success">linked</span>',
+    removed: '<span class="badge bg-secondary">removed</span>'
+  };
+  let detail = `ID ${escapeHtml(partner.studentId)}`;
+  if (partner.status === 'invited') {
+    detail += ` &middot; code <code>${escapeHtml(partner.inviteCode)}</code>`;
+  } else if (partner.status === 'confirmed') {
+    detail += ` &middot; <code>${escapeHtml(partner.referenceId)}</code>`;
+  }
+  
+  return `${escapeHtml(partner.name)} ${statusBadges[partner.status] || ''}<br><small class="text-muted">${detail}</small>`;
+}
+
+/**
+ * Build the type column: spot type plus designation and service badges
+ * @param {object} spot - Spot data
+ * @returns {string} Badge HTML
+ */
+function spotTypeBadges(spot) {
+  let html = `<span class="badge ${spot.type === 'shared' ? 'badge-shared' : 'badge-available'}">${spot.type}</span>`;
+  
+  if (spot.designation && spot.designation !== 'standard') {
+    html += ` <span class="badge badge-designation">${spot.designation}</span>`;
+  }
+  if (spot.outOfService) {
+    html += ' <span class="badge badge-closed">out of service</span>';
+  }
+  
+  return html;
+}
+
 /**
  * Populate parking spots table
+ * (shows the lot editor's draft with selection checkboxes while it is open)
  */
 function populateSpotTable() {
   const tableBody = document.getElementById('spotTableBody');
+  const selectHeader = document.getElementById('spotSelectHeader');
+  const editing = spotTableView !== null;
+  const data = editing ? spotTableView.data : parkingData;
   
-  if (!tableBody || !parkingData) return;
+  if (!tableBody || !data) return;
   
   // Clear table
   tableBody.innerHTML = '';
+  if (selectHeader) selectHeader.classList.toggle('d-none', !editing);
   
   // Populate table rows from all lots
-  Object.entries(parkingData).forEach(([lotKey, lot]) => {
+  Object.entries(data).forEach(([lotKey, lot]) => {
     lot.spots.forEach(spot => {
       const row = document.createElement('tr');
       row.dataset.lotKey = lotKey;
       row.dataset.spotId = spot.id;
       
-      const statusBadge = `<span class="badge badge-${spot.status}">${spot.status}</span>`;
-      const assignedTo = spot.assignedTo || '-';
+      const status = spot.status || 'new';
+      const statusBadge = `<span class="badge badge-${status}">${status}</span>`;
+      const assignedTo = spot.assignedTo ? escapeHtml(spot.assignedTo) : '-';
+      const selectCell = editing
+        ? `<td><input type="checkbox" class="form-check-input spot-select" aria-label="Select spot ${spot.id}"
+             ${spotTableView.selected.has(spot.id) ? 'checked' : ''}></td>`
+        : '';
+      const clearButton = !editing && hasPermission('clear-spots')
+        ? '<button class="btn btn-sm btn-warning btn-clear" title="Clear spot">🔄</button>'
+        : '';
       
       row.innerHTML = `
+        ${selectCell}
         <td><strong>${spot.id}</strong></td>
-        <td>${lot.name}</td>
+        <td>${escapeHtml(lot.name)}</td>
         <td>${statusBadge}</td>
         <td>${assignedTo}</td>
-        <td><span class="badge ${spot.type === 'shared' ? 'badge-shared' : 'badge-available'}">${spot.type}</span></td>
-        <td>
-          <button class="btn btn-sm btn-warning btn-clear" title="Clear spot">🔄</button>
-        </td>
+        <td>${spotTypeBadges(spot)}</td>
+        <td>${clearButton}</td>
       `;
       
       tableBody.appendChild(row);
@@ -475,6 +715,7 @@ function setupDashboardButtons() {
   const refreshBtn = document.getElementById('refreshBtn');
   const resetAllBtn = document.getElementById('resetAllBtn');
   const exportBtn = document.getElementById('exportBtn');
+  const printPermitsBtn = document.getElementById('printPermitsBtn');
   
   if (refreshBtn) {
     refreshBtn.addEventListener('click', function () {
@@ -488,35 +729,30 @@ function setupDashboardButtons() {
   
   if (resetAllBtn) {
     resetAllBtn.addEventListener('click', function () {
-      const confirmed = confirm('⚠️ WARNING: This will delete ALL student registrations and reset all parking spots. This action cannot be undone. Are you sure?');
+      if (!hasPermission('reset')) {
+        showToastMessage('Your role does not allow resetting data.', 'error');
+        return;
+      }
+      
+      const confirmed = confirm('⚠️ WARNING: This will delete ALL student registrations, the waitlist, the partner board, violations and swap requests, and reset all parking spots. This action cannot be undone. Are you sure?');
       
       if (confirmed) {
         const finalConfirm = confirm('Are you REALLY sure? All data will be permanently deleted.');
         
         if (finalConfirm) {
-          // Reset parking data
-          if (parkingData) {
-            Object.values(parkingData).forEach(lot => {
-              lot.spots.forEach(spot => {
-                spot.status = 'available';
-                spot.assignedTo = null;
-              });
+          // Delete registrations and free every spot on the server
+          window.parkingApi.resetAll()
+            .then(() => {
+              // Refresh display
+              loadParkingData();
+              loadStudentSubmissions();
+              
+              showToastMessage('All data has been reset', 'success');
+              console.log('✓ All data reset');
+            })
+            .catch(error => {
+              handleAdminApiError(error, 'Reset failed');
             });
-          }
-          
-          // Clear student submissions
-          localStorage.removeItem('parkingSubmissions');
-          localStorage.removeItem('currentRegistration');
-          
-          studentSubmissions = [];
-          
-          // Refresh display
-          loadParkingData();
-          calculateStatistics();
-          populateStudentTable();
-          
-          showToastMessage('All data has been reset', 'success');
-          console.log('✓ All data reset');
         }
       }
     });
@@ -524,9 +760,35 @@ function setupDashboardButtons() {
   
   if (exportBtn) {
     exportBtn.addEventListener('click', function () {
+      if (!hasPermission('export')) {
+        showToastMessage('Your role does not allow exporting data.', 'error');
+        return;
+      }
+      
       exportDataAsJSON();
     });
   }
+  
+  if (printPermitsBtn) {
+    printPermitsBtn.addEventListener('click', printAllPermits);
+  }
+}
+
+/**
+ * Print a permit sheet for every registration, ordered by lot and spot
+ */
+function printAllPermits() {
+  if (studentSubmissions.length === 0) {
+    showToastMessage('There are no registrations to print permits for.', 'info');
+    return;
+  }
+  
+  const ordered = studentSubmissions.slice().sort((a, b) =>
+    a.parkingLot.localeCompare(b.parkingLot) ||
+    a.parkingSpot.localeCompare(b.parkingSpot, undefined, { numeric: true }) ||
+    String(a.half || '').localeCompare(String(b.half || '')));
+  
+  printPermits(ordered);
 }
 
 /**
@@ -550,6 +812,7 @@ Phone: ${student.phone || 'N/A'}
 Parking Spot: ${student.parkingLot}-${student.parkingSpot}
 Spot Type: ${student.spotType}
 Grade: ${student.gradeLevel}
+Vehicles: ${(student.vehicles || []).map(vehicle => `${vehicle.state} ${vehicle.plate}`).join(', ') || 'None'}
 Reference: ${student.referenceId}
         `.trim();
         
@@ -558,26 +821,38 @@ Reference: ${student.referenceId}
       }
     }
     
+    // Print one student's permit
+    if (e.target.closest('.btn-permit')) {
+      const row = e.target.closest('tr');
+      const student = studentSubmissions[parseInt(row.dataset.index)];
+      
+      if (student) printPermits([student]);
+    }
+    
     // Remove student button
-    if (e.target.closest('.btn-remove')) {
+    if (e.target.closest('.btn-remove') && hasPermission('edit-registrations')) {
       const row = e.target.closest('tr');
       const index = parseInt(row.dataset.index);
       const student = studentSubmissions[index];
       
       if (student && confirm(`Remove registration for ${student.fullName}?`)) {
-        studentSubmissions.splice(index, 1);
-        localStorage.setItem('parkingSubmissions', JSON.stringify(studentSubmissions));
-        
-        populateStudentTable();
-        calculateStatistics();
-        
-        showToastMessage('Student removed successfully', 'success');
-        console.log('✓ Student removed');
+        // Removing the registration also frees the spot it reserved
+        window.parkingApi.removeRegistration(student.referenceId)
+          .then(() => {
+            loadParkingData();
+            loadStudentSubmissions();
+            
+            showToastMessage('Student removed successfully', 'success');
+            console.log('✓ Student removed');
+          })
+          .catch(error => {
+            handleAdminApiError(error, 'Could not remove student');
+          });
       }
     }
     
     // Clear spot button
-    if (e.target.closest('.btn-clear')) {
+    if (e.target.closest('.btn-clear') && hasPermission('clear-spots')) {
       const row = e.target.closest('tr');
       const lotKey = row.dataset.lotKey;
       const spotId = row.dataset.spotId;
@@ -586,22 +861,22 @@ Reference: ${student.referenceId}
         if (parkingData && parkingData[lotKey]) {
           const spot = parkingData[lotKey].spots.find(s => s.id === spotId);
           if (spot) {
-            spot.status = 'available';
-            spot.assignedTo = null;
-            
-            // Remove student with this spot
-            const studentIndex = studentSubmissions.findIndex(s => s.parkingSpot === spotId);
-            if (studentIndex !== -1) {
-              studentSubmissions.splice(studentIndex, 1);
-              localStorage.setItem('parkingSubmissions', JSON.stringify(studentSubmissions));
-            }
-            
-            populateSpotTable();
-            populateStudentTable();
-            calculateStatistics();
-            
-            showToastMessage(`Spot ${spotId} cleared`, 'success');
-            console.log('✓ Spot cleared');
+            // Also removes the students on this spot (both halves of a shared spot);
+            // the server offers the freed spot to the next students on the waitlist
+            window.parkingApi.clearSpot(spotId)
+              .then(result => {
+                loadParkingData();
+                loadStudentSubmissions();
+                
+                const offers = result.waitlistOffers || [];
+                showToastMessage(offers.length > 0
+                  ? `Spot ${spotId} cleared and offered to ${offers.map(offer => offer.fullName).join(' and ')} from the waitlist`
+                  : `Spot ${spotId} cleared`, 'success');
+                console.log('✓ Spot cleared');
+              })
+              .catch(error => {
+                handleAdminApiError(error, 'Could not clear spot');
+              });
           }
         }
       }
@@ -609,6 +884,49 @@ Reference: ${student.referenceId}
   });
 }
 
+/**
+ * Fill the lot filter with one option per lot in the registry
+ */
+function populateLotFilter() {
+  const filter = document.getElementById('spotLotFilter');
+  const lots = spotTableView ? spotTableView.data : parkingData;
+  
+  if (!filter || !lots) return;
+  
+  const previous = filter.value;
+  filter.innerHTML = '<option value="">All Lots</option>';
+  
+  Object.entries(lots).forEach(([lotKey, lot]) => {
+    const option = document.createElement('option');
+    option.value = lotKey;
+    option.textContent = lot.name;
+    filter.appendChild(option);
+  });
+  
+  // Keep the current choice if that lot still exists
+  filter.value = lots[previous] ? previous : '';
+}
+
+/**
+ * Show only the spot rows of the lot chosen in the filter
+ */
+function applyLotFilter() {
+  const filter = document.getElementById('spotLotFilter');
+  const tableBody = document.getElementById('spotTableBody');
+  
+  if (!filter || !tableBody) return;
+  
+  const selectedLot = filter.value;
+  const rows = tableBody.querySelectorAll('tr');
+  rows.forEach(row => {
+    if (selectedLot === '' || row.dataset.lotKey === selectedLot) {
+      row.style.display = '';
+    } else {
+      row.style.display = 'none';
+    }
+  });
+}
+
 /**
  * Setup lot filter for spots table
  */
@@ -617,25 +935,10 @@ function setupLotFilter() {
   
   if (filter) {
     filter.addEventListener('change', function () {
-      const selectedLot = this.value;
-      const tableBody = document.getElementById('spotTableBody');
-      
-      if (!tableBody) return;
-      
-      const rows = tableBody.querySelectorAll('tr');
-      rows.forEach(row => {
-        const lotKey = row.dataset.lotKey;
-        const lot = parkingData[lotKey];
-        const lotName = lot ? lot.name : '';
-        
-        if (selectedLot === '' || lotName === selectedLot) {
-          row.style.display = '';
-        } else {
-          row.style.display = 'none';
-        }
-      });
+      applyLotFilter();
       
-      console.log(`✓ Filtered spots by lot: ${selectedLot || 'All'}`);
+      const lot = (spotTableView ? spotTableView.data : parkingData)[this.value];
+      console.log(`✓ Filtered spots by lot: ${lot ? lot.name : 'All'}`);
     });
   }
 }
@@ -678,16 +981,18 @@ function fallbackCopy(text) {
  * Export all data as JSON file
  */
 function exportDataAsJSON() {
-  const exportData = {
-    exportDate: new Date().toISOString(),
-    parkingData: parkingData,
-    studentSubmissions: studentSubmissions,
-    statistics: {
-      totalRegistrations: studentSubmissions.length,
-      exportedSpots: parkingData ? Object.values(parkingData).reduce((sum, lot) => sum + lot.spots.length, 0) : 0
-    }
-  };
-  
+  window.parkingApi.exportData()
+    .then(exportData => downloadJSON(exportData))
+    .catch(error => {
+      handleAdminApiError(error, 'Export failed');
+    });
+}
+
+/**
+ * Download export data as a timestamped JSON file
+ * @param {object} exportData - Snapshot returned by the server
+ */
+function downloadJSON(exportData) {
   const dataStr = JSON.stringify(exportData, null, 2);
   const dataBlob = new Blob([dataStr], { type: 'application/json' });
   const url = URL.createObjectURL(dataBlob);
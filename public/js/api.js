@@ -0,0 +1,845 @@
+/* ============================================================
+   PARKING API CLIENT
+   ============================================================
+   Thin wrapper around the portal's REST API (server/server.js).
+   The server is the single source of truth for lots, spot
+   reservations and registrations, so every device sees the
+   same data.
+
+   Features:
+   - JSON requests with consistent error handling
+   - Parking data with reservations and spot holds applied
+   - 10-minute spot holds while a student registers
+   - Registration submission and lookup
+   - Self-service: a student looks up, updates, moves or
+     cancels their registration (student ID + reference number)
+   - Spot swaps: propose, list, accept/decline and cancel
+   - Eligibility roster check and manual review requests
+   - Registration phases: the schedule and whether a student
+     may register now
+   - Waitlist sign-up and status
+   - Parking lottery applications and results
+   - Partner-finder board: posts, match requests and matches
+     (the post token from createBoardPost() proves ownership)
+   - Admin login/logout with a signed session token, sent as
+     an Authorization header on every request once set
+   - Admin actions: list/remove registrations, edit their
+     vehicles, clear spots, reset all data, edit the lot
+     layout, export a snapshot, browse the audit log, manage
+     the waitlist, moderate the partner-finder board, fix
+     duplicate registrations and spot conflicts, import the
+     eligibility roster and decide manual reviews
+   - Security: verify a permit by reference number, plate or
+     spot ID, and log violations
+   - Admin violations: list with the consequence policy, void
+   - Admin swaps: list with the swap policy, approve or reject
+   - Admin registration phase overrides: list, grant, remove
+   - Admin lottery: list applications and draws, run a draw,
+     download a draw record and verify it against its seed
+   - Admin analytics: occupancy and registration trends, uptake,
+     grade mix and fill-rate projection
+   - Admin export presets: list, save, remove
+   - Admin data import: preview a JSON snapshot or CSV
+     registration list, then apply it
+
+   Errors: rejected promises carry the server message plus
+           `status` (HTTP code) and `details` (field errors)
+
+   Also defines escapeHtml(), which every page uses to put text
+   from the server or the user into HTML.
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+class ParkingApi {
+  constructor() {
+    this.BASE_URL = 'api';
+    this.authToken = null;
+  }
+
+  /**
+   * Set (or clear) the admin session token sent with requests
+   * @param {string|null} token - Token from login()
+   */
+  setAuthToken(token) {
+    this.authToken = token || null;
+  }
+
+  /**
+   * Send a request to the API
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below /api (e.g., '/lots')
+   * @param {object} [body] - JSON body
+   * @returns {Promise<*>} Parsed response data
+   */
+  request(method, path, body) {
+    const options = {
+      method: method,
+      headers: { 'Accept': 'application/json' }
+    };
+
+    if (this.authToken) {
+      options.headers['Authorization'] = `Bearer ${this.authToken}`;
+    }
+
+    if (body !== undefined) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(body);
+    }
+
+    return fetch(this.BASE_URL + path, options)
+      .catch(() => {
+        throw new Error('Cannot reach the parking server. Please check your connection and try again.');
+      })
+      .then(response => response.json()
+        .catch(() => ({}))
+        .then(data => {
+          if (!response.ok) {
+            const error = new Error(data.error || `Request failed (${response.status})`);
+            error.status = response.status;
+            error.details = data.details || [];
+            throw error;
+          }
+          return data;
+        }));
+  }
+
+  /**
+   * Load parking data with reservations and holds applied
+   * @param {string} [holdId] - The student's own hold, shown as available
+   * @returns {Promise<object>} Parking data keyed by lot (e.g., 'lotA')
+   */
+  getParkingData(holdId) {
+    return this.request('GET', '/lots' + (holdId ? `?holdId=${encodeURIComponent(holdId)}` : ''));
+  }
+
+  /**
+   * Hold a spot while the student registers, giving up their previous hold
+   * @param {string} spotId - Spot identifier
+   * @param {string|null} half - 'A', 'B', or null for solo spots
+   * @param {object} [previousHold] - {holdId, holdToken} to release
+   * @returns {Promise<object>} {holdId, holdToken, spotId, half, expiresAt, secondsLeft}
+   */
+  placeHold(spotId, half, previousHold) {
+    return this.request('POST', '/holds', {
+      spotId: spotId,
+      half: half,
+      previousHoldId: previousHold ? previousHold.holdId : undefined,
+      previousHoldToken: previousHold ? previousHold.holdToken : undefined
+    });
+  }
+
+  /**
+   * Give up a hold early
+   * @param {object} hold - {holdId, holdToken}
+   * @returns {Promise<object>} {released}
+   */
+  releaseHold(hold) {
+    return this.request('POST', `/holds/${encodeURIComponent(hold.holdId)}/release`, { holdToken: hold.holdToken });
+  }
+
+  /**
+   * Submit a registration and reserve its spot
+   * @param {object} registration - Form data plus parkingSpot and half
+   * @returns {Promise<object>} Saved registration (with referenceId)
+   */
+  createRegistration(registration) {
+    return this.request('POST', '/registrations', registration);
+  }
+
+  /**
+   * Look up a registration by reference ID
+   * @param {string} referenceId - Registration reference ID
+   * @param {string} studentId - Student ID on the registration
+   * @returns {Promise<object>} Registration
+   */
+  getRegistration(referenceId, studentId) {
+    return this.request('GET', `/registrations/${encodeURIComponent(referenceId)}` +
+      `?studentId=${encodeURIComponent(studentId)}`);
+  }
+
+  /**
+   * Look up the student's own registration
+   * @param {object} own - {studentId, referenceId}
+   * @returns {Promise<object>} Registration
+   */
+  getMyRegistration(own) {
+    return this.request('POST', '/my-registration', own);
+  }
+
+  /**
+   * Update the student's email and phone
+   * @param {object} own - {studentId, referenceId}
+   * @param {object} contact - {email, phone}
+   * @returns {Promise<object>} Updated registration
+   */
+  updateMyContact(own, contact) {
+    return this.request('PUT', '/my-registration/contact', Object.assign({}, contact, own));
+  }
+
+  /**
+   * Move the student to another spot they are holding
+   * @param {object} own - {studentId, referenceId}
+   * @param {object} move - {parkingSpot, half, holdId, holdToken} plus
+   *   parkingPartner, partnerStudentId and partnerDays for shared spots
+   * @returns {Promise<object>} Registration on the new spot
+   */
+  moveMyRegistration(own, move) {
+    return this.request('POST', '/my-registration/move', Object.assign({}, move, own));
+  }
+
+  /**
+   * Cancel the student's registration and free the spot
+   * @param {object} own - {studentId, referenceId}
+   * @returns {Promise<object>} {cancelled, referenceId}
+   */
+  cancelMyRegistration(own) {
+    return this.request('POST', '/my-registration/cancel', own);
+  }
+
+  /**
+   * Propose a swap for the spot (or half) another student holds
+   * @param {object} own - {studentId, referenceId}
+   * @param {object} swap - {spotId, half, message}
+   * @returns {Promise<object>} The student's swaps ({requireAdminApproval, swaps})
+   */
+  proposeSwap(own, swap) {
+    return this.request('POST', '/swaps', Object.assign({}, swap, own));
+  }
+
+  /**
+   * Get the student's swaps, sent and received
+   * @param {object} own - {studentId, referenceId}
+   * @returns {Promise<object>} {requireAdminApproval, swaps}
+   */
+  getMySwaps(own) {
+    return this.request('POST', '/swaps/mine', own);
+  }
+
+  /**
+   * Accept or decline a swap proposed to the student
+   * @param {string} swapId - Swap ID
+   * @param {object} own - {studentId, referenceId}
+   * @param {boolean} accept - True to accept
+   * @returns {Promise<object>} The student's swaps ({requireAdminApproval, swaps})
+   */
+  respondToSwap(swapId, own, accept) {
+    return this.request('POST', `/swaps/${encodeURIComponent(swapId)}/respond`,
+      Object.assign({ accept: accept === true }, own));
+  }
+
+  /**
+   * Cancel a swap the student proposed
+   * @param {string} swapId - Swap ID
+   * @param {object} own - {studentId, referenceId}
+   * @returns {Promise<object>} The student's swaps ({requireAdminApproval, swaps})
+   */
+  cancelSwap(swapId, own) {
+    return this.request('POST', `/swaps/${encodeURIComponent(swapId)}/cancel`, own);
+  }
+
+  /**
+   * Join the waitlist
+   * @param {object} request - Student fields plus lotPreferences, spotType, parkingPartner
+   * @returns {Promise<object>} Waitlist status (with waitlistId and position)
+   */
+  joinWaitlist(request) {
+    return this.request('POST', '/waitlist', request);
+  }
+
+  /**
+   * Look up a waitlist entry's position and any spot offered to it
+   * @param {string} waitlistId - Waitlist ID
+   * @returns {Promise<object>} Waitlist status
+   */
+  getWaitlistStatus(waitlistId) {
+    return this.request('GET', `/waitlist/${encodeURIComponent(waitlistId)}`);
+  }
+
+  /**
+   * Apply for the parking lottery
+   * @param {object} application - Student fields, ranked preferences
+   *   ([{lotKey, spotType}]) and an optional partner
+   * @returns {Promise<object>} Application status
+   */
+  applyForLottery(application) {
+    return this.request('POST', '/lottery/applications', application);
+  }
+
+  /**
+   * Look up a lottery application and, once drawn, its result
+   * @param {string} applicationId - Application ID
+   * @returns {Promise<object>} Application status
+   */
+  getLotteryApplication(applicationId) {
+    return this.request('GET', `/lottery/applications/${encodeURIComponent(applicationId)}`);
+  }
+
+  /**
+   * Check a student against the eligibility roster
+   * @param {string} studentId - Student ID
+   * @param {string} fullName - Name as entered on the form
+   * @returns {Promise<object>} {rosterActive, eligible, message,
+   *   canRequestReview}
+   */
+  verifyStudent(studentId, fullName) {
+    return this.request('POST', '/roster/verify', { studentId: studentId, fullName: fullName });
+  }
+
+  /**
+   * Get the registration schedule
+   * @returns {Promise<object>} {now, current, next, phases}; each phase
+   *   has {id, name, status, gradeLevels, message, startsAt, endsAt}
+   */
+  getRegistrationPhase() {
+    return this.request('GET', '/registration-phase');
+  }
+
+  /**
+   * Check whether a student may register in the current phase
+   * @param {object} student - {studentId, gradeLevel, inviteCode}
+   * @returns {Promise<object>} {allowed, override, message}
+   */
+  checkRegistrationPhase(student) {
+    return this.request('POST', '/registration-phase/check', student);
+  }
+
+  /**
+   * Ask the office for a manual eligibility review
+   * @param {object} request - Student fields plus an optional note
+   * @returns {Promise<object>} {reviewId, status, requestedAt}
+   */
+  requestEligibilityReview(request) {
+    return this.request('POST', '/eligibility-reviews', request);
+  }
+
+  /**
+   * Look up a shared-spot partner invite
+   * @param {string} inviteCode - Code from the inviting student
+   * @returns {Promise<object>} {inviteCode, inviterName, parkingLot, lotKey,
+   *   parkingSpot, half, partnerDays, expiresAt}
+   */
+  getInvite(inviteCode) {
+    return this.request('GET', `/invites/${encodeURIComponent(inviteCode)}`);
+  }
+
+  /**
+   * Load the partner-finder board
+   * @param {string} [lotKey] - Only posts for this lot (or any lot)
+   * @returns {Promise<object[]>} Public posts, newest first
+   */
+  getBoard(lotKey) {
+    return this.request('GET', '/board' + (lotKey ? `?lot=${encodeURIComponent(lotKey)}` : ''));
+  }
+
+  /**
+   * Post on the partner-finder board
+   * @param {object} post - Student fields plus lotPreference, preferredDays, note
+   * @returns {Promise<object>} {post, postToken}
+   */
+  createBoardPost(post) {
+    return this.request('POST', '/board/posts', post);
+  }
+
+  /**
+   * Load the student's own post with its requests and match
+   * @param {object} own - {postId, postToken}
+   * @returns {Promise<object>} Post for its owner
+   */
+  getBoardPost(own) {
+    return this.request('POST', `/board/posts/${encodeURIComponent(own.postId)}/view`, { postToken: own.postToken });
+  }
+
+  /**
+   * Take the student's post off the board
+   * @param {object} own - {postId, postToken}
+   * @returns {Promise<object>} Post for its owner
+   */
+  withdrawBoardPost(own) {
+    return this.request('POST', `/board/posts/${encodeURIComponent(own.postId)}/withdraw`, { postToken: own.postToken });
+  }
+
+  /**
+   * Send a match request to another post
+   * @param {object} own - {postId, postToken} of the sender
+   * @param {string} toPostId - Post to send the request to
+   * @returns {Promise<object>} The new request
+   */
+  sendMatchRequest(own, toPostId) {
+    return this.request('POST', '/board/requests', {
+      fromPostId: own.postId,
+      postToken: own.postToken,
+      toPostId: toPostId
+    });
+  }
+
+  /**
+   * Accept or decline a match request sent to the student
+   * @param {string} requestId - Request ID
+   * @param {object} own - {postId, postToken} of the recipient
+   * @param {boolean} accept - True to accept
+   * @returns {Promise<object>} Post for its owner
+   */
+  respondToMatchRequest(requestId, own, accept) {
+    return this.request('POST', `/board/requests/${encodeURIComponent(requestId)}/respond`, {
+      postToken: own.postToken,
+      accept: accept
+    });
+  }
+
+  /**
+   * Cancel a match request the student sent
+   * @param {string} requestId - Request ID
+   * @param {object} own - {postId, postToken} of the sender
+   * @returns {Promise<object>} The cancelled request
+   */
+  cancelMatchRequest(requestId, own) {
+    return this.request('POST', `/board/requests/${encodeURIComponent(requestId)}/cancel`, { postToken: own.postToken });
+  }
+
+  /**
+   * Log in as administrator
+   * @param {string} username - Admin account name
+   * @param {string} password - Admin password
+   * @returns {Promise<object>} {token, expiresAt, account}
+   */
+  login(username, password) {
+    return this.request('POST', '/admin/login', { username: username, password: password });
+  }
+
+  /**
+   * End the current admin session on the server
+   * @returns {Promise<object>} {loggedOut: true}
+   */
+  logout() {
+    return this.request('POST', '/admin/logout');
+  }
+
+  /**
+   * Check that the current admin token is still valid
+   * @returns {Promise<object>} {authenticated, expiresAt, account}
+   */
+  getSession() {
+    return this.request('GET', '/admin/session');
+  }
+
+  /**
+   * Check a permit by reference number, license plate or spot ID (security)
+   * @param {string} query - Scanned or typed text
+   * @param {string} [state] - State of a plate, when it matters
+   * @returns {Promise<object>} {query, state, matchedBy, plateStates, checkedAt,
+   *   today, spot, permits, message}
+   */
+  verifyPermit(query, state) {
+    return this.request('GET', `/security/verify?q=${encodeURIComponent(query)}` +
+      (state ? `&state=${encodeURIComponent(state)}` : ''));
+  }
+
+  /**
+   * Get the violation types and consequence policy (security and office staff)
+   * @returns {Promise<object>} {types, consequences, states}
+   */
+  getViolationPolicy() {
+    return this.request('GET', '/security/violation-policy');
+  }
+
+  /**
+   * Log a parking violation (security and office staff)
+   * @param {object} violation - {type, notes, spotId, plate, state, referenceId, occurredAt}
+   * @returns {Promise<object>} {violation, waitlistOffers}
+   */
+  recordViolation(violation) {
+    return this.request('POST', '/security/violations', violation);
+  }
+
+  /**
+   * Get all violations with the types and consequence policy (admin)
+   * @returns {Promise<object>} {types, consequences, states, violations}
+   */
+  getViolations() {
+    return this.request('GET', '/admin/violations');
+  }
+
+  /**
+   * Void a violation logged by mistake (admin)
+   * @param {string} violationId - Violation ID
+   * @param {string} reason - Why it is voided
+   * @returns {Promise<object>} Updated violation
+   */
+  voidViolation(violationId, reason) {
+    return this.request('POST', `/admin/violations/${encodeURIComponent(violationId)}/void`, { reason: reason });
+  }
+
+  /**
+   * Get the registration schedule and phase overrides (admin)
+   * @returns {Promise<object>} {schedule, overrides}
+   */
+  getPhaseOverrides() {
+    return this.request('GET', '/admin/phase-overrides');
+  }
+
+  /**
+   * Let a student register outside their phase (admin)
+   * @param {object} override - {studentId, fullName, note, expiresAt}
+   * @returns {Promise<object>} Saved override
+   */
+  grantPhaseOverride(override) {
+    return this.request('POST', '/admin/phase-overrides', override);
+  }
+
+  /**
+   * Remove a student's phase override (admin)
+   * @param {string} studentId - Student ID
+   * @returns {Promise<object>} Removed override
+   */
+  removePhaseOverride(studentId) {
+    return this.request('DELETE', `/admin/phase-overrides/${encodeURIComponent(studentId)}`);
+  }
+
+  /**
+   * Get lottery applications and draws (admin)
+   * @returns {Promise<object>} {schedule, applications, draws}
+   */
+  getLottery() {
+    return this.request('GET', '/admin/lottery');
+  }
+
+  /**
+   * Run a lottery draw and publish its results (admin)
+   * @param {string} seed - Draw seed ('' for a random one)
+   * @param {boolean} waitlistUnassigned - Add students without a spot to the waitlist
+   * @returns {Promise<object>} Draw summary
+   */
+  runLotteryDraw(seed, waitlistUnassigned) {
+    return this.request('POST', '/admin/lottery/draws', { seed: seed, waitlistUnassigned: waitlistUnassigned });
+  }
+
+  /**
+   * Get a full lottery draw record (admin)
+   * @param {string} drawId - Draw ID
+   * @returns {Promise<object>} Seed, entrants, spots, tickets and outcomes
+   */
+  getLotteryDraw(drawId) {
+    return this.request('GET', `/admin/lottery/draws/${encodeURIComponent(drawId)}`);
+  }
+
+  /**
+   * Re-run a lottery draw from its seed and compare (admin)
+   * @param {string} drawId - Draw ID
+   * @returns {Promise<object>} {drawId, seed, matches, differences}
+   */
+  verifyLotteryDraw(drawId) {
+    return this.request('POST', `/admin/lottery/draws/${encodeURIComponent(drawId)}/verify`);
+  }
+
+  /**
+   * Get the analytics report (admin)
+   * @returns {Promise<object>} {generatedAt, days, lots, occupancy, registrationsPerDay,
+   *   uptake, halfBalance, grades, projection}
+   */
+  getAnalytics() {
+    return this.request('GET', '/admin/analytics');
+  }
+
+  /**
+   * Get the saved export presets (admin)
+   * @returns {Promise<object[]>} Presets
+   */
+  getExportPresets() {
+    return this.request('GET', '/admin/export-presets');
+  }
+
+  /**
+   * Save an export preset, replacing one with the same name (admin)
+   * @param {object} preset - {name, view, format, columns, filters}
+   * @returns {Promise<object>} Saved preset
+   */
+  saveExportPreset(preset) {
+    return this.request('POST', '/admin/export-presets', preset);
+  }
+
+  /**
+   * Remove an export preset (admin)
+   * @param {string} presetId - Preset ID
+   * @returns {Promise<object>} Removed preset
+   */
+  removeExportPreset(presetId) {
+    return this.request('DELETE', `/admin/export-presets/${encodeURIComponent(presetId)}`);
+  }
+
+  /**
+   * Check an import file and list what it would change (admin)
+   * @param {object} file - {format: 'json'|'csv', mode: 'merge'|'replace', content, fileName}
+   * @returns {Promise<object>} Preview with counts, changes, rejected rows and a fingerprint
+   */
+  previewImport(file) {
+    return this.request('POST', '/admin/import/preview', file);
+  }
+
+  /**
+   * Apply a previewed import (admin)
+   * @param {object} file - Same as previewImport() plus the preview's fingerprint
+   * @returns {Promise<object>} What was imported
+   */
+  runImport(file) {
+    return this.request('POST', '/admin/import', file);
+  }
+
+  /**
+   * Get all spot swaps with the swap policy (admin)
+   * @returns {Promise<object>} {requireAdminApproval, expiresAfterHours, swaps}
+   */
+  getSwaps() {
+    return this.request('GET', '/admin/swaps');
+  }
+
+  /**
+   * Approve or reject an accepted swap (admin)
+   * @param {string} swapId - Swap ID
+   * @param {string} decision - 'approve' or 'reject'
+   * @param {string} [reason] - Required to reject; both students see it
+   * @returns {Promise<object>} Updated swap
+   */
+  decideSwap(swapId, decision, reason) {
+    return this.request('POST', `/admin/swaps/${encodeURIComponent(swapId)}/decide`, {
+      decision: decision,
+      reason: reason || ''
+    });
+  }
+
+  /**
+   * Get all registrations (admin)
+   * @returns {Promise<Array>} Registrations
+   */
+  getRegistrations() {
+    return this.request('GET', '/admin/registrations');
+  }
+
+  /**
+   * Remove a registration and free its spot (admin)
+   * @param {string} referenceId - Registration reference ID
+   * @returns {Promise<object>} Removed registration
+   */
+  removeRegistration(referenceId) {
+    return this.request('DELETE', `/admin/registrations/${encodeURIComponent(referenceId)}`);
+  }
+
+  /**
+   * Replace a registration's vehicles (admin)
+   * @param {string} referenceId - Registration reference ID
+   * @param {object[]} vehicles - [{plate, state, make, model, color}]
+   * @returns {Promise<object>} Updated registration
+   */
+  updateVehicles(referenceId, vehicles) {
+    return this.request('PUT', `/admin/registrations/${encodeURIComponent(referenceId)}/vehicles`, {
+      vehicles: vehicles
+    });
+  }
+
+  /**
+   * Clear a spot and remove the registrations holding it (admin);
+   * the freed spot is offered to the waitlist
+   * @param {string} spotId - Spot identifier
+   * @returns {Promise<object>} {spotId, removedRegistrations, waitlistOffers}
+   */
+  clearSpot(spotId) {
+    return this.request('POST', `/admin/spots/${encodeURIComponent(spotId)}/clear`);
+  }
+
+  /**
+   * Delete all registrations and reservations (admin)
+   * @returns {Promise<object>} {reset: true}
+   */
+  resetAll() {
+    return this.request('POST', '/admin/reset');
+  }
+
+  /**
+   * Get the editable lot layout, without reservations (admin)
+   * @returns {Promise<object>} Layout keyed by lot
+   */
+  getLotLayout() {
+    return this.request('GET', '/admin/lots');
+  }
+
+  /**
+   * Save an edited lot layout (admin)
+   * @param {object} lots - Layout keyed by lot: {name, description, spots}
+   * @returns {Promise<object>} Parking data with reservations applied
+   */
+  saveLotLayout(lots) {
+    return this.request('PUT', '/admin/lots', { lots: lots });
+  }
+
+  /**
+   * Get audit log entries, newest first (admin)
+   * @param {object} [filters] - {actor, action, from, to}
+   * @returns {Promise<object>} {entries, actors, actions}
+   */
+  getAuditLog(filters = {}) {
+    const query = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) query.set(key, value);
+    });
+    const queryString = query.toString();
+    return this.request('GET', '/admin/audit' + (queryString ? `?${queryString}` : ''));
+  }
+
+  /**
+   * Get every waitlist entry in order (admin)
+   * @returns {Promise<Array>} Entries with positions
+   */
+  getWaitlist() {
+    return this.request('GET', '/admin/waitlist');
+  }
+
+  /**
+   * Move a waitlist entry one place (admin)
+   * @param {string} waitlistId - Waitlist ID
+   * @param {string} direction - 'up' or 'down'
+   * @returns {Promise<object>} Moved entry
+   */
+  moveWaitlistEntry(waitlistId, direction) {
+    return this.request('POST', `/admin/waitlist/${encodeURIComponent(waitlistId)}/move`, { direction: direction });
+  }
+
+  /**
+   * Record whether a student accepted or declined their offer (admin)
+   * @param {string} waitlistId - Waitlist ID
+   * @param {string} outcome - 'accepted' or 'declined'
+   * @returns {Promise<object>} {entry, registration, nextOffers}
+   */
+  recordWaitlistOutcome(waitlistId, outcome) {
+    return this.request('POST', `/admin/waitlist/${encodeURIComponent(waitlistId)}/outcome`, { outcome: outcome });
+  }
+
+  /**
+   * Get the duplicates and conflicts report (admin)
+   * @returns {Promise<object>} {students, emails, spots, reservations: {orphaned, missing}, total}
+   */
+  getDuplicates() {
+    return this.request('GET', '/admin/duplicates');
+  }
+
+  /**
+   * Merge duplicate registrations into one (admin)
+   * @param {string} keepReferenceId - Registration to keep
+   * @param {string[]} mergeReferenceIds - Registrations to merge in and remove
+   * @returns {Promise<object>} {kept, removed}
+   */
+  mergeRegistrations(keepReferenceId, mergeReferenceIds) {
+    return this.request('POST', '/admin/duplicates/merge', {
+      keepReferenceId: keepReferenceId,
+      mergeReferenceIds: mergeReferenceIds
+    });
+  }
+
+  /**
+   * Keep one student on a conflicting spot, removing the others (admin)
+   * @param {string} spotId - Spot ID
+   * @param {string} keepReferenceId - Registration to keep
+   * @returns {Promise<object>} {kept, removed}
+   */
+  resolveSpotConflict(spotId, keepReferenceId) {
+    return this.request('POST', '/admin/duplicates/resolve-spot', {
+      spotId: spotId,
+      keepReferenceId: keepReferenceId
+    });
+  }
+
+  /**
+   * Make spot reservations match the registrations (admin)
+   * @returns {Promise<object>} {removed, added, skipped}
+   */
+  repairReservations() {
+    return this.request('POST', '/admin/duplicates/repair-reservations');
+  }
+
+  /**
+   * Get the eligibility roster (admin)
+   * @returns {Promise<object>} {summary (null before the first import), students}
+   */
+  getRoster() {
+    return this.request('GET', '/admin/roster');
+  }
+
+  /**
+   * Replace the eligibility roster with a CSV file (admin)
+   * @param {string} csv - File contents
+   * @param {string} fileName - File name, kept for reference
+   * @returns {Promise<object>} Roster summary
+   */
+  importRoster(csv, fileName) {
+    return this.request('POST', '/admin/roster', { csv: csv, fileName: fileName });
+  }
+
+  /**
+   * Get manual eligibility review requests, newest first (admin)
+   * @returns {Promise<object[]>} Reviews with the student's roster entry
+   */
+  getEligibilityReviews() {
+    return this.request('GET', '/admin/eligibility-reviews');
+  }
+
+  /**
+   * Approve or reject a manual eligibility review (admin)
+   * @param {string} reviewId - Review ID
+   * @param {string} decision - 'approve' or 'reject'
+   * @param {string} [note] - Reason for the decision
+   * @returns {Promise<object>} Updated review
+   */
+  decideEligibilityReview(reviewId, decision, note) {
+    return this.request('POST', `/admin/eligibility-reviews/${encodeURIComponent(reviewId)}/decide`, {
+      decision: decision,
+      note: note || ''
+    });
+  }
+
+  /**
+   * Get every partner-board post, including hidden ones (admin)
+   * @returns {Promise<object[]>} Posts, newest first
+   */
+  getBoardPosts() {
+    return this.request('GET', '/admin/board');
+  }
+
+  /**
+   * Hide a partner-board post or put it back (admin)
+   * @param {string} postId - Post ID
+   * @param {string} action - 'hide' or 'restore'
+   * @param {string} [reason] - Why the post was hidden
+   * @returns {Promise<object>} Updated post
+   */
+  moderateBoardPost(postId, action, reason) {
+    return this.request('POST', `/admin/board/posts/${encodeURIComponent(postId)}/moderate`, {
+      action: action,
+      reason: reason || ''
+    });
+  }
+
+  /**
+   * Get a full data snapshot for export (admin)
+   * @returns {Promise<object>} Export data
+   */
+  exportData() {
+    return this.request('GET', '/admin/export');
+  }
+}
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {*} value - Value to display
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Shared instance used by every page
+window.parkingApi = new ParkingApi();
@@ -0,0 +1,428 @@
+/* ============================================================
+   PARTNER BOARD PAGE SCRIPT
+   ============================================================
+   Lets students who want a shared spot find a partner: post on
+   the board, send and answer match requests, and once matched,
+   register together through the normal parking and form pages.
+
+   Features:
+   - Board of open posts (first name and last initial only),
+     filtered by lot
+   - Post form with preferred lot, days and an optional note
+     (the server checks the student ID and name against the
+     eligibility roster)
+   - Own post kept in LocalStorage (partnerBoardPost =
+     {postId, postToken}) so requests show on return visits
+   - Send, cancel, accept and decline match requests
+   - After a match: the partner's name and student ID are saved
+     (partnerMatch) for form.js, or the partner's invite link is
+     shown if they already registered
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+let boardLots = {};
+let ownPost = null; // {postId, postToken} from LocalStorage
+let myPost = null; // Own post as returned by the server
+
+/**
+ * Initialize partner board on DOM load
+ */
+document.addEventListener('DOMContentLoaded', function () {
+  loadLots();
+  setupBoardHandlers();
+
+  const saved = localStorage.getItem('partnerBoardPost');
+  if (saved) {
+    try {
+      ownPost = JSON.parse(saved);
+    } catch (error) {
+      localStorage.removeItem('partnerBoardPost');
+    }
+  }
+
+  loadMyPost();
+});
+
+/**
+ * Load lots for the lot dropdown and the board filter
+ */
+function loadLots() {
+  window.parkingApi.getParkingData()
+    .then(data => {
+      boardLots = data;
+      const options = Object.entries(data)
+        .map(([lotKey, lot]) => `<option value="${lotKey}">${escapeHtml(lot.name)}</option>`).join('');
+      document.getElementById('lotPreference').insertAdjacentHTML('beforeend', options);
+      document.getElementById('boardLotFilter').insertAdjacentHTML('beforeend', options);
+      console.log('✓ Lots loaded for the partner board');
+    })
+    .catch(error => {
+      console.error('✗ Error loading lots:', error);
+    });
+}
+
+/**
+ * Setup form, filter and button handlers
+ */
+function setupBoardHandlers() {
+  document.getElementById('boardPostForm').addEventListener('submit', handlePostSubmit);
+  document.getElementById('boardLotFilter').addEventListener('change', loadBoard);
+  document.getElementById('boardPosts').addEventListener('click', handleBoardClick);
+  document.getElementById('myPost').addEventListener('click', handleMyPostClick);
+}
+
+/**
+ * Load the student's own post (if any), then the board
+ */
+function loadMyPost() {
+  if (!ownPost) {
+    showMyPost(null);
+    loadBoard();
+    return;
+  }
+
+  window.parkingApi.getBoardPost(ownPost)
+    .then(post => {
+      showMyPost(post);
+    })
+    .catch(error => {
+      console.error('✗ Could not load your post:', error);
+      if (error.status === 404 || error.status === 403) {
+        forgetOwnPost();
+      }
+      showMyPost(null);
+    })
+    .finally(loadBoard);
+}
+
+/**
+ * Forget the post saved on this device
+ */
+function forgetOwnPost() {
+  localStorage.removeItem('partnerBoardPost');
+  ownPost = null;
+  myPost = null;
+}
+
+/**
+ * Load the board using the lot filter
+ */
+function loadBoard() {
+  const lotKey = document.getElementById('boardLotFilter').value;
+
+  window.parkingApi.getBoard(lotKey)
+    .then(posts => {
+      renderBoard(posts);
+      console.log('✓ Partner board loaded:', posts.length);
+    })
+    .catch(error => {
+      console.error('✗ Error loading partner board:', error);
+      showBoardMessage(error.message, 'danger');
+    });
+}
+
+/**
+ * Describe preferred days
+ * @param {string} days - 'Monday-Wednesday-Friday', 'Tuesday-Thursday' or 'either'
+ * @returns {string} e.g. 'Monday/Wednesday/Friday'
+ */
+function describeDays(days) {
+  return days === 'either' ? 'Either schedule' : days.replace(/-/g, '/');
+}
+
+/**
+ * Check whether the student can send requests from their post
+ * @returns {boolean} True if their post is open and visible
+ */
+function canSendRequests() {
+  return Boolean(myPost && myPost.status === 'open' && !myPost.hidden && !myPost.referenceId);
+}
+
+/**
+ * Show the board's posts as cards
+ * @param {object[]} posts - Public posts
+ */
+function renderBoard(posts) {
+  const container = document.getElementById('boardPosts');
+  const noPostsMsg = document.getElementById('noPostsMsg');
+  const others = posts.filter(post => !ownPost || post.postId !== ownPost.postId);
+  const requested = myPost
+    ? myPost.outgoing.filter(request => request.status === 'pending').map(request => request.toPostId)
+    : [];
+
+  noPostsMsg.style.display = others.length === 0 ? 'block' : 'none';
+
+  container.innerHTML = others.map(post => {
+    const clash = myPost && post.preferredDays !== 'either' && post.preferredDays === myPost.preferredDays;
+    let button;
+    if (requested.includes(post.postId)) {
+      button = '<button class="btn btn-sm btn-outline-secondary" disabled>Request sent</button>';
+    } else if (!canSendRequests()) {
+      button = '<small class="text-muted">Post on the board to send a match request</small>';
+    } else if (clash) {
+      button = '<small class="text-muted">Wants the same days as you</small>';
+    } else {
+      button = '<button class="btn btn-sm btn-primary btn-request">Send Match Request</button>';
+    }
+
+    return `
+      <div class="col-md-6 col-lg-4 mb-3">
+        <div class="card board-post h-100" data-post-id="${escapeHtml(post.postId)}">
+          <div class="card-body">
+            <h5 class="card-title mb-1">${escapeHtml(post.displayName)}</h5>
+            <p class="small text-muted mb-2">${escapeHtml(post.gradeLevel)} &middot; Posted ${new Date(post.postedAt).toLocaleDateString()}</p>
+            <p class="mb-1"><strong>Lot:</strong> ${escapeHtml(post.lotName)}</p>
+            <p class="mb-2"><strong>Days:</strong> ${escapeHtml(describeDays(post.preferredDays))}</p>
+            ${post.note ? `<p class="board-note small mb-2">${escapeHtml(post.note)}</p>` : ''}
+            ${button}
+          </div>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Describe a match request for the student's post
+ * @param {object} request - Request with the other side's post
+ * @param {boolean} incoming - True if sent to the student
+ * @returns {string} List item HTML
+ */
+function renderRequest(request, incoming) {
+  const name = request.post ? request.post.displayName : 'A student';
+  const days = request.post ? ` (${describeDays(request.post.preferredDays)})` : '';
+  let actions = `<span class="badge bg-secondary">${escapeHtml(request.status)}</span>`;
+
+  if (request.status === 'pending' && incoming) {
+    actions = `
+      <button class="btn btn-sm btn-success btn-respond" data-accept="true">Accept</button>
+      <button class="btn btn-sm btn-outline-danger btn-respond" data-accept="false">Decline</button>`;
+  } else if (request.status === 'pending') {
+    actions = '<button class="btn btn-sm btn-outline-secondary btn-cancel-request">Cancel</button>';
+  }
+
+  return `
+    <li class="list-group-item d-flex justify-content-between align-items-center gap-2" data-request-id="${escapeHtml(request.requestId)}">
+      <span>${escapeHtml(name)}${escapeHtml(days)}</span>
+      <span class="text-nowrap">${actions}</span>
+    </li>
+  `;
+}
+
+/**
+ * Next steps once matched
+ * @param {object} post - Own post with its match
+ * @returns {string} HTML
+ */
+function renderMatch(post) {
+  const match = post.match;
+  const partner = `<strong>${escapeHtml(match.fullName)}</strong> (student ID ${escapeHtml(match.studentId)},
+    ${escapeHtml(match.email)})`;
+
+  if (post.referenceId) {
+    return `<div class="alert alert-success mb-2">You matched with ${partner} and are registered
+      (reference <code>${escapeHtml(post.referenceId)}</code>).</div>`;
+  }
+
+  if (match.inviteCode) {
+    return `<div class="alert alert-success mb-2">You matched with ${partner}, who has registered a shared spot
+      and invited you to the other half.
+      <a href="form.html?invite=${encodeURIComponent(match.inviteCode)}" class="alert-link">Register on your half</a></div>`;
+  }
+
+  if (match.referenceId) {
+    return `<div class="alert alert-warning mb-2">You matched with ${partner}, who has registered without inviting you.
+      Please contact the Administration Office.</div>`;
+  }
+
+  return `<div class="alert alert-success mb-2">You matched with ${partner}. One of you should now choose a shared
+    spot and register; your partner is then invited to the other half.
+    ${match.preferredDays !== 'either' ? `Your partner wants to park ${escapeHtml(describeDays(match.preferredDays))}.` : ''}</div>
+    <button type="button" class="btn btn-primary btn-choose-spot mb-2">Choose a Shared Spot</button>`;
+}
+
+/**
+ * Show the student's own post, or the post form if they have none
+ * @param {object|null} post - Own post from the server
+ */
+function showMyPost(post) {
+  const card = document.getElementById('myPostCard');
+  const container = document.getElementById('myPost');
+  const form = document.getElementById('boardPostForm');
+
+  myPost = post;
+  form.style.display = post && post.status !== 'withdrawn' ? 'none' : 'block';
+
+  if (!post) {
+    card.style.display = 'none';
+    return;
+  }
+
+  let status;
+  if (post.hidden) {
+    status = `<div class="alert alert-secondary mb-2">Your post was hidden by the Administration Office${
+      post.moderation && post.moderation.reason ? `: ${escapeHtml(post.moderation.reason)}` : ''}.</div>`;
+  } else if (post.status === 'matched' && post.match) {
+    status = renderMatch(post);
+  } else if (post.status === 'withdrawn') {
+    status = '<div class="alert alert-secondary mb-2">You took your post off the board. You can post again below.</div>';
+  } else if (post.referenceId) {
+    status = `<div class="alert alert-info mb-2">You are already registered (reference <code>${escapeHtml(post.referenceId)}</code>),
+      so your post is no longer shown on the board.</div>`;
+  } else {
+    status = '<div class="alert alert-info mb-2">Your post is on the board. Send match requests below, or wait for one.</div>';
+  }
+
+  const incoming = post.incoming.filter(request => request.status === 'pending' || request.status === 'accepted');
+  const outgoing = post.outgoing.filter(request => request.status === 'pending' || request.status === 'accepted');
+
+  container.innerHTML = `
+    ${status}
+    <p class="small text-muted mb-2">${escapeHtml(post.fullName)} &middot; ${escapeHtml(post.lotName)} &middot;
+      ${escapeHtml(describeDays(post.preferredDays))}</p>
+    ${incoming.length > 0 ? `<h6>Requests to you</h6>
+      <ul class="list-group mb-3">${incoming.map(request => renderRequest(request, true)).join('')}</ul>` : ''}
+    ${outgoing.length > 0 ? `<h6>Requests you sent</h6>
+      <ul class="list-group mb-3">${outgoing.map(request => renderRequest(request, false)).join('')}</ul>` : ''}
+    ${post.status !== 'withdrawn'
+      ? '<button type="button" class="btn btn-link btn-sm px-0 text-danger btn-withdraw">Take my post off the board</button>'
+      : ''}
+  `;
+  card.style.display = 'block';
+}
+
+/**
+ * Submit the post form
+ * @param {Event} e - Submit event
+ */
+function handlePostSubmit(e) {
+  e.preventDefault();
+
+  const value = id => document.getElementById(id).value.trim();
+  const submitBtn = document.querySelector('#boardPostForm button[type="submit"]');
+  const formErrors = document.getElementById('formErrors');
+  formErrors.style.display = 'none';
+  submitBtn.disabled = true;
+
+  window.parkingApi.createBoardPost({
+    fullName: value('fullName'),
+    studentId: value('studentId'),
+    email: value('email'),
+    gradeLevel: document.getElementById('gradeLevel').value,
+    lotPreference: document.getElementById('lotPreference').value,
+    preferredDays: document.getElementById('preferredDays').value,
+    note: value('note')
+  })
+    .then(created => {
+      ownPost = { postId: created.post.postId, postToken: created.postToken };
+      localStorage.setItem('partnerBoardPost', JSON.stringify(ownPost));
+      document.getElementById('boardPostForm').reset();
+      showMyPost(created.post);
+      loadBoard();
+      console.log('✓ Posted on the partner board:', ownPost.postId);
+    })
+    .catch(error => {
+      console.error('✗ Board post rejected:', error);
+      formErrors.innerHTML = error.details && error.details.length > 0
+        ? `<strong>${escapeHtml(error.message)}:</strong><ul>` +
+          error.details.map(detail => `<li>${escapeHtml(detail)}</li>`).join('') + '</ul>'
+        : escapeHtml(error.message);
+      formErrors.style.display = 'block';
+    })
+    .finally(() => {
+      submitBtn.disabled = false;
+    });
+}
+
+/**
+ * Handle "Send Match Request" on a board card
+ * @param {Event} e - Click event
+ */
+function handleBoardClick(e) {
+  const button = e.target.closest('.btn-request');
+  if (!button || !ownPost) return;
+
+  const postId = button.closest('.board-post').dataset.postId;
+  button.disabled = true;
+
+  window.parkingApi.sendMatchRequest(ownPost, postId)
+    .then(() => {
+      showBoardMessage('Match request sent. You will see here when they answer.', 'success');
+      console.log('✓ Match request sent to', postId);
+      loadMyPost();
+    })
+    .catch(error => {
+      console.error('✗ Match request rejected:', error);
+      showBoardMessage(error.message, 'danger');
+      button.disabled = false;
+    });
+}
+
+/**
+ * Handle buttons on the student's own post
+ * @param {Event} e - Click event
+ */
+function handleMyPostClick(e) {
+  const button = e.target.closest('button');
+  if (!button || !ownPost) return;
+
+  const item = button.closest('[data-request-id]');
+  const requestId = item ? item.dataset.requestId : null;
+  let action = null;
+
+  if (button.classList.contains('btn-respond')) {
+    const accept = button.dataset.accept === 'true';
+    if (accept && !confirm('Accept this match? Your post and any other requests will be taken off the board.')) return;
+    action = window.parkingApi.respondToMatchRequest(requestId, ownPost, accept);
+  } else if (button.classList.contains('btn-cancel-request')) {
+    action = window.parkingApi.cancelMatchRequest(requestId, ownPost);
+  } else if (button.classList.contains('btn-withdraw')) {
+    if (!confirm('Take your post off the board? Any match will be undone.')) return;
+    action = window.parkingApi.withdrawBoardPost(ownPost);
+  } else if (button.classList.contains('btn-choose-spot')) {
+    choosePartnerSpot();
+    return;
+  } else {
+    return;
+  }
+
+  button.disabled = true;
+  action
+    .then(() => {
+      console.log('✓ Partner board updated');
+      loadMyPost();
+    })
+    .catch(error => {
+      console.error('✗ Partner board action failed:', error);
+      showBoardMessage(error.message, 'danger');
+      button.disabled = false;
+    });
+}
+
+/**
+ * Remember the match for the registration form and go pick a spot
+ */
+function choosePartnerSpot() {
+  if (!myPost || !myPost.match) return;
+
+  localStorage.setItem('partnerMatch', JSON.stringify({
+    fullName: myPost.match.fullName,
+    studentId: myPost.match.studentId
+  }));
+  console.log('→ Choosing a shared spot with', myPost.match.fullName);
+  window.location.href = 'parking.html';
+}
+
+/**
+ * Show a message above the board
+ * @param {string} message - Message text
+ * @param {string} type - Bootstrap alert type
+ */
+function showBoardMessage(message, type) {
+  const messageEl = document.getElementById('boardMessage');
+  messageEl.className = `alert alert-${type}`;
+  messageEl.textContent = message;
+  messageEl.style.display = 'block';
+}
@@ -9,18 +9,24 @@
    - Loads registration data from localStorage
    - Displays parking assignment (lot and spot)
    - Shows student information (name, ID, email, grade)
+   - Lists the registered vehicles (plate, state, make, model, color)
+   - Parking permit preview with a QR code of the reference number,
+     printable on its own as a hang tag (permits.js)
    - Conditionally displays shared spot details (partner, schedule)
+   - Shared spots: invite code and link to send the partner while
+     they have not registered, or the partner's linked reference
    - Shows unique reference number with copy functionality
    - Print-friendly layout with optimized print styles
    - Responsive design for mobile/tablet/desktop
    - Toast notifications for user feedback
    - Error handling with fallback messages
    
-   Data Source: currentRegistration object in localStorage
+   Data Source: currentRegistration object in localStorage,
+                refreshed from the server by referenceId
    Structure: {fullName, studentId, email, phone, spotType, 
-              gradeLevel, parkingLot, parkingSpot, 
+              gradeLevel, parkingLot, parkingSpot, vehicles,
               parkingPartner (if shared), userSchedule (if shared),
-              submittedAt (ISO string), referenceId}
+              partner (if shared), submittedAt (ISO string), referenceId}
    
    @version 1.0
    @author MHS Admin
@@ -35,9 +41,34 @@ let registrationData = null;
 document.addEventListener('DOMContentLoaded', function () {
   loadRegistrationData();
   displayConfirmationData();
+  refreshRegistrationFromServer();
   setupPrintButton();
 });
 
+/**
+ * Reload the registration from the server so the page reflects
+ * any changes made by the administration office
+ */
+function refreshRegistrationFromServer() {
+  if (!registrationData || !registrationData.referenceId) {
+    return;
+  }
+
+  window.parkingApi.getRegistration(registrationData.referenceId, registrationData.studentId)
+    .then(registration => {
+      registrationData = registration;
+      localStorage.setItem('currentRegistration', JSON.stringify(registration));
+      displayConfirmationData();
+    })
+    .catch(error => {
+      if (error.status === 404) {
+        showConfirmationError('This registration is no longer active. Please contact the administration office.');
+      } else {
+        console.warn('⚠ Could not refresh registration from server:', error.message);
+      }
+    });
+}
+
 /**
  * Load registration data from localStorage
  */
@@ -75,6 +106,12 @@ function displayConfirmationData() {
   // Display student information
   displayStudentInfo();
 
+  // Display registered vehicles
+  displayVehicles();
+
+  // Display the parking permit
+  displayPermit();
+
   // Display reference number
   displayReferenceNumber();
 
@@ -132,6 +169,59 @@ function displayStudentInfo() {
   console.log('✓ Student information displayed');
 }
 
+/**
+ * Describe a vehicle in one line
+ * @param {object} vehicle - {plate, state, make, model, color}
+ * @returns {string} e.g. 'NJ ABC1234 - Silver Honda Civic'
+ */
+function describeVehicle(vehicle) {
+  const details = [vehicle.color, vehicle.make, vehicle.model].filter(Boolean).join(' ');
+  return `${vehicle.state} ${vehicle.plate}${details ? ` - ${details}` : ''}`;
+}
+
+/**
+ * Display the registered vehicles
+ */
+function displayVehicles() {
+  const vehicleCard = document.getElementById('vehicleCard');
+  const vehicleList = document.getElementById('confirmVehicles');
+  const vehicles = registrationData.vehicles || [];
+
+  if (!vehicleList) return;
+
+  vehicleList.innerHTML = '';
+  if (vehicles.length === 0) {
+    vehicleList.innerHTML = '<li class="text-muted">No vehicles on file - please give your vehicle details to the ' +
+      'Administration Office.</li>';
+  }
+
+  vehicles.forEach(vehicle => {
+    const item = document.createElement('li');
+    item.className = 'mb-1';
+    item.textContent = describeVehicle(vehicle);
+    vehicleList.appendChild(item);
+  });
+
+  if (vehicleCard) vehicleCard.style.display = 'block';
+  console.log('✓ Vehicles displayed:', vehicles.length);
+}
+
+/**
+ * Display the parking permit preview
+ */
+function displayPermit() {
+  const permitCard = document.getElementById('permitCard');
+  const preview = document.getElementById('permitPreview');
+
+  if (!preview || !registrationData.referenceId) return;
+
+  loadPermitConfig().then(config => {
+    preview.innerHTML = buildPermitHtml(registrationData, config);
+    if (permitCard) permitCard.style.display = 'block';
+    console.log('✓ Parking permit displayed');
+  });
+}
+
 /**
  * Display shared spot information
  */
@@ -152,9 +242,64 @@ function displaySharedSpotInfo() {
     partnerElement.textContent = registrationData.parkingPartner;
   }
 
+  displayPartnerStatus();
+
   console.log('✓ Shared spot information displayed');
 }
 
+/**
+ * Display whether the partner has registered: the invite to send
+ * them, their linked registration, or a notice that it was removed
+ */
+function displayPartnerStatus() {
+  const statusElement = document.getElementById('partnerStatus');
+  const partner = registrationData.partner;
+
+  if (!statusElement) return;
+  if (!partner) {
+    statusElement.style.display = 'none';
+    return;
+  }
+
+  const line = (text, strong) => {
+    const p = document.createElement('p');
+    p.className = 'mb-1';
+    if (strong) {
+      const b = document.createElement('strong');
+      b.textContent = strong;
+      p.appendChild(b);
+      p.appendChild(document.createTextNode(' '));
+    }
+    p.appendChild(document.createTextNode(text));
+    return p;
+  };
+
+  statusElement.textContent = '';
+  statusElement.style.display = 'block';
+
+  if (partner.status === 'invited') {
+    const link = new URL(`form.html?invite=${encodeURIComponent(partner.inviteCode)}`, window.location.href).href;
+    const code = document.createElement('code');
+    code.className = 'fs-5';
+    code.textContent = partner.inviteCode;
+
+    statusElement.className = 'alert alert-warning mb-0';
+    statusElement.appendChild(line(`${partner.name} (ID ${partner.studentId}) has not registered yet.`, 'Waiting for your partner.'));
+    statusElement.appendChild(line('Send them this invite code or link. The other half is held for them until ' +
+      `${new Date(partner.expiresAt).toLocaleString()}.`));
+    statusElement.appendChild(code);
+    statusElement.appendChild(line(link));
+  } else if (partner.status === 'confirmed') {
+    statusElement.className = 'alert alert-success mb-0';
+    statusElement.appendChild(line(`${partner.name} (ID ${partner.studentId}) - reference ${partner.referenceId}`,
+      'Partner registered and linked:'));
+  } else {
+    statusElement.className = 'alert alert-secondary mb-0';
+    statusElement.appendChild(line(`${partner.name} cancelled, moved or was removed from this spot. ` +
+      'Please contact the office about the other half of your spot.'));
+  }
+}
+
 /**
  * Display reference number
  */
@@ -173,6 +318,13 @@ function displayReferenceNumber() {
  */
 function setupPrintButton() {
   const printBtn = document.getElementById('printBtn');
+  const printPermitBtn = document.getElementById('printPermitBtn');
+
+  if (printPermitBtn) {
+    printPermitBtn.addEventListener('click', function () {
+      if (registrationData) printPermits([registrationData]);
+    });
+  }
 
   if (printBtn) {
     printBtn.addEventListener('click', function () {
@@ -229,10 +381,19 @@ function getConfirmationSummary() {
   summary += `Lot: ${registrationData.parkingLot}\n`;
   summary += `Spot: ${registrationData.parkingSpot}\n`;
 
+  (registrationData.vehicles || []).forEach(vehicle => {
+    summary += `Vehicle: ${describeVehicle(vehicle)}\n`;
+  });
+
   if (registrationData.spotType === 'shared') {
     summary += `Type: Shared\n`;
     summary += `Your Days: ${registrationData.userSchedule}\n`;
     summary += `Partner: ${registrationData.parkingPartner}\n`;
+    if (registrationData.partner && registrationData.partner.status === 'invited') {
+      summary += `Partner Invite Code: ${registrationData.partner.inviteCode}\n`;
+    } else if (registrationData.partner && registrationData.partner.status === 'confirmed') {
+      summary += `Partner Reference: ${registrationData.partner.referenceId}\n`;
+    }
   }
 
   summary += `\nSubmitted: ${new Date(registrationData.submittedAt).toLocaleString()}\n`;
@@ -2,26 +2,47 @@
    STUDENT FORM SCRIPT
    ============================================================
    Handles student registration form with validation,
-   spot display, and data persistence to LocalStorage.
+   spot display, and submission to the parking server.
    
    Features:
    - Real-time field validation
    - Conditional field visibility (for shared spots)
    - Comprehensive error display
    - Data collection and serialization
-   - Reference ID generation (REF-TIMESTAMP-RANDOM)
-   - LocalStorage persistence (currentRegistration + parkingSubmissions array)
+   - Submission through the REST API (server reserves the spot
+     and generates the REF-TIMESTAMP-RANDOM reference ID)
+   - LocalStorage copy of the saved registration (currentRegistration)
    - Form submission handling with error recovery
+   - Live countdown of the selected spot's 10-minute hold
+     (spot-hold.js); the hold is sent with the submission and the
+     server rejects it if the hold expired and the spot was taken
+   - Shared spots: parking days follow the chosen half and the
+     partner's student ID is sent so the server can invite them
+   - Invite mode (form.html?invite=CODE): the invited partner
+     registers on the other half of the inviter's spot
+   - Partner fields filled in from a partner-board match
+     (LocalStorage partnerMatch, set by board.js)
+   - Student ID and name checked against the eligibility roster
+     before submitting; turned-away students can ask the office
+     for a manual review
+   - Registration phase banner (phase-banner.js); the student's
+     grade (or override) is checked against the current phase
+     before submitting
+   - One to three vehicles (plate, state, make, model, color);
+     the server rejects plates registered to another student
    
    Validates:
    - Full Name (required, text)
-   - Student ID (required, 6-8 digits)
+   - Student ID (required, 6-8 digits, on the eligibility roster)
    - Email (required, valid format)
    - Parking Spot (selected from parking.html)
    - Spot Type (Solo or Shared)
    - Partner Name (required if shared spot)
-   - Days Schedule (required if shared spot)
+   - Partner Student ID (required if shared spot, unless invited)
+   - Days Schedule (required if shared spot, must match the half)
    - Grade Level (required)
+   - Vehicles (at least one; plate 2-8 letters and numbers,
+     state, make and color required, no plate listed twice)
    - Phone (required, 10+ digits)
    - Terms Acceptance (required checkbox)
    
@@ -32,17 +53,92 @@
 // Global form state
 let selectedSpot = null;
 let formData = {};
+let holdTimer = null; // Countdown interval for the selected spot's hold
+let invite = null; // Partner invite when registering with an invite code
+
+const HOLD_WARNING_MS = 60 * 1000;
+
+const MAX_VEHICLES = 3;
+const PLATE_PATTERN = /^[A-Z0-9]{2,8}$/;
+const DEFAULT_PLATE_STATE = 'NJ';
+const US_STATES = [
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+  'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC',
+  'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'
+];
+
+// Parking days for each half of a shared spot (partnerDays values)
+const HALF_DAYS = {
+  A: 'Monday-Wednesday-Friday',
+  B: 'Tuesday-Thursday'
+};
 
 /**
  * Initialize form on DOM load
  */
 document.addEventListener('DOMContentLoaded', function () {
+  const inviteCode = new URLSearchParams(window.location.search).get('invite');
+
+  setupFormHandlers();
+
+  if (inviteCode) {
+    loadInvite(inviteCode);
+    return;
+  }
+
   restoreSelectedSpot();
   displaySelectedSpot();
-  setupFormHandlers();
+  showHoldCountdown();
   setupConditionalFields();
 });
 
+/**
+ * Load a partner invite and register on the half it holds
+ * @param {string} inviteCode - Code from the inviting student
+ */
+function loadInvite(inviteCode) {
+  const codeForm = document.getElementById('inviteCodeForm');
+  if (codeForm) codeForm.style.display = 'none';
+
+  window.parkingApi.getInvite(inviteCode)
+    .then(data => {
+      invite = data;
+      selectedSpot = {
+        id: invite.parkingSpot,
+        lot: invite.parkingLot,
+        lotKey: invite.lotKey,
+        type: 'shared',
+        half: invite.half
+      };
+      displaySelectedSpot();
+      setupConditionalFields();
+      showInviteBanner();
+      console.log('✓ Partner invite loaded:', invite.inviteCode);
+    })
+    .catch(error => {
+      console.error('✗ Invite lookup failed:', error);
+      if (codeForm) codeForm.style.display = 'block';
+      showFormError(`${escapeHtml(error.message)} <a href="form.html" class="alert-link">Register without an invite</a>`);
+    });
+}
+
+/**
+ * Explain the invite at the top of the form
+ */
+function showInviteBanner() {
+  const banner = document.getElementById('inviteBanner');
+  if (!banner) return;
+
+  banner.textContent = '';
+  const title = document.createElement('strong');
+  title.textContent = `${invite.inviterName} invited you to share Spot ${invite.parkingSpot}.`;
+  banner.appendChild(title);
+  banner.appendChild(document.createTextNode(
+    ` You will park on ${invite.partnerDays.replace(/-/g, '/')}. Please register with the student ID your partner entered` +
+    ` before ${new Date(invite.expiresAt).toLocaleString()}.`));
+  banner.style.display = 'block';
+}
+
 /**
  * Restore selected parking spot from localStorage
  */
@@ -85,6 +181,37 @@ function displaySelectedSpot() {
   }
 }
 
+/**
+ * Show the time left on the selected spot's hold
+ */
+function showHoldCountdown() {
+  const countdown = document.getElementById('holdCountdown');
+  clearInterval(holdTimer);
+  if (!countdown || !selectedSpot || !selectedSpot.hold) return;
+
+  holdTimer = startHoldCountdown(selectedSpot,
+    timeLeft => {
+      countdown.textContent = `This spot is held for you for ${formatHoldTime(timeLeft)}. Please submit before then.`;
+      countdown.className = timeLeft <= HOLD_WARNING_MS ? 'small mt-2 mb-0 text-danger fw-bold' : 'small mt-2 mb-0 text-muted';
+    },
+    () => {
+      countdown.textContent = 'Your hold has expired. You can still submit if no one else has taken the spot in the meantime.';
+      countdown.className = 'small mt-2 mb-0 text-danger fw-bold';
+    });
+}
+
+/**
+ * Stop the hold countdown (the spot was registered or lost)
+ */
+function stopHoldCountdown() {
+  clearInterval(holdTimer);
+
+  const countdown = document.getElementById('holdCountdown');
+  if (countdown) {
+    countdown.textContent = '';
+  }
+}
+
 /**
  * Setup form event handlers
  */
@@ -95,6 +222,26 @@ function setupFormHandlers() {
     form.addEventListener('submit', handleFormSubmit);
   }
 
+  setupVehicleFields();
+
+  const formErrors = document.getElementById('formErrors');
+  if (formErrors) {
+    formErrors.addEventListener('click', function (e) {
+      if (e.target.closest('#requestReviewBtn')) requestEligibilityReview();
+    });
+  }
+
+  const inviteCodeForm = document.getElementById('inviteCodeForm');
+  if (inviteCodeForm) {
+    inviteCodeForm.addEventListener('submit', function (e) {
+      e.preventDefault();
+      const code = document.getElementById('inviteCodeInput').value.replace(/\s+/g, '').toUpperCase();
+      if (code) {
+        window.location.href = `form.html?invite=${encodeURIComponent(code)}`;
+      }
+    });
+  }
+
   // Add real-time validation
   const inputs = document.querySelectorAll('.form-control, .form-select');
   inputs.forEach(input => {
@@ -108,47 +255,217 @@ function setupFormHandlers() {
   });
 }
 
+/**
+ * Setup the vehicle list: one entry to start, add and remove
+ * buttons, and plate checks as the student types
+ */
+function setupVehicleFields() {
+  const vehicleList = document.getElementById('vehicleList');
+  const addVehicleBtn = document.getElementById('addVehicleBtn');
+
+  if (!vehicleList) return;
+
+  addVehicleEntry();
+
+  if (addVehicleBtn) {
+    addVehicleBtn.addEventListener('click', () => addVehicleEntry());
+  }
+
+  vehicleList.addEventListener('click', function (e) {
+    const removeBtn = e.target.closest('.btn-remove-vehicle');
+    if (removeBtn) {
+      removeBtn.closest('.vehicle-entry').remove();
+      renumberVehicleEntries();
+    }
+  });
+
+  vehicleList.addEventListener('focusout', function (e) {
+    if (e.target.classList.contains('vehicle-plate') && e.target.value.trim()) {
+      e.target.classList.toggle('is-invalid', !PLATE_PATTERN.test(normalizePlate(e.target.value)));
+    }
+  });
+}
+
+/**
+ * Add a vehicle entry to the form
+ * @param {object} [vehicle] - Values to fill in
+ */
+function addVehicleEntry(vehicle) {
+  const vehicleList = document.getElementById('vehicleList');
+  const template = document.getElementById('vehicleTemplate');
+  if (!vehicleList || !template || vehicleList.children.length >= MAX_VEHICLES) return;
+
+  const entry = template.content.firstElementChild.cloneNode(true);
+  const stateSelect = entry.querySelector('.vehicle-state');
+  stateSelect.innerHTML = US_STATES.map(state => `<option value="${state}">${state}</option>`).join('');
+  stateSelect.value = (vehicle && vehicle.state) || DEFAULT_PLATE_STATE;
+
+  if (vehicle) {
+    entry.querySelector('.vehicle-plate').value = vehicle.plate || '';
+    entry.querySelector('.vehicle-make').value = vehicle.make || '';
+    entry.querySelector('.vehicle-model').value = vehicle.model || '';
+    entry.querySelector('.vehicle-color').value = vehicle.color || '';
+  }
+
+  vehicleList.appendChild(entry);
+  renumberVehicleEntries();
+}
+
+/**
+ * Number the vehicle entries, link their labels and show the add
+ * and remove buttons only when they can be used
+ */
+function renumberVehicleEntries() {
+  const entries = document.querySelectorAll('#vehicleList .vehicle-entry');
+  const addVehicleBtn = document.getElementById('addVehicleBtn');
+
+  entries.forEach((entry, index) => {
+    entry.querySelector('.vehicle-title').textContent = `Vehicle ${index + 1}`;
+    entry.querySelector('.btn-remove-vehicle').style.display = entries.length > 1 ? '' : 'none';
+    entry.querySelectorAll('label[data-field]').forEach(label => {
+      const input = entry.querySelector(`.vehicle-${label.dataset.field}`);
+      input.id = `vehicle${index + 1}${label.dataset.field[0].toUpperCase()}${label.dataset.field.slice(1)}`;
+      label.htmlFor = input.id;
+    });
+  });
+
+  if (addVehicleBtn) {
+    addVehicleBtn.style.display = entries.length < MAX_VEHICLES ? '' : 'none';
+  }
+}
+
+/**
+ * Read the vehicle entries
+ * @returns {object[]} [{plate, state, make, model, color}]
+ */
+function collectVehicles() {
+  return Array.from(document.querySelectorAll('#vehicleList .vehicle-entry')).map(entry => ({
+    plate: normalizePlate(entry.querySelector('.vehicle-plate').value),
+    state: entry.querySelector('.vehicle-state').value,
+    make: entry.querySelector('.vehicle-make').value.trim(),
+    model: entry.querySelector('.vehicle-model').value.trim(),
+    color: entry.querySelector('.vehicle-color').value.trim()
+  }));
+}
+
+/**
+ * Validate the vehicle entries
+ * @param {string[]} errors - Collects error messages
+ */
+function validateVehicles(errors) {
+  const entries = Array.from(document.querySelectorAll('#vehicleList .vehicle-entry'));
+  const seen = [];
+
+  if (entries.length === 0) {
+    errors.push('Add at least one vehicle you will park on campus');
+  }
+
+  entries.forEach((entry, index) => {
+    const label = entries.length > 1 ? `Vehicle ${index + 1}: ` : '';
+    const plateInput = entry.querySelector('.vehicle-plate');
+    const plate = normalizePlate(plateInput.value);
+    const state = entry.querySelector('.vehicle-state').value;
+    let plateValid = true;
+
+    if (!plate) {
+      errors.push(`${label}License plate is required`);
+      plateValid = false;
+    } else if (!PLATE_PATTERN.test(plate)) {
+      errors.push(`${label}License plate must be 2-8 letters and numbers`);
+      plateValid = false;
+    } else if (seen.includes(`${state} ${plate}`)) {
+      errors.push(`${label}${state} ${plate} is listed twice`);
+      plateValid = false;
+    }
+    seen.push(`${state} ${plate}`);
+    plateInput.classList.toggle('is-invalid', !plateValid);
+
+    ['make', 'color'].forEach(field => {
+      const input = entry.querySelector(`.vehicle-${field}`);
+      const missing = !input.value.trim();
+      if (missing) errors.push(`${label}${field === 'make' ? 'Make' : 'Color'} is required`);
+      input.classList.toggle('is-invalid', missing);
+    });
+  });
+}
+
+/**
+ * Normalize a license plate the way the server stores it
+ * @param {string} plate - Plate as typed (e.g. 'abc-1234')
+ * @returns {string} Upper case, no spaces or hyphens
+ */
+function normalizePlate(plate) {
+  return String(plate || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
 /**
  * Setup conditional field visibility
  */
 function setupConditionalFields() {
   const spotTypeSelect = document.getElementById('spotType');
-  const partnerSection = document.getElementById('partnerSection');
-  const partnerDaysSection = document.getElementById('partnerDaysSection');
-  const partnerName = document.getElementById('partnerName');
-  const partnerDays = document.getElementById('partnerDays');
 
   if (spotTypeSelect) {
     // Initial state based on selected spot
     if (selectedSpot && selectedSpot.type === 'shared') {
       spotTypeSelect.value = 'Shared';
-      partnerSection.style.display = 'block';
-      partnerDaysSection.style.display = 'block';
-      partnerName.required = true;
-      partnerDays.required = true;
+      showSharedFields(true);
     }
 
     // Event listener for changes
     spotTypeSelect.addEventListener('change', function () {
-      if (this.value === 'Shared') {
-        partnerSection.style.display = 'block';
-        partnerDaysSection.style.display = 'block';
-        partnerName.required = true;
-        partnerDays.required = true;
-        console.log('✓ Shared spot fields visible');
-      } else {
-        partnerSection.style.display = 'none';
-        partnerDaysSection.style.display = 'none';
-        partnerName.required = false;
-        partnerDays.required = false;
-        partnerName.value = '';
-        partnerDays.value = '';
-        console.log('✓ Solo spot fields hidden');
-      }
+      showSharedFields(this.value === 'Shared');
+      console.log(this.value === 'Shared' ? '✓ Shared spot fields visible' : '✓ Solo spot fields hidden');
     });
   }
 }
 
+/**
+ * Show or hide the shared spot fields. Parking days follow the
+ * chosen half; an invited partner's name comes from the invite.
+ * @param {boolean} shared - True for a shared spot
+ */
+function showSharedFields(shared) {
+  const partnerSection = document.getElementById('partnerSection');
+  const partnerStudentIdSection = document.getElementById('partnerStudentIdSection');
+  const partnerDaysSection = document.getElementById('partnerDaysSection');
+  const partnerName = document.getElementById('partnerName');
+  const partnerStudentId = document.getElementById('partnerStudentId');
+  const partnerDays = document.getElementById('partnerDays');
+
+  partnerSection.style.display = shared ? 'block' : 'none';
+  partnerStudentIdSection.style.display = shared && !invite ? 'block' : 'none';
+  partnerDaysSection.style.display = shared ? 'block' : 'none';
+  partnerName.required = shared;
+  partnerStudentId.required = shared && !invite;
+  partnerDays.required = shared;
+
+  if (!shared) {
+    partnerName.value = '';
+    partnerStudentId.value = '';
+    partnerDays.value = '';
+    return;
+  }
+
+  if (selectedSpot && selectedSpot.half && !partnerDays.value) {
+    partnerDays.value = HALF_DAYS[selectedSpot.half];
+  }
+
+  // A partner matched on the partner board
+  const match = JSON.parse(localStorage.getItem('partnerMatch') || 'null');
+  if (match && !invite && !partnerName.value && !partnerStudentId.value) {
+    partnerName.value = match.fullName;
+    partnerStudentId.value = match.studentId;
+    console.log('✓ Partner filled in from the partner board:', match.fullName);
+  }
+
+  if (invite) {
+    partnerName.value = invite.inviterName;
+    partnerName.readOnly = true;
+    partnerDays.value = invite.partnerDays;
+    partnerDays.disabled = true;
+  }
+}
+
 /**
  * Handle form submission
  */
@@ -170,12 +487,47 @@ function handleFormSubmit(e) {
   // Collect form data
   collectFormData();
 
-  // Save to localStorage
-  saveFormData();
+  // Check the roster and the registration phase, save on the server, then show the confirmation page
+  setSubmitting(true);
+  verifyEligibility()
+    .then(verifyRegistrationPhase)
+    .then(saveFormData)
+    .then(() => {
+      console.log('✓ Form submitted successfully');
+      stopHoldCountdown();
+      redirectToConfirmation();
+    })
+    .catch(error => {
+      console.error('✗ Registration rejected:', error);
+      if (error.eligibility) {
+        showEligibilityRejection(error.eligibility);
+        setSubmitting(false);
+        return;
+      }
+      if (error.phase) {
+        showFormError(`<strong>Registration is not open for you right now.</strong> ${escapeHtml(error.phase.message)}`);
+        setSubmitting(false);
+        return;
+      }
+      if (error.status === 409) {
+        // The spot was taken (or is held by someone else), so the hold no longer matters
+        stopHoldCountdown();
+      }
+      showSubmissionError(error);
+      setSubmitting(false);
+    });
+}
+
+/**
+ * Disable the submit button while a submission is in flight
+ * @param {boolean} submitting - True while waiting for the server
+ */
+function setSubmitting(submitting) {
+  const submitBtn = document.querySelector('#registrationForm button[type="submit"]');
 
-  // Redirect to confirmation page
-  console.log('✓ Form submitted successfully');
-  redirectToConfirmation();
+  if (submitBtn) {
+    submitBtn.disabled = submitting;
+  }
 }
 
 /**
@@ -197,6 +549,8 @@ function validateForm() {
   const email = document.getElementById('email');
   const spotType = document.getElementById('spotType');
   const partnerName = document.getElementById('partnerName');
+  const partnerStudentId = document.getElementById('partnerStudentId');
+  const partnerDays = document.getElementById('partnerDays');
   const gradeLevel = document.getElementById('gradeLevel');
   const terms = document.getElementById('terms');
 
@@ -242,6 +596,27 @@ function validateForm() {
     } else {
       partnerName.classList.remove('is-invalid');
     }
+
+    if (!invite) {
+      if (!validateStudentId(partnerStudentId.value)) {
+        errors.push("Your partner's 6-8 digit student ID is required for shared spots");
+        partnerStudentId.classList.add('is-invalid');
+      } else if (partnerStudentId.value.trim() === studentId.value.trim()) {
+        errors.push('Your partner must be a different student');
+        partnerStudentId.classList.add('is-invalid');
+      } else {
+        partnerStudentId.classList.remove('is-invalid');
+      }
+    }
+
+    // Each half parks on fixed days, so the schedule must match the half
+    const half = selectedSpot && selectedSpot.half;
+    if (half && partnerDays.value && partnerDays.value !== HALF_DAYS[half]) {
+      errors.push(`Half ${half} parks ${HALF_DAYS[half].replace(/-/g, '/')}; the other days belong to your partner`);
+      partnerDays.classList.add('is-invalid');
+    } else {
+      partnerDays.classList.remove('is-invalid');
+    }
   }
 
   if (!gradeLevel.value) {
@@ -251,6 +626,8 @@ function validateForm() {
     gradeLevel.classList.remove('is-invalid');
   }
 
+  validateVehicles(errors);
+
   if (!terms.checked) {
     errors.push('You must agree to the parking rules');
     terms.classList.add('is-invalid');
@@ -261,7 +638,7 @@ function validateForm() {
   // Display errors if any
   if (errors.length > 0) {
     formErrors.innerHTML = '<strong>Please fix the following errors:</strong><ul>' +
-      errors.map(err => `<li>${err}</li>`).join('') +
+      errors.map(err => `<li>${escapeHtml(err)}</li>`).join('') +
       '</ul>';
     formErrors.style.display = 'block';
     console.warn('Form errors:', errors);
@@ -285,6 +662,9 @@ function validateField(field) {
     case 'studentId':
       isValid = validateStudentId(field.value);
       break;
+    case 'partnerStudentId':
+      isValid = field.value.trim() === '' || validateStudentId(field.value);
+      break;
     case 'email':
       isValid = validateEmail(field.value) || field.value.trim() === '';
       break;
@@ -334,45 +714,146 @@ function collectFormData() {
     gradeLevel: document.getElementById('gradeLevel').value,
     parkingLot: selectedSpot.lot,
     parkingSpot: selectedSpot.id,
-    spotType: selectedSpot.type
+    spotType: selectedSpot.type,
+    vehicles: collectVehicles()
   };
 
   // Add partner info if shared spot
   if (selectedSpot.type === 'shared') {
+    formData.half = selectedSpot.half;
     formData.parkingPartner = document.getElementById('partnerName').value.trim();
     formData.partnerDays = document.getElementById('partnerDays').value;
-    formData.userSchedule = selectedSpot.half === 'A' ? 'Monday/Wednesday/Friday' : 'Tuesday/Thursday';
   }
 
-  // Add timestamp and reference
-  formData.submittedAt = new Date().toISOString();
-  formData.referenceId = generateReferenceId();
+  // An invited partner is placed by the invite; otherwise the partner gets invited
+  if (invite) {
+    formData.inviteCode = invite.inviteCode;
+  } else if (selectedSpot.type === 'shared') {
+    formData.partnerStudentId = document.getElementById('partnerStudentId').value.trim();
+  }
+
+  // The hold placed on the parking page lets the server give this student the spot
+  if (selectedSpot.hold) {
+    formData.holdId = selectedSpot.hold.holdId;
+    formData.holdToken = selectedSpot.hold.holdToken;
+  }
 
   console.log('✓ Form data collected:', formData);
 }
 
 /**
- * Save form data to localStorage
+ * Check the student ID and name against the eligibility roster
+ * (the server checks again when the registration is saved)
+ * @returns {Promise<object>} Roster check; rejects with an error
+ *   carrying `eligibility` when the student is not eligible
  */
-function saveFormData() {
-  // Save current submission
-  localStorage.setItem('currentRegistration', JSON.stringify(formData));
+function verifyEligibility() {
+  return window.parkingApi.verifyStudent(formData.studentId, formData.fullName)
+    .then(result => {
+      if (!result.eligible) {
+        const error = new Error('You are not eligible for student parking');
+        error.eligibility = result;
+        throw error;
+      }
+      if (result.rosterActive) {
+        console.log('✓ Student found on the eligibility roster');
+      }
+      return result;
+    });
+}
+
+/**
+ * Check that the current registration phase lets the student register
+ * (the server checks again when the registration is saved)
+ * @returns {Promise<object>} Phase check; rejects with an error
+ *   carrying `phase` when the student may not register now
+ */
+function verifyRegistrationPhase() {
+  return window.parkingApi.checkRegistrationPhase({
+    studentId: formData.studentId,
+    gradeLevel: formData.gradeLevel,
+    inviteCode: formData.inviteCode
+  })
+    .then(result => {
+      if (!result.allowed) {
+        const error = new Error('Registration is not open for you right now');
+        error.phase = result;
+        throw error;
+      }
+      if (result.override) {
+        console.log('✓ Registering with a registration phase override');
+      }
+      return result;
+    });
+}
 
-  // Also save to submissions array for admin view
-  let submissions = JSON.parse(localStorage.getItem('parkingSubmissions') || '[]');
-  submissions.push(formData);
-  localStorage.setItem('parkingSubmissions', JSON.stringify(submissions));
+/**
+ * Explain why the roster turned the student away and offer a
+ * manual review when one can still be requested
+ * @param {object} result - Roster check from verifyEligibility()
+ */
+function showEligibilityRejection(result) {
+  let html = `<strong>You are not eligible for student parking.</strong> ${escapeHtml(result.message)}`;
+
+  if (result.canRequestReview) {
+    html += `
+      <div class="mt-3">
+        <label for="reviewNote" class="form-label">Think this is a mistake? Ask the Administration Office to check
+          your eligibility:</label>
+        <textarea class="form-control mb-2" id="reviewNote" rows="2" maxlength="300"
+          placeholder="Optional note, e.g. I got my license last week"></textarea>
+        <button type="button" class="btn btn-outline-dark btn-sm" id="requestReviewBtn">Request a manual review</button>
+      </div>`;
+  }
 
-  console.log('✓ Form data saved to localStorage');
+  showFormError(html);
 }
 
 /**
- * Generate unique reference ID
+ * Queue the student for a manual eligibility review
  */
-function generateReferenceId() {
-  const timestamp = Date.now().toString(36).toUpperCase();
-  const random = Math.random().toString(36).substring(2, 7).toUpperCase();
-  return `REF-${timestamp}-${random}`;
+function requestEligibilityReview() {
+  const button = document.getElementById('requestReviewBtn');
+  const note = document.getElementById('reviewNote');
+
+  if (button) button.disabled = true;
+
+  window.parkingApi.requestEligibilityReview({
+    fullName: formData.fullName,
+    studentId: formData.studentId,
+    email: formData.email,
+    phone: formData.phone,
+    gradeLevel: formData.gradeLevel,
+    note: note ? note.value.trim() : ''
+  })
+    .then(review => {
+      const formErrors = document.getElementById('formErrors');
+      formErrors.className = 'alert alert-info';
+      formErrors.innerHTML = `<strong>Review requested (${review.reviewId}).</strong> The Administration Office ` +
+        `will check your eligibility and email you at ${escapeHtml(formData.email)}. ` +
+        'Once you are approved you can register here.';
+      console.log('✓ Eligibility review requested:', review.reviewId);
+    })
+    .catch(error => {
+      if (button) button.disabled = false;
+      showSubmissionError(error);
+    });
+}
+
+/**
+ * Submit form data to the server, which reserves the selected spot
+ * @returns {Promise<object>} Saved registration
+ */
+function saveFormData() {
+  return window.parkingApi.createRegistration(formData)
+    .then(registration => {
+      // Keep a copy on this device for the confirmation page
+      formData = registration;
+      localStorage.setItem('currentRegistration', JSON.stringify(registration));
+      localStorage.removeItem('partnerMatch');
+      console.log('✓ Registration saved:', registration.referenceId);
+      return registration;
+    });
 }
 
 /**
@@ -380,11 +861,28 @@ function generateReferenceId() {
  */
 function showFormError(message) {
   const formErrors = document.getElementById('formErrors');
+  formErrors.className = 'alert alert-danger';
   formErrors.innerHTML = message;
   formErrors.style.display = 'block';
   console.error('✗ Form error:', message);
 }
 
+/**
+ * Show an error returned by the server
+ * @param {Error} error - Error from the API client (may carry details)
+ */
+function showSubmissionError(error) {
+  if (error.details && error.details.length > 0) {
+    showFormError(`<strong>${escapeHtml(error.message)}:</strong><ul>` +
+      error.details.map(detail => `<li>${escapeHtml(detail)}</li>`).join('') +
+      '</ul>');
+  } else if (error.status === 409) {
+    showFormError(`${escapeHtml(error.message)} <a href="parking.html" class="alert-link">Choose another spot</a>`);
+  } else {
+    showFormError(escapeHtml(error.message));
+  }
+}
+
 /**
  * Redirect to confirmation page
  */
@@ -0,0 +1,488 @@
+/* ============================================================
+   LOT MAP
+   ============================================================
+   Draws a parking lot as an SVG map from the geometry in its
+   lot definition: rows of spots, drive aisles, orientation,
+   vehicle/building entrances and nearby landmarks. Lots without
+   geometry get a default layout of back-to-back rows.
+
+   Features:
+   - Shared spots drawn as two halves (A and B), each clickable
+   - Spot status colours (available, taken, held, closed, selected)
+   - Re-drawing the same lot (e.g., a status refresh) keeps the
+     current pan and zoom
+   - Pan by dragging, zoom with the wheel, pinch or buttons
+   - Keyboard access: every open spot (or half) is a button
+   - Spots beyond the rows in the geometry are added as extra
+     rows, so newly added spots always appear on the map
+
+   Geometry format: see server/lib/layout.js
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+class LotMap {
+  /**
+   * @param {HTMLElement} container - Element to draw the map in
+   */
+  constructor(container) {
+    this.container = container;
+
+    // Sizes in map units (one unit is one pixel at 100% zoom)
+    this.SPOT_WIDTH = 40;
+    this.SPOT_DEPTH = 64;
+    this.AISLE_WIDTH = 56;
+    this.ROW_GAP = 6;
+    this.PADDING = 24;
+    this.LABEL_SPACE = 48;
+    this.MARGIN = 90;
+    this.DEFAULT_ROW_LENGTH = 20;
+    this.MAX_ZOOM = 8;
+
+    this.baseView = null;
+    this.view = null;
+    this.lotName = null;
+    this.pointers = new Map();
+    this.dragDistance = 0;
+
+    this.createElements();
+    this.setupPanZoom();
+  }
+
+  /**
+   * Create the SVG element and zoom controls
+   */
+  createElements() {
+    this.container.innerHTML = '';
+    this.container.classList.add('lot-map');
+
+    const controls = document.createElement('div');
+    controls.className = 'lot-map-controls btn-group-vertical';
+    controls.innerHTML = `
+      <button type="button" class="btn btn-light btn-sm" data-zoom="in" aria-label="Zoom in">+</button>
+      <button type="button" class="btn btn-light btn-sm" data-zoom="out" aria-label="Zoom out">−</button>
+      <button type="button" class="btn btn-light btn-sm" data-zoom="reset" aria-label="Show whole lot">⟲</button>
+    `;
+    controls.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-zoom]');
+      if (!button) return;
+
+      if (button.dataset.zoom === 'reset') {
+        this.resetView();
+      } else {
+        this.zoomAtCenter(button.dataset.zoom === 'in' ? 1 / 1.4 : 1.4);
+      }
+    });
+
+    this.svg = document.createElementNS(SVG_NS, 'svg');
+    this.svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+    this.svg.setAttribute('role', 'group');
+
+    this.container.appendChild(controls);
+    this.container.appendChild(this.svg);
+  }
+
+  /**
+   * Create an SVG element with attributes
+   * @param {string} tag - SVG tag name
+   * @param {object} attributes - Attribute values
+   * @param {SVGElement} [parent] - Element to append to
+   * @returns {SVGElement} New element
+   */
+  createSvgElement(tag, attributes, parent) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    if (parent) parent.appendChild(element);
+    return element;
+  }
+
+  /**
+   * Add a text label
+   * @param {SVGElement} parent - Element to append to
+   * @param {string} text - Label text
+   * @param {number} x - Centre x
+   * @param {number} y - Centre y
+   * @param {string} className - CSS class
+   * @param {boolean} [vertical] - Rotate to run top-to-bottom
+   * @returns {SVGElement} Text element
+   */
+  addText(parent, text, x, y, className, vertical = false) {
+    const label = this.createSvgElement('text', {
+      x: x,
+      y: y,
+      class: className,
+      'text-anchor': 'middle',
+      'dominant-baseline': 'central'
+    }, parent);
+    if (vertical) label.setAttribute('transform', `rotate(-90 ${x} ${y})`);
+    label.textContent = text;
+    return label;
+  }
+
+  /**
+   * Work out the rows of a lot, filling them with its spots in order
+   * @param {object} lot - Lot with spots and optional geometry
+   * @returns {object} {orientation, rows: [{label, facing, spots}], aisles, entrances, landmarks}
+   */
+  buildRows(lot) {
+    const geometry = lot.geometry || {};
+    const spots = lot.spots || [];
+    const definedRows = (geometry.rows || []).slice();
+    const aisles = new Set(geometry.aisles || []);
+
+    // Default layout: back-to-back rows with an aisle between each pair
+    if (definedRows.length === 0) {
+      const count = Math.max(1, Math.ceil(spots.length / this.DEFAULT_ROW_LENGTH));
+      for (let i = 0; i < count; i++) {
+        definedRows.push({ label: `Row ${i + 1}`, spots: this.DEFAULT_ROW_LENGTH, facing: i % 2 === 0 ? 'down' : 'up' });
+        if (i % 2 === 0) aisles.add(i + 1);
+      }
+    }
+
+    const rows = [];
+    let next = 0;
+    definedRows.forEach(row => {
+      rows.push({ label: row.label, facing: row.facing || 'up', spots: spots.slice(next, next + row.spots) });
+      next += row.spots;
+    });
+
+    // Spots added after the geometry was drawn go into extra rows
+    const extraLength = definedRows[definedRows.length - 1].spots;
+    while (next < spots.length) {
+      if (rows.length > 0) aisles.add(rows.length);
+      rows.push({ label: `Row ${rows.length + 1}`, facing: 'up', spots: spots.slice(next, next + extraLength) });
+      next += extraLength;
+    }
+
+    return {
+      orientation: geometry.orientation === 'vertical' ? 'vertical' : 'horizontal',
+      rows: rows.filter(row => row.spots.length > 0),
+      aisles: aisles,
+      entrances: geometry.entrances || [],
+      landmarks: geometry.landmarks || []
+    };
+  }
+
+  /**
+   * Draw a lot
+   * @param {object} lot - Lot from the API (spots with status applied)
+   * @param {object} options - {isSelected(spot), onSelect(spot, half), describe(spot)}
+   */
+  render(lot, options) {
+    const layout = this.buildRows(lot);
+    const vertical = layout.orientation === 'vertical';
+
+    // Positions are worked out along the row (u) and across rows (v),
+    // then turned into x/y for the lot's orientation
+    const toBox = (u, v, length, depth) => (vertical
+      ? { x: v, y: u, width: depth, height: length }
+      : { x: u, y: v, width: length, height: depth });
+
+    const rowStart = this.PADDING + this.LABEL_SPACE;
+    const longestRow = Math.max(1, ...layout.rows.map(row => row.spots.length));
+    const lotLength = rowStart + longestRow * this.SPOT_WIDTH + this.PADDING;
+
+    const placedRows = [];
+    const aisleBands = [];
+    let v = this.PADDING;
+    layout.rows.forEach((row, index) => {
+      placedRows.push({ row: row, v: v });
+      v += this.SPOT_DEPTH;
+
+      if (index < layout.rows.length - 1) {
+        if (layout.aisles.has(index + 1)) {
+          aisleBands.push(v);
+          v += this.AISLE_WIDTH;
+        } else {
+          v += this.ROW_GAP;
+        }
+      }
+    });
+    const lotDepth = v + this.PADDING;
+
+    const lotBox = toBox(0, 0, lotLength, lotDepth);
+    this.svg.innerHTML = '';
+    this.svg.setAttribute('aria-label', `Map of ${lot.name}`);
+
+    // Lot surface and drive aisles
+    this.createSvgElement('rect', Object.assign({ class: 'map-lot', rx: 12 }, lotBox), this.svg);
+    aisleBands.forEach(bandStart => {
+      this.createSvgElement('rect', Object.assign({ class: 'map-aisle' },
+        toBox(0, bandStart, lotLength, this.AISLE_WIDTH)), this.svg);
+
+      const middle = bandStart + this.AISLE_WIDTH / 2;
+      const from = toBox(this.PADDING, middle, 0, 0);
+      const to = toBox(lotLength - this.PADDING, middle, 0, 0);
+      this.createSvgElement('line', { class: 'map-aisle-line', x1: from.x, y1: from.y, x2: to.x, y2: to.y }, this.svg);
+    });
+
+    // Rows of spots
+    placedRows.forEach(({ row, v: rowV }) => {
+      const labelBox = toBox(this.PADDING, rowV, this.LABEL_SPACE, this.SPOT_DEPTH);
+      this.addText(this.svg, row.label, labelBox.x + labelBox.width / 2, labelBox.y + labelBox.height / 2,
+        'map-row-label');
+
+      row.spots.forEach((spot, index) => {
+        this.drawSpot(spot, rowStart + index * this.SPOT_WIDTH, rowV, row.facing, toBox, vertical, options);
+      });
+    });
+
+    this.drawMarkers(layout, lotBox);
+
+    this.baseView = {
+      x: -this.MARGIN,
+      y: -this.MARGIN,
+      width: lotBox.width + this.MARGIN * 2,
+      height: lotBox.height + this.MARGIN * 2
+    };
+
+    if (this.lotName === lot.name && this.view) {
+      this.setView(this.view);
+    } else {
+      this.resetView();
+    }
+    this.lotName = lot.name;
+  }
+
+  /**
+   * Draw one spot (two halves for a shared spot)
+   * @param {object} spot - Spot data
+   * @param {number} u - Position along the row
+   * @param {number} v - Position across rows
+   * @param {string} facing - 'up' or 'down' (the open end of the spot)
+   * @param {Function} toBox - Converts row coordinates to x/y
+   * @param {boolean} vertical - Lot orientation is vertical
+   * @param {object} options - Render options
+   */
+  drawSpot(spot, u, v, facing, toBox, vertical, options) {
+    const group = this.createSvgElement('g', {
+      id: `spot-${spot.id}`,
+      class: `map-spot ${spot.status} ${spot.type}`
+    }, this.svg);
+
+    if (spot.designation && spot.designation !== 'standard') group.classList.add(spot.designation);
+    if (options.isSelected(spot)) group.classList.add('selected');
+
+    const title = this.createSvgElement('title', {}, group);
+    title.textContent = options.describe(spot);
+
+    const halves = spot.type === 'shared' ? ['A', 'B'] : [null];
+    const halfDepth = this.SPOT_DEPTH / halves.length;
+    const marker = spot.designation === 'accessible' ? ' ♿' : spot.designation === 'compact' ? ' C' : '';
+
+    halves.forEach((half, index) => {
+      const status = half && spot.halves ? spot.halves[half].status : spot.status;
+      const box = toBox(u + 2, v + index * halfDepth + 1, this.SPOT_WIDTH - 4, halfDepth - 2);
+      const halfGroup = this.createSvgElement('g', { class: `map-spot-half ${status}` }, group);
+
+      this.createSvgElement('rect', Object.assign({ rx: 3 }, box), halfGroup);
+      this.addText(halfGroup, (half ? `${spot.id} ${half}` : spot.id) + marker,
+        box.x + box.width / 2, box.y + box.height / 2, 'map-spot-label');
+
+      if (status === 'available') {
+        const label = half ? `${options.describe(spot)}, half ${half}` : options.describe(spot);
+        halfGroup.setAttribute('tabindex', '0');
+        halfGroup.setAttribute('role', 'button');
+        halfGroup.setAttribute('aria-label', label);
+
+        const choose = () => {
+          if (this.dragDistance > 5) return;
+          options.onSelect(spot, half);
+        };
+        halfGroup.addEventListener('click', choose);
+        halfGroup.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            options.onSelect(spot, half);
+          }
+        });
+      }
+    });
+
+    // Curb line on the closed end of the spot
+    const curbV = facing === 'down' ? v : v + this.SPOT_DEPTH;
+    const start = toBox(u, curbV, 0, 0);
+    const end = toBox(u + this.SPOT_WIDTH, curbV, 0, 0);
+    this.createSvgElement('line', { class: 'map-curb', x1: start.x, y1: start.y, x2: end.x, y2: end.y }, group);
+  }
+
+  /**
+   * Draw entrances on the lot edge and landmarks beside it
+   * @param {object} layout - Result of buildRows()
+   * @param {object} lotBox - Lot rectangle {x, y, width, height}
+   */
+  drawMarkers(layout, lotBox) {
+    // Point on a side at a 0-1 position, pushed outward by an offset
+    const pointOnSide = (side, position, offset) => {
+      switch (side) {
+        case 'top': return { x: lotBox.width * position, y: -offset };
+        case 'bottom': return { x: lotBox.width * position, y: lotBox.height + offset };
+        case 'left': return { x: -offset, y: lotBox.height * position };
+        default: return { x: lotBox.width + offset, y: lotBox.height * position };
+      }
+    };
+    const isVerticalSide = side => side === 'left' || side === 'right';
+
+    layout.landmarks.forEach(landmark => {
+      const thickness = 36;
+      const centre = pointOnSide(landmark.side, landmark.position, this.MARGIN - thickness / 2 - 6);
+      const sideLength = isVerticalSide(landmark.side) ? lotBox.height : lotBox.width;
+      const length = sideLength * (landmark.size || 0.4);
+      const box = isVerticalSide(landmark.side)
+        ? { x: centre.x - thickness / 2, y: centre.y - length / 2, width: thickness, height: length }
+        : { x: centre.x - length / 2, y: centre.y - thickness / 2, width: length, height: thickness };
+
+      this.createSvgElement('rect', Object.assign({ class: 'map-landmark', rx: 4 }, box), this.svg);
+      this.addText(this.svg, landmark.label, centre.x, centre.y, 'map-landmark-label', isVerticalSide(landmark.side));
+    });
+
+    layout.entrances.forEach(entrance => {
+      const onEdge = pointOnSide(entrance.side, entrance.position, 0);
+      const labelPoint = pointOnSide(entrance.side, entrance.position, 16);
+      const vertical = isVerticalSide(entrance.side);
+
+      if (entrance.type === 'vehicle') {
+        const gap = 64;
+        const box = vertical
+          ? { x: onEdge.x - 6, y: onEdge.y - gap / 2, width: 12, height: gap }
+          : { x: onEdge.x - gap / 2, y: onEdge.y - 6, width: gap, height: 12 };
+        this.createSvgElement('rect', Object.assign({ class: 'map-entrance vehicle', rx: 3 }, box), this.svg);
+      } else {
+        this.createSvgElement('circle', { class: 'map-entrance building', cx: onEdge.x, cy: onEdge.y, r: 8 }, this.svg);
+      }
+
+      this.addText(this.svg, entrance.label, labelPoint.x, labelPoint.y, `map-entrance-label ${entrance.type}`, vertical);
+    });
+  }
+
+  /* ------------------------------------------------------------
+     PAN AND ZOOM (by changing the SVG viewBox)
+     ------------------------------------------------------------ */
+
+  /**
+   * Show the whole lot
+   */
+  resetView() {
+    if (!this.baseView) return;
+    this.setView(Object.assign({}, this.baseView));
+  }
+
+  /**
+   * Apply a view, keeping it inside the lot and the zoom limits
+   * @param {object} view - {x, y, width, height}
+   */
+  setView(view) {
+    const base = this.baseView;
+    const width = Math.min(base.width, Math.max(base.width / this.MAX_ZOOM, view.width));
+    const height = width * (base.height / base.width);
+
+    this.view = {
+      x: Math.min(base.x + base.width - width, Math.max(base.x, view.x)),
+      y: Math.min(base.y + base.height - height, Math.max(base.y, view.y)),
+      width: width,
+      height: height
+    };
+
+    this.svg.setAttribute('viewBox', `${this.view.x} ${this.view.y} ${this.view.width} ${this.view.height}`);
+  }
+
+  /**
+   * Convert a screen point to map units
+   * @param {number} clientX - Screen x
+   * @param {number} clientY - Screen y
+   * @returns {DOMPoint} Point in map units
+   */
+  toMapPoint(clientX, clientY) {
+    return new DOMPoint(clientX, clientY).matrixTransform(this.svg.getScreenCTM().inverse());
+  }
+
+  /**
+   * Zoom around a screen point
+   * @param {number} factor - Below 1 zooms in, above 1 zooms out
+   * @param {number} clientX - Screen x to keep still
+   * @param {number} clientY - Screen y to keep still
+   */
+  zoomAt(factor, clientX, clientY) {
+    if (!this.view) return;
+
+    const point = this.toMapPoint(clientX, clientY);
+    const width = this.view.width * factor;
+    const height = this.view.height * factor;
+
+    this.setView({
+      x: point.x - (point.x - this.view.x) * (width / this.view.width),
+      y: point.y - (point.y - this.view.y) * (height / this.view.height),
+      width: width,
+      height: height
+    });
+  }
+
+  /**
+   * Zoom around the middle of the map
+   * @param {number} factor - Below 1 zooms in, above 1 zooms out
+   */
+  zoomAtCenter(factor) {
+    const rect = this.svg.getBoundingClientRect();
+    this.zoomAt(factor, rect.left + rect.width / 2, rect.top + rect.height / 2);
+  }
+
+  /**
+   * Wire up wheel zoom, drag to pan and two-finger pinch
+   */
+  setupPanZoom() {
+    this.svg.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      this.zoomAt(e.deltaY < 0 ? 1 / 1.2 : 1.2, e.clientX, e.clientY);
+    }, { passive: false });
+
+    this.svg.addEventListener('pointerdown', (e) => {
+      this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      if (this.pointers.size === 1) this.dragDistance = 0;
+    });
+
+    this.svg.addEventListener('pointermove', (e) => {
+      const previous = this.pointers.get(e.pointerId);
+      if (!previous || !this.view) return;
+
+      const scale = this.svg.getScreenCTM().a;
+
+      if (this.pointers.size === 1) {
+        const dx = e.clientX - previous.x;
+        const dy = e.clientY - previous.y;
+        this.dragDistance += Math.abs(dx) + Math.abs(dy);
+
+        // Only capture once it is clearly a drag, so taps still reach the spots
+        if (this.dragDistance > 5) {
+          if (!this.svg.hasPointerCapture(e.pointerId)) this.svg.setPointerCapture(e.pointerId);
+          this.svg.classList.add('panning');
+          this.setView(Object.assign({}, this.view, {
+            x: this.view.x - dx / scale,
+            y: this.view.y - dy / scale
+          }));
+        }
+      } else if (this.pointers.size === 2) {
+        const [first, second] = [...this.pointers.values()];
+        const other = first === previous ? second : first;
+        const before = Math.hypot(previous.x - other.x, previous.y - other.y);
+        const after = Math.hypot(e.clientX - other.x, e.clientY - other.y);
+
+        if (before > 0 && after > 0) {
+          this.dragDistance = Infinity;
+          this.zoomAt(before / after, (e.clientX + other.x) / 2, (e.clientY + other.y) / 2);
+        }
+      }
+
+      this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    });
+
+    const endPointer = (e) => {
+      this.pointers.delete(e.pointerId);
+      if (this.pointers.size === 0) this.svg.classList.remove('panning');
+    };
+    this.svg.addEventListener('pointerup', endPointer);
+    this.svg.addEventListener('pointercancel', endPointer);
+  }
+}
@@ -0,0 +1,307 @@
+/* ============================================================
+   LOTTERY PAGE SCRIPT
+   ============================================================
+   Lets students apply for the parking lottery during a lottery
+   phase, and see their result once the office has run the draw.
+
+   Features:
+   - Ranked choices (lot or any lot, solo or shared), with lots
+     from the lot registry
+   - Partner fields when any choice is a shared spot
+   - The form only shows while the lottery takes applications
+     ('registrationphase' event from phase-banner.js)
+   - Server-side validation errors shown on the form
+   - Application ID kept in LocalStorage (lotteryApplicationId)
+     so the result shows on return visits
+   - Result lookup by application ID
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+const LOTTERY_CHOICES = 3;
+const CHOICE_LABELS = ['1st', '2nd', '3rd'];
+
+let lotteryLots = {};
+
+/**
+ * Initialize lottery page on DOM load
+ */
+document.addEventListener('DOMContentLoaded', function () {
+  loadLotteryLots();
+  setupLotteryHandlers();
+
+  const savedId = localStorage.getItem('lotteryApplicationId');
+  if (savedId) {
+    loadApplicationStatus(savedId);
+  }
+});
+
+/**
+ * Show the application form only while the lottery takes applications
+ */
+document.addEventListener('registrationphase', function (e) {
+  const open = e.detail.current.status === 'lottery';
+  document.getElementById('lotteryForm').style.display = open ? 'block' : 'none';
+  document.getElementById('lotteryClosedMsg').style.display = open ? 'none' : 'block';
+});
+
+/**
+ * Load lots from the server and build the choice rows
+ */
+function loadLotteryLots() {
+  window.parkingApi.getParkingData()
+    .then(data => {
+      lotteryLots = data;
+      renderChoiceRows();
+      console.log('✓ Lottery lots loaded');
+    })
+    .catch(error => {
+      console.error('✗ Error loading lots:', error);
+      showFormError('Failed to load the parking lots. Please refresh the page.');
+    });
+}
+
+/**
+ * Build one row per ranked choice (lot + spot type)
+ */
+function renderChoiceRows() {
+  const container = document.getElementById('lotteryPreferences');
+  if (!container) return;
+
+  const lotOptions = Object.entries(lotteryLots)
+    .map(([lotKey, lot]) => `<option value="${lotKey}">${escapeHtml(lot.name)}</option>`).join('');
+
+  container.innerHTML = CHOICE_LABELS.slice(0, LOTTERY_CHOICES).map((label, index) => `
+    <div class="row g-2 mb-2 align-items-center lottery-choice">
+      <div class="col-2 small fw-bold">${label}</div>
+      <div class="col-5">
+        <select class="form-select form-select-sm choice-lot" aria-label="${label} choice lot">
+          <option value="">Any lot</option>${lotOptions}
+        </select>
+      </div>
+      <div class="col-5">
+        <select class="form-select form-select-sm choice-type" aria-label="${label} choice spot type">
+          ${index === 0 ? '' : '<option value="">No more choices</option>'}
+          <option value="solo">Solo Spot (Every Day)</option>
+          <option value="shared">Shared Spot (Alternate Days)</option>
+        </select>
+      </div>
+    </div>
+  `).join('');
+
+  // Later choices start empty
+  container.querySelectorAll('.choice-type').forEach((select, index) => {
+    select.value = index === 0 ? 'solo' : '';
+  });
+}
+
+/**
+ * Setup form and button handlers
+ */
+function setupLotteryHandlers() {
+  const form = document.getElementById('lotteryForm');
+  const lookupForm = document.getElementById('lotteryLookupForm');
+  const preferences = document.getElementById('lotteryPreferences');
+  const forgetBtn = document.getElementById('forgetApplicationBtn');
+
+  if (form) {
+    form.addEventListener('submit', handleApplicationSubmit);
+  }
+
+  if (lookupForm) {
+    lookupForm.addEventListener('submit', function (e) {
+      e.preventDefault();
+      const applicationId = document.getElementById('applicationIdInput').value.trim();
+      if (applicationId) loadApplicationStatus(applicationId);
+    });
+  }
+
+  if (preferences) {
+    preferences.addEventListener('change', updateLotteryPartnerField);
+  }
+
+  if (forgetBtn) {
+    forgetBtn.addEventListener('click', function () {
+      localStorage.removeItem('lotteryApplicationId');
+      document.getElementById('lotteryStatusCard').style.display = 'none';
+      console.log('✓ Saved lottery application ID cleared');
+    });
+  }
+}
+
+/**
+ * Read the ranked choices, skipping empty ones
+ * @returns {object[]} [{lotKey, spotType}]
+ */
+function collectChoices() {
+  return Array.from(document.querySelectorAll('#lotteryPreferences .lottery-choice'))
+    .map(row => ({
+      lotKey: row.querySelector('.choice-lot').value,
+      spotType: row.querySelector('.choice-type').value
+    }))
+    .filter(choice => choice.spotType);
+}
+
+/**
+ * Ask for a partner only when a choice is a shared spot
+ */
+function updateLotteryPartnerField() {
+  const section = document.getElementById('lotteryPartnerSection');
+  if (!section) return;
+
+  const shared = collectChoices().some(choice => choice.spotType === 'shared');
+  section.style.display = shared ? 'block' : 'none';
+  document.getElementById('partnerName').required = shared;
+  document.getElementById('partnerStudentId').required = shared;
+}
+
+/**
+ * Collect the application form fields
+ * @returns {object} Application for the API
+ */
+function collectApplicationData() {
+  const value = id => document.getElementById(id).value.trim();
+  const choices = collectChoices();
+  const shared = choices.some(choice => choice.spotType === 'shared');
+
+  return {
+    fullName: value('fullName'),
+    studentId: value('studentId'),
+    email: value('email'),
+    phone: value('phone'),
+    gradeLevel: document.getElementById('gradeLevel').value,
+    preferences: choices,
+    parkingPartner: shared ? value('partnerName') : '',
+    partnerStudentId: shared ? value('partnerStudentId') : ''
+  };
+}
+
+/**
+ * Submit the application form
+ * @param {Event} e - Submit event
+ */
+function handleApplicationSubmit(e) {
+  e.preventDefault();
+
+  const submitBtn = document.querySelector('#lotteryForm button[type="submit"]');
+  const formErrors = document.getElementById('formErrors');
+  formErrors.style.display = 'none';
+  submitBtn.disabled = true;
+
+  window.parkingApi.applyForLottery(collectApplicationData())
+    .then(application => {
+      localStorage.setItem('lotteryApplicationId', application.applicationId);
+      document.getElementById('lotteryForm').reset();
+      renderChoiceRows();
+      updateLotteryPartnerField();
+      showApplicationStatus(application);
+      console.log('✓ Lottery application submitted:', application.applicationId);
+    })
+    .catch(error => {
+      console.error('✗ Lottery application rejected:', error);
+      if (error.details && error.details.length > 0) {
+        showFormError(`<strong>${escapeHtml(error.message)}:</strong><ul>` +
+          error.details.map(detail => `<li>${escapeHtml(detail)}</li>`).join('') + '</ul>');
+      } else {
+        showFormError(escapeHtml(error.message));
+      }
+    })
+    .finally(() => {
+      submitBtn.disabled = false;
+    });
+}
+
+/**
+ * Look up an application and show its status
+ * @param {string} applicationId - Application ID
+ */
+function loadApplicationStatus(applicationId) {
+  window.parkingApi.getLotteryApplication(applicationId)
+    .then(application => {
+      localStorage.setItem('lotteryApplicationId', application.applicationId);
+      showApplicationStatus(application);
+    })
+    .catch(error => {
+      console.error('✗ Lottery application lookup failed:', error);
+      if (error.status === 404) {
+        localStorage.removeItem('lotteryApplicationId');
+      }
+      showStatusMessage(`<div class="alert alert-warning mb-2">${escapeHtml(error.message)}</div>`);
+    });
+}
+
+/**
+ * Describe a ranked choice
+ * @param {object} choice - {lotKey, spotType}
+ * @returns {string} e.g. 'Lot A, shared'
+ */
+function describeChoice(choice) {
+  const lot = !choice.lotKey ? 'Any lot' : lotteryLots[choice.lotKey] ? lotteryLots[choice.lotKey].name : choice.lotKey;
+  return `${lot}, ${choice.spotType}`;
+}
+
+/**
+ * Show an application's status and, once drawn, its result
+ * @param {object} application - Status from the API
+ */
+function showApplicationStatus(application) {
+  const result = application.result;
+  const schedules = { A: 'Monday/Wednesday/Friday', B: 'Tuesday/Thursday' };
+  let message;
+
+  if (application.status === 'pending') {
+    message = '<div class="alert alert-info mb-2">Your application is in the lottery. Check back here after the ' +
+      'application window closes and the office runs the draw.</div>';
+  } else if (application.status === 'assigned') {
+    message = `<div class="alert alert-success mb-2">🎉 Ticket <strong>#${result.ticket}</strong> got you
+      <strong>${escapeHtml(result.lotName)} - Spot ${escapeHtml(result.spotId)}</strong>` +
+      (result.half ? ` (${schedules[result.half]})` : '') +
+      ` - your choice #${result.preferenceRank}. Your registration reference is
+      <strong>${escapeHtml(result.referenceId)}</strong>. Look it up on
+      <a href="my-registration.html" class="alert-link">My Registration</a> to see your permit; the office will add
+      your vehicles.</div>`;
+  } else {
+    message = `<div class="alert alert-secondary mb-2">Ticket <strong>#${result.ticket}</strong> did not get a spot.
+      ${escapeHtml(result.reason)}` +
+      (result.waitlistId
+        ? ` You were added to the <a href="waitlist.html" class="alert-link">waitlist</a> in ticket order (waitlist ID
+          <code>${escapeHtml(result.waitlistId)}</code>).`
+        : '') + '</div>';
+  }
+
+  showStatusMessage(`
+    ${message}
+    <p class="mb-1"><strong>${escapeHtml(application.fullName)}</strong> &middot; Application ID
+      <code>${escapeHtml(application.applicationId)}</code></p>
+    <p class="small text-muted mb-0">Choices: ${application.preferences.map((choice, index) =>
+      `${index + 1}. ${escapeHtml(describeChoice(choice))}`).join(' &middot; ')}` +
+      (application.parkingPartner ? ` &middot; Partner: ${escapeHtml(application.parkingPartner)}` : '') +
+      ` &middot; Applied ${new Date(application.submittedAt).toLocaleDateString()}</p>
+  `);
+}
+
+/**
+ * Put HTML in the status card and show it
+ * @param {string} html - Status HTML
+ */
+function showStatusMessage(html) {
+  const card = document.getElementById('lotteryStatusCard');
+  const status = document.getElementById('lotteryStatus');
+  if (!card || !status) return;
+
+  status.innerHTML = html;
+  card.style.display = 'block';
+  card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+/**
+ * Show form error message
+ * @param {string} message - Error HTML
+ */
+function showFormError(message) {
+  const formErrors = document.getElementById('formErrors');
+  formErrors.innerHTML = message;
+  formErrors.style.display = 'block';
+  console.error('✗ Form error:', message);
+}
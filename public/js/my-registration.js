@@ -0,0 +1,645 @@
+/* ============================================================
+   MY REGISTRATION PAGE SCRIPT
+   ============================================================
+   Student self-service: look up a registration from any device
+   with the student ID and reference number, then update the
+   contact details, switch to another open spot or cancel.
+
+   Features:
+   - Lookup prefilled from this device's registration
+     (currentRegistration); the student ID and reference number
+     are remembered in LocalStorage key myRegistration until the
+     student looks up another registration or cancels
+   - Booking details: spot, days, vehicles, partner status and
+     the lottery ticket that gave the spot
+   - Contact details (email required, phone optional), checked
+     like the registration form
+   - Switch spot: the student picks and holds a spot on
+     parking.html?change=1, which sends them back here
+     (my-registration.html?change=1) to confirm; shared spots
+     need a partner like the form. The current spot is kept
+     until the switch is confirmed.
+   - Swap spots: propose a swap for another student's spot (or
+     shared half), accept or decline swaps sent to you and cancel
+     your own; a completed swap reissues the reference number,
+     which replaces the remembered one
+   - Cancel with confirmation; the spot is offered to the waitlist
+   - Registration phase banner (phase-banner.js); switching spots
+     follows the registration phases like registering does
+   - This device's copy (currentRegistration) is kept in step so
+     the confirmation page and permit show the changes
+
+   The server applies the registration form's checks again to
+   every change (see server/lib/self-service.js).
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+const MY_REGISTRATION_KEY = 'myRegistration';
+
+// Parking days for each half of a shared spot (partnerDays values, as in form.js)
+const MOVE_HALF_DAYS = {
+  A: 'Monday-Wednesday-Friday',
+  B: 'Tuesday-Thursday'
+};
+
+let myRegistration = null;
+let myCredentials = null; // {studentId, referenceId}
+let moveSpot = null; // Spot held on the parking page for a switch
+let moveHoldTimer = null;
+
+/**
+ * Initialize the page on DOM load
+ */
+document.addEventListener('DOMContentLoaded', function () {
+  setupMyRegistrationHandlers();
+
+  const saved = readStoredJson(MY_REGISTRATION_KEY);
+  if (saved && saved.studentId && saved.referenceId) {
+    lookupRegistration(saved);
+    return;
+  }
+
+  // Prefill from the registration made on this device
+  const current = readStoredJson('currentRegistration');
+  if (current) {
+    document.getElementById('lookupStudentId').value = current.studentId || '';
+    document.getElementById('lookupReference').value = current.referenceId || '';
+  }
+});
+
+/**
+ * Read a JSON value from LocalStorage
+ * @param {string} key - Storage key
+ * @returns {*} Parsed value, or null if missing or unreadable
+ */
+function readStoredJson(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch (error) {
+    console.warn(`⚠ Ignoring unreadable ${key} in LocalStorage`);
+    return null;
+  }
+}
+
+/**
+ * Setup form and button handlers
+ */
+function setupMyRegistrationHandlers() {
+  document.getElementById('lookupForm').addEventListener('submit', handleLookupSubmit);
+  document.getElementById('contactForm').addEventListener('submit', handleContactSubmit);
+  document.getElementById('moveForm').addEventListener('submit', handleMoveSubmit);
+  document.getElementById('chooseSpotBtn').addEventListener('click', chooseNewSpot);
+  document.getElementById('cancelMoveBtn').addEventListener('click', abandonMove);
+  document.getElementById('cancelRegistrationBtn').addEventListener('click', handleCancelRegistration);
+  document.getElementById('swapForm').addEventListener('submit', handleSwapSubmit);
+  document.getElementById('swapList').addEventListener('click', handleSwapListClick);
+  document.getElementById('forgetRegistrationBtn').addEventListener('click', forgetRegistration);
+  document.getElementById('viewConfirmationBtn').addEventListener('click', function () {
+    localStorage.setItem('currentRegistration', JSON.stringify(myRegistration));
+    window.location.href = 'confirmation.html';
+  });
+}
+
+/**
+ * Show an error, with the server's field errors as a list
+ * @param {string} elementId - Error alert element
+ * @param {Error|string} error - Error from the API client, or a message
+ * @param {string[]} [details] - Field errors when error is a message
+ */
+function showMyError(elementId, error, details) {
+  const element = document.getElementById(elementId);
+  const message = typeof error === 'string' ? error : error.message;
+  const list = details || (typeof error === 'string' ? [] : error.details || []);
+
+  element.innerHTML = list.length > 0
+    ? `<strong>${escapeHtml(message)}:</strong><ul class="mb-0">` +
+      list.map(detail => `<li>${escapeHtml(detail)}</li>`).join('') + '</ul>'
+    : escapeHtml(message);
+  element.style.display = 'block';
+  console.error('✗', message, list);
+}
+
+/**
+ * Hide an error alert
+ * @param {string} elementId - Error alert element
+ */
+function hideMyError(elementId) {
+  const element = document.getElementById(elementId);
+  element.style.display = 'none';
+  element.innerHTML = '';
+}
+
+/**
+ * Show a success notice above the registration
+ * @param {string} message - Notice text
+ */
+function showMyNotice(message) {
+  const notice = document.getElementById('myRegistrationNotice');
+  notice.textContent = message;
+  notice.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Look up the registration from the lookup form
+ * @param {Event} e - Submit event
+ */
+function handleLookupSubmit(e) {
+  e.preventDefault();
+  hideMyError('lookupError');
+
+  const studentId = document.getElementById('lookupStudentId').value.trim();
+  const referenceId = document.getElementById('lookupReference').value.trim().toUpperCase();
+  const errors = [];
+
+  if (!/^\d{6,8}$/.test(studentId)) {
+    errors.push('Student ID must be 6-8 digits');
+  }
+  if (!referenceId) {
+    errors.push('Reference number is required');
+  }
+  if (errors.length > 0) {
+    showMyError('lookupError', 'Please fix the following errors', errors);
+    return;
+  }
+
+  lookupRegistration({ studentId: studentId, referenceId: referenceId });
+}
+
+/**
+ * Load a registration and show it
+ * @param {object} credentials - {studentId, referenceId}
+ */
+function lookupRegistration(credentials) {
+  window.parkingApi.getMyRegistration(credentials)
+    .then(registration => {
+      myCredentials = { studentId: registration.studentId, referenceId: registration.referenceId };
+      localStorage.setItem(MY_REGISTRATION_KEY, JSON.stringify(myCredentials));
+      showRegistration(registration);
+      loadMySwaps();
+
+      if (new URLSearchParams(window.location.search).has('change')) {
+        showMoveForm();
+      }
+      console.log('✓ Registration found:', registration.referenceId);
+    })
+    .catch(error => {
+      localStorage.removeItem(MY_REGISTRATION_KEY);
+      document.getElementById('lookupStudentId').value = credentials.studentId;
+      document.getElementById('lookupReference').value = credentials.referenceId;
+      showMyError('lookupError', error);
+    });
+}
+
+/**
+ * Show a registration and keep this device's copy up to date
+ * @param {object} registration - Registration from the server
+ */
+function showRegistration(registration) {
+  myRegistration = registration;
+
+  // A swap reissues the reference number; the old one is in previousReferenceIds
+  const current = readStoredJson('currentRegistration');
+  if (current && (current.referenceId === registration.referenceId ||
+      (registration.previousReferenceIds || []).includes(current.referenceId))) {
+    localStorage.setItem('currentRegistration', JSON.stringify(registration));
+  }
+
+  document.getElementById('lookupForm').style.display = 'none';
+  document.getElementById('myRegistrationView').style.display = 'block';
+  document.getElementById('contactEmail').value = registration.email || '';
+  document.getElementById('contactPhone').value = registration.phone || '';
+  document.getElementById('bookingDetails').innerHTML = describeBooking(registration);
+}
+
+/**
+ * Describe the booking for the details card
+ * @param {object} registration - Registration
+ * @returns {string} Details HTML
+ */
+function describeBooking(registration) {
+  const spot = `${registration.parkingLot} - Spot ${registration.parkingSpot}` +
+    (registration.half ? ` (half ${registration.half})` : '');
+  const days = registration.userSchedule || 'Monday-Friday';
+  const vehicles = (registration.vehicles || []).map(vehicle =>
+    `${vehicle.state} ${vehicle.plate} - ${[vehicle.color, vehicle.make, vehicle.model].filter(Boolean).join(' ')}`);
+
+  const rows = [
+    ['Spot', spot],
+    ['Parking days', days],
+    ['Name', `${registration.fullName} (ID ${registration.studentId})`],
+    ['Grade', registration.gradeLevel],
+    ['Vehicles', vehicles.join('; ') || 'None on file - please contact the Administration Office'],
+    ['Reference', registration.referenceId],
+    ['Registered', new Date(registration.submittedAt).toLocaleString()]
+  ];
+
+  if (registration.partner) {
+    const partner = registration.partner;
+    rows.push(['Partner', partner.status === 'confirmed' ? `${partner.name} (registered)`
+      : partner.status === 'invited' ? `${partner.name} (invited, invite code ${partner.inviteCode})`
+        : `${partner.name} (no longer on this spot)`]);
+  }
+  if (registration.lottery) {
+    rows.push(['Lottery', `Ticket #${registration.lottery.ticket} in draw ${registration.lottery.drawId}`]);
+  }
+  if (registration.changedAt) {
+    rows.push(['Last changed', new Date(registration.changedAt).toLocaleString()]);
+  }
+
+  let html = '<dl class="row mb-0">' + rows.map(row =>
+    `<dt class="col-sm-4">${escapeHtml(row[0])}</dt><dd class="col-sm-8">${escapeHtml(row[1])}</dd>`).join('') + '</dl>';
+
+  if (registration.suspension && new Date(registration.suspension.until) > new Date()) {
+    html += `<div class="alert alert-warning mt-3 mb-0">Your parking is suspended for violations until
+      ${escapeHtml(new Date(registration.suspension.until).toLocaleDateString())}.</div>`;
+  }
+  return html;
+}
+
+/**
+ * Forget the looked-up registration and show the lookup form
+ */
+function forgetRegistration() {
+  localStorage.removeItem(MY_REGISTRATION_KEY);
+  myRegistration = null;
+  myCredentials = null;
+  abandonMove();
+  showMyNotice('');
+
+  document.getElementById('lookupForm').reset();
+  document.getElementById('swapForm').reset();
+  document.getElementById('swapList').innerHTML = '';
+  document.getElementById('lookupForm').style.display = 'block';
+  document.getElementById('myRegistrationView').style.display = 'none';
+}
+
+/**
+ * Save the contact details form
+ * @param {Event} e - Submit event
+ */
+function handleContactSubmit(e) {
+  e.preventDefault();
+  hideMyError('contactErrors');
+
+  const email = document.getElementById('contactEmail');
+  const phone = document.getElementById('contactPhone');
+
+  if (!email.value.trim()) {
+    email.classList.add('is-invalid');
+    showMyError('contactErrors', 'Please fix the following errors', ['Email is required']);
+    return;
+  }
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.value.trim())) {
+    email.classList.add('is-invalid');
+    showMyError('contactErrors', 'Please fix the following errors', ['Please enter a valid email address']);
+    return;
+  }
+  email.classList.remove('is-invalid');
+
+  window.parkingApi.updateMyContact(myCredentials, { email: email.value.trim(), phone: phone.value.trim() })
+    .then(registration => {
+      showRegistration(registration);
+      showMyNotice('Your contact details have been saved.');
+      console.log('✓ Contact details saved');
+    })
+    .catch(error => {
+      showMyError('contactErrors', error);
+    });
+}
+
+/**
+ * Go to the parking map to pick and hold a new spot
+ */
+function chooseNewSpot() {
+  // A selection left over from registering would carry a used-up hold
+  localStorage.removeItem('selectedParkingSpot');
+  window.location.href = 'parking.html?change=1';
+}
+
+/**
+ * Show the switch form for the spot held on the parking page
+ */
+function showMoveForm() {
+  moveSpot = readStoredJson('selectedParkingSpot');
+  if (!moveSpot || !moveSpot.hold) {
+    moveSpot = null;
+    return;
+  }
+
+  const shared = moveSpot.type === 'shared';
+  let label = `${moveSpot.lot} - Spot ${moveSpot.id}`;
+  if (shared && moveSpot.half) {
+    label += ` (half ${moveSpot.half}, ${MOVE_HALF_DAYS[moveSpot.half].replace(/-/g, '/')})`;
+  }
+
+  document.getElementById('moveSpotDisplay').textContent = label;
+  document.getElementById('movePartnerSection').style.display = shared && !hasOpenInvite() ? 'block' : 'none';
+  document.getElementById('moveStart').style.display = 'none';
+  document.getElementById('moveForm').style.display = 'block';
+  document.getElementById('moveCard').scrollIntoView({ behavior: 'smooth' });
+  showMoveCountdown();
+}
+
+/**
+ * Count down the hold on the spot being switched to
+ */
+function showMoveCountdown() {
+  const countdown = document.getElementById('moveHoldCountdown');
+  clearInterval(moveHoldTimer);
+
+  moveHoldTimer = startHoldCountdown(moveSpot,
+    timeLeft => {
+      countdown.textContent = `This spot is held for you for ${formatHoldTime(timeLeft)}. Please confirm before then.`;
+      countdown.className = 'small mb-3 text-muted';
+    },
+    () => {
+      countdown.textContent = 'Your hold has expired. You can still switch if no one else has taken the spot in the meantime.';
+      countdown.className = 'small mb-3 text-danger fw-bold';
+    });
+}
+
+/**
+ * Give up the switch: release the held spot and keep the current one
+ */
+function abandonMove() {
+  clearInterval(moveHoldTimer);
+
+  if (moveSpot && moveSpot.hold) {
+    window.parkingApi.releaseHold(moveSpot.hold)
+      .catch(error => console.warn('⚠ Could not release hold:', error.message));
+  }
+  moveSpot = null;
+  localStorage.removeItem('selectedParkingSpot');
+  window.history.replaceState(null, '', 'my-registration.html');
+
+  hideMyError('moveErrors');
+  document.getElementById('moveForm').reset();
+  document.getElementById('moveForm').style.display = 'none';
+  document.getElementById('moveStart').style.display = 'block';
+}
+
+/**
+ * Whether the student's partner invite is still open; it moves to
+ * the new spot with them, so no new partner is asked for
+ * @returns {boolean} True if the partner has not joined yet
+ */
+function hasOpenInvite() {
+  return Boolean(myRegistration && myRegistration.partner && myRegistration.partner.status === 'invited');
+}
+
+/**
+ * Confirm the switch to the held spot
+ * @param {Event} e - Submit event
+ */
+function handleMoveSubmit(e) {
+  e.preventDefault();
+  hideMyError('moveErrors');
+  if (!moveSpot) return;
+
+  const move = {
+    parkingSpot: moveSpot.id,
+    half: moveSpot.half || null,
+    holdId: moveSpot.hold.holdId,
+    holdToken: moveSpot.hold.holdToken
+  };
+
+  if (moveSpot.type === 'shared' && !hasOpenInvite()) {
+    const partnerName = document.getElementById('movePartnerName').value.trim();
+    const partnerStudentId = document.getElementById('movePartnerStudentId').value.trim();
+    const errors = [];
+
+    if (!partnerName) {
+      errors.push('Partner name is required for shared spots');
+    }
+    if (!/^\d{6,8}$/.test(partnerStudentId)) {
+      errors.push("Your partner's 6-8 digit student ID is required for shared spots");
+    } else if (partnerStudentId === myRegistration.studentId) {
+      errors.push('Your partner must be a different student');
+    }
+    if (errors.length > 0) {
+      showMyError('moveErrors', 'Please fix the following errors', errors);
+      return;
+    }
+
+    move.parkingPartner = partnerName;
+    move.partnerStudentId = partnerStudentId;
+  }
+  if (moveSpot.type === 'shared') {
+    move.partnerDays = MOVE_HALF_DAYS[moveSpot.half];
+  }
+
+  window.parkingApi.moveMyRegistration(myCredentials, move)
+    .then(registration => {
+      const previousSpot = myRegistration.parkingSpot;
+      clearInterval(moveHoldTimer);
+      moveSpot = null;
+      localStorage.removeItem('selectedParkingSpot');
+      window.history.replaceState(null, '', 'my-registration.html');
+
+      document.getElementById('moveForm').reset();
+      document.getElementById('moveForm').style.display = 'none';
+      document.getElementById('moveStart').style.display = 'block';
+      showRegistration(registration);
+      loadMySwaps(); // Open swaps for the old spot are closed
+      showMyNotice(`You have switched from spot ${previousSpot} to spot ${registration.parkingSpot}. ` +
+        'Please print your new parking permit.');
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+      console.log('✓ Switched spot:', previousSpot, '→', registration.parkingSpot);
+    })
+    .catch(error => {
+      showMyError('moveErrors', error);
+    });
+}
+
+/**
+ * Describe a spot in a swap
+ * @param {object} spot - {parkingLot, parkingSpot, half}
+ * @returns {string} Spot text
+ */
+function describeSwapSpot(spot) {
+  return `${spot.parkingLot} - Spot ${spot.parkingSpot}` + (spot.half ? ` (half ${spot.half})` : '');
+}
+
+/**
+ * Load the student's swap requests
+ */
+function loadMySwaps() {
+  if (!myCredentials) return;
+
+  window.parkingApi.getMySwaps(myCredentials)
+    .then(renderMySwaps)
+    .catch(error => {
+      console.warn('⚠ Could not load swap requests:', error.message);
+    });
+}
+
+/**
+ * Show the student's swap requests, with actions for open ones
+ * @param {object} result - {requireAdminApproval, swaps}
+ */
+function renderMySwaps(result) {
+  const statusText = {
+    proposed: 'Waiting for a reply',
+    accepted: result.requireAdminApproval ? 'Accepted - waiting for office approval' : 'Accepted',
+    completed: 'Completed',
+    declined: 'Declined',
+    cancelled: 'Cancelled',
+    rejected: 'Rejected by the office',
+    expired: 'Expired'
+  };
+  const list = document.getElementById('swapList');
+
+  document.getElementById('swapPolicyNote').style.display = result.requireAdminApproval ? 'block' : 'none';
+
+  if (result.swaps.length === 0) {
+    list.innerHTML = '<p class="text-muted small mb-0">No swap requests yet.</p>';
+    return;
+  }
+
+  list.innerHTML = result.swaps.map(swap => {
+    const open = swap.status === 'proposed' || swap.status === 'accepted';
+    const title = swap.direction === 'outgoing'
+      ? `You asked ${escapeHtml(swap.otherName)} for ${escapeHtml(describeSwapSpot(swap.theirSpot))}`
+      : `${escapeHtml(swap.otherName)} asked for your ${escapeHtml(describeSwapSpot(swap.yourSpot))}`;
+    const offer = swap.direction === 'outgoing'
+      ? `in exchange for your ${escapeHtml(describeSwapSpot(swap.yourSpot))}`
+      : `in exchange for ${escapeHtml(describeSwapSpot(swap.theirSpot))}`;
+
+    let html = `<div class="swap-item ${open ? 'swap-item-open' : ''} mb-3">
+      <div><strong>${title}</strong> ${offer}</div>
+      <div class="small text-muted">${escapeHtml(statusText[swap.status] || swap.status)}
+        · ${escapeHtml(new Date(swap.proposedAt).toLocaleString())}
+        ${swap.status === 'proposed' ? ` · expires ${escapeHtml(new Date(swap.expiresAt).toLocaleString())}` : ''}</div>`;
+
+    if (swap.message) {
+      html += `<div class="small fst-italic">"${escapeHtml(swap.message)}"</div>`;
+    }
+    if (swap.reason) {
+      html += `<div class="small">Reason: ${escapeHtml(swap.reason)}</div>`;
+    }
+    if (swap.newReferenceId) {
+      html += `<div class="small text-success">Your new reference number: <strong>${escapeHtml(swap.newReferenceId)}</strong></div>`;
+    }
+
+    if (swap.status === 'proposed' && swap.direction === 'incoming') {
+      html += `<div class="d-flex gap-2 mt-2">
+        <button type="button" class="btn btn-sm btn-success" data-swap-action="accept" data-swap-id="${escapeHtml(swap.swapId)}">Accept Swap</button>
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-swap-action="decline" data-swap-id="${escapeHtml(swap.swapId)}">Decline</button>
+      </div>`;
+    } else if (open && swap.direction === 'outgoing') {
+      html += `<div class="mt-2">
+        <button type="button" class="btn btn-sm btn-outline-danger" data-swap-action="cancel" data-swap-id="${escapeHtml(swap.swapId)}">Cancel Request</button>
+      </div>`;
+    }
+    return html + '</div>';
+  }).join('');
+}
+
+/**
+ * Propose a swap from the swap form
+ * @param {Event} e - Submit event
+ */
+function handleSwapSubmit(e) {
+  e.preventDefault();
+  hideMyError('swapErrors');
+
+  const spotId = document.getElementById('swapSpotId').value.trim().toUpperCase();
+  if (!spotId) {
+    showMyError('swapErrors', 'Please fix the following errors', ['Enter the spot you would like, e.g., B-12']);
+    return;
+  }
+
+  window.parkingApi.proposeSwap(myCredentials, {
+    spotId: spotId,
+    half: document.getElementById('swapHalf').value,
+    message: document.getElementById('swapMessage').value.trim()
+  })
+    .then(result => {
+      document.getElementById('swapForm').reset();
+      renderMySwaps(result);
+      showMyNotice(`Your swap request for spot ${spotId} has been sent. ` +
+        'The other student can accept it from their My Registration page.');
+      console.log('✓ Swap proposed for spot', spotId);
+    })
+    .catch(error => {
+      showMyError('swapErrors', error);
+    });
+}
+
+/**
+ * Accept, decline or cancel a swap from its button
+ * @param {Event} e - Click event
+ */
+function handleSwapListClick(e) {
+  const button = e.target.closest('[data-swap-action]');
+  if (!button) return;
+
+  const action = button.dataset.swapAction;
+  const swapId = button.dataset.swapId;
+  hideMyError('swapErrors');
+
+  if (action === 'accept' && !confirm('Accept this swap? You will trade spots and get a new reference number ' +
+      'and permit; your current permit stops being valid.')) {
+    return;
+  }
+
+  const request = action === 'cancel'
+    ? window.parkingApi.cancelSwap(swapId, myCredentials)
+    : window.parkingApi.respondToSwap(swapId, myCredentials, action === 'accept');
+
+  button.disabled = true;
+  request
+    .then(result => {
+      renderMySwaps(result);
+      const swap = result.swaps.find(item => item.swapId === swapId);
+
+      if (swap && swap.status === 'completed') {
+        // The old reference number still finds the registration, now with its new number
+        lookupRegistration(myCredentials);
+        showMyNotice(`Swap complete: you now have ${describeSwapSpot(swap.theirSpot)}. ` +
+          `Your new reference number is ${swap.newReferenceId}. Please print your new parking permit.`);
+      } else if (swap && swap.status === 'accepted') {
+        showMyNotice('You accepted the swap. It takes effect once the Administration Office approves it.');
+      }
+      console.log('✓ Swap', action, swapId);
+    })
+    .catch(error => {
+      button.disabled = false;
+      showMyError('swapErrors', error);
+    });
+}
+
+/**
+ * Cancel the registration after the student confirms
+ */
+function handleCancelRegistration() {
+  hideMyError('cancelErrors');
+
+  const confirmed = confirm(`Cancel your registration for spot ${myRegistration.parkingSpot}? ` +
+    'Your spot is released and offered to other students. This cannot be undone.');
+  if (!confirmed) return;
+
+  window.parkingApi.cancelMyRegistration(myCredentials)
+    .then(() => {
+      const current = readStoredJson('currentRegistration');
+      if (current && current.referenceId === myRegistration.referenceId) {
+        localStorage.removeItem('currentRegistration');
+      }
+      localStorage.removeItem(MY_REGISTRATION_KEY);
+
+      const message = document.getElementById('cancelledMessage');
+      message.textContent = `Your registration ${myRegistration.referenceId} for spot ${myRegistration.parkingSpot} ` +
+        'has been cancelled and the spot released.';
+      message.style.display = 'block';
+      document.getElementById('myRegistrationView').style.display = 'none';
+      console.log('✓ Registration cancelled:', myRegistration.referenceId);
+
+      myRegistration = null;
+      myCredentials = null;
+    })
+    .catch(error => {
+      showMyError('cancelErrors', error);
+    });
+}
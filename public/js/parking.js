@@ -5,13 +5,27 @@
    lot switching, and LocalStorage persistence.
    
    Features:
-   - Loads parking lot data from JSON
-   - Dynamic spot rendering with status (available/taken)
+   - Loads parking lot data from the API (with reservations applied)
+   - SVG lot map with rows, aisles and entrances (lot-map.js),
+     spot status shown as available/taken/held/closed
    - Supports solo and shared spot types
-   - Lot switching (A, B, C)
+   - Marks accessible and compact spots; reserved and
+     out-of-service spots are shown closed
+   - Lot buttons generated from the lot registry (parkingData.json)
+   - Lot switching with per-lot availability counts
    - Spot selection with visual feedback
+   - Choosing a spot holds it for 10 minutes (spot-hold.js) with a
+     live countdown; picking another spot releases the old hold
+   - Spot status refreshed every 30 seconds
    - LocalStorage persistence of selected spot
    - Availability statistics display
+   - Waitlist prompt when every lot is full
+   - Switch mode (parking.html?change=1, from my-registration.html):
+     continue returns to the student's registration to move it
+     to the held spot instead of opening the form
+   - Registration phase banner (phase-banner.js); no spot can be
+     chosen while registration is closed or during a lottery,
+     unless the student has an override from the office
    
    @version 1.0
    @author MHS Admin
@@ -19,172 +33,186 @@
 
 // Global variables
 let parkingData = {};
-let currentLot = 'Lot A';
+let currentLot = null; // Lot key from the registry (e.g., 'lotA')
 let selectedSpot = null;
+let lotMap = null; // LotMap drawing the current lot (lot-map.js)
+let holdTimer = null; // Countdown interval for the selected spot's hold
+
+const REFRESH_INTERVAL_MS = 30 * 1000;
 
 /**
  * Initialize parking page on DOM load
  */
 document.addEventListener('DOMContentLoaded', function () {
-  loadParkingData();
   restoreSelectedSpot();
+  loadParkingData();
   setupEventListeners();
+  updateSelectedSpotDisplay();
+
+  // Keep held and taken spots up to date while the student chooses
+  setInterval(() => loadParkingData(false), REFRESH_INTERVAL_MS);
 });
 
 /**
- * Load parking data from JSON file
+ * Load parking data from the server
+ * @param {boolean} [showErrors] - Show an alert if loading fails
  */
-function loadParkingData() {
-  fetch('public/data/parkingData.json')
-    .then(response => {
-      if (!response.ok) {
-        throw new Error('Failed to load parking data');
-      }
-      return response.json();
-    })
+function loadParkingData(showErrors = true) {
+  // The student's own hold is shown as available to them
+  const holdId = selectedSpot && selectedSpot.hold ? selectedSpot.hold.holdId : undefined;
+
+  window.parkingApi.getParkingData(holdId)
     .then(data => {
       parkingData = data;
       console.log('✓ Parking data loaded successfully');
-      renderLot(currentLot);
-      updateAvailabilityStats();
+      renderLotButtons();
+      renderLot(getInitialLot());
     })
     .catch(error => {
       console.error('✗ Error loading parking data:', error);
-      showErrorMessage('Failed to load parking data. Please refresh the page.');
+      if (showErrors) {
+        showErrorMessage('Failed to load parking data. Please refresh the page.');
+      }
     });
 }
 
 /**
- * Render a specific parking lot
- * @param {string} lot - Lot identifier (e.g., 'Lot A')
+ * Pick the lot to show: the lot already on screen, the lot of a
+ * saved selection, or the first lot
+ * @returns {string} Lot key
  */
-function renderLot(lot) {
-  // Convert "Lot A" to "lotA" format for JSON key lookup
-  const lotKey = 'lot' + lot.split(' ')[1];
-  
-  if (!parkingData[lotKey]) {
-    console.error('✗ Lot not found:', lot, 'key:', lotKey);
-    return;
+function getInitialLot() {
+  if (currentLot && parkingData[currentLot]) {
+    return currentLot;
   }
+  if (selectedSpot && parkingData[selectedSpot.lotKey]) {
+    return selectedSpot.lotKey;
+  }
+  return Object.keys(parkingData)[0];
+}
 
-  currentLot = lot;
-  const spots = parkingData[lotKey].spots || [];
-  
-  const container = document.getElementById('parkingLot');
+/**
+ * Create one button per lot in the registry
+ */
+function renderLotButtons() {
+  const container = document.getElementById('lotButtons');
   if (!container) return;
 
-  // Clear previous grid
   container.innerHTML = '';
 
-  // Render each spot
-  spots.forEach((spot, index) => {
-    const spotElement = createSpotElement(spot);
-    container.appendChild(spotElement);
-    
-    // Stagger animation
-    spotElement.style.animationDelay = `${index * 0.05}s`;
+  Object.entries(parkingData).forEach(([lotKey, lot]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-outline-primary lot-btn';
+    button.dataset.lot = lotKey;
+    button.title = lot.description || '';
+    button.innerHTML = `${lot.name} <span class="badge lot-availability" id="availability-${lotKey}"></span>`;
+    container.appendChild(button);
   });
-
-  // Update lot buttons
-  updateLotButtons(lot);
-  updateAvailabilityStats();
 }
 
 /**
- * Create a parking spot DOM element
- * @param {object} spot - Spot data object
- * @returns {HTMLElement} Spot element
+ * Render a specific parking lot
+ * @param {string} lotKey - Lot key from the registry (e.g., 'lotA')
  */
-function createSpotElement(spot) {
-  const spotElement = document.createElement('div');
-  spotElement.className = `parking-spot ${spot.status} ${spot.type}`;
-  spotElement.id = `spot-${spot.id}`;
-
-  // Check if this spot is currently selected
-  if (selectedSpot && selectedSpot.id === spot.id && selectedSpot.lot === currentLot) {
-    spotElement.classList.add('selected');
+function renderLot(lotKey) {
+  if (!parkingData[lotKey]) {
+    console.error('✗ Lot not found:', lotKey);
+    return;
   }
 
-  // Render spot content
-  if (spot.type === 'shared') {
-    // Shared spot with two halves
-    const half1 = createSpotHalf(spot, 'A', spot.status);
-    const half2 = createSpotHalf(spot, 'B', spot.status);
-    spotElement.appendChild(half1);
-    spotElement.appendChild(half2);
-  } else {
-    // Solo spot with single clickable area
-    const half = createSpotHalf(spot, null, spot.status);
-    half.style.height = '100%';
-    half.style.borderBottom = 'none';
-    spotElement.appendChild(half);
+  currentLot = lotKey;
+  
+  const container = document.getElementById('parkingLot');
+  if (!container) return;
+
+  if (!lotMap) {
+    lotMap = new LotMap(container);
   }
 
-  return spotElement;
+  // Draw the lot map; open spots (or halves) call selectSpot()
+  lotMap.render(parkingData[lotKey], {
+    isSelected: spot => Boolean(selectedSpot && selectedSpot.id === spot.id),
+    onSelect: (spot, half) => selectSpot(spot, half),
+    describe: describeSpot
+  });
+
+  // Update lot buttons
+  updateLotButtons(lotKey);
+  updateAvailabilityStats();
 }
 
 /**
- * Create a parking spot half (for shared) or full area (for solo)
+ * Describe a spot for its tooltip
  * @param {object} spot - Spot data
- * @param {string|null} half - Half identifier ('A', 'B', or null for solo)
- * @param {string} status - Spot status ('available' or 'taken')
- * @returns {HTMLElement} Half element
+ * @returns {string} e.g. 'C-3 · Shared · Accessible'
  */
-function createSpotHalf(spot, half, status) {
-  const halfElement = document.createElement('div');
-  halfElement.className = 'parking-spot-half';
-  
-  // Create label
-  const label = half ? `${spot.id} ${half}` : spot.id;
-  halfElement.innerHTML = `<span>${label}</span>`;
+function describeSpot(spot) {
+  const parts = [spot.id, spot.type === 'shared' ? 'Shared' : 'Solo'];
 
-  // Set cursor based on availability
-  halfElement.style.cursor = status === 'taken' ? 'not-allowed' : 'pointer';
+  if (spot.designation === 'accessible') parts.push('Accessible');
+  if (spot.designation === 'compact') parts.push('Compact cars only');
+  if (spot.designation === 'reserved') parts.push('Reserved - not open to students');
+  if (spot.outOfService) parts.push('Out of service');
 
-  // Add click handler for available spots
-  if (status !== 'taken') {
-    halfElement.addEventListener('click', () => {
-      selectSpot(spot, half);
-    });
-  }
-
-  return halfElement;
+  return parts.join(' · ');
 }
 
 /**
- * Select a parking spot
+ * Select a parking spot and hold it while the student registers
  * @param {object} spot - Spot data
  * @param {string|null} half - Half identifier for shared spots
  */
 function selectSpot(spot, half = null) {
-  // Deselect previous spot visually
-  if (selectedSpot) {
-    const prevElement = document.getElementById(`spot-${selectedSpot.id}`);
-    if (prevElement) {
-      prevElement.classList.remove('selected');
-    }
+  const lotKey = currentLot;
+  const previousHold = selectedSpot ? selectedSpot.hold : null;
+
+  // Grade-only phases are checked on the form, once the student gives their grade
+  const blocked = registrationBlockedMessage();
+  if (blocked) {
+    showErrorMessage(blocked);
+    return;
   }
 
-  // Store new selection
-  selectedSpot = {
-    id: spot.id,
-    lot: currentLot,
-    type: spot.type,
-    half: half
-  };
+  // The server releases the previous hold only if the new one succeeds
+  window.parkingApi.placeHold(spot.id, half, previousHold)
+    .then(hold => {
+      // Deselect previous spot visually
+      if (selectedSpot) {
+        const prevElement = document.getElementById(`spot-${selectedSpot.id}`);
+        if (prevElement) {
+          prevElement.classList.remove('selected');
+        }
+      }
 
-  // Update UI
-  const spotElement = document.getElementById(`spot-${spot.id}`);
-  if (spotElement) {
-    spotElement.classList.add('selected');
-  }
+      // Store new selection
+      selectedSpot = {
+        id: spot.id,
+        lot: parkingData[lotKey].name,
+        lotKey: lotKey,
+        type: spot.type,
+        half: half,
+        hold: toSavedHold(hold)
+      };
+
+      // Update UI
+      const spotElement = document.getElementById(`spot-${spot.id}`);
+      if (spotElement) {
+        spotElement.classList.add('selected');
+      }
 
-  // Update display
-  updateSelectedSpotDisplay();
-  saveSelectedSpot();
-  enableContinueButton();
+      // Update display
+      updateSelectedSpotDisplay();
+      saveSelectedSpot();
+      enableContinueButton();
 
-  console.log('✓ Spot selected:', selectedSpot);
+      console.log('✓ Spot selected and held:', selectedSpot);
+    })
+    .catch(error => {
+      console.error('✗ Could not hold spot:', error);
+      showErrorMessage(error.message);
+      loadParkingData(false);
+    });
 }
 
 /**
@@ -207,6 +235,31 @@ function updateSelectedSpotDisplay() {
   } else {
     alert.style.display = 'none';
   }
+
+  showHoldCountdown();
+}
+
+/**
+ * Show the time left on the selected spot's hold
+ */
+function showHoldCountdown() {
+  const countdown = document.getElementById('holdCountdown');
+  clearInterval(holdTimer);
+  if (!countdown) return;
+
+  if (!selectedSpot || !selectedSpot.hold) {
+    countdown.textContent = '';
+    return;
+  }
+
+  holdTimer = startHoldCountdown(selectedSpot,
+    timeLeft => {
+      countdown.textContent = `Held for you for ${formatHoldTime(timeLeft)} while you register.`;
+    },
+    () => {
+      countdown.textContent = 'Your hold has expired, so other students can take this spot. Click it again to hold it for another 10 minutes.';
+      loadParkingData(false);
+    });
 }
 
 /**
@@ -249,21 +302,18 @@ function setupEventListeners() {
  * Setup lot button click handlers
  */
 function setupLotButtons() {
-  const lotButtons = document.querySelectorAll('.lot-btn');
-  
-  lotButtons.forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      const selectedLot = e.target.dataset.lot;
-      
-      // Update active button
-      lotButtons.forEach(b => b.classList.remove('active'));
-      e.target.classList.add('active');
-      
-      // Render selected lot
-      renderLot(selectedLot);
-      
-      console.log('✓ Switched to lot:', selectedLot);
-    });
+  const container = document.getElementById('lotButtons');
+  if (!container) return;
+
+  // Buttons are generated from data, so listen on the container
+  container.addEventListener('click', (e) => {
+    const button = e.target.closest('.lot-btn');
+    if (!button) return;
+
+    const selectedLot = button.dataset.lot;
+    renderLot(selectedLot);
+
+    console.log('✓ Switched to lot:', parkingData[selectedLot].name);
   });
 }
 
@@ -274,6 +324,12 @@ function setupContinueButton() {
   const continueBtn = document.getElementById('continueBtn');
   
   if (continueBtn) {
+    // A registered student switching spots goes back to their registration
+    if (new URLSearchParams(window.location.search).has('change')) {
+      continueBtn.href = 'my-registration.html?change=1';
+      continueBtn.textContent = 'Continue to Switch Spot';
+    }
+
     // Enable if spot already selected
     if (selectedSpot) {
       continueBtn.disabled = false;
@@ -302,13 +358,13 @@ function enableContinueButton() {
 
 /**
  * Update lot button styles
- * @param {string} lot - Currently selected lot
+ * @param {string} lotKey - Currently selected lot key
  */
-function updateLotButtons(lot) {
+function updateLotButtons(lotKey) {
   const lotButtons = document.querySelectorAll('.lot-btn');
   
   lotButtons.forEach(btn => {
-    if (btn.dataset.lot === lot) {
+    if (btn.dataset.lot === lotKey) {
       btn.classList.add('active');
     } else {
       btn.classList.remove('active');
@@ -320,32 +376,49 @@ function updateLotButtons(lot) {
  * Update and display availability statistics
  */
 function updateAvailabilityStats() {
-  // Convert "Lot A" to "lotA" format for JSON key lookup
-  const lotKey = 'lot' + currentLot.split(' ')[1];
-  
-  if (!parkingData[lotKey]) return;
+  let totalAvailable = 0;
+
+  Object.entries(parkingData).forEach(([lotKey, lot]) => {
+    const spots = lot.spots || [];
+    const availableSpots = spots.filter(s => s.status === 'available').length;
+    totalAvailable += availableSpots;
+
+    // Show the count on the lot's button
+    const badge = document.getElementById(`availability-${lotKey}`);
+    if (badge) {
+      badge.textContent = `${availableSpots} open`;
+    }
 
-  const spots = parkingData[lotKey].spots;
-  const totalSpots = spots.length;
-  const takenSpots = spots.filter(s => s.status === 'taken').length;
-  const availableSpots = totalSpots - takenSpots;
-  const availabilityPercent = Math.round((availableSpots / totalSpots) * 100);
+    if (lotKey === currentLot) {
+      const totalSpots = spots.length;
+      const availabilityPercent = totalSpots ? Math.round((availableSpots / totalSpots) * 100) : 0;
+      console.log(`${lot.name}: ${availableSpots}/${totalSpots} available (${availabilityPercent}%)`);
+    }
+  });
 
-  // Log to console
-  console.log(`${currentLot}: ${availableSpots}/${totalSpots} available (${availabilityPercent}%)`);
+  // Nothing left to choose: point students to the waitlist
+  const waitlistAlert = document.getElementById('waitlistAlert');
+  if (waitlistAlert) {
+    waitlistAlert.style.display = totalAvailable === 0 ? 'block' : 'none';
+  }
 }
 
 /**
- * Clear selected spot from LocalStorage
+ * Clear selected spot from LocalStorage and release its hold
  */
 function clearSelectedSpot() {
+  if (selectedSpot && selectedSpot.hold) {
+    window.parkingApi.releaseHold(selectedSpot.hold)
+      .catch(error => console.warn('⚠ Could not release hold:', error.message));
+  }
+
   selectedSpot = null;
   localStorage.removeItem('selectedParkingSpot');
   localStorage.removeItem('selectedParkingSpotTime');
   updateSelectedSpotDisplay();
   
   // Update UI
-  const allSpots = document.querySelectorAll('.parking-spot.selected');
+  const allSpots = document.querySelectorAll('.map-spot.selected');
   allSpots.forEach(spot => spot.classList.remove('selected'));
   
   console.log('✓ Selected spot cleared');
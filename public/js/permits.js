@@ -0,0 +1,141 @@
+/* ============================================================
+   PARKING PERMITS
+   ============================================================
+   Builds printable hang-tag permits for registrations. Shared by
+   the confirmation page (a student's own permit) and the admin
+   dashboard (one permit or a batch sheet for every registration).
+
+   Features:
+   - Student name, lot and spot, half and valid days for shared
+     spots, and the academic year from public/data/config.json
+   - QR code encoding the registration's referenceId, drawn as an
+     SVG by the qrcode-generator library (loaded from the CDN)
+   - Print-ready sheets: only the permits are printed, two per
+     page, each with a cut line
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+const PERMIT_CONFIG_URL = 'public/data/config.json';
+const PERMIT_DEFAULT_CONFIG = {
+  schoolName: 'Marlboro High School',
+  academicYear: ''
+};
+
+let permitConfigRequest = null;
+
+/**
+ * Load the school name and academic year for permits (once per page)
+ * @returns {Promise<object>} Config, or the defaults if it cannot be read
+ */
+function loadPermitConfig() {
+  if (!permitConfigRequest) {
+    permitConfigRequest = fetch(PERMIT_CONFIG_URL)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then(config => Object.assign({}, PERMIT_DEFAULT_CONFIG, config))
+      .catch(error => {
+        console.warn('⚠ Could not load permit settings, using defaults:', error.message);
+        return PERMIT_DEFAULT_CONFIG;
+      });
+  }
+  return permitConfigRequest;
+}
+
+/**
+ * Draw the QR code for a reference number
+ * @param {string} referenceId - Registration reference ID
+ * @returns {string} SVG markup (or the reference in a box if the QR library did not load)
+ */
+function buildPermitQr(referenceId) {
+  if (typeof qrcode !== 'function') {
+    console.warn('⚠ QR code library not loaded; printing the reference number only');
+    return `<div class="permit-qr-missing">${escapeHtml(referenceId)}</div>`;
+  }
+
+  const qr = qrcode(0, 'M');
+  qr.addData(referenceId);
+  qr.make();
+  return qr.createSvgTag({ cellSize: 4, margin: 0, scalable: true, alt: `QR code for ${referenceId}` });
+}
+
+/**
+ * Build the markup for one permit
+ * @param {object} registration - Registration
+ * @param {object} config - Permit config from loadPermitConfig()
+ * @returns {string} Permit HTML
+ */
+function buildPermitHtml(registration, config) {
+  const shared = registration.spotType === 'shared';
+  const spot = registration.parkingSpot + (registration.half ? ` · Half ${registration.half}` : '');
+  const plates = (registration.vehicles || []).map(vehicle => `${vehicle.state} ${vehicle.plate}`).join(', ');
+
+  return `
+    <article class="permit ${shared ? 'permit-shared' : ''}">
+      <div class="permit-hanger" aria-hidden="true"></div>
+      <header class="permit-header">
+        <div class="permit-school">${escapeHtml(config.schoolName)}</div>
+        <div class="permit-title">Student Parking Permit</div>
+        ${config.academicYear ? `<div class="permit-year">${escapeHtml(config.academicYear)}</div>` : ''}
+      </header>
+      <div class="permit-spot">
+        <div class="permit-label">${escapeHtml(registration.parkingLot)}</div>
+        <div class="permit-spot-id">${escapeHtml(spot)}</div>
+      </div>
+      <div class="permit-days">${shared
+        ? `Valid ${escapeHtml(registration.userSchedule || 'on assigned days')} only`
+        : 'Valid Monday-Friday'}</div>
+      <div class="permit-body">
+        <div class="permit-holder">
+          <div class="permit-label">Issued to</div>
+          <div class="permit-name">${escapeHtml(registration.fullName)}</div>
+          <div class="permit-detail">ID ${escapeHtml(registration.studentId)}</div>
+          ${plates ? `<div class="permit-detail">${escapeHtml(plates)}</div>` : ''}
+        </div>
+        <div class="permit-qr">${buildPermitQr(registration.referenceId)}</div>
+      </div>
+      <footer class="permit-footer">
+        <span>${escapeHtml(registration.referenceId)}</span>
+        <span>Hang from rear-view mirror</span>
+      </footer>
+    </article>
+  `;
+}
+
+/**
+ * Print permits on their own sheet (the rest of the page is hidden
+ * while printing)
+ * @param {object[]} registrations - Registrations to print
+ * @returns {Promise<number>} Number of permits sent to the printer
+ */
+function printPermits(registrations) {
+  if (registrations.length === 0) {
+    return Promise.resolve(0);
+  }
+
+  return loadPermitConfig().then(config => {
+    let sheet = document.getElementById('permitSheet');
+    if (!sheet) {
+      sheet = document.createElement('div');
+      sheet.id = 'permitSheet';
+      sheet.className = 'permit-sheet';
+      document.body.appendChild(sheet);
+    }
+
+    sheet.innerHTML = registrations.map(registration => buildPermitHtml(registration, config)).join('');
+    document.body.classList.add('printing-permits');
+
+    window.addEventListener('afterprint', function cleanUp() {
+      document.body.classList.remove('printing-permits');
+      sheet.innerHTML = '';
+      window.removeEventListener('afterprint', cleanUp);
+    });
+
+    console.log(`→ Printing ${registrations.length} permit(s)...`);
+    window.print();
+    return registrations.length;
+  });
+}
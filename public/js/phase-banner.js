@@ -0,0 +1,249 @@
+/* ============================================================
+   REGISTRATION PHASE BANNER
+   ============================================================
+   Shared by the home, parking, form, My Registration and
+   lottery pages. Shows the current registration phase (from the
+   server, see server/lib/phases.js) in #phaseBanner with a live
+   countdown to the next phase, and reloads the schedule when a
+   phase ends.
+
+   - Open: every eligible student may register
+   - Priority: only the phase's grades may register (e.g. Senior
+     priority registration)
+   - Lottery: students apply on lottery.html instead of picking
+     a spot; spots are drawn after the phase closes
+   - Closed: nobody may register, except students the office
+     gave an override. On the parking page (#phaseBanner with
+     data-exception-form) a student with an override enters their
+     student ID to go ahead; it is remembered for this browser
+     session in SessionStorage key phaseOverrideStudentId.
+
+   Pages that depend on the phase listen for the
+   'registrationphase' event on document (detail: the schedule),
+   sent whenever the schedule loads.
+
+   The server checks the phase again for every registration.
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+const PHASE_OVERRIDE_KEY = 'phaseOverrideStudentId';
+
+let registrationSchedule = null; // {now, current, next, phases} from the server
+let phaseClockOffset = 0; // Server time minus this device's time
+let phaseBannerTimer = null;
+
+/**
+ * Load the schedule on DOM load for pages with a banner
+ */
+document.addEventListener('DOMContentLoaded', function () {
+  if (document.getElementById('phaseBanner')) {
+    loadRegistrationPhase();
+  }
+});
+
+/**
+ * Load the registration schedule and show the banner
+ * @returns {Promise<object|null>} Schedule, or null if it could not be loaded
+ */
+function loadRegistrationPhase() {
+  return window.parkingApi.getRegistrationPhase()
+    .then(schedule => {
+      registrationSchedule = schedule;
+      phaseClockOffset = new Date(schedule.now).getTime() - Date.now();
+      renderPhaseBanner();
+      document.dispatchEvent(new CustomEvent('registrationphase', { detail: schedule }));
+      console.log('✓ Registration phase:', schedule.current.name);
+      return schedule;
+    })
+    .catch(error => {
+      console.warn('⚠ Could not load the registration phase:', error.message);
+      return null;
+    });
+}
+
+/**
+ * Current time by the server's clock
+ * @returns {number} Milliseconds since the epoch
+ */
+function phaseNow() {
+  return Date.now() + phaseClockOffset;
+}
+
+/**
+ * Format the time until a phase change
+ * @param {number} ms - Milliseconds left
+ * @returns {string} e.g. '3d 4h 12m' or '42m 10s'
+ */
+function formatPhaseCountdown(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m ${seconds}s`;
+}
+
+/**
+ * Format a phase time as a date
+ * @param {string} time - ISO time
+ * @returns {string} e.g. 'July 15, 2026'
+ */
+function formatPhaseDay(time) {
+  return new Date(time).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * Describe the countdown to the next phase change
+ * @returns {string} Countdown text ('' when nothing changes)
+ */
+function describePhaseCountdown() {
+  const current = registrationSchedule.current;
+  const next = registrationSchedule.next;
+  if (!current.endsAt) return '';
+
+  const timeLeft = formatPhaseCountdown(new Date(current.endsAt).getTime() - phaseNow());
+  if (current.status === 'lottery' && (!next || next.status === 'closed')) {
+    return `Applications close in <strong>${timeLeft}</strong> (end of ${escapeHtml(formatPhaseDay(new Date(current.endsAt).getTime() - 1))}).`;
+  }
+  if (!next || next.status === 'closed') {
+    return `Registration closes in <strong>${timeLeft}</strong> (end of ${escapeHtml(formatPhaseDay(new Date(current.endsAt).getTime() - 1))}).`;
+  }
+  return `${escapeHtml(next.name)} ${current.status === 'closed' ? 'opens' : 'starts'} in <strong>${timeLeft}</strong> ` +
+    `(${escapeHtml(formatPhaseDay(next.startsAt))}).`;
+}
+
+/**
+ * Show the current phase in #phaseBanner and keep its countdown running
+ */
+function renderPhaseBanner() {
+  const banner = document.getElementById('phaseBanner');
+  if (!banner || !registrationSchedule) return;
+
+  const current = registrationSchedule.current;
+  const styles = { open: 'alert-success', priority: 'alert-warning', lottery: 'alert-info', closed: 'alert-secondary' };
+  const override = sessionStorage.getItem(PHASE_OVERRIDE_KEY);
+  let html;
+
+  if (current.status === 'open') {
+    html = `🟢 <strong>${escapeHtml(current.name)}</strong> is open to all eligible students.`;
+  } else if (current.status === 'priority') {
+    html = `⭐ <strong>${escapeHtml(current.name)}</strong>: only ${escapeHtml(current.gradeLevels.join(' and '))} ` +
+      'students may register right now.';
+  } else if (current.status === 'lottery') {
+    html = `🎟️ <strong>${escapeHtml(current.name)}</strong>: spots are assigned by a random draw. ` +
+      (current.gradeLevels.length > 0 ? `${escapeHtml(current.gradeLevels.join(' and '))} students, ` : '') +
+      '<a href="lottery.html" class="alert-link">apply with your preferred lots</a> instead of picking a spot.';
+  } else {
+    html = `⛔ <strong>${escapeHtml(current.name)}</strong>. ${escapeHtml(current.message ||
+      (registrationSchedule.next ? 'Students cannot register until the next phase opens.'
+        : 'Late registrations are by appointment with the Administration Office.'))}`;
+  }
+  if (current.message && current.status !== 'closed') {
+    html += ` ${escapeHtml(current.message)}`;
+  }
+  html += ` <span id="phaseCountdown">${describePhaseCountdown()}</span>`;
+
+  if (current.status !== 'open' && override) {
+    html += `<div class="small mt-1">✓ The office has given student ID ${escapeHtml(override)} an override, ` +
+      'so you may register now.</div>';
+  } else if (current.status === 'closed' && banner.dataset.exceptionForm !== undefined) {
+    html += `
+      <form class="row g-2 align-items-center mt-1" id="phaseOverrideForm" novalidate>
+        <div class="col-auto small">Given an override by the office?</div>
+        <div class="col-auto">
+          <input type="text" class="form-control form-control-sm" id="phaseOverrideStudentId"
+            placeholder="Your student ID" pattern="\\d{6,8}" aria-label="Your student ID">
+        </div>
+        <div class="col-auto"><button type="submit" class="btn btn-sm btn-outline-dark">Check</button></div>
+        <div class="col-12 small text-danger" id="phaseOverrideError"></div>
+      </form>`;
+  }
+
+  banner.className = `alert ${styles[current.status]}`;
+  banner.innerHTML = html;
+  banner.style.display = 'block';
+
+  const overrideForm = document.getElementById('phaseOverrideForm');
+  if (overrideForm) {
+    overrideForm.addEventListener('submit', handlePhaseOverrideCheck);
+  }
+
+  startPhaseCountdown();
+}
+
+/**
+ * Tick the countdown once a second; reload the schedule when the phase ends
+ */
+function startPhaseCountdown() {
+  clearInterval(phaseBannerTimer);
+  if (!registrationSchedule.current.endsAt) return;
+
+  phaseBannerTimer = setInterval(() => {
+    if (phaseNow() >= new Date(registrationSchedule.current.endsAt).getTime()) {
+      clearInterval(phaseBannerTimer);
+      console.log('→ Registration phase ended, reloading the schedule...');
+      loadRegistrationPhase();
+      return;
+    }
+
+    const countdown = document.getElementById('phaseCountdown');
+    if (countdown) countdown.innerHTML = describePhaseCountdown();
+  }, 1000);
+}
+
+/**
+ * Check the student ID typed into the banner for an override
+ * @param {Event} e - Submit event
+ */
+function handlePhaseOverrideCheck(e) {
+  e.preventDefault();
+
+  const studentId = document.getElementById('phaseOverrideStudentId').value.trim();
+  const error = document.getElementById('phaseOverrideError');
+
+  if (!/^\d{6,8}$/.test(studentId)) {
+    error.textContent = 'Student ID must be 6-8 digits';
+    return;
+  }
+
+  window.parkingApi.checkRegistrationPhase({ studentId: studentId })
+    .then(result => {
+      if (!result.override) {
+        error.textContent = 'There is no override for this student ID. Please contact the Administration Office.';
+        return;
+      }
+      sessionStorage.setItem(PHASE_OVERRIDE_KEY, studentId);
+      renderPhaseBanner();
+      console.log('✓ Registration phase override confirmed for', studentId);
+    })
+    .catch(err => {
+      error.textContent = err.message;
+    });
+}
+
+/**
+ * Why a student may not pick a spot right now
+ * @returns {string|null} Message, or null when registration is open
+ *   (or the schedule has not loaded; the server checks anyway)
+ */
+function registrationBlockedMessage() {
+  if (!registrationSchedule || sessionStorage.getItem(PHASE_OVERRIDE_KEY)) return null;
+
+  const current = registrationSchedule.current;
+  if (current.status === 'lottery') {
+    return `<strong>Spots are assigned by lottery during ${escapeHtml(current.name)}.</strong> ` +
+      'Please <a href="lottery.html">apply with your preferences</a> instead of picking a spot.';
+  }
+  if (current.status !== 'closed') return null;
+
+  const next = registrationSchedule.next;
+  return `<strong>${escapeHtml(registrationSchedule.current.name)}.</strong> ` +
+    (next && next.status !== 'closed'
+      ? `${escapeHtml(next.name)} opens on ${escapeHtml(formatPhaseDay(next.startsAt))}.`
+      : 'Please contact the Administration Office to register late.');
+}
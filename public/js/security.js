@@ -0,0 +1,424 @@
+/* ============================================================
+   SECURITY PAGE SCRIPT
+   ============================================================
+   Permit check for security staff: scan a parking permit's QR
+   code or type a reference number, license plate or spot ID
+   to see whether the car belongs in its spot today.
+
+   Features:
+   - Login with a security (or clerk/coordinator) account; the
+     session is shared with the admin dashboard
+   - Security accounts only see this page (the dashboard sends
+     them here)
+   - QR scanning with the device camera where the browser
+     supports BarcodeDetector; handheld scanners that type the
+     code into the box work everywhere
+   - Result: valid today, registered but wrong day, suspended
+     or no permit, with the spot, half, days, vehicles covered
+     and the student's violation count; a plate registered in
+     several states offers a button per state to check again
+   - Accounts that can record violations log one below the
+     result, filled in from the last check
+
+   Session Storage: localStorage key 'adminSession' (admin.js)
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+const SECURITY_SESSION_KEY = 'adminSession';
+const SCAN_INTERVAL_MS = 400;
+
+let securityAccount = null;
+let scanStream = null;
+let scanTimer = null;
+
+/**
+ * Initialize the security page on DOM load
+ */
+document.addEventListener('DOMContentLoaded', function () {
+  const loginForm = document.getElementById('securityLoginForm');
+  const logoutBtn = document.getElementById('securityLogoutBtn');
+  const verifyForm = document.getElementById('verifyForm');
+  const scanQrBtn = document.getElementById('scanQrBtn');
+  const stopScanBtn = document.getElementById('stopScanBtn');
+  const violationForm = document.getElementById('securityViolationForm');
+
+  if (loginForm) {
+    loginForm.addEventListener('submit', function (e) {
+      e.preventDefault();
+      handleSecurityLogin();
+    });
+  }
+
+  if (logoutBtn) {
+    logoutBtn.addEventListener('click', handleSecurityLogout);
+  }
+
+  if (verifyForm) {
+    verifyForm.addEventListener('submit', function (e) {
+      e.preventDefault();
+      verifyQuery(document.getElementById('verifyQuery').value);
+    });
+  }
+
+  // Camera scanning needs the BarcodeDetector API (Chrome/Edge/Android)
+  if (scanQrBtn && 'BarcodeDetector' in window && navigator.mediaDevices) {
+    scanQrBtn.style.display = '';
+    scanQrBtn.addEventListener('click', startQrScan);
+  }
+
+  if (stopScanBtn) {
+    stopScanBtn.addEventListener('click', stopQrScan);
+  }
+
+  if (violationForm) {
+    violationForm.addEventListener('submit', function (e) {
+      e.preventDefault();
+      handleSecurityViolation();
+    });
+  }
+
+  checkSecuritySession();
+});
+
+/**
+ * Resume a stored session, or show the login screen
+ */
+function checkSecuritySession() {
+  let session = null;
+  try {
+    session = JSON.parse(localStorage.getItem(SECURITY_SESSION_KEY));
+  } catch (error) {
+    session = null;
+  }
+
+  if (!session || !session.token || new Date(session.expiresAt).getTime() <= Date.now()) {
+    showSecurityLogin();
+    return;
+  }
+
+  window.parkingApi.setAuthToken(session.token);
+  window.parkingApi.getSession()
+    .then(result => {
+      securityAccount = result.account;
+
+      if (!securityAccount.permissions.includes('verify-permits')) {
+        showSecurityLogin(`${securityAccount.displayName}'s role cannot check permits.`);
+        return;
+      }
+
+      document.getElementById('securityLoginScreen').style.display = 'none';
+      document.getElementById('verifyScreen').style.display = 'block';
+      document.getElementById('securityUserInfo').textContent =
+        `Logged in as ${securityAccount.displayName} (${securityAccount.roleLabel})`;
+      document.getElementById('verifyQuery').focus();
+      if (securityAccount.permissions.includes('record-violations')) loadViolationTypes();
+      console.log('✓ Security session found:', securityAccount.username);
+    })
+    .catch(error => {
+      console.warn('⚠ Security session rejected:', error.message);
+      showSecurityLogin();
+    });
+}
+
+/**
+ * Show the login screen and forget the stored session
+ * @param {string} [message] - Error to show above the form
+ */
+function showSecurityLogin(message) {
+  const errorDiv = document.getElementById('securityLoginError');
+
+  localStorage.removeItem(SECURITY_SESSION_KEY);
+  window.parkingApi.setAuthToken(null);
+  securityAccount = null;
+  stopQrScan();
+
+  document.getElementById('securityLoginScreen').style.display = 'block';
+  document.getElementById('verifyScreen').style.display = 'none';
+  document.getElementById('securityViolationForm').style.display = 'none';
+
+  if (errorDiv) {
+    errorDiv.textContent = message || '';
+    errorDiv.style.display = message ? 'block' : 'none';
+  }
+}
+
+/**
+ * Log in with the security login form
+ */
+function handleSecurityLogin() {
+  const usernameInput = document.getElementById('securityUsername');
+  const passwordInput = document.getElementById('securityPassword');
+  const errorDiv = document.getElementById('securityLoginError');
+
+  window.parkingApi.login(usernameInput.value.trim(), passwordInput.value)
+    .then(result => {
+      localStorage.setItem(SECURITY_SESSION_KEY, JSON.stringify({
+        token: result.token,
+        expiresAt: result.expiresAt,
+        loginTime: new Date().toISOString()
+      }));
+      passwordInput.value = '';
+      console.log('✓ Security login successful:', result.account.username);
+      checkSecuritySession();
+    })
+    .catch(error => {
+      errorDiv.textContent = error.message;
+      errorDiv.style.display = 'block';
+      passwordInput.value = '';
+      passwordInput.focus();
+      console.warn('✗ Security login failed:', error.message);
+    });
+}
+
+/**
+ * End the session on the server and return to the login screen
+ */
+function handleSecurityLogout() {
+  window.parkingApi.logout()
+    .catch(error => {
+      console.warn('⚠ Logout request failed:', error.message);
+    })
+    .then(() => {
+      showSecurityLogin();
+      console.log('✓ Security logged out');
+    });
+}
+
+/**
+ * Look up a scanned or typed permit and show the result
+ * @param {string} value - Reference number, plate or spot ID
+ * @param {string} [state] - State of a plate
+ */
+function verifyQuery(value, state) {
+  const query = String(value || '').trim();
+  if (!query) return;
+
+  window.parkingApi.verifyPermit(query, state)
+    .then(result => {
+      renderVerifyResult(result);
+      prefillViolationForm(result);
+      const input = document.getElementById('verifyQuery');
+      input.value = '';
+      input.focus();
+      console.log('✓ Permit checked:', result.query, '→', result.permits.length, 'permit(s)');
+    })
+    .catch(error => {
+      if (error.status === 401) {
+        showSecurityLogin('Your session has expired. Please log in again.');
+        return;
+      }
+      document.getElementById('verifyResult').innerHTML =
+        `<div class="alert alert-danger">${escapeHtml(error.message)}</div>`;
+      console.error('✗ Permit check failed:', error.message);
+    });
+}
+
+/**
+ * Build the card for one permit
+ * @param {object} permit - Permit from the verify result
+ * @returns {string} Card HTML
+ */
+function renderPermitCard(permit) {
+  const spot = permit.parkingSpot + (permit.half ? ` (half ${permit.half})` : '');
+  const vehicles = permit.vehicles.map(vehicle =>
+    `<li><strong class="font-monospace">${escapeHtml(`${vehicle.state} ${vehicle.plate}`)}</strong>
+      ${escapeHtml([vehicle.color, vehicle.make, vehicle.model].filter(Boolean).join(' '))}</li>`).join('');
+
+  const badge = permit.status === 'suspended' ? { className: 'bg-danger', label: 'Suspended' }
+    : permit.allowedToday ? { className: 'bg-success', label: 'Allowed today' }
+      : { className: 'bg-warning text-dark', label: 'Not today' };
+
+  return `
+    <div class="card mb-3 permit-result permit-result-${permit.allowedToday ? 'valid' : permit.status}">
+      <div class="card-body">
+        <div class="d-flex justify-content-between align-items-start">
+          <div>
+            <h5 class="mb-1">${escapeHtml(permit.fullName)}</h5>
+            <small class="text-muted">ID ${escapeHtml(permit.studentId)} · ${escapeHtml(permit.referenceId)}</small>
+          </div>
+          <span class="badge ${badge.className} fs-6">${badge.label}</span>
+        </div>
+        <p class="mb-1 mt-2"><strong>Spot:</strong> ${escapeHtml(permit.parkingLot)} - ${escapeHtml(spot)}</p>
+        <p class="mb-1"><strong>Days:</strong> ${escapeHtml(permit.days)}</p>
+        <p class="mb-1"><strong>Vehicles:</strong></p>
+        <ul class="mb-1">${vehicles || '<li class="text-muted">None on file</li>'}</ul>
+        <p class="mb-1"><strong>Violations:</strong> ${permit.violations}</p>
+        ${permit.notes.map(note => `<p class="mb-0 text-danger small">${escapeHtml(note)}</p>`).join('')}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Show a verify result: an overall verdict and one card per permit
+ * @param {object} result - Result from verifyPermit()
+ */
+function renderVerifyResult(result) {
+  const container = document.getElementById('verifyResult');
+  const valid = result.permits.some(permit => permit.allowedToday);
+  const verdict = result.permits.length === 0 ? { className: 'alert-danger', title: '✗ No permit' }
+    : valid ? { className: 'alert-success', title: '✓ Valid' }
+      : { className: 'alert-warning', title: '⚠ Not valid today' };
+
+  let spotNote = '';
+  if (result.spot && (result.spot.outOfService || result.spot.designation === 'reserved')) {
+    spotNote = `<p class="mb-0 small">Spot ${escapeHtml(result.spot.id)} is
+      ${result.spot.outOfService ? 'out of service' : 'reserved'} - students may not park there.</p>`;
+  }
+
+  // A plate registered in several states: check again with the state on the car
+  const stateChoice = result.plateStates.length > 0 ? `<p class="mb-1">${result.plateStates.map(state =>
+    `<button type="button" class="btn btn-sm btn-outline-dark me-1 btn-plate-state" data-state="${escapeHtml(state)}">
+      ${escapeHtml(state)} ${escapeHtml(result.query)}</button>`).join('')}</p>` : '';
+
+  container.innerHTML = `
+    <div class="alert ${verdict.className} verify-verdict">
+      <h2 class="h4 mb-1">${verdict.title}</h2>
+      <p class="mb-1">${escapeHtml(result.message)}</p>
+      ${stateChoice}
+      ${spotNote}
+      <small>Checked ${escapeHtml(result.query)} on ${escapeHtml(result.today)},
+        ${escapeHtml(new Date(result.checkedAt).toLocaleTimeString())}</small>
+    </div>
+    ${result.permits.map(renderPermitCard).join('')}
+  `;
+  container.querySelectorAll('.btn-plate-state').forEach(button => {
+    button.addEventListener('click', () => verifyQuery(result.query, button.dataset.state));
+  });
+}
+
+/**
+ * Fill the violation type dropdown and show the log form
+ */
+function loadViolationTypes() {
+  window.parkingApi.getViolationPolicy()
+    .then(policy => {
+      document.getElementById('securityViolationType').innerHTML =
+        '<option value="">Choose...</option>' + Object.keys(policy.types).map(type =>
+          `<option value="${escapeHtml(type)}">${escapeHtml(policy.types[type])}</option>`).join('');
+      document.getElementById('securityViolationState').innerHTML =
+        '<option value="">Not sure</option>' + policy.states.map(state =>
+          `<option value="${escapeHtml(state)}">${escapeHtml(state)}</option>`).join('');
+      document.getElementById('securityViolationForm').style.display = 'block';
+    })
+    .catch(error => {
+      console.warn('⚠ Could not load violation types:', error.message);
+    });
+}
+
+/**
+ * Fill the violation form from a verify result
+ * @param {object} result - Result from verifyPermit()
+ */
+function prefillViolationForm(result) {
+  const single = result.permits.length === 1 ? result.permits[0] : null;
+
+  document.getElementById('securityViolationSpot').value = result.spot ? result.spot.id
+    : single ? single.parkingSpot : '';
+  document.getElementById('securityViolationPlate').value = result.matchedBy === 'plate' || !result.matchedBy
+    ? result.query : '';
+  document.getElementById('securityViolationState').value = result.state || '';
+  document.getElementById('securityViolationReference').value = result.matchedBy === 'reference' && single
+    ? single.referenceId : '';
+  document.getElementById('securityViolationResult').innerHTML = '';
+}
+
+/**
+ * Log a violation from the form below the result
+ */
+function handleSecurityViolation() {
+  const value = id => document.getElementById(id).value.trim();
+  const resultDiv = document.getElementById('securityViolationResult');
+
+  window.parkingApi.recordViolation({
+    type: value('securityViolationType'),
+    spotId: value('securityViolationSpot'),
+    plate: value('securityViolationPlate'),
+    state: value('securityViolationState'),
+    referenceId: value('securityViolationReference'),
+    notes: value('securityViolationNotes')
+  })
+    .then(result => {
+      const violation = result.violation;
+      const consequence = violation.consequence;
+      let message = 'Violation logged. No registered student matched, so it is not charged to anyone.';
+
+      if (consequence) {
+        const outcome = consequence.action === 'suspension'
+          ? `parking suspended until ${new Date(consequence.until).toLocaleDateString()}`
+          : consequence.action === 'revocation' ? 'parking privileges revoked' : 'warning issued';
+        message = `Violation ${consequence.offense} logged for ${violation.fullName}: ${outcome}.`;
+      }
+
+      document.getElementById('securityViolationForm').reset();
+      resultDiv.innerHTML = `<div class="alert alert-success mb-0">${escapeHtml(message)}</div>`;
+      console.log('✓ Violation logged:', violation.violationId);
+    })
+    .catch(error => {
+      if (error.status === 401) {
+        showSecurityLogin('Your session has expired. Please log in again.');
+        return;
+      }
+      const details = (error.details || []).map(detail => `<li>${escapeHtml(detail)}</li>`).join('');
+      resultDiv.innerHTML = `<div class="alert alert-danger mb-0">${escapeHtml(error.message)}
+        ${details ? `<ul class="mb-0">${details}</ul>` : ''}</div>`;
+      console.error('✗ Violation not logged:', error.message);
+    });
+}
+
+/**
+ * Start scanning QR codes with the camera
+ */
+function startQrScan() {
+  const video = document.getElementById('scanVideo');
+  const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+
+  navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+    .then(stream => {
+      scanStream = stream;
+      video.srcObject = stream;
+      document.getElementById('scanArea').style.display = 'block';
+      return video.play();
+    })
+    .then(() => {
+      console.log('→ Scanning for a permit QR code...');
+      scanTimer = setInterval(() => {
+        detector.detect(video)
+          .then(codes => {
+            if (codes.length > 0 && scanStream) {
+              stopQrScan();
+              verifyQuery(codes[0].rawValue);
+            }
+          })
+          .catch(error => {
+            console.warn('⚠ QR detection failed:', error.message);
+          });
+      }, SCAN_INTERVAL_MS);
+    })
+    .catch(error => {
+      stopQrScan();
+      document.getElementById('verifyResult').innerHTML =
+        '<div class="alert alert-warning">Could not use the camera. Type the reference number printed under ' +
+        'the QR code instead.</div>';
+      console.error('✗ Camera unavailable:', error.message);
+    });
+}
+
+/**
+ * Stop the camera and hide the scan preview
+ */
+function stopQrScan() {
+  const scanArea = document.getElementById('scanArea');
+
+  if (scanTimer) {
+    clearInterval(scanTimer);
+    scanTimer = null;
+  }
+  if (scanStream) {
+    scanStream.getTracks().forEach(track => track.stop());
+    scanStream = null;
+  }
+  if (scanArea) scanArea.style.display = 'none';
+}
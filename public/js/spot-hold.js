@@ -0,0 +1,74 @@
+/* ============================================================
+   SPOT HOLD COUNTDOWN
+   ============================================================
+   Shared by the parking and form pages. Choosing a spot holds
+   it on the server for 10 minutes (see server/lib/holds.js) so
+   nobody else can take it while the student fills out the
+   form. The hold is saved with the selected spot:
+
+   selectedSpot.hold: {holdId, holdToken, expiresAt (ms)}
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+/**
+ * Turn a hold from the API into the form saved with the selection
+ * @param {object} hold - Hold from parkingApi.placeHold()
+ * @returns {object} {holdId, holdToken, expiresAt}
+ */
+function toSavedHold(hold) {
+  return {
+    holdId: hold.holdId,
+    holdToken: hold.holdToken,
+    // Counted from this device's clock, in case it differs from the server's
+    expiresAt: Date.now() + hold.secondsLeft * 1000
+  };
+}
+
+/**
+ * Time left on a selection's hold
+ * @param {object|null} selection - Selected spot
+ * @returns {number} Milliseconds left (0 when expired or not held)
+ */
+function holdTimeLeft(selection) {
+  if (!selection || !selection.hold) return 0;
+  return Math.max(0, selection.hold.expiresAt - Date.now());
+}
+
+/**
+ * Format a countdown
+ * @param {number} ms - Milliseconds left
+ * @returns {string} e.g. '9:05'
+ */
+function formatHoldTime(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * Count down a selection's hold once a second
+ * @param {object} selection - Selected spot with a hold
+ * @param {Function} onTick - Called with the milliseconds left
+ * @param {Function} onExpire - Called once when the hold runs out
+ * @returns {number} Interval ID, for clearInterval()
+ */
+function startHoldCountdown(selection, onTick, onExpire) {
+  const tick = () => {
+    const timeLeft = holdTimeLeft(selection);
+    if (timeLeft > 0) {
+      onTick(timeLeft);
+      return;
+    }
+
+    clearInterval(timer);
+    console.warn('⚠ Hold expired on spot', selection.id);
+    onExpire();
+  };
+
+  const timer = setInterval(tick, 1000);
+  tick();
+  return timer;
+}
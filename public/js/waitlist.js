@@ -0,0 +1,253 @@
+/* ============================================================
+   WAITLIST PAGE SCRIPT
+   ============================================================
+   Lets students join the parking waitlist when no spot they
+   want is open, and check their place in line or any spot
+   being held for them.
+
+   Features:
+   - Lot preference checkboxes generated from the lot registry
+   - Solo / shared / either preference (with a partner a whole
+     shared spot, without one a single half)
+   - Server-side validation errors shown on the form
+   - Waitlist ID kept in LocalStorage (waitlistId) so the
+     status shows on return visits
+   - Status lookup by waitlist ID
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+let waitlistLots = {};
+
+/**
+ * Initialize waitlist page on DOM load
+ */
+document.addEventListener('DOMContentLoaded', function () {
+  loadLotPreferences();
+  setupWaitlistHandlers();
+  updatePartnerField();
+
+  const savedId = localStorage.getItem('waitlistId');
+  if (savedId) {
+    loadWaitlistStatus(savedId);
+  }
+});
+
+/**
+ * Load lots from the server and show one checkbox per lot
+ */
+function loadLotPreferences() {
+  window.parkingApi.getParkingData()
+    .then(data => {
+      waitlistLots = data;
+      const container = document.getElementById('lotPreferences');
+      if (!container) return;
+
+      container.innerHTML = Object.entries(data).map(([lotKey, lot]) => `
+        <div class="form-check form-check-inline">
+          <input class="form-check-input" type="checkbox" id="lotPref-${lotKey}" value="${lotKey}">
+          <label class="form-check-label" for="lotPref-${lotKey}">${escapeHtml(lot.name)}</label>
+        </div>
+      `).join('');
+      console.log('✓ Lot preferences loaded');
+    })
+    .catch(error => {
+      console.error('✗ Error loading lots:', error);
+      showFormError('Failed to load the parking lots. Please refresh the page.');
+    });
+}
+
+/**
+ * Setup form and button handlers
+ */
+function setupWaitlistHandlers() {
+  const form = document.getElementById('waitlistForm');
+  const lookupForm = document.getElementById('waitlistLookupForm');
+  const spotType = document.getElementById('spotTypePreference');
+  const forgetBtn = document.getElementById('forgetWaitlistBtn');
+
+  if (form) {
+    form.addEventListener('submit', handleJoinSubmit);
+  }
+
+  if (lookupForm) {
+    lookupForm.addEventListener('submit', function (e) {
+      e.preventDefault();
+      const waitlistId = document.getElementById('waitlistIdInput').value.trim();
+      if (waitlistId) loadWaitlistStatus(waitlistId);
+    });
+  }
+
+  if (spotType) {
+    spotType.addEventListener('change', updatePartnerField);
+  }
+
+  if (forgetBtn) {
+    forgetBtn.addEventListener('click', function () {
+      localStorage.removeItem('waitlistId');
+      document.getElementById('waitlistStatusCard').style.display = 'none';
+      console.log('✓ Saved waitlist ID cleared');
+    });
+  }
+}
+
+/**
+ * Show the partner fields unless only solo spots are wanted
+ */
+function updatePartnerField() {
+  const spotType = document.getElementById('spotTypePreference');
+  const section = document.getElementById('waitlistPartnerSection');
+  const help = document.getElementById('partnerHelp');
+  if (!spotType || !section) return;
+
+  section.style.display = spotType.value === 'solo' ? 'none' : 'block';
+  help.textContent = spotType.value === 'shared'
+    ? 'Optional - your partner parks on the opposite days; without one you are offered a single half'
+    : 'Optional - with a partner you can be offered a whole shared spot, without one a single half';
+}
+
+/**
+ * Collect the join form fields
+ * @returns {object} Waitlist request for the API
+ */
+function collectWaitlistData() {
+  const value = id => document.getElementById(id).value.trim();
+  const spotType = document.getElementById('spotTypePreference').value;
+
+  return {
+    fullName: value('fullName'),
+    studentId: value('studentId'),
+    email: value('email'),
+    phone: value('phone'),
+    gradeLevel: document.getElementById('gradeLevel').value,
+    lotPreferences: Array.from(document.querySelectorAll('#lotPreferences input:checked')).map(input => input.value),
+    spotType: spotType,
+    parkingPartner: spotType === 'solo' ? '' : value('partnerName'),
+    partnerStudentId: spotType === 'solo' ? '' : value('partnerStudentId')
+  };
+}
+
+/**
+ * Submit the join form
+ * @param {Event} e - Submit event
+ */
+function handleJoinSubmit(e) {
+  e.preventDefault();
+
+  const submitBtn = document.querySelector('#waitlistForm button[type="submit"]');
+  const formErrors = document.getElementById('formErrors');
+  formErrors.style.display = 'none';
+  submitBtn.disabled = true;
+
+  window.parkingApi.joinWaitlist(collectWaitlistData())
+    .then(entry => {
+      localStorage.setItem('waitlistId', entry.waitlistId);
+      document.getElementById('waitlistForm').reset();
+      updatePartnerField();
+      showWaitlistStatus(entry);
+      console.log('✓ Joined waitlist:', entry.waitlistId);
+    })
+    .catch(error => {
+      console.error('✗ Waitlist request rejected:', error);
+      if (error.details && error.details.length > 0) {
+        showFormError(`<strong>${escapeHtml(error.message)}:</strong><ul>` +
+          error.details.map(detail => `<li>${escapeHtml(detail)}</li>`).join('') + '</ul>');
+      } else {
+        showFormError(escapeHtml(error.message));
+      }
+    })
+    .finally(() => {
+      submitBtn.disabled = false;
+    });
+}
+
+/**
+ * Look up a waitlist entry and show its status
+ * @param {string} waitlistId - Waitlist ID
+ */
+function loadWaitlistStatus(waitlistId) {
+  window.parkingApi.getWaitlistStatus(waitlistId)
+    .then(entry => {
+      localStorage.setItem('waitlistId', entry.waitlistId);
+      showWaitlistStatus(entry);
+    })
+    .catch(error => {
+      console.error('✗ Waitlist lookup failed:', error);
+      if (error.status === 404) {
+        localStorage.removeItem('waitlistId');
+      }
+      showStatusMessage(`<div class="alert alert-warning mb-2">${escapeHtml(error.message)}</div>`);
+    });
+}
+
+/**
+ * Describe a spot offer
+ * @param {object} offer - {spotId, half, lotName}
+ * @returns {string} e.g. 'Lot A - Spot A-4 (Tuesday/Thursday)'
+ */
+function describeOffer(offer) {
+  const schedules = { A: 'Monday/Wednesday/Friday', B: 'Tuesday/Thursday' };
+  return `${offer.lotName} - Spot ${offer.spotId}` + (offer.half ? ` (${schedules[offer.half]})` : '');
+}
+
+/**
+ * Show a waitlist entry's status
+ * @param {object} entry - Status from the API
+ */
+function showWaitlistStatus(entry) {
+  const lots = entry.lotPreferences.length > 0
+    ? entry.lotPreferences.map(lotKey => (waitlistLots[lotKey] ? waitlistLots[lotKey].name : lotKey)).join(', ')
+    : 'Any lot';
+  const spotTypes = { solo: 'Solo', shared: 'Shared', any: 'Solo or shared' };
+  let message;
+
+  if (entry.status === 'waiting') {
+    message = `<div class="alert alert-info mb-2">You are <strong>number ${entry.position}</strong> on the waitlist.</div>`;
+  } else if (entry.status === 'offered') {
+    message = `<div class="alert alert-success mb-2">
+      <strong>${escapeHtml(describeOffer(entry.offer))}</strong> is being held for you until
+      ${new Date(entry.offer.expiresAt).toLocaleString()}. The Administration Office will contact you
+      to accept or decline it.</div>`;
+  } else if (entry.status === 'accepted') {
+    message = `<div class="alert alert-success mb-2">You accepted a spot from the waitlist.
+      Your registration reference is <strong>${entry.referenceId}</strong>.</div>`;
+  } else if (entry.status === 'expired') {
+    message = '<div class="alert alert-secondary mb-2">The spot offered to you was not taken up before its hold ' +
+      'ran out, so it went to the next student. You are no longer on the waitlist.</div>';
+  } else {
+    message = '<div class="alert alert-secondary mb-2">You declined the spot offered to you and are no longer on the waitlist.</div>';
+  }
+
+  showStatusMessage(`
+    ${message}
+    <p class="mb-1"><strong>${escapeHtml(entry.fullName)}</strong> &middot; Waitlist ID <code>${escapeHtml(entry.waitlistId)}</code></p>
+    <p class="small text-muted mb-0">Preferences: ${escapeHtml(lots)} &middot; ${spotTypes[entry.spotType]}
+      &middot; Joined ${new Date(entry.joinedAt).toLocaleDateString()}</p>
+  `);
+}
+
+/**
+ * Put HTML in the status card and show it
+ * @param {string} html - Status HTML
+ */
+function showStatusMessage(html) {
+  const card = document.getElementById('waitlistStatusCard');
+  const status = document.getElementById('waitlistStatus');
+  if (!card || !status) return;
+
+  status.innerHTML = html;
+  card.style.display = 'block';
+  card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+/**
+ * Show form error message
+ * @param {string} message - Error HTML
+ */
+function showFormError(message) {
+  const formErrors = document.getElementById('formErrors');
+  formErrors.innerHTML = message;
+  formErrors.style.display = 'block';
+  console.error('✗ Form error:', message);
+}
@@ -0,0 +1,121 @@
+/* ============================================================
+   ADMIN ACCOUNTS
+   ============================================================
+   Named administrator accounts, each with a role and a salted
+   scrypt password hash. Stored outside the public folder and
+   managed with server/tools/manage-admins.js.
+
+   File: server/config/admin-accounts.json (not in the
+         repository; no account ships with a default password,
+         so the first one is created with manage-admins.js)
+   Structure: {accounts: [{username, displayName, role,
+               salt, passwordHash}]}
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const roles = require('./roles');
+
+const ACCOUNTS_FILE = process.env.MHS_ACCOUNTS_FILE ||
+  path.join(__dirname, '..', 'config', 'admin-accounts.json');
+const KEY_LENGTH = 64;
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+
+/**
+ * Hash a password with scrypt
+ * @param {string} password - Plain-text password
+ * @param {string} salt - Hex salt
+ * @returns {string} Hex hash
+ */
+function hashPassword(password, salt) {
+  return crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+}
+
+/**
+ * Create a new salted credential record
+ * @param {string} password - Plain-text password
+ * @returns {{salt: string, passwordHash: string}} Credential record
+ */
+function createCredentials(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return { salt: salt, passwordHash: hashPassword(password, salt) };
+}
+
+/**
+ * Read all accounts
+ * @returns {object[]} Accounts
+ */
+function loadAccounts() {
+  if (!fs.existsSync(ACCOUNTS_FILE)) return [];
+  return JSON.parse(fs.readFileSync(ACCOUNTS_FILE, 'utf8')).accounts || [];
+}
+
+/**
+ * Write all accounts
+ * @param {object[]} accounts - Accounts
+ */
+function saveAccounts(accounts) {
+  fs.writeFileSync(ACCOUNTS_FILE, JSON.stringify({ accounts: accounts }, null, 2) + '\n');
+}
+
+/**
+ * Find an account by username
+ * @param {string} username - Username (case-insensitive)
+ * @returns {object|undefined} Account
+ */
+function findAccount(username) {
+  const name = String(username || '').trim().toLowerCase();
+  return loadAccounts().find(account => account.username === name);
+}
+
+/**
+ * Check a password for an account
+ * @param {string} username - Username
+ * @param {string} password - Plain-text password
+ * @returns {object|null} The account if the password matches
+ */
+function verifyCredentials(username, password) {
+  const account = findAccount(username);
+
+  // Hash even for unknown users so response time does not reveal them
+  const salt = account ? account.salt : '00000000000000000000000000000000';
+  const actual = Buffer.from(hashPassword(password, salt), 'hex');
+
+  if (!account) return null;
+
+  const expected = Buffer.from(account.passwordHash, 'hex');
+  const matches = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  return matches ? account : null;
+}
+
+/**
+ * Describe an account without its password fields
+ * @param {object} account - Account
+ * @returns {object} {username, displayName, role, roleLabel, permissions}
+ */
+function publicAccount(account) {
+  return {
+    username: account.username,
+    displayName: account.displayName || account.username,
+    role: account.role,
+    roleLabel: roles.isRole(account.role) ? roles.ROLES[account.role].label : account.role,
+    permissions: roles.permissionsFor(account.role)
+  };
+}
+
+module.exports = {
+  ACCOUNTS_FILE,
+  USERNAME_PATTERN,
+  createCredentials,
+  loadAccounts,
+  saveAccounts,
+  findAccount,
+  verifyCredentials,
+  publicAccount
+};
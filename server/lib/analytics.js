@@ -0,0 +1,364 @@
+/* ============================================================
+   ANALYTICS
+   ============================================================
+   Figures for the admin Analytics tab: lot occupancy and new
+   registrations day by day, solo vs shared uptake, the balance
+   of shared-spot halves, the grade mix and a fill-rate
+   projection against registrationDeadline.
+
+   The database only holds the current registrations, so the
+   day-by-day figures are rebuilt by replaying the audit log
+   (see lib/audit.js). Only the actions in REGISTRATION_ACTIONS
+   count - other entries (violations, waitlist offers, ...) can
+   hold records that look like registrations. Their before
+   removes a registration and their after adds it; spot.clear
+   and data.import list several, and data.reset empties the
+   lots.
+   Registrations the log does not mention (e.g., from before the
+   log was kept) count from their submittedAt. Lots are matched
+   by spot in the current layout; registrations on spots that
+   no longer exist are counted under 'Other'.
+
+   Days are local server days ('YYYY-MM-DD') from registration
+   opening (the first phase's start, see lib/phases.js) or the
+   first registration, whichever is earlier, up to today
+   (at most MAX_DAYS).
+
+   Capacity counts students: one per open solo spot and two per
+   open shared spot (reserved and out-of-service spots are left
+   out).
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const parking = require('./parking');
+const phases = require('./phases');
+const audit = require('./audit');
+
+const MAX_DAYS = 366;
+const RATE_WINDOW_DAYS = 7;
+const OTHER_LOT = 'other';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Audit actions that add, change or remove registrations → how their
+// before/after hold them ('one' registration or a 'list' in .registrations)
+const REGISTRATION_ACTIONS = {
+  'registration.submit': 'one',
+  'registration.remove': 'one',
+  'registration.update': 'one',
+  'registration.move': 'one',
+  'registration.cancel': 'one',
+  'registration.merge': 'one',
+  'registration.revoke': 'one',
+  'swap.complete': 'one',
+  'spot.clear': 'list',
+  'data.import': 'list'
+};
+
+/**
+ * Format a time as a local day
+ * @param {Date|string|number} time - Time
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function dayKey(time) {
+  const date = new Date(time);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Move a day forward or back
+ * @param {string} day - 'YYYY-MM-DD'
+ * @param {number} count - Days to add (negative to go back)
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function addDays(day, count) {
+  return dayKey(new Date(Number(day.slice(0, 4)), Number(day.slice(5, 7)) - 1, Number(day.slice(8, 10)) + count));
+}
+
+/**
+ * Count the days from one day to another
+ * @param {string} from - 'YYYY-MM-DD'
+ * @param {string} to - 'YYYY-MM-DD'
+ * @returns {number} Days (negative if to is earlier)
+ */
+function daysBetween(from, to) {
+  const toTime = day => Date.UTC(Number(day.slice(0, 4)), Number(day.slice(5, 7)) - 1, Number(day.slice(8, 10)));
+  return Math.round((toTime(to) - toTime(from)) / DAY_MS);
+}
+
+/**
+ * Check whether an audit value is a registration
+ * @param {*} value - Audit entry before/after
+ * @returns {boolean} True for a registration record
+ */
+function isRegistration(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+    Boolean(value.referenceId) && Boolean(value.parkingSpot) && Boolean(value.studentId);
+}
+
+/**
+ * Describe each lot's open spots
+ * @param {object} layout - Lot layout from parking.loadLayout()
+ * @returns {object[]} {lotKey, name, soloSpots, sharedSpots, capacity}
+ */
+function describeLots(layout) {
+  return Object.entries(layout).map(([lotKey, lot]) => {
+    const open = lot.spots.filter(parking.isOpen);
+    const soloSpots = open.filter(spot => spot.type === 'solo').length;
+    const sharedSpots = open.filter(spot => spot.type === 'shared').length;
+    return {
+      lotKey: lotKey,
+      name: lot.name,
+      soloSpots: soloSpots,
+      sharedSpots: sharedSpots,
+      capacity: soloSpots + sharedSpots * parking.HALVES.length
+    };
+  });
+}
+
+/**
+ * Find which lot a registration's spot is in
+ * @param {object} layout - Lot layout
+ * @param {object} registration - Registration
+ * @returns {string} Lot key, or OTHER_LOT
+ */
+function findLotKey(layout, registration) {
+  const found = parking.findSpot(layout, registration.parkingSpot);
+  return found ? found.lotKey : OTHER_LOT;
+}
+
+/**
+ * Turn the audit log (and registrations it does not mention)
+ * into registration events, oldest first
+ * @param {object} db - Database
+ * @returns {object[]} {time, type: 'submit'|'add'|'remove'|'reset', registration}
+ */
+function collectEvents(db) {
+  const events = [];
+  const logged = new Set();
+  const push = (time, type, registration) => {
+    if (registration) logged.add(registration.referenceId);
+    events.push({ time: new Date(time).getTime(), type: type, registration: registration || null });
+  };
+
+  audit.readEntries().reverse().forEach(entry => {
+    if (entry.action === 'data.reset') {
+      push(entry.timestamp, 'reset', null);
+      return;
+    }
+
+    const shape = REGISTRATION_ACTIONS[entry.action];
+    if (!shape) return;
+
+    const lists = shape === 'list';
+    const removed = lists ? (entry.before && entry.before.registrations) || [] : [entry.before];
+    const added = lists ? (entry.after && entry.after.registrations) || [] : [entry.after];
+
+    removed.filter(isRegistration).forEach(registration => push(entry.timestamp, 'remove', registration));
+    added.filter(isRegistration).forEach(registration =>
+      push(entry.timestamp, entry.action === 'registration.submit' ? 'submit' : 'add', registration));
+  });
+
+  db.registrations
+    .filter(registration => !logged.has(registration.referenceId) && registration.submittedAt)
+    .forEach(registration => push(registration.submittedAt, 'submit', registration));
+
+  return events
+    .filter(event => !isNaN(event.time))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Replay the events into per-lot occupancy and new registrations per day
+ * @param {object[]} events - From collectEvents()
+ * @param {object} layout - Lot layout
+ * @param {string[]} days - Days to report, in order
+ * @param {string[]} lotKeys - Lots to report
+ * @returns {{occupancy: object, registrationsPerDay: number[]}}
+ *   occupancy: {lotKey: [students at the end of each day]}
+ */
+function replayEvents(events, layout, days, lotKeys) {
+  const current = new Map();
+  const occupancy = {};
+  const registrationsPerDay = [];
+  let next = 0;
+
+  lotKeys.forEach(lotKey => {
+    occupancy[lotKey] = [];
+  });
+
+  days.forEach(day => {
+    let submitted = 0;
+
+    while (next < events.length && dayKey(events[next].time) <= day) {
+      const event = events[next];
+      if (event.type === 'reset') {
+        current.clear();
+      } else if (event.type === 'remove') {
+        current.delete(event.registration.referenceId);
+      } else {
+        current.set(event.registration.referenceId, findLotKey(layout, event.registration));
+        if (event.type === 'submit' && dayKey(event.time) === day) submitted++;
+      }
+      next++;
+    }
+
+    lotKeys.forEach(lotKey => {
+      occupancy[lotKey].push(0);
+    });
+    current.forEach(lotKey => {
+      if (occupancy[lotKey]) occupancy[lotKey][occupancy[lotKey].length - 1]++;
+    });
+    registrationsPerDay.push(submitted);
+  });
+
+  return { occupancy: occupancy, registrationsPerDay: registrationsPerDay };
+}
+
+/**
+ * Count current registrations by spot type, shared half and grade
+ * @param {object} db - Database
+ * @param {object} layout - Lot layout
+ * @param {object[]} lots - From describeLots()
+ * @returns {{uptake: object, halfBalance: object[], grades: object[]}}
+ */
+function summarizeCurrent(db, layout, lots) {
+  const uptake = {
+    solo: { registrations: 0, capacity: lots.reduce((sum, lot) => sum + lot.soloSpots, 0) },
+    shared: { registrations: 0, capacity: lots.reduce((sum, lot) => sum + lot.sharedSpots * parking.HALVES.length, 0) }
+  };
+  const halfBalance = lots
+    .filter(lot => lot.sharedSpots > 0)
+    .map(lot => ({ lotKey: lot.lotKey, name: lot.name, spots: lot.sharedSpots, A: 0, B: 0 }));
+  const grades = {};
+
+  db.registrations.forEach(registration => {
+    const spotType = registration.spotType === 'shared' ? 'shared' : 'solo';
+    const grade = registration.gradeLevel || 'Unknown';
+    uptake[spotType].registrations++;
+
+    if (!grades[grade]) grades[grade] = { gradeLevel: grade, solo: 0, shared: 0 };
+    grades[grade][spotType]++;
+
+    if (spotType === 'shared' && parking.HALVES.includes(registration.half)) {
+      const balance = halfBalance.find(lot => lot.lotKey === findLotKey(layout, registration));
+      if (balance) balance[registration.half]++;
+    }
+  });
+
+  return {
+    uptake: uptake,
+    halfBalance: halfBalance,
+    grades: Object.values(grades).sort((a, b) => (b.solo + b.shared) - (a.solo + a.shared))
+  };
+}
+
+/**
+ * Project when the lots fill, from the recent registration rate
+ * @param {number[]} totals - Students registered at the end of each day
+ * @param {number} capacity - Students the open spots can take
+ * @param {string} today - 'YYYY-MM-DD'
+ * @param {Date|null} deadline - Registration deadline (exclusive)
+ * @returns {object} {deadline, daysLeft, current, capacity, ratePerDay,
+ *   rateWindowDays, projectedAtDeadline, fullOn, status}
+ *   status: 'full' | 'no-deadline' | 'deadline-passed' | 'stalled' |
+ *   'fills-before-deadline' | 'short-at-deadline'
+ */
+function projectFillRate(totals, capacity, today, deadline) {
+  const current = totals.length > 0 ? totals[totals.length - 1] : 0;
+  const rateWindow = Math.min(RATE_WINDOW_DAYS, totals.length - 1);
+  const ratePerDay = rateWindow > 0 ? Math.max(0, (current - totals[totals.length - 1 - rateWindow]) / rateWindow) : 0;
+  const lastDay = deadline ? dayKey(deadline.getTime() - 1) : null;
+  const daysLeft = lastDay ? Math.max(0, daysBetween(today, lastDay)) : null;
+  const fullOn = ratePerDay > 0 && current < capacity
+    ? addDays(today, Math.ceil((capacity - current) / ratePerDay)) : null;
+  let status;
+
+  if (current >= capacity) {
+    status = 'full';
+  } else if (!lastDay) {
+    status = 'no-deadline';
+  } else if (lastDay < today) {
+    status = 'deadline-passed';
+  } else if (ratePerDay === 0) {
+    status = 'stalled';
+  } else {
+    status = fullOn <= lastDay ? 'fills-before-deadline' : 'short-at-deadline';
+  }
+
+  return {
+    deadline: lastDay,
+    daysLeft: daysLeft,
+    current: current,
+    capacity: capacity,
+    ratePerDay: Math.round(ratePerDay * 100) / 100,
+    rateWindowDays: Math.max(0, rateWindow),
+    projectedAtDeadline: lastDay && lastDay >= today
+      ? Math.min(capacity, Math.round(current + ratePerDay * daysLeft)) : null,
+    fullOn: fullOn,
+    status: status
+  };
+}
+
+/**
+ * Build the analytics report
+ * @param {object} db - Database
+ * @param {Date} [now] - Current time
+ * @returns {object} {generatedAt, days, lots, occupancy,
+ *   registrationsPerDay, uptake, halfBalance, grades, projection}
+ */
+function buildAnalytics(db, now = new Date()) {
+  const layout = parking.loadLayout(db);
+  const lots = describeLots(layout);
+  const events = collectEvents(db);
+  const registrationWindow = phases.getRegistrationWindow();
+  const today = dayKey(now);
+
+  // Start at opening or the first registration, whichever is earlier
+  const starts = [today];
+  if (registrationWindow.opensAt) starts.push(dayKey(registrationWindow.opensAt));
+  if (events.length > 0) starts.push(dayKey(events[0].time));
+  let firstDay = starts.sort()[0];
+  if (daysBetween(firstDay, today) >= MAX_DAYS) firstDay = addDays(today, 1 - MAX_DAYS);
+
+  const days = [];
+  for (let day = firstDay; day <= today; day = addDays(day, 1)) {
+    days.push(day);
+  }
+
+  const lotKeys = lots.map(lot => lot.lotKey).concat(OTHER_LOT);
+  const history = replayEvents(events.filter(event => event.time <= now.getTime()), layout, days, lotKeys);
+
+  // Only show 'Other' when registrations were ever counted there
+  if (history.occupancy[OTHER_LOT].some(count => count > 0)) {
+    lots.push({ lotKey: OTHER_LOT, name: 'Other', soloSpots: 0, sharedSpots: 0, capacity: 0 });
+  } else {
+    delete history.occupancy[OTHER_LOT];
+  }
+
+  const totals = days.map((day, index) =>
+    Object.values(history.occupancy).reduce((sum, counts) => sum + counts[index], 0));
+  const capacity = lots.reduce((sum, lot) => sum + lot.capacity, 0);
+  const current = summarizeCurrent(db, layout, lots);
+
+  return {
+    generatedAt: now.toISOString(),
+    opensAt: registrationWindow.opensAt ? registrationWindow.opensAt.toISOString() : null,
+    days: days,
+    lots: lots,
+    occupancy: history.occupancy,
+    registrationsPerDay: history.registrationsPerDay,
+    uptake: current.uptake,
+    halfBalance: current.halfBalance,
+    grades: current.grades,
+    projection: projectFillRate(totals, capacity, today, registrationWindow.deadline)
+  };
+}
+
+module.exports = {
+  buildAnalytics
+};
@@ -0,0 +1,173 @@
+/* ============================================================
+   AUDIT LOG
+   ============================================================
+   Append-only record of every registration and admin action.
+   Entries are written one JSON object per line and are never
+   rewritten or deleted - not even by "Reset All Data".
+
+   File: server/data/audit.log (JSON Lines)
+   Entry: {id, timestamp, actor, actorType ('admin' | 'student'
+          | 'system'), action, target, before, after}
+
+   Actions: see ACTIONS below (registration, spot, data,
+            admin, config, waitlist, board, roster and
+            eligibility, violation, swap, phase, lottery and
+            export preset actions), which the audit log
+            view offers as its action filter
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+
+const AUDIT_FILE = path.join(store.DATA_DIR, 'audit.log');
+
+const ACTIONS = [
+  'registration.submit',
+  'registration.remove',
+  'registration.update',
+  'registration.move',
+  'registration.cancel',
+  'registration.merge',
+  'registration.vehicles',
+  'spot.resolve',
+  'reservations.repair',
+  'spot.clear',
+  'data.reset',
+  'data.import',
+  'admin.login',
+  'admin.login-failed',
+  'admin.logout',
+  'config.change',
+  'waitlist.join',
+  'waitlist.offer',
+  'waitlist.accept',
+  'waitlist.decline',
+  'waitlist.expire',
+  'waitlist.reorder',
+  'board.post',
+  'board.match',
+  'board.withdraw',
+  'board.hide',
+  'board.restore',
+  'roster.import',
+  'eligibility.request',
+  'eligibility.approve',
+  'eligibility.reject',
+  'violation.record',
+  'violation.void',
+  'registration.suspend',
+  'registration.revoke',
+  'swap.propose',
+  'swap.accept',
+  'swap.decline',
+  'swap.cancel',
+  'swap.approve',
+  'swap.reject',
+  'swap.complete',
+  'phase.override',
+  'phase.override-remove',
+  'lottery.apply',
+  'lottery.draw',
+  'export.preset',
+  'export.preset-remove'
+];
+
+/**
+ * Describe an admin as an audit actor
+ * @param {object} session - Session from auth.requireSession() (or an account)
+ * @returns {{actor: string, actorType: string}} Actor fields
+ */
+function adminActor(session) {
+  return { actor: session.username, actorType: 'admin' };
+}
+
+/**
+ * Describe a student as an audit actor
+ * @param {object} registration - Registration submitted by the student
+ * @returns {{actor: string, actorType: string}} Actor fields
+ */
+function studentActor(registration) {
+  return { actor: `student:${registration.studentId}`, actorType: 'student' };
+}
+
+/**
+ * Describe the portal itself as an audit actor, for changes that
+ * happen on their own (e.g. an expired waitlist offer)
+ * @returns {{actor: string, actorType: string}} Actor fields
+ */
+function systemActor() {
+  return { actor: 'system', actorType: 'system' };
+}
+
+/**
+ * Append an entry to the audit log
+ * @param {{actor: string, actorType: string}} who - From adminActor()/studentActor()/systemActor()
+ * @param {string} action - Action name (e.g., 'spot.clear')
+ * @param {string|null} target - What was acted on (spot ID, reference ID, ...)
+ * @param {*} before - Value before the change (null if none)
+ * @param {*} after - Value after the change (null if none)
+ * @returns {object} The saved entry
+ */
+function record(who, action, target, before, after) {
+  const entry = {
+    id: crypto.randomBytes(8).toString('hex'),
+    timestamp: new Date().toISOString(),
+    actor: who.actor,
+    actorType: who.actorType,
+    action: action,
+    target: target || null,
+    before: before === undefined ? null : before,
+    after: after === undefined ? null : after
+  };
+
+  fs.mkdirSync(store.DATA_DIR, { recursive: true });
+  fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + '\n');
+  return entry;
+}
+
+/**
+ * Read audit entries, newest first
+ * @param {object} [filters] - {actor, action, from, to} (all optional;
+ *   from/to are ISO dates, inclusive)
+ * @returns {object[]} Matching entries
+ */
+function readEntries(filters = {}) {
+  if (!fs.existsSync(AUDIT_FILE)) return [];
+
+  const entries = fs.readFileSync(AUDIT_FILE, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        console.error('✗ Skipping unreadable audit line');
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  return entries
+    .filter(entry => !filters.actor || entry.actor === filters.actor)
+    .filter(entry => !filters.action || entry.action === filters.action)
+    .filter(entry => !filters.from || entry.timestamp >= filters.from)
+    .filter(entry => !filters.to || entry.timestamp.slice(0, 10) <= filters.to)
+    .reverse();
+}
+
+module.exports = {
+  AUDIT_FILE,
+  ACTIONS,
+  adminActor,
+  studentActor,
+  systemActor,
+  record,
+  readEntries
+};
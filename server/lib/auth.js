@@ -0,0 +1,231 @@
+/* ============================================================
+   ADMIN AUTHENTICATION
+   ============================================================
+   Signed session tokens, permission checks and login rate
+   limiting for the admin dashboard. Passwords are checked
+   against the accounts in lib/accounts.js.
+
+   Tokens:      base64url(payload).base64url(HMAC-SHA256)
+                payload = {sid, sub (username), iat, exp}
+   Sessions:    the account is looked up on every request, so a
+                removed account or changed role applies at once
+   Secret:      MHS_SESSION_SECRET, or a random secret saved in
+                the data folder on first run
+   Lockout:     5 failed logins within 15 minutes locks that
+                address out for 15 minutes
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+const accounts = require('./accounts');
+const roles = require('./roles');
+const { HttpError } = require('./http');
+
+const SECRET_FILE = path.join(store.DATA_DIR, 'session-secret');
+
+const SESSION_LIFETIME_MS = 8 * 60 * 60 * 1000;
+const MAX_FAILED_ATTEMPTS = 5;
+const ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+// Failed login attempts per client address: {count, firstAt, lockedUntil}
+const failedLogins = new Map();
+
+// Session IDs ended by logout, kept until they would have expired
+const revokedSessions = new Map();
+
+let sessionSecret = null;
+
+/**
+ * Get the token signing secret, creating one on first use
+ * @returns {string} Secret
+ */
+function getSessionSecret() {
+  if (sessionSecret) return sessionSecret;
+
+  if (process.env.MHS_SESSION_SECRET) {
+    sessionSecret = process.env.MHS_SESSION_SECRET;
+  } else if (fs.existsSync(SECRET_FILE)) {
+    sessionSecret = fs.readFileSync(SECRET_FILE, 'utf8').trim();
+  } else {
+    sessionSecret = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(store.DATA_DIR, { recursive: true });
+    fs.writeFileSync(SECRET_FILE, sessionSecret, { mode: 0o600 });
+  }
+
+  return sessionSecret;
+}
+
+/**
+ * Sign a token payload
+ * @param {string} encodedPayload - base64url payload
+ * @returns {string} base64url signature
+ */
+function sign(encodedPayload) {
+  return crypto.createHmac('sha256', getSessionSecret()).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Issue a signed session token
+ * @param {object} account - Account that logged in
+ * @returns {{token: string, expiresAt: string}} Token and expiry
+ */
+function issueToken(account) {
+  const now = Date.now();
+  const payload = {
+    sid: crypto.randomBytes(12).toString('hex'),
+    sub: account.username,
+    iat: now,
+    exp: now + SESSION_LIFETIME_MS
+  };
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return {
+    token: `${encodedPayload}.${sign(encodedPayload)}`,
+    expiresAt: new Date(payload.exp).toISOString()
+  };
+}
+
+/**
+ * Verify a session token
+ * @param {string} token - Token from the Authorization header
+ * @returns {object|null} Payload if valid and not expired
+ */
+function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [encodedPayload, signature] = token.split('.');
+  if (!encodedPayload || !signature) return null;
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    if (!payload.exp || payload.exp <= Date.now() || revokedSessions.has(payload.sid)) {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read and verify the bearer token of a request
+ * @param {http.IncomingMessage} req - Request
+ * @returns {object} Session: token payload plus the account's
+ *   username, displayName, role, roleLabel and permissions
+ */
+function requireSession(req) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const payload = verifyToken(token);
+  const account = payload ? accounts.findAccount(payload.sub) : null;
+
+  if (!payload || !account) {
+    throw new HttpError(401, 'Your admin session has expired. Please log in again.');
+  }
+
+  return Object.assign({}, payload, accounts.publicAccount(account));
+}
+
+/**
+ * Reject the request unless the session's role grants a permission
+ * @param {object} session - Session from requireSession()
+ * @param {string} permission - Required permission
+ */
+function requirePermission(session, permission) {
+  if (!roles.hasPermission(session.role, permission)) {
+    throw new HttpError(403, `Your role (${session.roleLabel}) does not allow this action.`);
+  }
+}
+
+/**
+ * End a session so its token can no longer be used
+ * @param {object} session - Session payload
+ */
+function revokeSession(session) {
+  revokedSessions.set(session.sid, session.exp);
+
+  // Forget revocations for tokens that have expired anyway
+  const now = Date.now();
+  revokedSessions.forEach((exp, sid) => {
+    if (exp <= now) revokedSessions.delete(sid);
+  });
+}
+
+/**
+ * Get the client address used for rate limiting
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string} Address
+ */
+function clientAddress(req) {
+  return req.socket.remoteAddress || 'unknown';
+}
+
+/**
+ * Reject the login if this address is locked out
+ * @param {http.IncomingMessage} req - Request
+ */
+function checkLoginAllowed(req) {
+  const record = failedLogins.get(clientAddress(req));
+
+  if (record && record.lockedUntil > Date.now()) {
+    const minutes = Math.ceil((record.lockedUntil - Date.now()) / 60000);
+    throw new HttpError(429, `Too many failed login attempts. Try again in ${minutes} minute(s).`);
+  }
+}
+
+/**
+ * Record a failed login and lock the address out if needed
+ * @param {http.IncomingMessage} req - Request
+ * @returns {number} Attempts remaining before lockout
+ */
+function recordFailedLogin(req) {
+  const address = clientAddress(req);
+  const now = Date.now();
+  let record = failedLogins.get(address);
+
+  if (!record || now - record.firstAt > ATTEMPT_WINDOW_MS || record.lockedUntil) {
+    record = { count: 0, firstAt: now, lockedUntil: 0 };
+  }
+
+  record.count++;
+  if (record.count >= MAX_FAILED_ATTEMPTS) {
+    record.lockedUntil = now + LOCKOUT_MS;
+    console.warn('⚠ Admin login locked for address:', address);
+  }
+
+  failedLogins.set(address, record);
+  return Math.max(MAX_FAILED_ATTEMPTS - record.count, 0);
+}
+
+/**
+ * Clear failed attempts after a successful login
+ * @param {http.IncomingMessage} req - Request
+ */
+function clearFailedLogins(req) {
+  failedLogins.delete(clientAddress(req));
+}
+
+module.exports = {
+  issueToken,
+  verifyToken,
+  requireSession,
+  requirePermission,
+  revokeSession,
+  checkLoginAllowed,
+  recordFailedLogin,
+  clearFailedLogins
+};
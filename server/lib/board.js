@@ -0,0 +1,520 @@
+/* ============================================================
+   PARTNER-FINDER BOARD
+   ============================================================
+   Opt-in board for students who want a shared spot but have
+   no partner yet. A student posts their preferred lot, days
+   and grade and gets a post token (kept on their device) that
+   proves the post is theirs. With their own post up they can
+   send match requests to other posts; when the other student
+   accepts, both posts are matched and each sees the other's
+   name and student ID. One of them then registers a shared
+   half through the normal form, which invites the other
+   (see lib/partners.js).
+
+   Post structure: {postId, postToken, fullName, studentId,
+              email, gradeLevel, lotPreference (lotKey, '' = any),
+              preferredDays, note, status, hidden, moderation,
+              matchedWith (postId), postedAt}
+   status: 'open' | 'matched' | 'withdrawn'
+   moderation: {by, at, reason} while hidden by an admin
+   Request structure: {requestId, fromPostId, toPostId, status:
+              'pending'|'accepted'|'declined'|'cancelled', sentAt,
+              respondedAt}
+
+   The board only shows first names and last initials; full
+   names and student IDs are shared once a match is accepted.
+   Posting takes the same roster check as registering (the
+   student ID and name must match the eligibility roster, see
+   lib/roster.js), so nobody can post as another student; the
+   grade comes from the roster too.
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const crypto = require('crypto');
+const parking = require('./parking');
+const partners = require('./partners');
+const roster = require('./roster');
+const { HttpError } = require('./http');
+const { text, validateStudentFields } = require('./validation');
+
+const DAY_PREFERENCES = [partners.PARKING_DAYS.A, partners.PARKING_DAYS.B, 'either'];
+const NOTE_MAX_LENGTH = 200;
+const MAX_PENDING_REQUESTS = 5;
+const MODERATION_ACTIONS = ['hide', 'restore'];
+
+/**
+ * Generate a board ID (PREFIX-TIMESTAMP-RANDOM)
+ * @param {string} prefix - 'PB' for posts, 'MR' for match requests
+ * @returns {string} ID
+ */
+function generateId(prefix) {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = crypto.randomBytes(4).toString('hex').substring(0, 5).toUpperCase();
+  return `${prefix}-${timestamp}-${random}`;
+}
+
+/**
+ * Shorten a name for the public board
+ * @param {string} fullName - Student's full name
+ * @returns {string} e.g. 'Ann O.'
+ */
+function displayName(fullName) {
+  const parts = fullName.split(/\s+/).filter(Boolean);
+  return parts.length > 1 ? `${parts[0]} ${parts[parts.length - 1][0].toUpperCase()}.` : parts[0];
+}
+
+/**
+ * Find a post by ID
+ * @param {object} db - Database
+ * @param {string} postId - Post ID
+ * @returns {object} Post
+ */
+function findPost(db, postId) {
+  const post = db.partnerPosts.find(p => p.postId === postId);
+  if (!post) {
+    throw new HttpError(404, 'Board post not found');
+  }
+  return post;
+}
+
+/**
+ * Find a post and check the caller's post token
+ * @param {object} db - Database
+ * @param {string} postId - Post ID
+ * @param {*} postToken - Token returned when the post was created
+ * @returns {object} Post
+ */
+function findOwnPost(db, postId, postToken) {
+  const post = findPost(db, postId);
+  const expected = Buffer.from(post.postToken);
+  const actual = Buffer.from(typeof postToken === 'string' ? postToken : '');
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new HttpError(403, 'This post belongs to someone else. Please open the board on the device you posted from.');
+  }
+  return post;
+}
+
+/**
+ * Check whether a post can be seen and matched by other students
+ * @param {object} db - Database
+ * @param {object} post - Post
+ * @returns {boolean} True if open, not hidden and not registered
+ */
+function isListed(db, post) {
+  return post.status === 'open' && !post.hidden &&
+    !db.registrations.some(r => r.studentId === post.studentId);
+}
+
+/**
+ * Check whether two day preferences can share a spot
+ * @param {string} a - Preferred days
+ * @param {string} b - Preferred days
+ * @returns {boolean} True unless both want the same half's days
+ */
+function daysCompatible(a, b) {
+  return a === 'either' || b === 'either' || a !== b;
+}
+
+/**
+ * Public view of a post, as shown on the board
+ * @param {object} db - Database
+ * @param {object} post - Post
+ * @returns {object} {postId, displayName, gradeLevel, lotPreference, lotName,
+ *   preferredDays, note, postedAt}
+ */
+function publicPost(db, post) {
+  const lots = parking.loadLayout(db);
+  return {
+    postId: post.postId,
+    displayName: displayName(post.fullName),
+    gradeLevel: post.gradeLevel,
+    lotPreference: post.lotPreference,
+    lotName: post.lotPreference && lots[post.lotPreference] ? lots[post.lotPreference].name : 'Any lot',
+    preferredDays: post.preferredDays,
+    note: post.note,
+    postedAt: post.postedAt
+  };
+}
+
+/**
+ * Posts shown on the board, newest first
+ * @param {object} db - Database
+ * @param {string} [lotKey] - Only posts for this lot (or any lot)
+ * @returns {object[]} Public posts
+ */
+function listBoard(db, lotKey) {
+  return db.partnerPosts
+    .filter(post => isListed(db, post) && (!lotKey || !post.lotPreference || post.lotPreference === lotKey))
+    .map(post => publicPost(db, post))
+    .reverse();
+}
+
+/**
+ * Put a student's post on the board, once the roster confirms
+ * their student ID and name
+ * @param {object} db - Database draft
+ * @param {object} input - {fullName, studentId, email, gradeLevel,
+ *   lotPreference, preferredDays, note}
+ * @returns {object} {post (owner view), postToken}
+ */
+function createPost(db, input) {
+  const errors = validateStudentFields(input);
+  const lotPreference = text(input, 'lotPreference');
+  const preferredDays = text(input, 'preferredDays') || 'either';
+  const note = text(input, 'note');
+
+  if (lotPreference && !parking.loadLayout(db)[lotPreference]) {
+    errors.push(`Unknown parking lot "${lotPreference}"`);
+  }
+  if (!DAY_PREFERENCES.includes(preferredDays)) {
+    errors.push('Preferred days must be Monday-Wednesday-Friday, Tuesday-Thursday or either');
+  }
+  if (note.length > NOTE_MAX_LENGTH) {
+    errors.push(`Note must be ${NOTE_MAX_LENGTH} characters or fewer`);
+  }
+
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Please fix the following errors', errors);
+  }
+
+  const rosterEntry = roster.requireEligible(db, input);
+  const studentId = text(input, 'studentId');
+  if (db.registrations.some(r => r.studentId === studentId)) {
+    throw new HttpError(409, 'This student ID already has a parking registration.');
+  }
+  if (db.partnerPosts.some(p => p.studentId === studentId && p.status !== 'withdrawn')) {
+    throw new HttpError(409, 'This student ID already has a post on the partner board.');
+  }
+
+  const post = {
+    postId: generateId('PB'),
+    postToken: crypto.randomBytes(16).toString('hex'),
+    fullName: text(input, 'fullName'),
+    studentId: studentId,
+    email: text(input, 'email'),
+    gradeLevel: rosterEntry ? rosterEntry.gradeLevel : text(input, 'gradeLevel'),
+    lotPreference: lotPreference,
+    preferredDays: preferredDays,
+    note: note,
+    status: 'open',
+    hidden: false,
+    moderation: null,
+    matchedWith: null,
+    postedAt: new Date().toISOString()
+  };
+
+  db.partnerPosts.push(post);
+  return { post: ownerView(db, post), postToken: post.postToken };
+}
+
+/**
+ * Cancel every pending request to or from the given posts
+ * @param {object} db - Database draft
+ * @param {string[]} postIds - Post IDs
+ */
+function cancelPendingRequests(db, postIds) {
+  const now = new Date().toISOString();
+  db.partnerRequests.forEach(request => {
+    if (request.status === 'pending' &&
+        (postIds.includes(request.fromPostId) || postIds.includes(request.toPostId))) {
+      request.status = 'cancelled';
+      request.respondedAt = now;
+    }
+  });
+}
+
+/**
+ * Send a match request from the caller's post to another post
+ * @param {object} db - Database draft
+ * @param {object} input - {fromPostId, postToken, toPostId}
+ * @returns {object} The new request
+ */
+function sendRequest(db, input) {
+  const from = findOwnPost(db, text(input, 'fromPostId'), input.postToken);
+  const to = findPost(db, text(input, 'toPostId'));
+
+  if (!isListed(db, from)) {
+    throw new HttpError(409, 'Your post is no longer open, so you cannot send match requests.');
+  }
+  if (from === to) {
+    throw new HttpError(400, 'You cannot send a match request to yourself.');
+  }
+  if (!isListed(db, to)) {
+    throw new HttpError(409, 'This student is no longer looking for a partner.');
+  }
+  if (!daysCompatible(from.preferredDays, to.preferredDays)) {
+    throw new HttpError(400, `You both want ${from.preferredDays.replace(/-/g, '/')}. ` +
+      'Shared spot partners park on opposite days.');
+  }
+
+  const pending = db.partnerRequests.filter(r => r.status === 'pending');
+  if (pending.some(r => r.fromPostId === to.postId && r.toPostId === from.postId)) {
+    throw new HttpError(409, 'This student already sent you a match request. Accept it from your requests list.');
+  }
+  if (pending.some(r => r.fromPostId === from.postId && r.toPostId === to.postId)) {
+    throw new HttpError(409, 'You already sent this student a match request.');
+  }
+  if (pending.filter(r => r.fromPostId === from.postId).length >= MAX_PENDING_REQUESTS) {
+    throw new HttpError(409, `You can have at most ${MAX_PENDING_REQUESTS} match requests waiting for an answer. ` +
+      'Cancel one before sending another.');
+  }
+
+  const request = {
+    requestId: generateId('MR'),
+    fromPostId: from.postId,
+    toPostId: to.postId,
+    status: 'pending',
+    sentAt: new Date().toISOString(),
+    respondedAt: null
+  };
+
+  db.partnerRequests.push(request);
+  return request;
+}
+
+/**
+ * Find a pending request
+ * @param {object} db - Database
+ * @param {string} requestId - Request ID
+ * @returns {object} Request
+ */
+function findPendingRequest(db, requestId) {
+  const request = db.partnerRequests.find(r => r.requestId === requestId);
+  if (!request) {
+    throw new HttpError(404, 'Match request not found');
+  }
+  if (request.status !== 'pending') {
+    throw new HttpError(409, `This match request was already ${request.status}.`);
+  }
+  return request;
+}
+
+/**
+ * Accept or decline a request sent to the caller's post.
+ * Accepting matches both posts and cancels their other requests.
+ * @param {object} db - Database draft
+ * @param {string} requestId - Request ID
+ * @param {object} input - {postToken, accept}
+ * @returns {object} {request, post (owner view of the caller's post)}
+ */
+function respondToRequest(db, requestId, input) {
+  const request = findPendingRequest(db, requestId);
+  const to = findOwnPost(db, request.toPostId, input.postToken);
+  const from = findPost(db, request.fromPostId);
+
+  if (input.accept === true) {
+    if (!isListed(db, from) || !isListed(db, to)) {
+      throw new HttpError(409, 'One of you is no longer looking for a partner, so this request cannot be accepted.');
+    }
+
+    cancelPendingRequests(db, [from.postId, to.postId]);
+    from.status = 'matched';
+    from.matchedWith = to.postId;
+    to.status = 'matched';
+    to.matchedWith = from.postId;
+  }
+
+  request.status = input.accept === true ? 'accepted' : 'declined';
+  request.respondedAt = new Date().toISOString();
+  return { request: request, post: ownerView(db, to) };
+}
+
+/**
+ * Cancel a request the caller sent
+ * @param {object} db - Database draft
+ * @param {string} requestId - Request ID
+ * @param {object} input - {postToken}
+ * @returns {object} The cancelled request
+ */
+function cancelRequest(db, requestId, input) {
+  const request = findPendingRequest(db, requestId);
+  findOwnPost(db, request.fromPostId, input.postToken);
+
+  request.status = 'cancelled';
+  request.respondedAt = new Date().toISOString();
+  return request;
+}
+
+/**
+ * Take the caller's post off the board. A matched partner's post
+ * goes back on the board.
+ * @param {object} db - Database draft
+ * @param {string} postId - Post ID
+ * @param {object} input - {postToken}
+ * @returns {object} {before, post} Public copies for the audit log
+ */
+function withdrawPost(db, postId, input) {
+  const post = findOwnPost(db, postId, input.postToken);
+  if (post.status === 'withdrawn') {
+    throw new HttpError(409, 'This post was already withdrawn.');
+  }
+
+  const before = adminView(db, post);
+  if (post.matchedWith) {
+    const partner = db.partnerPosts.find(p => p.postId === post.matchedWith);
+    if (partner && partner.status === 'matched') {
+      partner.status = 'open';
+      partner.matchedWith = null;
+    }
+  }
+
+  cancelPendingRequests(db, [post.postId]);
+  post.status = 'withdrawn';
+  post.matchedWith = null;
+  return { before: before, post: adminView(db, post) };
+}
+
+/**
+ * Describe the other student in a match
+ * @param {object} db - Database
+ * @param {object} post - The caller's matched post
+ * @returns {object|null} {fullName, studentId, email, gradeLevel, preferredDays,
+ *   referenceId, inviteCode}
+ */
+function describeMatch(db, post) {
+  const partner = post.matchedWith && db.partnerPosts.find(p => p.postId === post.matchedWith);
+  if (!partner) return null;
+
+  const partnerRegistration = db.registrations.find(r => r.studentId === partner.studentId);
+  // The partner registered first and invited this student: pass on the invite code
+  const invite = partnerRegistration && partnerRegistration.partner &&
+    partnerRegistration.partner.status === 'invited' && partnerRegistration.partner.studentId === post.studentId
+    ? partnerRegistration.partner.inviteCode
+    : null;
+
+  return {
+    fullName: partner.fullName,
+    studentId: partner.studentId,
+    email: partner.email,
+    gradeLevel: partner.gradeLevel,
+    preferredDays: partner.preferredDays,
+    referenceId: partnerRegistration ? partnerRegistration.referenceId : null,
+    inviteCode: invite
+  };
+}
+
+/**
+ * Describe a request for one side of it
+ * @param {object} db - Database
+ * @param {object} request - Request
+ * @param {string} otherPostId - The other side's post
+ * @returns {object} Request with the other post's public view
+ */
+function describeRequest(db, request, otherPostId) {
+  const other = db.partnerPosts.find(p => p.postId === otherPostId);
+  return Object.assign({}, request, { post: other ? publicPost(db, other) : null });
+}
+
+/**
+ * Full view of a post for its owner
+ * @param {object} db - Database
+ * @param {object} post - Post
+ * @returns {object} Post without its token, plus incoming/outgoing
+ *   requests, the match and the owner's registration reference
+ */
+function ownerView(db, post) {
+  const view = Object.assign({}, post);
+  delete view.postToken;
+
+  const registration = db.registrations.find(r => r.studentId === post.studentId);
+  view.lotName = publicPost(db, post).lotName;
+  view.incoming = db.partnerRequests.filter(r => r.toPostId === post.postId)
+    .map(r => describeRequest(db, r, r.fromPostId));
+  view.outgoing = db.partnerRequests.filter(r => r.fromPostId === post.postId)
+    .map(r => describeRequest(db, r, r.toPostId));
+  view.match = describeMatch(db, post);
+  view.referenceId = registration ? registration.referenceId : null;
+  return view;
+}
+
+/**
+ * Look up the caller's own post
+ * @param {object} db - Database
+ * @param {string} postId - Post ID
+ * @param {object} input - {postToken}
+ * @returns {object} Owner view
+ */
+function getOwnPost(db, postId, input) {
+  return ownerView(db, findOwnPost(db, postId, input.postToken));
+}
+
+/**
+ * Post as shown to admins
+ * @param {object} db - Database
+ * @param {object} post - Post
+ * @returns {object} Post without its token, with request counts
+ */
+function adminView(db, post) {
+  const view = Object.assign({}, post);
+  delete view.postToken;
+
+  view.listed = isListed(db, post);
+  view.pendingRequests = db.partnerRequests
+    .filter(r => r.status === 'pending' && (r.fromPostId === post.postId || r.toPostId === post.postId)).length;
+  return view;
+}
+
+/**
+ * All posts for the admin dashboard, newest first
+ * @param {object} db - Database
+ * @returns {object[]} Admin views
+ */
+function listPosts(db) {
+  return db.partnerPosts.map(post => adminView(db, post)).reverse();
+}
+
+/**
+ * Hide a post from the board or put it back
+ * @param {object} db - Database draft
+ * @param {string} postId - Post ID
+ * @param {object} input - {action: 'hide'|'restore', reason}
+ * @param {string} by - Admin username
+ * @returns {object} {before, post} Admin views
+ */
+function moderatePost(db, postId, input, by) {
+  const action = text(input, 'action');
+  if (!MODERATION_ACTIONS.includes(action)) {
+    throw new HttpError(400, 'Action must be hide or restore');
+  }
+
+  const post = findPost(db, postId);
+  const before = adminView(db, post);
+
+  if (action === 'hide') {
+    if (post.hidden) {
+      throw new HttpError(409, 'This post is already hidden.');
+    }
+    cancelPendingRequests(db, [post.postId]);
+    post.hidden = true;
+    post.moderation = { by: by, at: new Date().toISOString(), reason: text(input, 'reason') };
+  } else {
+    if (!post.hidden) {
+      throw new HttpError(409, 'This post is not hidden.');
+    }
+    post.hidden = false;
+    post.moderation = null;
+  }
+
+  return { before: before, post: adminView(db, post) };
+}
+
+module.exports = {
+  DAY_PREFERENCES,
+  NOTE_MAX_LENGTH,
+  MODERATION_ACTIONS,
+  displayName,
+  listBoard,
+  createPost,
+  getOwnPost,
+  sendRequest,
+  respondToRequest,
+  cancelRequest,
+  withdrawPost,
+  listPosts,
+  moderatePost
+};
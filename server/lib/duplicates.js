@@ -0,0 +1,240 @@
+/* ============================================================
+   DUPLICATES & CONFLICTS
+   ============================================================
+   New registrations are checked by lib/registrations.js, but
+   data saved before those rules (or edited by hand) can still
+   break them. This module reports what is wrong and fixes it:
+
+   - students:     one student ID with several registrations
+   - emails:       one email address used by different students
+   - spots:        several students on one solo spot or one half
+   - reservations: reservations left without a registration
+                   (orphaned) and registrations without one
+                   (missing)
+
+   Fixes: merge duplicate registrations into the one to keep,
+   keep one student on a conflicting spot, and repair the
+   reservations so they match the registrations.
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const parking = require('./parking');
+const registrations = require('./registrations');
+const { HttpError } = require('./http');
+
+// Contact fields a merge copies into the kept registration when it has none
+const MERGE_FIELDS = ['email', 'phone', 'gradeLevel'];
+
+/**
+ * Group registrations by a key, keeping groups with more than one
+ * @param {object[]} list - Registrations
+ * @param {Function} keyOf - Registration → key
+ * @returns {Map<string, object[]>} Groups in first-seen order
+ */
+function groupDuplicates(list, keyOf) {
+  const groups = new Map();
+  list.forEach(registration => {
+    const key = keyOf(registration);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(registration);
+  });
+
+  [...groups.keys()].forEach(key => {
+    if (groups.get(key).length < 2) groups.delete(key);
+  });
+  return groups;
+}
+
+/**
+ * Find spots with more than one student on the same spot or half
+ * @param {object} db - Database
+ * @returns {object[]} [{spotId, half, registrations}]; half is null
+ *   when a whole-spot registration overlaps the others
+ */
+function findSpotConflicts(db) {
+  const conflicts = [];
+
+  groupDuplicates(db.registrations, r => r.parkingSpot).forEach((occupants, spotId) => {
+    if (occupants.some(r => !r.half)) {
+      conflicts.push({ spotId: spotId, half: null, registrations: occupants });
+      return;
+    }
+
+    parking.HALVES.forEach(half => {
+      const onHalf = occupants.filter(r => r.half === half);
+      if (onHalf.length > 1) {
+        conflicts.push({ spotId: spotId, half: half, registrations: onHalf });
+      }
+    });
+  });
+
+  return conflicts;
+}
+
+/**
+ * Build the duplicates and conflicts report
+ * @param {object} db - Database
+ * @returns {object} {students, emails, spots, reservations: {orphaned, missing}, total}
+ */
+function buildReport(db) {
+  const referenceIds = new Set(db.registrations.map(r => r.referenceId));
+  const reserved = new Set(db.reservations.map(r => r.referenceId));
+
+  const students = [...groupDuplicates(db.registrations, r => r.studentId)]
+    .map(([studentId, list]) => ({ studentId: studentId, registrations: list }));
+
+  // Different student IDs sharing an address (the same ID is already listed above)
+  const emails = [...groupDuplicates(db.registrations, r => registrations.normalizeEmail(r.email))]
+    .filter(([, list]) => new Set(list.map(r => r.studentId)).size > 1)
+    .map(([email, list]) => ({ email: email, registrations: list }));
+
+  const spots = findSpotConflicts(db);
+  const orphaned = db.reservations.filter(r => !referenceIds.has(r.referenceId));
+  const missing = db.registrations.filter(r => !reserved.has(r.referenceId));
+
+  return {
+    students: students,
+    emails: emails,
+    spots: spots,
+    reservations: { orphaned: orphaned, missing: missing },
+    total: students.length + emails.length + spots.length + orphaned.length + missing.length
+  };
+}
+
+/**
+ * Find a registration or fail
+ * @param {object} db - Database
+ * @param {string} referenceId - Reference ID
+ * @returns {object} Registration
+ */
+function requireRegistration(db, referenceId) {
+  const registration = registrations.findRegistration(db, referenceId);
+  if (!registration) {
+    throw new HttpError(404, `Registration ${referenceId} not found`);
+  }
+  return registration;
+}
+
+/**
+ * Merge duplicate registrations into the one to keep. Contact
+ * details missing from the kept registration are copied from the
+ * others, then the others are removed (freeing their spots).
+ * @param {object} db - Database draft
+ * @param {object} input - {keepReferenceId, mergeReferenceIds: []}
+ * @returns {object} {before, kept, removed}
+ */
+function mergeRegistrations(db, input) {
+  const keep = requireRegistration(db, input.keepReferenceId);
+  const mergeIds = Array.isArray(input.mergeReferenceIds)
+    ? [...new Set(input.mergeReferenceIds)].filter(id => id !== keep.referenceId)
+    : [];
+
+  if (mergeIds.length === 0) {
+    throw new HttpError(400, 'Choose at least one registration to merge into the one you keep.');
+  }
+
+  const others = mergeIds.map(id => requireRegistration(db, id));
+  const unrelated = others.filter(r => r.studentId !== keep.studentId &&
+    registrations.normalizeEmail(r.email) !== registrations.normalizeEmail(keep.email));
+  if (unrelated.length > 0) {
+    throw new HttpError(400, `Only registrations with the same student ID or email can be merged ` +
+      `(${unrelated.map(r => r.referenceId).join(', ')} do not match ${keep.referenceId}).`);
+  }
+
+  const before = Object.assign({}, keep);
+  others.forEach(other => {
+    MERGE_FIELDS.forEach(field => {
+      if (!keep[field] && other[field]) keep[field] = other[field];
+    });
+  });
+
+  const removed = others.map(other => registrations.removeRegistration(db, other.referenceId));
+  return { before: before, kept: keep, removed: removed };
+}
+
+/**
+ * Keep one student on a conflicting spot (or half) and remove the
+ * registrations that overlap it
+ * @param {object} db - Database draft
+ * @param {object} input - {spotId, keepReferenceId}
+ * @returns {object} {kept, removed}
+ */
+function resolveSpotConflict(db, input) {
+  const keep = requireRegistration(db, input.keepReferenceId);
+  if (keep.parkingSpot !== input.spotId) {
+    throw new HttpError(400, `${keep.referenceId} is not registered on spot ${input.spotId}.`);
+  }
+
+  const overlapping = db.registrations.filter(r => r !== keep && r.parkingSpot === keep.parkingSpot &&
+    (!r.half || !keep.half || r.half === keep.half));
+  if (overlapping.length === 0) {
+    throw new HttpError(409, `Spot ${input.spotId} no longer has a conflict for ${keep.fullName}.`);
+  }
+
+  const removed = overlapping.map(other => registrations.removeRegistration(db, other.referenceId));
+
+  // Legacy data may have left the kept student without a reservation row
+  if (!db.reservations.some(r => r.referenceId === keep.referenceId) &&
+      parking.isAvailable(db.reservations, keep.parkingSpot, keep.half || null)) {
+    db.reservations.push(reservationFor(keep));
+  }
+
+  return { kept: keep, removed: removed };
+}
+
+/**
+ * Build the reservation row for a registration
+ * @param {object} registration - Registration
+ * @returns {object} Reservation
+ */
+function reservationFor(registration) {
+  return {
+    spotId: registration.parkingSpot,
+    half: registration.half || null,
+    assignedTo: registration.fullName,
+    studentId: registration.studentId,
+    referenceId: registration.referenceId,
+    reservedAt: registration.submittedAt
+  };
+}
+
+/**
+ * Make the reservations match the registrations: drop orphaned
+ * reservations and add missing ones where the spot is still free
+ * @param {object} db - Database draft
+ * @returns {object} {removed, added, skipped} Reservations removed and
+ *   added, and registrations whose spot is taken by someone else
+ */
+function repairReservations(db) {
+  const referenceIds = new Set(db.registrations.map(r => r.referenceId));
+  const removed = db.reservations.filter(r => !referenceIds.has(r.referenceId));
+  db.reservations = db.reservations.filter(r => referenceIds.has(r.referenceId));
+
+  const added = [];
+  const skipped = [];
+  db.registrations
+    .filter(registration => !db.reservations.some(r => r.referenceId === registration.referenceId))
+    .forEach(registration => {
+      if (parking.isAvailable(db.reservations, registration.parkingSpot, registration.half || null)) {
+        const reservation = reservationFor(registration);
+        db.reservations.push(reservation);
+        added.push(reservation);
+      } else {
+        skipped.push(registration);
+      }
+    });
+
+  return { removed: removed, added: added, skipped: skipped };
+}
+
+module.exports = {
+  buildReport,
+  mergeRegistrations,
+  resolveSpotConflict,
+  repairReservations
+};
@@ -0,0 +1,140 @@
+/* ============================================================
+   EXPORT PRESETS
+   ============================================================
+   Saved settings for the admin Exports tab, shared by every
+   staff account: which view to export, its columns and filters,
+   and the file format. The files themselves are built in the
+   browser (see public/js/admin-exports.js), which also defines
+   the columns of each view. Presets survive "Reset All Data".
+
+   Preset structure: {presetId, name, view, format, columns,
+              filters: {lotKey, spotType, from, to}, savedBy,
+              savedAt}
+   - view: 'registrations' | 'spots' | 'assignments' (every spot,
+     or half of a shared spot, with its registration)
+   - format: 'csv' | 'xlsx'
+   - columns: column keys, in export order
+   - filters: lotKey ('' = every lot), spotType ('' | 'solo' |
+     'shared'), from/to ('YYYY-MM-DD' registration dates,
+     inclusive; '' = open-ended)
+   Saving a preset under an existing name replaces it.
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+const { text } = require('./validation');
+
+const VIEWS = ['registrations', 'spots', 'assignments'];
+const FORMATS = ['csv', 'xlsx'];
+const SPOT_TYPES = ['', 'solo', 'shared'];
+const NAME_MAX_LENGTH = 60;
+const MAX_COLUMNS = 60;
+const COLUMN_PATTERN = /^[A-Za-z][A-Za-z0-9]{0,39}$/;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Generate unique preset ID (EXP-TIMESTAMP-RANDOM)
+ * @returns {string} Preset ID
+ */
+function generatePresetId() {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = crypto.randomBytes(4).toString('hex').substring(0, 5).toUpperCase();
+  return `EXP-${timestamp}-${random}`;
+}
+
+/**
+ * List the saved presets, by name
+ * @param {object} db - Database
+ * @returns {object[]} Presets
+ */
+function listPresets(db) {
+  return db.exportPresets.slice().sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Save a preset (replacing one with the same name)
+ * @param {object} db - Database draft
+ * @param {object} input - {name, view, format, columns, filters}
+ * @param {string} by - Admin saving it
+ * @returns {object} {before, preset}
+ */
+function savePreset(db, input, by) {
+  const name = text(input, 'name');
+  const view = text(input, 'view');
+  const format = text(input, 'format');
+  const columns = Array.isArray(input.columns) ? input.columns : [];
+  const filters = input.filters && typeof input.filters === 'object' ? input.filters : {};
+  const spotType = text(filters, 'spotType');
+  const from = text(filters, 'from');
+  const to = text(filters, 'to');
+  const errors = [];
+
+  if (!name || name.length > NAME_MAX_LENGTH) {
+    errors.push(`Preset name is required (${NAME_MAX_LENGTH} characters or fewer)`);
+  }
+  if (!VIEWS.includes(view)) {
+    errors.push(`View must be one of: ${VIEWS.join(', ')}`);
+  }
+  if (!FORMATS.includes(format)) {
+    errors.push(`Format must be one of: ${FORMATS.join(', ')}`);
+  }
+  if (columns.length === 0 || columns.length > MAX_COLUMNS ||
+      !columns.every(column => typeof column === 'string' && COLUMN_PATTERN.test(column))) {
+    errors.push(`Choose between 1 and ${MAX_COLUMNS} columns`);
+  }
+  if (!SPOT_TYPES.includes(spotType)) {
+    errors.push('Spot type filter must be solo, shared or empty');
+  }
+  if ((from && !DAY_PATTERN.test(from)) || (to && !DAY_PATTERN.test(to))) {
+    errors.push('Date filters must be dates (YYYY-MM-DD)');
+  } else if (from && to && from > to) {
+    errors.push('The "from" date must not be after the "to" date');
+  }
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Please fix the following errors', errors);
+  }
+
+  const before = db.exportPresets.find(preset => preset.name.toLowerCase() === name.toLowerCase()) || null;
+  const preset = {
+    presetId: before ? before.presetId : generatePresetId(),
+    name: name,
+    view: view,
+    format: format,
+    columns: columns.filter((column, index) => columns.indexOf(column) === index),
+    filters: { lotKey: text(filters, 'lotKey'), spotType: spotType, from: from, to: to },
+    savedBy: by,
+    savedAt: new Date().toISOString()
+  };
+
+  db.exportPresets = db.exportPresets.filter(item => item !== before).concat(preset);
+  return { before: before, preset: preset };
+}
+
+/**
+ * Remove a preset
+ * @param {object} db - Database draft
+ * @param {string} presetId - Preset ID
+ * @returns {object} The removed preset
+ */
+function removePreset(db, presetId) {
+  const preset = db.exportPresets.find(item => item.presetId === presetId);
+  if (!preset) {
+    throw new HttpError(404, 'Export preset not found');
+  }
+
+  db.exportPresets = db.exportPresets.filter(item => item !== preset);
+  return preset;
+}
+
+module.exports = {
+  VIEWS,
+  FORMATS,
+  listPresets,
+  savePreset,
+  removePreset
+};
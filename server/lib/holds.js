@@ -0,0 +1,225 @@
+/* ============================================================
+   SPOT HOLDS
+   ============================================================
+   A hold keeps a spot (or half of a shared spot) for one
+   student for a few minutes while they fill out the
+   registration form, so two students cannot race for the same
+   spot. Other students see the spot as "on hold"; the hold ends
+   when it expires, when its student picks another spot, or
+   when the registration is submitted. Waitlist offers use
+   longer holds (see lib/waitlist.js).
+
+   Hold structure: {holdId, holdToken, spotId, half,
+              createdAt, expiresAt}
+   holdToken is only given to the student who placed the hold
+   and is needed to release or use it.
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const crypto = require('crypto');
+const parking = require('./parking');
+const { HttpError } = require('./http');
+const { text } = require('./validation');
+
+const HOLD_MINUTES = 10;
+
+/**
+ * Check whether a hold has not yet expired
+ * @param {object} hold - Hold record
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean} True if still active
+ */
+function isActive(hold, now = Date.now()) {
+  return Date.parse(hold.expiresAt) > now;
+}
+
+/**
+ * Active holds, optionally leaving out the caller's own hold
+ * @param {object} db - Database
+ * @param {string} [exceptHoldId] - Hold to leave out
+ * @returns {object[]} Active holds
+ */
+function activeHolds(db, exceptHoldId) {
+  return db.holds.filter(hold => isActive(hold) && hold.holdId !== exceptHoldId);
+}
+
+/**
+ * Find a hold by ID, checking its token (expired holds included)
+ * @param {object} db - Database
+ * @param {string} holdId - Hold ID
+ * @param {string} holdToken - Token returned when the hold was placed
+ * @returns {object|null} Hold
+ */
+function findOwnHold(db, holdId, holdToken) {
+  if (typeof holdId !== 'string' || typeof holdToken !== 'string') return null;
+
+  const hold = db.holds.find(h => h.holdId === holdId);
+  if (!hold) return null;
+
+  const expected = Buffer.from(hold.holdToken);
+  const actual = Buffer.from(holdToken);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? hold : null;
+}
+
+/**
+ * Check whether someone else holds a spot (or the requested half)
+ * @param {object} db - Database
+ * @param {string} spotId - Spot identifier
+ * @param {string|null} half - 'A', 'B', or null for solo spots
+ * @param {string} [ownHoldId] - The caller's hold, which does not count
+ * @returns {boolean} True if held by another student
+ */
+function isHeldByOthers(db, spotId, half, ownHoldId) {
+  return activeHolds(db, ownHoldId).some(hold =>
+    hold.spotId === spotId && (half === null || hold.half === null || hold.half === half)
+  );
+}
+
+/**
+ * Describe a hold for its owner
+ * @param {object} hold - Hold record
+ * @returns {object} {holdId, holdToken, spotId, half, expiresAt, secondsLeft}
+ */
+function publicHold(hold) {
+  return {
+    holdId: hold.holdId,
+    holdToken: hold.holdToken,
+    spotId: hold.spotId,
+    half: hold.half,
+    expiresAt: hold.expiresAt,
+    secondsLeft: Math.max(0, Math.round((Date.parse(hold.expiresAt) - Date.now()) / 1000))
+  };
+}
+
+/**
+ * Place a hold, releasing the student's previous hold
+ * @param {object} db - Database draft
+ * @param {object} input - {spotId, half, previousHoldId, previousHoldToken}
+ * @returns {object} The new hold (see publicHold)
+ */
+function placeHold(db, input) {
+  db.holds = activeHolds(db);
+
+  const spotId = text(input, 'spotId');
+  const found = parking.findSpot(parking.loadLayout(db), spotId);
+  if (!found) {
+    throw new HttpError(404, `Parking spot ${spotId} does not exist`);
+  }
+
+  const { spot } = found;
+  const half = spot.type === 'shared' ? text(input, 'half') : null;
+
+  if (spot.type === 'shared' && !parking.HALVES.includes(half)) {
+    throw new HttpError(400, 'Please choose which half of the shared spot you want.');
+  }
+
+  if (!parking.isOpen(spot)) {
+    throw new HttpError(409, `Parking spot ${spot.id} is not open for student registration. Please select another spot.`);
+  }
+
+  // Picking another spot gives up the previous hold
+  const previous = findOwnHold(db, input.previousHoldId, input.previousHoldToken);
+  if (previous) {
+    db.holds = db.holds.filter(hold => hold !== previous);
+  }
+
+  if (!parking.isAvailable(db.reservations, spot.id, half)) {
+    throw new HttpError(409, 'Sorry, this parking spot has already been taken. Please select another spot.');
+  }
+
+  if (isHeldByOthers(db, spot.id, half)) {
+    throw new HttpError(409, 'This spot is on hold for another student. Please select another spot or try again in a few minutes.');
+  }
+
+  // Shared halves are taken in pairs: the other half must be free for the partner
+  if (half) {
+    const partnerHalf = half === 'A' ? 'B' : 'A';
+    if (!parking.isAvailable(db.reservations, spot.id, partnerHalf) || isHeldByOthers(db, spot.id, partnerHalf)) {
+      throw new HttpError(409, `The other half of spot ${spot.id} is already taken or on hold, so there is no room for your partner. ` +
+        'Please choose a spot with both halves open, or use the invite link your partner sent you.');
+    }
+  }
+
+  return publicHold(createHold(db, spot.id, half, HOLD_MINUTES));
+}
+
+/**
+ * Add a hold record (callers check the spot is free first)
+ * @param {object} db - Database draft
+ * @param {string} spotId - Spot identifier
+ * @param {string|null} half - 'A', 'B', or null for solo spots
+ * @param {number} minutes - How long the hold lasts
+ * @returns {object} The new hold record
+ */
+function createHold(db, spotId, half, minutes) {
+  const now = Date.now();
+  const hold = {
+    holdId: crypto.randomBytes(8).toString('hex'),
+    holdToken: crypto.randomBytes(16).toString('hex'),
+    spotId: spotId,
+    half: half,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + minutes * 60 * 1000).toISOString()
+  };
+
+  db.holds.push(hold);
+  return hold;
+}
+
+/**
+ * Release a hold early
+ * @param {object} db - Database draft
+ * @param {string} holdId - Hold ID
+ * @param {string} holdToken - Hold token
+ * @returns {{released: boolean}} Whether a hold was removed
+ */
+function releaseHold(db, holdId, holdToken) {
+  const hold = findOwnHold(db, holdId, holdToken);
+  db.holds = activeHolds(db).filter(h => h !== hold);
+  return { released: Boolean(hold) };
+}
+
+/**
+ * Check a submission against the spot's holds and use up the
+ * student's own hold. An expired hold still lets the student
+ * register if nobody else has reserved or held the spot since.
+ * @param {object} db - Database draft
+ * @param {object} input - Submission with holdId and holdToken
+ * @param {string} spotId - Spot being registered
+ * @param {string|null} half - Half being registered
+ */
+function claimHold(db, input, spotId, half) {
+  const own = findOwnHold(db, input.holdId, input.holdToken);
+  // A hold on a whole shared spot (a waitlist offer) covers either half
+  const ownHold = own && own.spotId === spotId && (own.half === half || own.half === null) ? own : null;
+  const expired = Boolean(ownHold && !isActive(ownHold));
+
+  if (!parking.isAvailable(db.reservations, spotId, half)) {
+    throw new HttpError(409, expired
+      ? 'Your hold on this spot expired and another student has registered for it. Please go back and select another spot.'
+      : 'Sorry, this parking spot has already been taken. Please go back and select another spot.');
+  }
+
+  if (isHeldByOthers(db, spotId, half, ownHold ? ownHold.holdId : undefined)) {
+    throw new HttpError(409, expired
+      ? 'Your hold on this spot expired and another student is now holding it. Please go back and select another spot.'
+      : 'This spot is on hold for another student. Please go back and select another spot.');
+  }
+
+  db.holds = activeHolds(db).filter(hold => hold !== own);
+}
+
+module.exports = {
+  HOLD_MINUTES,
+  isActive,
+  activeHolds,
+  isHeldByOthers,
+  createHold,
+  placeHold,
+  releaseHold,
+  claimHold
+};
@@ -0,0 +1,114 @@
+/* ============================================================
+   HTTP HELPERS
+   ============================================================
+   Small helpers shared by the API route handlers: JSON
+   responses, request body parsing and an error type that
+   carries an HTTP status code.
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+// Reject request bodies larger than this (bytes) - big enough for
+// a data import, which carries a whole export file
+const MAX_BODY_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Error with an HTTP status code, thrown by route handlers
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Message returned to the client
+   * @param {string[]} [details] - Individual problems (e.g. field errors)
+   */
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details || [];
+  }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response object
+ * @param {number} status - HTTP status code
+ * @param {*} payload - Data to serialize
+ */
+function sendJson(res, status, payload) {
+  const body = JSON.stringify(payload);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+    'Cache-Control': 'no-store'
+  });
+  res.end(body);
+}
+
+/**
+ * Send an error response as {error: message, details: [...]}
+ * @param {http.ServerResponse} res - Response object
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @param {string[]} [details] - Individual problems
+ */
+function sendError(res, status, message, details) {
+  sendJson(res, status, { error: message, details: details || [] });
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request object
+ * @returns {Promise<object>} Parsed body ({} when empty); anything
+ *   but a JSON object is rejected with a 400
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8').trim();
+      if (!raw) {
+        resolve({});
+        return;
+      }
+
+      let body;
+      try {
+        body = JSON.parse(raw);
+      } catch (error) {
+        reject(new HttpError(400, 'Request body must be valid JSON'));
+        return;
+      }
+
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        reject(new HttpError(400, 'Request body must be a JSON object'));
+        return;
+      }
+      resolve(body);
+    });
+
+    req.on('error', reject);
+  });
+}
+
+module.exports = {
+  HttpError,
+  sendJson,
+  sendError,
+  readJsonBody
+};
@@ -0,0 +1,751 @@
+/* ============================================================
+   DATA IMPORT
+   ============================================================
+   Loads data back into the portal from a file:
+   - json: a snapshot from the dashboard's Export Data button
+           (mhs-parking-data-YYYY-MM-DD.json, see GET
+           /api/admin/export)
+   - csv:  a registration list, one student per line (the
+           registrations or assignments view of the Exports
+           tab, or a spreadsheet with the same headers; lines
+           without a student are skipped). A row for an existing
+           reference ID keeps what the file has no column for; a
+           row without one gets a new ID that the preview and the
+           applied import agree on.
+
+   Modes:
+   - merge:   records in the file are added, or replace the
+              record with the same ID (reference ID for
+              registrations); everything else is kept, including
+              the current roster
+   - replace: registrations (and, from a snapshot, the lot
+              layout, holds, waitlist, partner board, roster,
+              eligibility reviews, violations, swaps, phase
+              overrides and lottery data) become exactly what the
+              file holds
+
+   An import is always previewed first: previewImport() checks
+   the file and reports what would change and which rows are
+   rejected, with a fingerprint of the current data. applyImport()
+   plans the import again inside store.update(), refuses it if
+   the fingerprint no longer matches (the data changed since the
+   preview), and applies every accepted row in one change or
+   none at all. Rejected rows are skipped and listed.
+
+   Registrations are checked like lib/duplicates.js checks
+   existing data: valid student fields and vehicles, a spot that
+   exists and is open, a half for shared spots, and one
+   registration per student ID, email address, solo spot and
+   half of a shared spot. Restored registrations skip the roster,
+   revocation and phase checks - they were made under the rules
+   of their time. Reservations are rebuilt from the registrations,
+   and holds on spots the import fills are dropped. The roster is
+   restored as a whole, so a merge keeps the current one and the
+   preview says so when the file's differs.
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const crypto = require('crypto');
+const parking = require('./parking');
+const layout = require('./layout');
+const partners = require('./partners');
+const registrations = require('./registrations');
+const duplicates = require('./duplicates');
+const vehicles = require('./vehicles');
+const { HttpError } = require('./http');
+const { text, validateStudentFields } = require('./validation');
+const { parseCsv, summarizeRoster } = require('./roster');
+
+const FORMATS = ['json', 'csv'];
+const MODES = ['merge', 'replace'];
+const MAX_ROW_ERRORS = 200;
+const MAX_LISTED_CHANGES = 200;
+const REFERENCE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9-]{0,39}$/;
+
+// Snapshot collections besides registrations → the ID field of their records
+const COLLECTIONS = {
+  holds: 'holdId',
+  waitlist: 'waitlistId',
+  partnerPosts: 'postId',
+  partnerRequests: 'requestId',
+  eligibilityReviews: 'reviewId',
+  violations: 'violationId',
+  swaps: 'swapId',
+  phaseOverrides: 'studentId',
+  lotteryApplications: 'applicationId',
+  lotteryDraws: 'drawId'
+};
+
+// Registration fields a snapshot keeps as they are (and a CSV row keeps from the registration it updates)
+const KEPT_FIELDS = ['partner', 'suspension', 'previousReferenceIds', 'lottery'];
+
+// CSV header (lower case, letters and digits only) → registration field
+const COLUMNS = {
+  reference: 'referenceId',
+  referenceid: 'referenceId',
+  referencenumber: 'referenceId',
+  name: 'fullName',
+  fullname: 'fullName',
+  studentname: 'fullName',
+  studentid: 'studentId',
+  id: 'studentId',
+  email: 'email',
+  emailaddress: 'email',
+  phone: 'phone',
+  phonenumber: 'phone',
+  grade: 'gradeLevel',
+  gradelevel: 'gradeLevel',
+  spot: 'parkingSpot',
+  spotid: 'parkingSpot',
+  parkingspot: 'parkingSpot',
+  half: 'half',
+  partner: 'parkingPartner',
+  parkingpartner: 'parkingPartner',
+  vehicles: 'vehicles',
+  plate: 'plate',
+  licenseplate: 'plate',
+  state: 'state',
+  make: 'make',
+  model: 'model',
+  color: 'color',
+  registered: 'submittedAt',
+  submittedat: 'submittedAt',
+  lastchanged: 'changedAt',
+  changedat: 'changedAt'
+};
+
+/**
+ * Fingerprint the data an import can change
+ * @param {object} db - Database
+ * @returns {string} SHA-256 hex digest
+ */
+function fingerprint(db) {
+  const data = { lots: db.lots, registrations: db.registrations, roster: db.roster };
+  Object.keys(COLLECTIONS).forEach(name => {
+    data[name] = db[name];
+  });
+  return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+}
+
+/**
+ * Read a CSV value, dropping the ' the Exports tab puts before
+ * text that looks like a spreadsheet formula
+ * @param {string} value - Raw CSV field
+ * @returns {string} Trimmed value
+ */
+function csvValue(value) {
+  const trimmed = String(value || '').trim();
+  return /^'[=+\-@\t\r]/.test(trimmed) ? trimmed.substring(1) : trimmed;
+}
+
+/**
+ * Read the vehicles of a CSV row: either a Vehicles column as
+ * written by the Exports tab ('NJ ABC1234 (Red Honda Civic); ...')
+ * or one vehicle in Plate/State/Make/Model/Color columns
+ * @param {object} values - Field → value
+ * @returns {object[]} Raw vehicles for vehicles.readVehicles()
+ */
+function readCsvVehicles(values) {
+  if (values.vehicles) {
+    return values.vehicles.split(';').map(item => item.trim()).filter(Boolean).map(item => {
+      const match = item.match(/^(\S+)\s+(\S+)\s*(?:\((.*)\))?$/);
+      if (!match) return { plate: item };
+      const details = (match[3] || '').trim().split(/\s+/);
+      return {
+        state: match[1],
+        plate: match[2],
+        color: details[0] || '',
+        make: details[1] || '',
+        model: details.slice(2).join(' ')
+      };
+    });
+  }
+
+  if (values.plate) {
+    return [{ plate: values.plate, state: values.state, make: values.make, model: values.model, color: values.color }];
+  }
+  return [];
+}
+
+/**
+ * Read a date field
+ * @param {*} value - ISO date, or 'YYYY-MM-DD HH:MM' from a CSV export
+ * @returns {string|null} ISO date, '' when empty, or null when invalid
+ */
+function readDate(value) {
+  if (value === undefined || value === null || value === '') return '';
+  const date = new Date(value);
+  return typeof value === 'string' && !isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+/**
+ * Reference ID for a CSV row that has none. It comes from the
+ * data fingerprint, the file and the line, so the preview and the
+ * import applied after it give the row the same ID.
+ * @param {string} seed - Hash of the fingerprint and the file
+ * @param {number} line - CSV line number
+ * @returns {string} Reference ID (REF-XXXXXXXX-XXXXX)
+ */
+function importReferenceId(seed, line) {
+  const hash = crypto.createHash('sha256').update(`${seed}:${line}`).digest('hex').toUpperCase();
+  return `REF-${hash.substring(0, 8)}-${hash.substring(8, 13)}`;
+}
+
+/**
+ * Check one registration from the file and build the record to save
+ * @param {object} input - Registration fields
+ * @param {object} target - Lot layout the registrations will use
+ * @param {boolean} fromSnapshot - True for a JSON snapshot record
+ * @param {string} [newReferenceId] - ID for a record without one
+ * @returns {{registration: object|null, problems: string[]}}
+ */
+function readRegistration(input, target, fromSnapshot, newReferenceId) {
+  const problems = validateStudentFields(input);
+  const vehicleCheck = vehicles.readVehicles(input, { required: false });
+  const spotId = text(input, 'parkingSpot');
+  const referenceId = text(input, 'referenceId');
+  const submittedAt = readDate(input.submittedAt);
+  const changedAt = readDate(input.changedAt);
+
+  problems.push(...vehicleCheck.errors);
+  if (fromSnapshot && !referenceId) {
+    problems.push('Reference ID is missing');
+  } else if (referenceId && !REFERENCE_PATTERN.test(referenceId)) {
+    problems.push(`Reference ID "${referenceId}" is not valid`);
+  }
+  if (submittedAt === null) problems.push(`Registration date "${input.submittedAt}" is not a date`);
+  if (changedAt === null) problems.push(`Change date "${input.changedAt}" is not a date`);
+
+  const found = spotId ? parking.findSpot(target, spotId) : null;
+  let half = null;
+  if (!spotId) {
+    problems.push('Parking spot is missing');
+  } else if (!found) {
+    problems.push(`Parking spot ${spotId} does not exist`);
+  } else if (!parking.isOpen(found.spot)) {
+    problems.push(`Parking spot ${spotId} is reserved or out of service`);
+  } else if (found.spot.type === 'shared') {
+    half = text(input, 'half').toUpperCase();
+    if (!parking.HALVES.includes(half)) problems.push(`Shared spot ${spotId} needs half A or B`);
+  } else if (text(input, 'half')) {
+    problems.push(`Spot ${spotId} is a solo spot and has no halves`);
+  }
+
+  if (problems.length > 0) {
+    return { registration: null, problems: problems };
+  }
+
+  const registration = {
+    fullName: text(input, 'fullName'),
+    studentId: text(input, 'studentId'),
+    email: text(input, 'email'),
+    phone: text(input, 'phone'),
+    gradeLevel: text(input, 'gradeLevel'),
+    parkingLot: found.lot.name,
+    parkingSpot: found.spot.id,
+    spotType: found.spot.type,
+    vehicles: vehicleCheck.vehicles
+  };
+
+  if (half) {
+    registration.parkingPartner = text(input, 'parkingPartner');
+    registration.partnerDays = partners.PARKING_DAYS[half];
+    registration.userSchedule = registrations.SCHEDULES[half];
+    registration.half = half;
+  }
+
+  registration.submittedAt = submittedAt || new Date().toISOString();
+  registration.referenceId = referenceId || newReferenceId;
+  if (changedAt) registration.changedAt = changedAt;
+  if (fromSnapshot) {
+    KEPT_FIELDS.forEach(field => {
+      if (input[field] !== undefined && input[field] !== null) registration[field] = input[field];
+    });
+  }
+
+  return { registration: registration, problems: [] };
+}
+
+/**
+ * Read the registrations of a JSON snapshot
+ * @param {object} snapshot - Parsed file
+ * @param {object} target - Lot layout the registrations will use
+ * @returns {object[]} Rows: {label, registration|null, problems}
+ */
+function readSnapshotRows(snapshot, target) {
+  return snapshot.studentSubmissions.map((record, index) => {
+    const item = record && typeof record === 'object' && !Array.isArray(record) ? record : null;
+    const reference = item && typeof item.referenceId === 'string' ? ` (${item.referenceId})` : '';
+    const row = item ? readRegistration(item, target, true)
+      : { registration: null, problems: ['Not a registration record'] };
+    return Object.assign({ label: `Registration ${index + 1}${reference}` }, row);
+  });
+}
+
+/**
+ * Read the registrations of a CSV file
+ * @param {string} csv - File contents
+ * @param {object} target - Lot layout the registrations will use
+ * @param {string} currentFingerprint - Fingerprint of the data the
+ *   file is imported into (see importReferenceId)
+ * @returns {object[]} Rows: {label, registration|null, problems}
+ */
+function readCsvRows(csv, target, currentFingerprint) {
+  const seed = crypto.createHash('sha256').update(`${currentFingerprint}\n${csv}`).digest('hex');
+  const rows = parseCsv(csv);
+  if (rows.length < 2) {
+    throw new HttpError(400, 'The CSV file needs a header row and at least one registration.');
+  }
+
+  const fields = rows[0].map(header => COLUMNS[header.toLowerCase().replace(/[^a-z0-9]/g, '')] || null);
+  const missing = [];
+  if (!fields.includes('fullName')) missing.push('name');
+  if (!fields.includes('studentId')) missing.push('student ID');
+  if (!fields.includes('email')) missing.push('email');
+  if (!fields.includes('gradeLevel')) missing.push('grade');
+  if (!fields.includes('parkingSpot')) missing.push('spot');
+  if (missing.length > 0) {
+    throw new HttpError(400, `The CSV file is missing columns: ${missing.join(', ')}`);
+  }
+
+  const present = new Set(fields.filter(Boolean));
+  if (present.has('plate')) present.add('vehicles');
+
+  return rows.slice(1).map((row, index) => {
+    const values = {};
+    fields.forEach((field, column) => {
+      if (field && !values[field]) values[field] = csvValue(row[column]);
+    });
+    return { line: index + 2, values: values };
+  })
+    // Empty spots in an assignments export have no student
+    .filter(row => row.values.fullName || row.values.studentId || row.values.email)
+    .map(row => {
+      row.values.vehicles = readCsvVehicles(row.values);
+      return Object.assign({ label: `Line ${row.line}`, present: present },
+        readRegistration(row.values, target, false, importReferenceId(seed, row.line)));
+    });
+}
+
+/**
+ * Keep what a CSV row cannot hold from the registration it
+ * updates: columns the file does not have, partner links (while
+ * the student keeps the same spot and half), suspensions and
+ * lottery details, and dates the file has only to the minute
+ * @param {object} row - Valid CSV row with its original registration
+ */
+function keepUnlistedFields(row) {
+  const registration = row.registration;
+  const original = row.original;
+  const sameSpot = original.parkingSpot === registration.parkingSpot &&
+    (original.half || null) === (registration.half || null);
+  const sameMinute = (a, b) => Math.floor(Date.parse(a) / 60000) === Math.floor(Date.parse(b) / 60000);
+
+  if (!row.present.has('phone')) registration.phone = original.phone || '';
+  if (!row.present.has('vehicles')) registration.vehicles = original.vehicles || [];
+  if (registration.half && !row.present.has('parkingPartner') && original.parkingPartner) {
+    registration.parkingPartner = original.parkingPartner;
+  }
+  ['submittedAt', 'changedAt'].forEach(field => {
+    if (original[field] && (!row.present.has(field) || sameMinute(original[field], registration[field]))) {
+      registration[field] = original[field];
+    }
+  });
+  KEPT_FIELDS.filter(field => field !== 'partner' || sameSpot).forEach(field => {
+    if (original[field] !== undefined) registration[field] = original[field];
+  });
+}
+
+/**
+ * Keys a registration claims: its student ID, email, and its spot
+ * (both halves for a solo spot)
+ * @param {object} registration - Registration
+ * @returns {object[]} {key, description}
+ */
+function claimsOf(registration) {
+  const claims = [
+    { key: `student:${registration.studentId}`, description: `student ID ${registration.studentId} is registered` },
+    { key: `email:${registrations.normalizeEmail(registration.email)}`, description: `email ${registration.email} is used` }
+  ];
+  const halves = registration.half ? [registration.half] : parking.HALVES;
+  halves.forEach(half => {
+    claims.push({
+      key: `spot:${registration.parkingSpot}:${half}`,
+      description: registration.half ? `half ${half} of spot ${registration.parkingSpot} is taken`
+        : `spot ${registration.parkingSpot} is taken`
+    });
+  });
+  return claims;
+}
+
+/**
+ * Decide which valid rows can be saved next to the registrations
+ * that stay. Rows are taken in file order; a row that clashes with
+ * a kept registration or an earlier row is rejected. When merging,
+ * a rejected row for an existing reference ID leaves that
+ * registration as it is, which may in turn reject an earlier row -
+ * so repeat until nothing changes.
+ * @param {object[]} kept - Registrations the file does not touch
+ * @param {object[]} rows - Valid rows: {label, registration, original}
+ * @param {boolean} keepOriginals - True when merging
+ * @returns {Map} Rejected row → problem
+ */
+function resolveClashes(kept, rows, keepOriginals) {
+  const rejected = new Map();
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    const claimed = new Map();
+    const claim = registration => claimsOf(registration).forEach(item => claimed.set(item.key, registration));
+
+    kept.forEach(claim);
+    if (keepOriginals) {
+      rows.filter(row => rejected.has(row) && row.original).forEach(row => claim(row.original));
+    }
+
+    rows.filter(row => !rejected.has(row)).forEach(row => {
+      const clash = claimsOf(row.registration).find(item => claimed.has(item.key));
+      if (!clash) {
+        claim(row.registration);
+        return;
+      }
+      rejected.set(row, `${clash.description} by ${claimed.get(clash.key).referenceId}`);
+      if (keepOriginals && row.original) changed = true;
+    });
+  }
+
+  return rejected;
+}
+
+/**
+ * Compare two records
+ * @param {object} a - Record
+ * @param {object} b - Record
+ * @returns {boolean} True if they hold the same data
+ */
+function sameRecord(a, b) {
+  const sorted = value => (value && typeof value === 'object' && !Array.isArray(value)
+    ? Object.keys(value).sort().reduce((copy, key) => Object.assign(copy, { [key]: sorted(value[key]) }), {})
+    : Array.isArray(value) ? value.map(sorted) : value);
+  return JSON.stringify(sorted(a)) === JSON.stringify(sorted(b));
+}
+
+/**
+ * Plan a snapshot collection (violations, swaps, ...) by record ID
+ * @param {object[]} current - Current records
+ * @param {Array} incoming - Records in the file
+ * @param {string} idField - ID field
+ * @param {string} mode - 'merge' | 'replace'
+ * @param {string} name - Collection name for error messages
+ * @param {string[]} errors - Collects rejected records
+ * @returns {object} {next, added, updated, removed, unchanged}
+ */
+function planCollection(current, incoming, idField, mode, name, errors) {
+  const accepted = [];
+  const seen = new Set();
+
+  incoming.forEach((record, index) => {
+    const id = record && typeof record === 'object' && !Array.isArray(record) ? text(record, idField) : '';
+    if (!id) {
+      errors.push(`${name} ${index + 1}: ${idField} is missing`);
+    } else if (seen.has(id)) {
+      errors.push(`${name} ${index + 1}: ${id} is listed more than once`);
+    } else {
+      seen.add(id);
+      accepted.push(record);
+    }
+  });
+
+  const byId = new Map(current.map(record => [record[idField], record]));
+  const plan = { added: [], updated: [], removed: [], unchanged: 0 };
+  accepted.forEach(record => {
+    const previous = byId.get(record[idField]);
+    if (!previous) plan.added.push(record);
+    else if (sameRecord(previous, record)) plan.unchanged++;
+    else plan.updated.push({ before: previous, after: record });
+  });
+
+  if (mode === 'replace') {
+    plan.removed = current.filter(record => !seen.has(record[idField]));
+    plan.next = accepted;
+  } else {
+    const replaced = new Map(accepted.map(record => [record[idField], record]));
+    plan.next = current.map(record => replaced.get(record[idField]) || record)
+      .concat(plan.added);
+  }
+  return plan;
+}
+
+/**
+ * Check the top level of a JSON snapshot
+ * @param {string} content - File contents
+ * @returns {object} Parsed snapshot
+ */
+function readSnapshot(content) {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(content.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new HttpError(400, 'The file is not valid JSON.');
+  }
+
+  if (!snapshot || typeof snapshot !== 'object' || Array.isArray(snapshot)) {
+    throw new HttpError(400, 'The file is not a parking data export.');
+  }
+
+  const problems = [];
+  if (!Array.isArray(snapshot.studentSubmissions)) {
+    problems.push('studentSubmissions must be a list of registrations');
+  }
+  Object.keys(COLLECTIONS).forEach(name => {
+    if (snapshot[name] !== undefined && !Array.isArray(snapshot[name])) problems.push(`${name} must be a list`);
+  });
+  if (snapshot.roster !== undefined && snapshot.roster !== null &&
+      (typeof snapshot.roster !== 'object' || !Array.isArray(snapshot.roster.students))) {
+    problems.push('roster must be null or a roster with a list of students');
+  }
+  if (snapshot.parkingData !== undefined &&
+      (!snapshot.parkingData || typeof snapshot.parkingData !== 'object' || Array.isArray(snapshot.parkingData))) {
+    problems.push('parkingData must be the lot layout');
+  }
+  if (snapshot.exportDate !== undefined && !readDate(snapshot.exportDate)) {
+    problems.push('exportDate must be a date');
+  }
+  if (problems.length > 0) {
+    throw new HttpError(400, 'The file is not a parking data export', problems);
+  }
+  return snapshot;
+}
+
+/**
+ * Work out what an import would change
+ * @param {object} db - Database (or draft)
+ * @param {object} input - {format, mode, content, fileName}
+ * @returns {object} Plan: {format, mode, fileName, exportDate,
+ *   fingerprint, rows, rejected, lots, roster, registrations,
+ *   collections}
+ */
+function planImport(db, input) {
+  const format = text(input, 'format');
+  const mode = text(input, 'mode');
+  const content = typeof input.content === 'string' ? input.content : '';
+
+  if (!FORMATS.includes(format)) {
+    throw new HttpError(400, `Format must be one of: ${FORMATS.join(', ')}`);
+  }
+  if (!MODES.includes(mode)) {
+    throw new HttpError(400, `Mode must be one of: ${MODES.join(', ')}`);
+  }
+  if (!content.trim()) {
+    throw new HttpError(400, 'The file is empty.');
+  }
+
+  const snapshot = format === 'json' ? readSnapshot(content) : null;
+  const current = parking.loadLayout(db);
+
+  // Replacing from a snapshot restores its lot layout too
+  let target = current;
+  let lots = null;
+  if (snapshot && snapshot.parkingData && mode === 'replace') {
+    const restored = layout.validateLayout(snapshot.parkingData);
+    if (!sameRecord(restored, current)) {
+      target = restored;
+      lots = { before: current, after: restored, changes: layout.diffLayouts(current, restored) };
+    }
+  }
+
+  // The roster is restored as a whole: replace takes the file's, merge keeps the current one
+  let roster = null;
+  if (snapshot && snapshot.roster !== undefined && !sameRecord(snapshot.roster, db.roster)) {
+    roster = { before: db.roster, after: snapshot.roster, kept: mode === 'merge' };
+  }
+
+  const currentFingerprint = fingerprint(db);
+  const rows = snapshot ? readSnapshotRows(snapshot, target) : readCsvRows(content, target, currentFingerprint);
+  const existing = new Map(db.registrations.map(registration => [registration.referenceId, registration]));
+  const seen = new Set();
+
+  const valid = rows.filter(row => {
+    if (row.problems.length > 0) return false;
+    if (seen.has(row.registration.referenceId)) {
+      row.problems.push(`reference ID ${row.registration.referenceId} is listed more than once`);
+      return false;
+    }
+    seen.add(row.registration.referenceId);
+    row.original = existing.get(row.registration.referenceId) || null;
+    if (row.original && !snapshot) keepUnlistedFields(row);
+    return true;
+  });
+
+  const kept = mode === 'replace' ? [] : db.registrations.filter(registration => !seen.has(registration.referenceId));
+  const rejected = resolveClashes(kept, valid, mode === 'merge');
+  rejected.forEach((problem, row) => row.problems.push(problem));
+  const accepted = valid.filter(row => !rejected.has(row));
+  const errors = rows.filter(row => row.problems.length > 0).map(row => `${row.label}: ${row.problems.join('; ')}`);
+
+  const plan = {
+    format: format,
+    mode: mode,
+    fileName: text(input, 'fileName'),
+    exportDate: snapshot && snapshot.exportDate ? snapshot.exportDate : null,
+    fingerprint: currentFingerprint,
+    rows: rows.length,
+    lots: lots,
+    roster: roster,
+    registrations: { added: [], updated: [], removed: [], unchanged: 0 },
+    collections: {}
+  };
+
+  accepted.forEach(row => {
+    if (!row.original) plan.registrations.added.push(row.registration);
+    else if (sameRecord(row.original, row.registration)) plan.registrations.unchanged++;
+    else plan.registrations.updated.push({ before: row.original, after: row.registration });
+  });
+
+  if (mode === 'replace') {
+    const acceptedIds = new Set(accepted.map(row => row.registration.referenceId));
+    plan.registrations.removed = db.registrations.filter(registration => !acceptedIds.has(registration.referenceId));
+    plan.registrations.next = accepted.map(row => row.registration);
+  } else {
+    const replaced = new Map(accepted.map(row => [row.registration.referenceId, row.registration]));
+    plan.registrations.next = db.registrations.map(registration => replaced.get(registration.referenceId) ||
+      registration).concat(plan.registrations.added);
+  }
+
+  if (snapshot) {
+    Object.entries(COLLECTIONS).forEach(([name, idField]) => {
+      if (snapshot[name] === undefined) return;
+      plan.collections[name] = planCollection(db[name], snapshot[name], idField, mode, name, errors);
+    });
+  }
+
+  plan.rejected = errors;
+  return plan;
+}
+
+/**
+ * Summarize a plan for the preview and the API response
+ * @param {object} plan - From planImport()
+ * @returns {object} Counts, changed registrations (up to
+ *   MAX_LISTED_CHANGES of each kind) and rejected rows (up to
+ *   MAX_ROW_ERRORS)
+ */
+function summarizePlan(plan) {
+  const brief = registration => ({
+    referenceId: registration.referenceId,
+    fullName: registration.fullName,
+    studentId: registration.studentId,
+    parkingSpot: registration.parkingSpot,
+    half: registration.half || null
+  });
+  const changedFields = change => Object.keys(Object.assign({}, change.before, change.after))
+    .filter(field => !sameRecord(change.before[field], change.after[field]));
+  const counts = collection => ({
+    added: collection.added.length,
+    updated: collection.updated.length,
+    removed: collection.removed.length,
+    unchanged: collection.unchanged
+  });
+  const list = items => items.slice(0, MAX_LISTED_CHANGES);
+
+  const summary = {
+    format: plan.format,
+    mode: plan.mode,
+    fileName: plan.fileName,
+    exportDate: plan.exportDate,
+    fingerprint: plan.fingerprint,
+    rows: plan.rows,
+    counts: { registrations: counts(plan.registrations) },
+    lots: plan.lots ? plan.lots.changes : null,
+    roster: plan.roster ? { before: summarizeRoster(plan.roster.before), after: summarizeRoster(plan.roster.after),
+      kept: plan.roster.kept } : null,
+    registrations: {
+      added: list(plan.registrations.added).map(brief),
+      updated: list(plan.registrations.updated).map(change => Object.assign(brief(change.after),
+        { fields: changedFields(change), before: brief(change.before) })),
+      removed: list(plan.registrations.removed).map(brief)
+    },
+    rejected: plan.rejected.slice(0, MAX_ROW_ERRORS),
+    rejectedTotal: plan.rejected.length
+  };
+
+  Object.entries(plan.collections).forEach(([name, collection]) => {
+    summary.counts[name] = counts(collection);
+  });
+  return summary;
+}
+
+/**
+ * Preview an import without changing anything
+ * @param {object} db - Database
+ * @param {object} input - {format, mode, content, fileName}
+ * @returns {object} See summarizePlan()
+ */
+function previewImport(db, input) {
+  return summarizePlan(planImport(db, input));
+}
+
+/**
+ * Apply a previewed import
+ * @param {object} db - Database draft
+ * @param {object} input - {format, mode, content, fileName, fingerprint}
+ * @returns {object} {summary, before, after} before/after hold the
+ *   changed records, for the audit log
+ */
+function applyImport(db, input) {
+  const plan = planImport(db, input);
+  if (text(input, 'fingerprint') !== plan.fingerprint) {
+    throw new HttpError(409, 'The data changed since this import was previewed. Please preview it again.');
+  }
+
+  const registrationPlan = plan.registrations;
+  const before = {
+    mode: plan.mode,
+    registrations: registrationPlan.updated.map(change => change.before).concat(registrationPlan.removed)
+  };
+  const after = {
+    mode: plan.mode,
+    registrations: registrationPlan.added.concat(registrationPlan.updated.map(change => change.after))
+  };
+
+  if (plan.lots) {
+    db.lots = plan.lots.after;
+    before.lots = plan.lots.changes.before;
+    after.lots = plan.lots.changes.after;
+  }
+
+  if (plan.roster && !plan.roster.kept) {
+    db.roster = plan.roster.after;
+    before.roster = summarizeRoster(plan.roster.before);
+    after.roster = summarizeRoster(plan.roster.after);
+  }
+
+  Object.entries(plan.collections).forEach(([name, collection]) => {
+    db[name] = collection.next;
+    before[name] = collection.updated.map(change => change.before).concat(collection.removed);
+    after[name] = collection.added.concat(collection.updated.map(change => change.after));
+  });
+
+  // Reservations of changed registrations are rebuilt from the new records
+  const changedIds = new Set(before.registrations.map(registration => registration.referenceId));
+  db.registrations = registrationPlan.next;
+  db.reservations = db.reservations.filter(reservation => !changedIds.has(reservation.referenceId));
+  duplicates.repairReservations(db);
+  const target = parking.loadLayout(db);
+  db.holds = db.holds.filter(hold => parking.findSpot(target, hold.spotId) &&
+    parking.isAvailable(db.reservations, hold.spotId, hold.half));
+
+  return { summary: summarizePlan(plan), before: before, after: after };
+}
+
+module.exports = {
+  FORMATS,
+  MODES,
+  previewImport,
+  applyImport
+};
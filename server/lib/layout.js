@@ -0,0 +1,325 @@
+/* ============================================================
+   LOT LAYOUT EDITING
+   ============================================================
+   Validates lot layouts saved from the admin lot editor and
+   protects spots that registrations still hold: a held spot
+   cannot be removed, closed (reserved / out of service) or
+   switched between solo and shared until it is cleared.
+
+   Layout structure: {lotKey: {name, description, geometry?,
+              spots: [{id, type, designation, outOfService}]}}
+
+   Geometry (optional, drawn by public/js/lot-map.js):
+              {orientation: 'horizontal'|'vertical',
+               rows: [{label, spots: count, facing: 'up'|'down'}],
+               aisles: [row numbers with a drive aisle after them],
+               entrances: [{label, type: 'vehicle'|'building',
+                            side, position: 0-1}],
+               landmarks: [{label, side, position: 0-1, size: 0-1}]}
+              side is 'top', 'bottom', 'left' or 'right'
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const parking = require('./parking');
+const { HttpError } = require('./http');
+
+const LOT_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,31}$/;
+const SPOT_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9-]{0,15}$/;
+const MAX_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 120;
+const MAX_REPORTED_ERRORS = 20;
+
+const ORIENTATIONS = ['horizontal', 'vertical'];
+const FACINGS = ['up', 'down'];
+const SIDES = ['top', 'bottom', 'left', 'right'];
+const ENTRANCE_TYPES = ['vehicle', 'building'];
+const MAX_ROWS = 100;
+const MAX_ROW_SPOTS = 500;
+const MAX_MARKERS = 20;
+const MAX_LABEL_LENGTH = 40;
+
+/**
+ * Check a map label
+ * @param {*} value - Label from the editor
+ * @returns {boolean} True if usable
+ */
+function isLabel(value) {
+  return typeof value === 'string' && value.trim().length > 0 && value.trim().length <= MAX_LABEL_LENGTH;
+}
+
+/**
+ * Check a 0-1 fraction along a side of the lot
+ * @param {*} value - Number from the editor
+ * @returns {boolean} True if usable
+ */
+function isFraction(value) {
+  return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
+/**
+ * Validate a lot's map geometry and keep only known fields
+ * @param {object} geometry - Geometry from the editor
+ * @param {string} lotLabel - Lot name for error messages
+ * @param {string[]} errors - Error list to add to
+ * @returns {object} Clean geometry
+ */
+function validateGeometry(geometry, lotLabel, errors) {
+  const problem = message => errors.push(`Map of ${lotLabel}: ${message}`);
+
+  if (typeof geometry !== 'object' || Array.isArray(geometry)) {
+    problem('geometry must be an object.');
+    return undefined;
+  }
+
+  const clean = {
+    orientation: geometry.orientation || 'horizontal',
+    rows: [],
+    aisles: [],
+    entrances: [],
+    landmarks: []
+  };
+
+  if (!ORIENTATIONS.includes(clean.orientation)) {
+    problem('orientation must be horizontal or vertical.');
+  }
+
+  const rows = geometry.rows || [];
+  if (!Array.isArray(rows) || rows.length > MAX_ROWS) {
+    problem(`rows must be a list of up to ${MAX_ROWS} rows.`);
+  } else {
+    rows.forEach((row, index) => {
+      if (!row || !isLabel(row.label) || !Number.isInteger(row.spots) ||
+          row.spots < 1 || row.spots > MAX_ROW_SPOTS || !FACINGS.includes(row.facing || 'up')) {
+        problem(`row ${index + 1} needs a label, 1-${MAX_ROW_SPOTS} spots and facing up or down.`);
+        return;
+      }
+      clean.rows.push({ label: row.label.trim(), spots: row.spots, facing: row.facing || 'up' });
+    });
+  }
+
+  const aisles = geometry.aisles || [];
+  if (!Array.isArray(aisles) || aisles.some(n => !Number.isInteger(n) || n < 1 || n > MAX_ROWS)) {
+    problem('aisles must list row numbers (e.g., [1, 3]).');
+  } else {
+    clean.aisles = [...new Set(aisles)].sort((a, b) => a - b);
+  }
+
+  ['entrances', 'landmarks'].forEach(kind => {
+    const markers = geometry[kind] || [];
+    if (!Array.isArray(markers) || markers.length > MAX_MARKERS) {
+      problem(`${kind} must be a list of up to ${MAX_MARKERS} items.`);
+      return;
+    }
+
+    markers.forEach((marker, index) => {
+      const valid = marker && isLabel(marker.label) && SIDES.includes(marker.side) &&
+        isFraction(marker.position) &&
+        (kind === 'entrances'
+          ? ENTRANCE_TYPES.includes(marker.type)
+          : marker.size === undefined || isFraction(marker.size));
+
+      if (!valid) {
+        problem(`${kind} item ${index + 1} needs a label, a side (top, bottom, left, right), ` +
+          'a position from 0 to 1' + (kind === 'entrances' ? ' and a type (vehicle or building).' : '.'));
+        return;
+      }
+
+      const item = { label: marker.label.trim() };
+      if (kind === 'entrances') item.type = marker.type;
+      item.side = marker.side;
+      item.position = marker.position;
+      if (kind === 'landmarks' && marker.size !== undefined) item.size = marker.size;
+      clean[kind].push(item);
+    });
+  });
+
+  return clean;
+}
+
+/**
+ * Validate a layout from the editor and keep only known fields
+ * @param {object} input - Layout keyed by lot
+ * @returns {object} Clean layout
+ */
+function validateLayout(input) {
+  const errors = [];
+  const layout = {};
+  const lotNames = new Set();
+  const spotIds = new Set();
+
+  if (!input || typeof input !== 'object' || Array.isArray(input) || Object.keys(input).length === 0) {
+    throw new HttpError(400, 'The layout must contain at least one lot.');
+  }
+
+  Object.entries(input).forEach(([lotKey, lot]) => {
+    if (!LOT_KEY_PATTERN.test(lotKey)) {
+      errors.push(`"${lotKey}" is not a valid lot key (letters, digits, "_" or "-", starting with a letter).`);
+      return;
+    }
+
+    if (!lot || typeof lot !== 'object') {
+      errors.push(`Lot ${lotKey} is missing its details.`);
+      return;
+    }
+
+    const name = typeof lot.name === 'string' ? lot.name.trim() : '';
+    const description = typeof lot.description === 'string' ? lot.description.trim() : '';
+
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      errors.push(`Lot ${lotKey} needs a name of 1-${MAX_NAME_LENGTH} characters.`);
+    } else if (lotNames.has(name.toLowerCase())) {
+      errors.push(`More than one lot is named "${name}".`);
+    }
+    lotNames.add(name.toLowerCase());
+
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      errors.push(`The description of ${name || lotKey} is longer than ${MAX_DESCRIPTION_LENGTH} characters.`);
+    }
+
+    if (!Array.isArray(lot.spots)) {
+      errors.push(`Lot ${name || lotKey} has no spot list.`);
+      return;
+    }
+
+    const spots = lot.spots.map(spot => parking.normalizeSpot(spot || {}));
+    spots.forEach(spot => {
+      if (typeof spot.id !== 'string' || !SPOT_ID_PATTERN.test(spot.id)) {
+        errors.push(`"${spot.id}" in ${name || lotKey} is not a valid spot ID (up to 16 letters, digits or "-").`);
+      } else if (spotIds.has(spot.id)) {
+        errors.push(`Spot ${spot.id} appears more than once.`);
+      }
+      spotIds.add(spot.id);
+
+      if (!parking.SPOT_TYPES.includes(spot.type)) {
+        errors.push(`Spot ${spot.id} must be solo or shared.`);
+      }
+      if (!parking.DESIGNATIONS.includes(spot.designation)) {
+        errors.push(`Spot ${spot.id} has an unknown designation "${spot.designation}".`);
+      }
+    });
+
+    layout[lotKey] = { name: name, description: description };
+    if (lot.geometry !== undefined && lot.geometry !== null) {
+      layout[lotKey].geometry = validateGeometry(lot.geometry, name || lotKey, errors);
+    }
+    layout[lotKey].spots = spots;
+  });
+
+  if (errors.length > 0) {
+    const shown = errors.slice(0, MAX_REPORTED_ERRORS);
+    if (errors.length > shown.length) {
+      shown.push(`...and ${errors.length - shown.length} more.`);
+    }
+    throw new HttpError(400, 'Please fix the following layout errors', shown);
+  }
+
+  return layout;
+}
+
+/**
+ * Reject changes to spots that registrations still hold
+ * @param {Array} reservations - Reservation records
+ * @param {object} layout - New layout from validateLayout()
+ */
+function checkHeldSpots(reservations, layout) {
+  const errors = [];
+  const heldSpotIds = [...new Set(reservations.map(r => r.spotId))];
+
+  heldSpotIds.forEach(spotId => {
+    const found = parking.findSpot(layout, spotId);
+    const spotReservations = reservations.filter(r => r.spotId === spotId);
+
+    if (!found) {
+      errors.push(`Spot ${spotId} is held by a registration and cannot be removed.`);
+    } else if (!parking.isOpen(found.spot)) {
+      errors.push(`Spot ${spotId} is held by a registration and cannot be reserved or taken out of service.`);
+    } else if (spotReservations.some(r => (r.half === null) !== (found.spot.type === 'solo'))) {
+      errors.push(`Spot ${spotId} is held by a registration and cannot switch between solo and shared.`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new HttpError(409, 'Clear these spots before changing them', errors);
+  }
+}
+
+/**
+ * Describe what changed between two layouts, for the audit log
+ * @param {object} before - Previous layout
+ * @param {object} after - New layout
+ * @returns {{before: object, after: object}} Changed lots and spots only
+ */
+function diffLayouts(before, after) {
+  const diff = {
+    before: { lots: {}, spots: {} },
+    after: { lots: {}, spots: {} }
+  };
+
+  const lotDetails = lot => (lot
+    ? { name: lot.name, description: lot.description, geometry: lot.geometry || null }
+    : null);
+  const spotIndex = layout => {
+    const index = {};
+    Object.entries(layout).forEach(([lotKey, lot]) => {
+      lot.spots.forEach(spot => {
+        index[spot.id] = Object.assign({ lot: lotKey }, spot);
+      });
+    });
+    return index;
+  };
+
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(lotKey => {
+    const previous = lotDetails(before[lotKey]);
+    const next = lotDetails(after[lotKey]);
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      diff.before.lots[lotKey] = previous;
+      diff.after.lots[lotKey] = next;
+    }
+  });
+
+  const previousSpots = spotIndex(before);
+  const nextSpots = spotIndex(after);
+  new Set([...Object.keys(previousSpots), ...Object.keys(nextSpots)]).forEach(spotId => {
+    const previous = previousSpots[spotId] || null;
+    const next = nextSpots[spotId] || null;
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      diff.before.spots[spotId] = previous;
+      diff.after.spots[spotId] = next;
+    }
+  });
+
+  return diff;
+}
+
+/**
+ * Save a new layout and keep registration lot names in step
+ * @param {object} db - Database draft
+ * @param {object} input - Layout from the editor
+ * @returns {{before: object, after: object}} The previous and saved layouts
+ */
+function saveLayout(db, input) {
+  const layout = validateLayout(input);
+  checkHeldSpots(db.reservations, layout);
+
+  const before = parking.loadLayout(db);
+  db.lots = layout;
+
+  // Renamed lots (or spots moved between lots) update registrations too
+  db.registrations.forEach(registration => {
+    const found = parking.findSpot(layout, registration.parkingSpot);
+    if (found) registration.parkingLot = found.lot.name;
+  });
+
+  return { before: before, after: layout };
+}
+
+module.exports = {
+  validateLayout,
+  checkHeldSpots,
+  diffLayouts,
+  saveLayout
+};
@@ -0,0 +1,607 @@
+/* ============================================================
+   PARKING LOTTERY
+   ============================================================
+   Optional alternative to first-come-first-served. During a
+   lottery phase (a registration phase with "lottery": true, see
+   lib/phases.js) students apply with ranked lot and spot-type
+   preferences instead of picking a spot. After the phase
+   closes, an admin runs a seeded draw that assigns the open
+   spots and registers the students who got one.
+
+   Application structure: {applicationId, fullName, studentId,
+              email, phone, gradeLevel, preferences: [{lotKey,
+              spotType}] (best first; lotKey '' = any lot),
+              parkingPartner, partnerStudentId, phaseId, status,
+              submittedAt, result}
+   status: 'pending' | 'assigned' | 'unassigned'
+   result: {drawId, drawnAt, ticket, spotId, half, lotName,
+            preferenceRank, referenceId, waitlistId, reason}
+            once drawn, otherwise null
+
+   Draw structure: {drawId, seed, algorithm, ranAt, ranBy,
+              waitlistUnassigned, entrants, spots, tickets,
+              outcomes}
+
+   How a draw works:
+   1. Entrants are the pending applications in the order they
+      were submitted. Two students who name each other as
+      partners are one entrant (a pair), with the shared-spot
+      preferences of whoever applied first, then any others
+      the second listed.
+   2. The entrants are shuffled (Fisher-Yates) with random
+      numbers from the seed: number n is the first 6 bytes of
+      SHA-256("<seed>:<n>") divided by 2^48. Their new order is
+      the ticket order.
+   3. In ticket order, each entrant gets the first free spot
+      (in lot layout order) matching their best preference
+      that still has one. Shared spots are given whole: half A
+      to the entrant and half B to their partner.
+   4. Each winner is registered through the normal path as
+      their ticket comes up, without vehicles (the office adds
+      them later, as for the waitlist). A partner who did not
+      apply is invited to half B. A winner who cannot be
+      registered (not on the roster, revoked, already
+      registered, ...) gets no spot, their ticket records it as
+      failedSpotId, and the spot stays free for the next
+      tickets. Students without a spot may be added to the
+      waitlist in ticket order.
+
+   Steps 1-3 depend only on the seed, the entrants, the free
+   spots and which tickets failed in step 4, which the draw
+   keeps, so anyone can re-run a draw from its export and get
+   the same tickets (verifyDraw).
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const crypto = require('crypto');
+const parking = require('./parking');
+const holds = require('./holds');
+const phases = require('./phases');
+const registrations = require('./registrations');
+const roster = require('./roster');
+const violations = require('./violations');
+const waitlist = require('./waitlist');
+const { HttpError } = require('./http');
+const { text, validateStudentFields, validateStudentId } = require('./validation');
+
+const MAX_PREFERENCES = 5;
+const SEED_MAX_LENGTH = 100;
+const ALGORITHM = 'fisher-yates shuffle, sha256("<seed>:<n>") first 6 bytes / 2^48; ' +
+  'first free spot in layout order for the best preference';
+
+/**
+ * Generate an ID with a prefix (PREFIX-TIMESTAMP-RANDOM)
+ * @param {string} prefix - 'LT' for applications, 'DRAW' for draws
+ * @returns {string} ID
+ */
+function generateId(prefix) {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = crypto.randomBytes(4).toString('hex').substring(0, 5).toUpperCase();
+  return `${prefix}-${timestamp}-${random}`;
+}
+
+/**
+ * Find an application by ID
+ * @param {object} db - Database
+ * @param {string} applicationId - Application ID
+ * @returns {object} Application
+ */
+function findApplication(db, applicationId) {
+  const application = db.lotteryApplications.find(a => a.applicationId === applicationId);
+  if (!application) {
+    throw new HttpError(404, 'Lottery application not found');
+  }
+  return application;
+}
+
+/**
+ * Find a draw by ID
+ * @param {object} db - Database
+ * @param {string} drawId - Draw ID
+ * @returns {object} Draw
+ */
+function findDraw(db, drawId) {
+  const draw = db.lotteryDraws.find(d => d.drawId === drawId);
+  if (!draw) {
+    throw new HttpError(404, 'Lottery draw not found');
+  }
+  return draw;
+}
+
+/**
+ * Read and check the ranked preferences of an application
+ * @param {*} value - Preferences from the request
+ * @param {object} lots - Lot layout
+ * @param {string[]} errors - Field errors (added to)
+ * @returns {object[]} [{lotKey, spotType}] without repeats
+ */
+function readPreferences(value, lots, errors) {
+  const preferences = [];
+
+  (Array.isArray(value) ? value : []).forEach((preference, index) => {
+    const lotKey = text(preference || {}, 'lotKey');
+    const spotType = text(preference || {}, 'spotType');
+
+    if (lotKey && !lots[lotKey]) {
+      errors.push(`Choice ${index + 1}: unknown parking lot "${lotKey}"`);
+    } else if (!parking.SPOT_TYPES.includes(spotType)) {
+      errors.push(`Choice ${index + 1}: spot type must be solo or shared`);
+    } else if (!preferences.some(p => p.lotKey === lotKey && p.spotType === spotType)) {
+      preferences.push({ lotKey: lotKey, spotType: spotType });
+    }
+  });
+
+  if (preferences.length === 0) {
+    errors.push('Please choose at least one lot and spot type');
+  } else if (preferences.length > MAX_PREFERENCES) {
+    errors.push(`Please choose at most ${MAX_PREFERENCES} preferences`);
+  }
+  return preferences;
+}
+
+/**
+ * Apply for the lottery during a lottery phase
+ * @param {object} db - Database draft
+ * @param {object} input - {fullName, studentId, email, phone, gradeLevel,
+ *   preferences, parkingPartner, partnerStudentId}
+ * @returns {object} The new application
+ */
+function apply(db, input) {
+  const current = phases.describeSchedule().current;
+  if (current.status !== 'lottery') {
+    throw new HttpError(403, 'The parking lottery is not taking applications right now', [
+      current.status === 'closed'
+        ? 'Please check the registration dates on the home page.'
+        : 'Please pick a spot on the parking map instead.'
+    ]);
+  }
+
+  const errors = validateStudentFields(input);
+  const preferences = readPreferences(input.preferences, parking.loadLayout(db), errors);
+  const wantsShared = preferences.some(p => p.spotType === 'shared');
+  const partnerStudentId = text(input, 'partnerStudentId');
+
+  if (wantsShared && !text(input, 'parkingPartner')) {
+    errors.push('Partner name is required for shared spots');
+  }
+  if ((wantsShared || partnerStudentId) && !validateStudentId(partnerStudentId)) {
+    errors.push('Partner student ID must be 6-8 digits');
+  } else if (partnerStudentId && partnerStudentId === text(input, 'studentId')) {
+    errors.push('Your partner must be a different student');
+  }
+
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Please fix the following errors', errors);
+  }
+
+  const studentId = text(input, 'studentId');
+  if (db.registrations.some(r => r.studentId === studentId)) {
+    throw new HttpError(409, 'This student ID already has a parking registration.');
+  }
+  if (db.lotteryApplications.some(a => a.studentId === studentId && a.status === 'pending')) {
+    throw new HttpError(409, 'This student ID has already applied for the lottery.');
+  }
+
+  violations.requireNotRevoked(db, studentId);
+  const rosterEntry = roster.requireEligible(db, input);
+  const gradeLevel = rosterEntry ? rosterEntry.gradeLevel : text(input, 'gradeLevel');
+  if (current.gradeLevels.length > 0 && !current.gradeLevels.includes(gradeLevel)) {
+    throw new HttpError(403, 'The parking lottery is not taking applications from you right now',
+      [`${current.name} is for ${current.gradeLevels.join(' and ')} students only.`]);
+  }
+
+  const application = {
+    applicationId: generateId('LT'),
+    fullName: text(input, 'fullName'),
+    studentId: studentId,
+    email: text(input, 'email'),
+    phone: text(input, 'phone'),
+    gradeLevel: gradeLevel,
+    preferences: preferences,
+    parkingPartner: text(input, 'parkingPartner'),
+    partnerStudentId: partnerStudentId,
+    phaseId: current.id,
+    status: 'pending',
+    submittedAt: new Date().toISOString(),
+    result: null
+  };
+
+  db.lotteryApplications.push(application);
+  return application;
+}
+
+/**
+ * Public status of an application, for the student
+ * @param {object} db - Database
+ * @param {string} applicationId - Application ID
+ * @returns {object} {applicationId, fullName, status, preferences,
+ *   parkingPartner, submittedAt, result}
+ */
+function getStatus(db, applicationId) {
+  const application = findApplication(db, applicationId);
+  return {
+    applicationId: application.applicationId,
+    fullName: application.fullName,
+    status: application.status,
+    preferences: application.preferences,
+    parkingPartner: application.parkingPartner,
+    submittedAt: application.submittedAt,
+    result: application.result
+  };
+}
+
+/**
+ * Group the pending applications into draw entrants
+ * @param {object} db - Database
+ * @returns {object[]} [{entrantId, applicationIds, studentIds, names,
+ *   preferences}] in submission order
+ */
+function collectEntrants(db) {
+  const pending = db.lotteryApplications
+    .filter(a => a.status === 'pending')
+    .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt) || a.applicationId.localeCompare(b.applicationId));
+  const grouped = new Set();
+  const entrants = [];
+
+  pending.forEach(application => {
+    if (grouped.has(application.applicationId)) return;
+
+    const partner = pending.find(other => other !== application && !grouped.has(other.applicationId) &&
+      other.studentId === application.partnerStudentId && other.partnerStudentId === application.studentId);
+    const members = partner ? [application, partner] : [application];
+    members.forEach(member => grouped.add(member.applicationId));
+
+    // A pair can only use shared spots
+    const preferences = [];
+    members.forEach(member => member.preferences.forEach(preference => {
+      if ((!partner || preference.spotType === 'shared') &&
+          !preferences.some(p => p.lotKey === preference.lotKey && p.spotType === preference.spotType)) {
+        preferences.push(preference);
+      }
+    }));
+
+    entrants.push({
+      entrantId: application.applicationId,
+      applicationIds: members.map(member => member.applicationId),
+      studentIds: members.map(member => member.studentId),
+      names: members.map(member => member.fullName),
+      preferences: preferences
+    });
+  });
+
+  return entrants;
+}
+
+/**
+ * List the spots free for the draw, in lot layout order. Shared
+ * spots count only when both halves are free.
+ * @param {object} db - Database
+ * @returns {object[]} [{spotId, lotKey, lotName, type}]
+ */
+function collectFreeSpots(db) {
+  const spots = [];
+
+  Object.entries(parking.loadLayout(db)).forEach(([lotKey, lot]) => {
+    lot.spots.forEach(spot => {
+      if (parking.isOpen(spot) && parking.isAvailable(db.reservations, spot.id, null) &&
+          !holds.isHeldByOthers(db, spot.id, null)) {
+        spots.push({ spotId: spot.id, lotKey: lotKey, lotName: lot.name, type: spot.type });
+      }
+    });
+  });
+
+  return spots;
+}
+
+/**
+ * Random numbers in [0, 1) from a seed
+ * @param {string} seed - Draw seed
+ * @returns {function(): number} Next number
+ */
+function seededRandom(seed) {
+  let counter = 0;
+  return () => {
+    const hash = crypto.createHash('sha256').update(`${seed}:${counter++}`).digest();
+    return hash.readUIntBE(0, 6) / Math.pow(2, 48);
+  };
+}
+
+/**
+ * Shuffle the entrants and assign spots (steps 2-3 in the header).
+ * Depends only on its arguments.
+ * @param {string} seed - Draw seed
+ * @param {object[]} entrants - From collectEntrants()
+ * @param {object[]} spots - From collectFreeSpots()
+ * @param {function(object, object): boolean} [register] - Called
+ *   with (entrant, spot) as each spot is given; false gives the spot
+ *   back and leaves the entrant without one
+ * @returns {object[]} Tickets in order: [{ticket, entrantId, spotId,
+ *   preferenceRank, failedSpotId (only if register refused)}]
+ *   (spotId null when nothing matched)
+ */
+function runDraw(seed, entrants, spots, register) {
+  const random = seededRandom(seed);
+  const order = entrants.slice();
+  const taken = new Set();
+
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  return order.map((entrant, index) => {
+    let spotId = null;
+    let preferenceRank = null;
+    let failedSpotId = null;
+
+    entrant.preferences.some((preference, rank) => {
+      const spot = spots.find(s => !taken.has(s.spotId) && s.type === preference.spotType &&
+        (!preference.lotKey || s.lotKey === preference.lotKey));
+      if (!spot) return false;
+
+      if (register && !register(entrant, spot)) {
+        failedSpotId = spot.spotId;
+        return true;
+      }
+
+      taken.add(spot.spotId);
+      spotId = spot.spotId;
+      preferenceRank = rank + 1;
+      return true;
+    });
+
+    const ticket = { ticket: index + 1, entrantId: entrant.entrantId, spotId: spotId, preferenceRank: preferenceRank };
+    if (failedSpotId) ticket.failedSpotId = failedSpotId;
+    return ticket;
+  });
+}
+
+/**
+ * Register one student of a draw; errors become the reason they
+ * got no spot
+ * @param {object} db - Database draft
+ * @param {object} application - Lottery application
+ * @param {object} fields - Spot fields ({parkingSpot, half, holdId,
+ *   holdToken} or {inviteCode})
+ * @returns {{registration: object|null, reason: string}} Outcome
+ */
+function registerWinner(db, application, fields) {
+  try {
+    const registration = registrations.createRegistration(db, Object.assign({
+      fullName: application.fullName,
+      studentId: application.studentId,
+      email: application.email,
+      phone: application.phone,
+      gradeLevel: application.gradeLevel,
+      parkingPartner: application.parkingPartner,
+      partnerStudentId: application.partnerStudentId
+    }, fields), { requireVehicles: false, ignorePhases: true });
+    return { registration: registration, reason: '' };
+  } catch (error) {
+    if (!(error instanceof HttpError)) throw error;
+    return { registration: null, reason: [error.message].concat(error.details).join(' ') };
+  }
+}
+
+/**
+ * Register the members of an entrant on the spot their ticket got
+ * (step 4 in the header): the first on half A (or the solo spot),
+ * a partner who also applied on the invite to half B
+ * @param {object} db - Database draft
+ * @param {object[]} members - The entrant's applications
+ * @param {object} spot - From collectFreeSpots()
+ * @returns {object[]} Outcome of each member (see registerWinner)
+ */
+function registerEntrant(db, members, spot) {
+  let leader = null;
+
+  return members.map((application, index) => {
+    if (index === 0) {
+      // A whole-spot hold covers either half of a shared spot (as for waitlist offers)
+      db.holds = holds.activeHolds(db);
+      const hold = holds.createHold(db, spot.spotId, null, 5);
+      const outcome = registerWinner(db, application, {
+        parkingSpot: spot.spotId,
+        half: spot.type === 'shared' ? 'A' : null,
+        holdId: hold.holdId,
+        holdToken: hold.holdToken
+      });
+      db.holds = db.holds.filter(h => h.holdId !== hold.holdId);
+      leader = outcome.registration;
+      return outcome;
+    }
+    if (leader && leader.partner && leader.partner.status === 'invited') {
+      return registerWinner(db, application, { inviteCode: leader.partner.inviteCode });
+    }
+    return {
+      registration: null,
+      reason: `Your partner ${members[0].fullName} could not be registered, so the spot was not assigned.`
+    };
+  });
+}
+
+/**
+ * Run a lottery draw and publish its results
+ * @param {object} db - Database draft
+ * @param {object} input - {seed (blank = random), waitlistUnassigned}
+ * @param {string} by - Admin running the draw
+ * @returns {object} {draw, registrations, waitlistEntries}
+ */
+function drawLottery(db, input, by) {
+  const current = phases.describeSchedule().current;
+  if (current.status === 'lottery') {
+    throw new HttpError(409, `${current.name} is still taking applications. ` +
+      `Please run the draw after it closes on ${phases.formatDay(new Date(current.endsAt).getTime() - 1)}.`);
+  }
+
+  const seed = text(input, 'seed') || crypto.randomBytes(16).toString('hex');
+  if (seed.length > SEED_MAX_LENGTH) {
+    throw new HttpError(400, `The seed must be ${SEED_MAX_LENGTH} characters or fewer`);
+  }
+
+  const entrants = collectEntrants(db);
+  if (entrants.length === 0) {
+    throw new HttpError(409, 'There are no pending lottery applications to draw.');
+  }
+
+  const spots = collectFreeSpots(db);
+  // Winners are registered as their tickets come up; one who cannot be gives the spot back
+  const outcomes = new Map();
+  const tickets = runDraw(seed, entrants, spots, (entrant, spot) => {
+    const members = entrant.applicationIds.map(applicationId => findApplication(db, applicationId));
+    const results = registerEntrant(db, members, spot);
+    outcomes.set(entrant.entrantId, results);
+    return Boolean(results[0].registration);
+  });
+  const now = new Date().toISOString();
+  const draw = {
+    drawId: generateId('DRAW'),
+    seed: seed,
+    algorithm: ALGORITHM,
+    ranAt: now,
+    ranBy: by,
+    waitlistUnassigned: input.waitlistUnassigned === true,
+    entrants: entrants,
+    spots: spots,
+    tickets: tickets,
+    outcomes: []
+  };
+  const created = [];
+  const waitlistEntries = [];
+
+  tickets.forEach(ticket => {
+    const entrant = entrants.find(e => e.entrantId === ticket.entrantId);
+    const members = entrant.applicationIds.map(applicationId => findApplication(db, applicationId));
+    const results = outcomes.get(entrant.entrantId) ||
+      members.map(() => ({ registration: null, reason: 'No spot was left matching your preferences.' }));
+
+    members.forEach((application, index) => {
+      const outcome = results[index];
+      const registration = outcome.registration;
+      if (registration) {
+        registration.lottery = { drawId: draw.drawId, ticket: ticket.ticket, preferenceRank: ticket.preferenceRank };
+        created.push(registration);
+      }
+
+      application.status = registration ? 'assigned' : 'unassigned';
+      application.result = {
+        drawId: draw.drawId,
+        drawnAt: now,
+        ticket: ticket.ticket,
+        spotId: registration ? registration.parkingSpot : null,
+        half: registration ? registration.half || null : null,
+        lotName: registration ? registration.parkingLot : null,
+        preferenceRank: registration ? ticket.preferenceRank : null,
+        referenceId: registration ? registration.referenceId : null,
+        waitlistId: null,
+        reason: registration ? '' : outcome.reason
+      };
+    });
+
+    // The first of a pair joins the waitlist for both
+    const first = members[0];
+    if (draw.waitlistUnassigned && first.status === 'unassigned') {
+      const lotKeys = entrant.preferences.map(p => p.lotKey);
+      const types = [...new Set(entrant.preferences.map(p => p.spotType))];
+      try {
+        const entry = waitlist.joinWaitlist(db, {
+          fullName: first.fullName,
+          studentId: first.studentId,
+          email: first.email,
+          phone: first.phone,
+          gradeLevel: first.gradeLevel,
+          lotPreferences: lotKeys.includes('') ? [] : lotKeys,
+          spotType: types.length === 1 ? types[0] : 'any',
+          parkingPartner: first.parkingPartner,
+          partnerStudentId: first.partnerStudentId
+        });
+        first.result.waitlistId = entry.waitlistId;
+        waitlistEntries.push(entry);
+      } catch (error) {
+        if (!(error instanceof HttpError)) throw error;
+        console.warn('⚠ Lottery entrant not added to the waitlist:', first.applicationId, error.message);
+      }
+    }
+
+    members.forEach(application => {
+      draw.outcomes.push(Object.assign({ applicationId: application.applicationId, studentId: application.studentId,
+        fullName: application.fullName }, application.result));
+    });
+  });
+
+  db.lotteryDraws.push(draw);
+  return { draw: draw, registrations: created, waitlistEntries: waitlistEntries };
+}
+
+/**
+ * Summarize a draw for lists
+ * @param {object} draw - Draw
+ * @returns {object} {drawId, seed, ranAt, ranBy, waitlistUnassigned,
+ *   entrants, freeSpots, assigned, unassigned}
+ */
+function summarizeDraw(draw) {
+  return {
+    drawId: draw.drawId,
+    seed: draw.seed,
+    ranAt: draw.ranAt,
+    ranBy: draw.ranBy,
+    waitlistUnassigned: draw.waitlistUnassigned,
+    entrants: draw.entrants.length,
+    freeSpots: draw.spots.length,
+    assigned: draw.outcomes.filter(outcome => outcome.referenceId).length,
+    unassigned: draw.outcomes.filter(outcome => !outcome.referenceId).length
+  };
+}
+
+/**
+ * Re-run a draw from its seed, entrants, spots and failed tickets and compare
+ * the tickets with the ones it published
+ * @param {object} db - Database
+ * @param {string} drawId - Draw ID
+ * @returns {object} {drawId, seed, matches, differences: [ticket numbers]}
+ */
+function verifyDraw(db, drawId) {
+  const draw = findDraw(db, drawId);
+  const failed = new Set(draw.tickets.filter(ticket => ticket.failedSpotId).map(ticket => ticket.entrantId));
+  const rerun = runDraw(draw.seed, draw.entrants, draw.spots, entrant => !failed.has(entrant.entrantId));
+  const differences = draw.tickets
+    .filter((ticket, index) => JSON.stringify(ticket) !== JSON.stringify(rerun[index]))
+    .map(ticket => ticket.ticket);
+
+  return {
+    drawId: draw.drawId,
+    seed: draw.seed,
+    matches: rerun.length === draw.tickets.length && differences.length === 0,
+    differences: differences
+  };
+}
+
+/**
+ * Applications and draws for the admin dashboard
+ * @param {object} db - Database
+ * @returns {object} {schedule, applications (newest first), draws
+ *   (summaries, newest first)}
+ */
+function listLottery(db) {
+  return {
+    schedule: phases.describeSchedule(),
+    applications: db.lotteryApplications.slice().reverse(),
+    draws: db.lotteryDraws.slice().reverse().map(summarizeDraw)
+  };
+}
+
+module.exports = {
+  MAX_PREFERENCES,
+  apply,
+  getStatus,
+  runDraw,
+  drawLottery,
+  findDraw,
+  summarizeDraw,
+  verifyDraw,
+  listLottery
+};
@@ -0,0 +1,185 @@
+/* ============================================================
+   PARKING DATA
+   ============================================================
+   Combines the lot layout with the reservations and spot holds
+   saved in the data store, so every spot (and each half of a
+   shared spot) reports its real status.
+
+   The layout lives in the database once an administrator saves
+   it from the lot editor; until then it is seeded from
+   public/data/parkingData.json.
+
+   Spot structure: {id, type: 'solo'|'shared',
+              designation: 'standard'|'reserved'|'accessible'|'compact',
+              outOfService: boolean}
+   Reserved and out-of-service spots are 'closed' to students;
+   spots (or halves) with an active hold are 'held'.
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+
+const LAYOUT_FILE = path.join(__dirname, '..', '..', 'public', 'data', 'parkingData.json');
+const HALVES = ['A', 'B'];
+const SPOT_TYPES = ['solo', 'shared'];
+const DESIGNATIONS = ['standard', 'reserved', 'accessible', 'compact'];
+
+/**
+ * Keep only the layout fields of a spot, filling in defaults
+ * @param {object} spot - Spot from the seed file or the database
+ * @returns {object} {id, type, designation, outOfService}
+ */
+function normalizeSpot(spot) {
+  return {
+    id: spot.id,
+    type: spot.type,
+    designation: spot.designation || 'standard',
+    outOfService: spot.outOfService === true
+  };
+}
+
+/**
+ * Read the seed layout shipped in public/data/parkingData.json
+ * @returns {object} Parking data keyed by lot (e.g., 'lotA')
+ */
+function readSeedLayout() {
+  const seed = JSON.parse(fs.readFileSync(LAYOUT_FILE, 'utf8'));
+
+  Object.values(seed).forEach(lot => {
+    lot.spots = lot.spots.map(normalizeSpot);
+  });
+
+  return seed;
+}
+
+/**
+ * Get a copy of the current lot layout
+ * @param {object} [db] - Database (defaults to the store)
+ * @returns {object} Parking data keyed by lot (e.g., 'lotA')
+ */
+function loadLayout(db = store.read()) {
+  if (!db.lots) return readSeedLayout();
+
+  const layout = JSON.parse(JSON.stringify(db.lots));
+  Object.values(layout).forEach(lot => {
+    lot.spots = lot.spots.map(normalizeSpot);
+  });
+  return layout;
+}
+
+/**
+ * Check whether students may register for a spot
+ * @param {object} spot - Spot from the layout
+ * @returns {boolean} False for reserved or out-of-service spots
+ */
+function isOpen(spot) {
+  return !spot.outOfService && spot.designation !== 'reserved';
+}
+
+/**
+ * Apply reservations and holds to the lot layout
+ * @param {object} data - Parking data from loadLayout()
+ * @param {Array} reservations - Reservation records
+ * @param {Array} [holds] - Active holds to show as 'held'
+ * @returns {object} The same data with status/assignedTo filled in
+ *   ('available', 'taken', 'held' or 'closed')
+ */
+function applyReservations(data, reservations, holds = []) {
+  Object.values(data).forEach(lot => {
+    lot.spots.forEach(spot => {
+      const spotReservations = reservations.filter(r => r.spotId === spot.id);
+      const spotHolds = holds.filter(h => h.spotId === spot.id);
+
+      if (!isOpen(spot)) {
+        spot.status = 'closed';
+        spot.assignedTo = null;
+        if (spot.type === 'shared') {
+          spot.halves = {};
+          HALVES.forEach(half => {
+            spot.halves[half] = { status: 'closed', assignedTo: null };
+          });
+        }
+      } else if (spot.type === 'shared') {
+        spot.halves = {};
+        HALVES.forEach(half => {
+          const reservation = spotReservations.find(r => r.half === half);
+          const held = spotHolds.some(h => h.half === half || h.half === null);
+          spot.halves[half] = {
+            status: reservation ? 'taken' : held ? 'held' : 'available',
+            assignedTo: reservation ? reservation.assignedTo : null
+          };
+        });
+
+        const takenHalves = HALVES.filter(half => spot.halves[half].status === 'taken');
+        const openHalves = HALVES.filter(half => spot.halves[half].status === 'available');
+        spot.status = takenHalves.length === HALVES.length ? 'taken'
+          : openHalves.length > 0 ? 'available' : 'held';
+        spot.assignedTo = takenHalves.length > 0
+          ? takenHalves.map(half => `${half}: ${spot.halves[half].assignedTo}`).join(' / ')
+          : null;
+      } else {
+        const reservation = spotReservations[0];
+        spot.status = reservation ? 'taken' : spotHolds.length > 0 ? 'held' : 'available';
+        spot.assignedTo = reservation ? reservation.assignedTo : null;
+      }
+    });
+  });
+
+  return data;
+}
+
+/**
+ * Get parking data with current reservations applied
+ * @param {Array} [holds] - Active holds to show as 'held'
+ * @returns {object} Parking data keyed by lot
+ */
+function getParkingData(holds = []) {
+  const db = store.read();
+  return applyReservations(loadLayout(db), db.reservations, holds);
+}
+
+/**
+ * Find a spot and its lot in the layout
+ * @param {object} data - Parking data
+ * @param {string} spotId - Spot identifier (e.g., 'A-12')
+ * @returns {{lotKey: string, lot: object, spot: object}|null}
+ */
+function findSpot(data, spotId) {
+  for (const [lotKey, lot] of Object.entries(data)) {
+    const spot = lot.spots.find(s => s.id === spotId);
+    if (spot) return { lotKey: lotKey, lot: lot, spot: spot };
+  }
+  return null;
+}
+
+/**
+ * Check whether a spot (or half of a shared spot) is still free
+ * @param {Array} reservations - Reservation records
+ * @param {string} spotId - Spot identifier
+ * @param {string|null} half - 'A', 'B', or null for solo spots
+ * @returns {boolean} True if nobody holds it
+ */
+function isAvailable(reservations, spotId, half) {
+  return !reservations.some(r =>
+    r.spotId === spotId && (half === null || r.half === null || r.half === half)
+  );
+}
+
+module.exports = {
+  HALVES,
+  SPOT_TYPES,
+  DESIGNATIONS,
+  normalizeSpot,
+  loadLayout,
+  isOpen,
+  applyReservations,
+  getParkingData,
+  findSpot,
+  isAvailable
+};
@@ -0,0 +1,321 @@
+/* ============================================================
+   SHARED-SPOT PARTNERS
+   ============================================================
+   Pairs the two students on a shared spot. The first student
+   reserves one half and invites their partner by student ID;
+   the other half is held for the partner, who registers with
+   the invite code and gets the other half on the opposite
+   days. Both registrations are then linked to each other.
+   Students given the two halves by the waitlist are linked
+   without an invite (pairHalves()).
+
+   Registration field: partner: {studentId, name, referenceId,
+              status, inviteCode, holdId, invitedAt, expiresAt,
+              confirmedAt}
+   status: 'invited'   - waiting for the partner (inviter only;
+                         inviteCode and holdId are set)
+           'confirmed' - both registered and linked by referenceId
+           'removed'   - the partner's registration was removed
+
+   Half A parks Monday/Wednesday/Friday, half B Tuesday/Thursday.
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const crypto = require('crypto');
+const parking = require('./parking');
+const holds = require('./holds');
+const { HttpError } = require('./http');
+const { text, validateStudentId } = require('./validation');
+
+const INVITE_HOURS = 72;
+const INVITE_CODE_LENGTH = 6;
+const INVITE_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Values of the form's "Your Parking Days" dropdown for each half
+const PARKING_DAYS = {
+  A: 'Monday-Wednesday-Friday',
+  B: 'Tuesday-Thursday'
+};
+
+/**
+ * The other half of a shared spot
+ * @param {string} half - 'A' or 'B'
+ * @returns {string} 'B' or 'A'
+ */
+function otherHalf(half) {
+  return half === 'A' ? 'B' : 'A';
+}
+
+/**
+ * Reject parking days that do not match the half being registered
+ * @param {object} input - Submission (partnerDays is optional)
+ * @param {string} half - Half being registered
+ */
+function checkSchedule(input, half) {
+  const days = text(input, 'partnerDays');
+  if (days && days !== PARKING_DAYS[half]) {
+    throw new HttpError(400, `Half ${half} of a shared spot parks ${PARKING_DAYS[half].replace(/-/g, '/')}. ` +
+      `Your chosen days (${days.replace(/-/g, '/')}) belong to your partner's half.`);
+  }
+}
+
+/**
+ * Generate an invite code not used by any open invite
+ * @param {object} db - Database
+ * @returns {string} e.g. 'K7QH2M'
+ */
+function generateInviteCode(db) {
+  let code;
+  do {
+    code = Array.from(crypto.randomBytes(INVITE_CODE_LENGTH), byte => INVITE_CODE_CHARS[byte % INVITE_CODE_CHARS.length]).join('');
+  } while (db.registrations.some(r => r.partner && r.partner.inviteCode === code));
+  return code;
+}
+
+/**
+ * Normalize an invite code typed by a student
+ * @param {*} code - Code from the request
+ * @returns {string} Upper-case code without spaces
+ */
+function normalizeCode(code) {
+  return typeof code === 'string' ? code.replace(/\s+/g, '').toUpperCase() : '';
+}
+
+/**
+ * Find the registration whose open invite has this code
+ * @param {object} db - Database
+ * @param {string} code - Invite code
+ * @returns {object} Inviter's registration
+ */
+function findInviter(db, code) {
+  const normalized = normalizeCode(code);
+  const inviter = normalized && db.registrations.find(r =>
+    r.partner && r.partner.status === 'invited' && r.partner.inviteCode === normalized);
+
+  if (!inviter) {
+    throw new HttpError(404, 'This invite code is not valid or has already been used.');
+  }
+  return inviter;
+}
+
+/**
+ * Check the invited partner before the first student registers
+ * @param {object} db - Database draft
+ * @param {object} input - Submission with partnerStudentId
+ * @param {string} spotId - Spot being registered
+ * @param {string} half - Half being registered
+ * @returns {string} Partner's student ID
+ */
+function checkNewInvite(db, input, spotId, half) {
+  const partnerStudentId = text(input, 'partnerStudentId');
+
+  if (!validateStudentId(partnerStudentId)) {
+    throw new HttpError(400, "Please enter your partner's 6-8 digit student ID so we can invite them.");
+  }
+  if (partnerStudentId === text(input, 'studentId')) {
+    throw new HttpError(400, 'Your partner must be a different student.');
+  }
+  if (db.registrations.some(r => r.studentId === partnerStudentId)) {
+    throw new HttpError(409, 'Your partner already has a parking registration. Please choose a different partner.');
+  }
+
+  const partnerHalf = otherHalf(half);
+  if (!parking.isAvailable(db.reservations, spotId, partnerHalf) || holds.isHeldByOthers(db, spotId, partnerHalf)) {
+    throw new HttpError(409, `The other half of spot ${spotId} is already taken or on hold, so your partner could not join you. ` +
+      'Please choose a spot with both halves open, or register with the invite code your partner gave you.');
+  }
+
+  return partnerStudentId;
+}
+
+/**
+ * Invite the partner: hold the other half for them and give the
+ * registration an invite code
+ * @param {object} db - Database draft
+ * @param {object} registration - New registration (half already reserved)
+ * @param {string} partnerStudentId - Partner's student ID
+ * @param {string} partnerName - Partner's name as typed by the student
+ */
+function createInvite(db, registration, partnerStudentId, partnerName) {
+  db.holds = holds.activeHolds(db);
+  const hold = holds.createHold(db, registration.parkingSpot, otherHalf(registration.half), INVITE_HOURS * 60);
+
+  registration.partner = {
+    studentId: partnerStudentId,
+    name: partnerName,
+    referenceId: null,
+    status: 'invited',
+    inviteCode: generateInviteCode(db),
+    holdId: hold.holdId,
+    invitedAt: new Date().toISOString(),
+    expiresAt: hold.expiresAt,
+    confirmedAt: null
+  };
+}
+
+/**
+ * Check an invite code for the partner's registration. An expired
+ * invite still works if nobody else has taken the half since.
+ * @param {object} db - Database draft
+ * @param {object} input - Submission with inviteCode and studentId
+ * @returns {{inviter: object, spotId: string, half: string}} Where the partner parks
+ */
+function checkInviteAcceptance(db, input) {
+  const inviter = findInviter(db, input.inviteCode);
+
+  if (text(input, 'studentId') !== inviter.partner.studentId) {
+    throw new HttpError(403, 'This invite is for a different student ID. Please check the student ID you entered.');
+  }
+
+  const half = otherHalf(inviter.half);
+  checkSchedule(input, half);
+
+  const ownHold = db.holds.find(hold => hold.holdId === inviter.partner.holdId);
+  if (!parking.isAvailable(db.reservations, inviter.parkingSpot, half) ||
+      holds.isHeldByOthers(db, inviter.parkingSpot, half, ownHold ? ownHold.holdId : undefined)) {
+    throw new HttpError(409, `Your invite expired and half ${half} of spot ${inviter.parkingSpot} has been taken. ` +
+      'Please ask your partner to contact the administration office.');
+  }
+
+  return { inviter: inviter, spotId: inviter.parkingSpot, half: half };
+}
+
+/**
+ * Link the partner's new registration with the inviter's
+ * @param {object} db - Database draft
+ * @param {object} inviter - Inviter's registration
+ * @param {object} registration - Partner's new registration
+ */
+function confirmInvite(db, inviter, registration) {
+  const now = new Date().toISOString();
+  db.holds = holds.activeHolds(db).filter(hold => hold.holdId !== inviter.partner.holdId);
+
+  inviter.parkingPartner = registration.fullName;
+  inviter.partner = {
+    studentId: registration.studentId,
+    name: registration.fullName,
+    referenceId: registration.referenceId,
+    status: 'confirmed',
+    invitedAt: inviter.partner.invitedAt,
+    confirmedAt: now
+  };
+
+  registration.partner = {
+    studentId: inviter.studentId,
+    name: inviter.fullName,
+    referenceId: inviter.referenceId,
+    status: 'confirmed',
+    invitedAt: inviter.partner.invitedAt,
+    confirmedAt: now
+  };
+}
+
+/**
+ * Link two students who were given the halves of a shared spot
+ * without an invite (waitlist half offers, see lib/waitlist.js)
+ * @param {object} first - Registration on one half
+ * @param {object} second - Registration on the other half
+ */
+function pairHalves(first, second) {
+  const now = new Date().toISOString();
+
+  [[first, second], [second, first]].forEach(([registration, partner]) => {
+    registration.parkingPartner = partner.fullName;
+    registration.partner = {
+      studentId: partner.studentId,
+      name: partner.fullName,
+      referenceId: partner.referenceId,
+      status: 'confirmed',
+      invitedAt: null,
+      confirmedAt: now
+    };
+  });
+}
+
+/**
+ * Update partners after registrations are removed: open invites
+ * give up their held half, and linked partners are marked removed
+ * @param {object} db - Database draft
+ * @param {object[]} removed - Removed registrations
+ */
+function unlinkRemoved(db, removed) {
+  const removedIds = removed.map(r => r.referenceId);
+
+  removed.forEach(registration => {
+    if (registration.partner && registration.partner.status === 'invited') {
+      db.holds = holds.activeHolds(db).filter(hold => hold.holdId !== registration.partner.holdId);
+    }
+  });
+
+  db.registrations.forEach(registration => {
+    if (registration.partner && removedIds.includes(registration.partner.referenceId)) {
+      registration.partner = Object.assign({}, registration.partner, { referenceId: null, status: 'removed' });
+    }
+  });
+}
+
+/**
+ * Take an open invite along when the inviter moves to another spot
+ * (lib/self-service.js): the old held half is released and the other
+ * half of the new shared spot is held for the partner instead, with
+ * the same invite code. Moving to a solo spot withdraws the invite.
+ * @param {object} db - Database draft
+ * @param {object} registration - Inviter, already on the new spot
+ */
+function moveInvite(db, registration) {
+  const partner = registration.partner;
+  if (!partner || partner.status !== 'invited') return;
+
+  db.holds = holds.activeHolds(db).filter(hold => hold.holdId !== partner.holdId);
+  if (!registration.half) {
+    delete registration.partner;
+    return;
+  }
+
+  const hold = holds.createHold(db, registration.parkingSpot, otherHalf(registration.half), INVITE_HOURS * 60);
+  registration.partner = Object.assign({}, partner, { holdId: hold.holdId, expiresAt: hold.expiresAt });
+}
+
+/**
+ * Public description of an invite, for the partner's form
+ * @param {object} db - Database
+ * @param {string} code - Invite code
+ * @returns {object} {inviteCode, inviterName, parkingLot, parkingSpot, half,
+ *   schedule, partnerDays, expiresAt}
+ */
+function describeInvite(db, code) {
+  const inviter = findInviter(db, code);
+  const half = otherHalf(inviter.half);
+  const found = parking.findSpot(parking.loadLayout(db), inviter.parkingSpot);
+
+  return {
+    inviteCode: inviter.partner.inviteCode,
+    inviterName: inviter.fullName,
+    parkingLot: inviter.parkingLot,
+    lotKey: found ? found.lotKey : null,
+    parkingSpot: inviter.parkingSpot,
+    half: half,
+    partnerDays: PARKING_DAYS[half],
+    expiresAt: inviter.partner.expiresAt
+  };
+}
+
+module.exports = {
+  INVITE_HOURS,
+  PARKING_DAYS,
+  otherHalf,
+  checkSchedule,
+  normalizeCode,
+  checkNewInvite,
+  createInvite,
+  checkInviteAcceptance,
+  confirmInvite,
+  pairHalves,
+  unlinkRemoved,
+  moveInvite,
+  describeInvite
+};
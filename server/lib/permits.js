@@ -0,0 +1,209 @@
+/* ============================================================
+   PERMIT VERIFICATION
+   ============================================================
+   Lets security staff check whether a parked car belongs in
+   its spot. A lookup takes what is on the permit or the car:
+
+   - Reference number (REF-..., from the permit's QR code)
+   - License plate (spaces and hyphens ignored), with the state
+     when staff give it; a plate registered in several states
+     lists every match and the states to choose from
+   - Spot ID (e.g. 'A-12'), to see who may park there
+
+   Each matching registration is a permit, reported with the
+   spot and days it covers and whether today is one of them:
+   solo spots are valid Monday-Friday, shared halves only on
+   their half's days (A: Mon/Wed/Fri, B: Tue/Thu). A permit
+   suspended for violations is not valid until the suspension
+   ends; the student's violation count is shown too.
+
+   Result: {query, state, matchedBy ('reference' | 'plate' |
+           'spot' | null), plateStates (states to choose from when
+           a plate is ambiguous), checkedAt, today, spot, permits,
+           message}
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const parking = require('./parking');
+const vehicles = require('./vehicles');
+const violations = require('./violations');
+const { HttpError } = require('./http');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const SOLO_DAYS = [1, 2, 3, 4, 5];
+
+// Weekdays (Date#getDay) for each half; matches the registration schedules
+const HALF_DAYS = {
+  A: [1, 3, 5],
+  B: [2, 4]
+};
+
+/**
+ * Weekdays a registration may park
+ * @param {object} registration - Registration
+ * @returns {number[]} Days (0 = Sunday)
+ */
+function validDays(registration) {
+  return registration.half ? HALF_DAYS[registration.half] : SOLO_DAYS;
+}
+
+/**
+ * Describe the days a registration may park
+ * @param {object} registration - Registration
+ * @returns {string} e.g. 'Monday/Wednesday/Friday' or 'Monday-Friday'
+ */
+function describeDays(registration) {
+  return registration.half
+    ? validDays(registration).map(day => DAY_NAMES[day]).join('/')
+    : 'Monday-Friday';
+}
+
+/**
+ * Report one registration as a permit
+ * @param {object} db - Database
+ * @param {object} registration - Registration
+ * @param {object} layout - Lot layout
+ * @param {Date} now - Time of the check
+ * @returns {object} Permit status
+ */
+function describePermit(db, registration, layout, now) {
+  const suspended = violations.isSuspended(registration, now);
+  const allowedToday = !suspended && validDays(registration).includes(now.getDay());
+  const found = parking.findSpot(layout, registration.parkingSpot);
+  const notes = [];
+
+  if (suspended) {
+    notes.push(`Parking is suspended for violations until ${registration.suspension.until.slice(0, 10)}.`);
+  } else if (!allowedToday) {
+    notes.push(registration.half
+      ? `Half ${registration.half} of this shared spot parks ${describeDays(registration)} only, not ${DAY_NAMES[now.getDay()]}.`
+      : `Student parking is ${describeDays(registration)}; today is ${DAY_NAMES[now.getDay()]}.`);
+  }
+  if (found && found.spot.outOfService) {
+    notes.push(`Spot ${registration.parkingSpot} is out of service.`);
+  }
+
+  return {
+    status: suspended ? 'suspended' : allowedToday ? 'valid' : 'wrong-day',
+    allowedToday: allowedToday,
+    referenceId: registration.referenceId,
+    fullName: registration.fullName,
+    studentId: registration.studentId,
+    gradeLevel: registration.gradeLevel,
+    parkingLot: registration.parkingLot,
+    parkingSpot: registration.parkingSpot,
+    spotType: registration.spotType,
+    half: registration.half || null,
+    days: describeDays(registration),
+    vehicles: registration.vehicles || [],
+    violations: violations.countingViolations(db, registration.studentId).length,
+    notes: notes
+  };
+}
+
+/**
+ * Summarize the result of a lookup for the security screen
+ * @param {string} matchedBy - 'reference', 'plate' or 'spot'
+ * @param {object[]} permits - Permits found
+ * @param {string} term - What was looked up
+ * @param {string[]} plateStates - States of an ambiguous plate
+ * @returns {string} Message
+ */
+function describeResult(matchedBy, permits, term, plateStates) {
+  if (plateStates.length > 1) {
+    return `Plate ${term} is registered in ${plateStates.join(' and ')}. Check the state on the plate.`;
+  }
+  if (permits.length === 0) {
+    if (matchedBy === 'reference') {
+      return `No active registration has reference ${term}. The permit may have been cancelled or is not genuine.`;
+    }
+    if (matchedBy === 'spot') {
+      return `No student is registered on spot ${term}. A car parked here does not have a permit for it.`;
+    }
+    return `No registered vehicle has plate ${term}, and it is not a reference number or spot.`;
+  }
+
+  const valid = permits.filter(permit => permit.allowedToday);
+  if (matchedBy === 'spot') {
+    return valid.length > 0
+      ? `Today spot ${term} belongs to ${valid.map(permit => permit.fullName).join(' and ')}.`
+      : `Nobody registered on spot ${term} may park there today.`;
+  }
+  return valid.length > 0 ? 'Valid permit for today.' : 'Registered, but not allowed to park today.';
+}
+
+/**
+ * Look up permits by reference number, plate or spot ID
+ * @param {object} db - Database
+ * @param {*} query - Scanned or typed text
+ * @param {*} [state] - State of a plate ('' or missing = any)
+ * @param {Date} [now] - Time of the check
+ * @returns {object} Verification result
+ */
+function verifyPermit(db, query, state, now = new Date()) {
+  const term = String(query || '').trim().toUpperCase();
+  const plateState = String(state || '').trim().toUpperCase();
+  if (!term) {
+    throw new HttpError(400, 'Scan a permit or enter a reference number, license plate or spot ID.');
+  }
+  if (plateState && !vehicles.STATES.includes(plateState)) {
+    throw new HttpError(400, 'Choose the state that issued the plate.');
+  }
+
+  const layout = parking.loadLayout(db);
+  const found = parking.findSpot(layout, term);
+  const plate = vehicles.normalizePlate(term);
+  let matchedBy;
+  let matches;
+
+  if (/^REF-/.test(term)) {
+    matchedBy = 'reference';
+    matches = db.registrations.filter(registration => registration.referenceId === term);
+  } else if (found) {
+    matchedBy = 'spot';
+    matches = db.registrations.filter(registration => registration.parkingSpot === found.spot.id);
+  } else {
+    matchedBy = 'plate';
+    matches = db.registrations.filter(registration => (registration.vehicles || []).some(vehicle =>
+      vehicle.plate === plate && (!plateState || vehicle.state === plateState)));
+  }
+
+  const plateStates = matchedBy === 'plate' && !plateState
+    ? [...new Set(matches.map(registration =>
+      registration.vehicles.find(vehicle => vehicle.plate === plate).state))].sort()
+    : [];
+
+  const permits = matches
+    .sort((a, b) => String(a.half || '').localeCompare(String(b.half || '')))
+    .map(registration => describePermit(db, registration, layout, now));
+
+  return {
+    query: term,
+    state: matchedBy === 'plate' ? plateState || null : null,
+    matchedBy: matches.length > 0 || matchedBy !== 'plate' ? matchedBy : null,
+    checkedAt: now.toISOString(),
+    today: DAY_NAMES[now.getDay()],
+    spot: found ? {
+      id: found.spot.id,
+      lot: found.lot.name,
+      type: found.spot.type,
+      designation: found.spot.designation || null,
+      outOfService: Boolean(found.spot.outOfService)
+    } : null,
+    plateStates: plateStates.length > 1 ? plateStates : [],
+    permits: permits,
+    message: describeResult(matchedBy, permits, matchedBy === 'plate' ? plate : term, plateStates)
+  };
+}
+
+module.exports = {
+  DAY_NAMES,
+  HALF_DAYS,
+  validDays,
+  describeDays,
+  verifyPermit
+};
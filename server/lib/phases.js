@@ -0,0 +1,356 @@
+/* ============================================================
+   REGISTRATION PHASES
+   ============================================================
+   When students may register, from registrationPhases in
+   public/data/config.json (read on every use, so edits apply
+   at once; MHS_SITE_CONFIG_FILE points elsewhere for testing).
+
+   Phase structure (config): {id, name, start, end,
+              gradeLevels, closed, lottery, message}
+   - start/end: 'YYYY-MM-DD' (the end day is included) or a full
+     ISO date and time (the end is excluded)
+   - gradeLevels: only these grades may register (a priority
+     window, e.g. ["Senior"]); missing or empty = every grade
+   - closed: true for a named closed period (e.g. a pause while
+     lots are repainted)
+   - lottery: true for a lottery application window: students
+     apply with their preferences instead of picking a spot,
+     and an admin draws the spots after it closes (see
+     lib/lottery.js)
+   Time outside every phase is closed. Without a phase list,
+   registration is open until registrationDeadline (or always).
+
+   A student registering on a partner's invite may join at any
+   time, since the other half is already kept for them (this is
+   how partners of lottery winners register). The office can give a
+   student an override, which lets them register (or switch
+   spots, see lib/self-service.js) outside their phase; it
+   survives "Reset All Data".
+
+   Override structure: {studentId, fullName, note, grantedBy,
+              grantedAt, expiresAt (null = no expiry)}
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./http');
+const { text, validateStudentId } = require('./validation');
+
+const CONFIG_FILE = process.env.MHS_SITE_CONFIG_FILE ||
+  path.join(__dirname, '..', '..', 'public', 'data', 'config.json');
+const NOTE_MAX_LENGTH = 200;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Read the site config
+ * @returns {object} Config (empty if missing or unreadable)
+ */
+function loadConfig() {
+  if (!fs.existsSync(CONFIG_FILE)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  } catch (error) {
+    console.error('✗ Could not read site config:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Turn a config date into a time
+ * @param {string} value - 'YYYY-MM-DD' or an ISO date and time
+ * @param {boolean} endOfDay - For a plain day, return the midnight after it
+ * @returns {Date|null} Time, or null if missing or invalid
+ */
+function parseTime(value, endOfDay) {
+  if (!value) return null;
+
+  const time = DAY_PATTERN.test(value)
+    ? new Date(Number(value.slice(0, 4)), Number(value.slice(5, 7)) - 1, Number(value.slice(8, 10)) + (endOfDay ? 1 : 0))
+    : new Date(value);
+  return isNaN(time.getTime()) ? null : time;
+}
+
+/**
+ * Read the registration phases, in time order
+ * @returns {object[]} {id, name, start, end, gradeLevels, closed, lottery, message}
+ *   with start/end as Dates (null = unbounded)
+ */
+function loadPhases() {
+  const config = loadConfig();
+
+  if (!Array.isArray(config.registrationPhases)) {
+    return [{
+      id: 'open',
+      name: 'Open Registration',
+      start: null,
+      end: parseTime(config.registrationDeadline, true),
+      gradeLevels: [],
+      closed: false,
+      lottery: false,
+      message: ''
+    }];
+  }
+
+  return config.registrationPhases
+    .map((phase, index) => ({
+      id: phase.id || `phase-${index + 1}`,
+      name: phase.name || `Phase ${index + 1}`,
+      start: parseTime(phase.start, false),
+      end: parseTime(phase.end, true),
+      gradeLevels: Array.isArray(phase.gradeLevels) ? phase.gradeLevels : [],
+      closed: phase.closed === true,
+      lottery: phase.closed !== true && phase.lottery === true,
+      message: phase.message || ''
+    }))
+    .filter(phase => {
+      if (phase.start && phase.end && phase.start < phase.end) return true;
+      console.error('✗ Ignoring registration phase without a valid start and end:', phase.id);
+      return false;
+    })
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Describe a phase for the pages
+ * @param {object} phase - Phase from loadPhases()
+ * @returns {object} {id, name, status, gradeLevels, message, startsAt, endsAt}
+ *   status: 'open' | 'priority' | 'lottery' | 'closed'
+ */
+function describePhase(phase) {
+  return {
+    id: phase.id,
+    name: phase.name,
+    status: phase.closed ? 'closed' : phase.lottery ? 'lottery' : phase.gradeLevels.length > 0 ? 'priority' : 'open',
+    gradeLevels: phase.gradeLevels,
+    message: phase.message,
+    startsAt: phase.start ? phase.start.toISOString() : null,
+    endsAt: phase.end ? phase.end.toISOString() : null
+  };
+}
+
+/**
+ * Format a time as a date for messages (e.g., July 15, 2026)
+ * @param {string|number} time - ISO time or milliseconds
+ * @returns {string} Date text
+ */
+function formatDay(time) {
+  return new Date(time).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * The registration schedule: the phase now, the next one and all
+ * of them. Gaps between phases are reported as closed.
+ * @param {Date} [now] - Current time
+ * @returns {object} {now, current, next, phases}
+ */
+function describeSchedule(now = new Date()) {
+  const phases = loadPhases();
+  const active = phases.find(phase => (!phase.start || phase.start <= now) && (!phase.end || now < phase.end));
+  const upcoming = phases.find(phase => phase.start && phase.start > now);
+  let current;
+
+  if (active) {
+    current = describePhase(active);
+  } else {
+    const previous = phases.filter(phase => phase.end && phase.end <= now).pop();
+    current = {
+      id: null,
+      name: upcoming && !previous ? 'Registration Not Open Yet' : 'Registration Closed',
+      status: 'closed',
+      gradeLevels: [],
+      message: '',
+      startsAt: previous ? previous.end.toISOString() : null,
+      endsAt: upcoming ? upcoming.start.toISOString() : null
+    };
+  }
+
+  // A gap after the current phase comes next, unless another phase follows straight on
+  let next = upcoming ? describePhase(upcoming) : null;
+  if (active && active.end && !(upcoming && upcoming.start.getTime() === active.end.getTime())) {
+    next = {
+      id: null,
+      name: 'Registration Closed',
+      status: 'closed',
+      gradeLevels: [],
+      message: '',
+      startsAt: active.end.toISOString(),
+      endsAt: upcoming ? upcoming.start.toISOString() : null
+    };
+  }
+
+  return {
+    now: now.toISOString(),
+    current: current,
+    next: next,
+    phases: phases.map(describePhase)
+  };
+}
+
+/**
+ * When registration opens and closes for the year: the first
+ * phase's start and registrationDeadline (or, without one, the
+ * last phase's end)
+ * @returns {{opensAt: Date|null, deadline: Date|null}} Times (null = not set)
+ */
+function getRegistrationWindow() {
+  const phases = loadPhases();
+  const last = phases[phases.length - 1];
+
+  return {
+    opensAt: phases.length > 0 ? phases[0].start : null,
+    deadline: parseTime(loadConfig().registrationDeadline, true) || (last ? last.end : null)
+  };
+}
+
+/**
+ * Find a student's override, if it has not expired
+ * @param {object} db - Database
+ * @param {string} studentId - Student ID
+ * @param {Date} [now] - Current time
+ * @returns {object|undefined} Override
+ */
+function findOverride(db, studentId, now = new Date()) {
+  return db.phaseOverrides.find(override => override.studentId === studentId &&
+    (!override.expiresAt || new Date(override.expiresAt) > now));
+}
+
+/**
+ * Check whether a student may register now
+ * @param {object} db - Database
+ * @param {object} input - {studentId, gradeLevel}
+ * @param {object} [options] - {joiningPartner: true} for a student
+ *   registering on a partner's invite
+ * @returns {object} {allowed, override, message, current, next}
+ */
+function checkStudent(db, input, options = {}) {
+  const schedule = describeSchedule();
+  const current = schedule.current;
+  const next = schedule.next;
+  const gradeLevel = text(input, 'gradeLevel');
+  const result = { allowed: true, override: false, message: '', current: current, next: next };
+
+  if (findOverride(db, text(input, 'studentId'))) {
+    result.override = true;
+    return result;
+  }
+  if (options.joiningPartner) return result;
+
+  if (current.status === 'closed') {
+    result.allowed = false;
+    result.message = current.message || (next && next.status !== 'closed'
+      ? `Registration is closed. ${next.name} opens on ${formatDay(next.startsAt)}.`
+      : 'Registration is closed. Please contact the Administration Office to register late.');
+  } else if (current.status === 'lottery') {
+    result.allowed = false;
+    result.message = `Spots are assigned by lottery during ${current.name}. Please apply with your preferences ` +
+      `on the Parking Lottery page by ${formatDay(new Date(current.endsAt).getTime() - 1)} instead of picking a spot.`;
+  } else if (current.status === 'priority' && !current.gradeLevels.includes(gradeLevel)) {
+    result.allowed = false;
+    result.message = `${current.name} is for ${current.gradeLevels.join(' and ')} students only ` +
+      `until ${formatDay(current.endsAt)}.` +
+      (next && next.status !== 'closed' ? ` ${next.name} opens on ${formatDay(next.startsAt)}.` : '');
+  }
+  return result;
+}
+
+/**
+ * Reject a registration outside the student's phase
+ * @param {object} db - Database
+ * @param {object} input - {studentId, gradeLevel}
+ * @param {object} [options] - See checkStudent()
+ */
+function requireOpen(db, input, options) {
+  const result = checkStudent(db, input, options);
+  if (!result.allowed) {
+    throw new HttpError(403, 'Registration is not open for you right now', [result.message]);
+  }
+}
+
+/**
+ * Let a student register outside their phase (replaces any
+ * override they already have)
+ * @param {object} db - Database draft
+ * @param {object} input - {studentId, fullName, note, expiresAt}
+ * @param {string} by - Admin granting it
+ * @returns {object} {before, override}
+ */
+function grantOverride(db, input, by) {
+  const studentId = text(input, 'studentId');
+  const note = text(input, 'note');
+  const expiresAt = text(input, 'expiresAt');
+  const errors = [];
+
+  if (!validateStudentId(studentId)) {
+    errors.push('Student ID must be 6-8 digits');
+  }
+  if (note.length > NOTE_MAX_LENGTH) {
+    errors.push(`Note must be ${NOTE_MAX_LENGTH} characters or fewer`);
+  }
+  if (expiresAt && !parseTime(expiresAt, true)) {
+    errors.push('Expiry must be a date (YYYY-MM-DD)');
+  }
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Please fix the following errors', errors);
+  }
+
+  const before = db.phaseOverrides.find(override => override.studentId === studentId) || null;
+  const override = {
+    studentId: studentId,
+    fullName: text(input, 'fullName'),
+    note: note,
+    grantedBy: by,
+    grantedAt: new Date().toISOString(),
+    expiresAt: expiresAt ? parseTime(expiresAt, true).toISOString() : null
+  };
+
+  db.phaseOverrides = db.phaseOverrides.filter(item => item.studentId !== studentId).concat(override);
+  return { before: before, override: override };
+}
+
+/**
+ * Remove a student's override
+ * @param {object} db - Database draft
+ * @param {string} studentId - Student ID
+ * @returns {object} The removed override
+ */
+function removeOverride(db, studentId) {
+  const override = db.phaseOverrides.find(item => item.studentId === studentId);
+  if (!override) {
+    throw new HttpError(404, `Student ${studentId} has no registration phase override`);
+  }
+
+  db.phaseOverrides = db.phaseOverrides.filter(item => item !== override);
+  return override;
+}
+
+/**
+ * The schedule and every override for the admin dashboard
+ * @param {object} db - Database
+ * @returns {object} {schedule, overrides (newest first, with `active`)}
+ */
+function listOverrides(db) {
+  const now = new Date();
+  return {
+    schedule: describeSchedule(now),
+    overrides: db.phaseOverrides.slice().reverse().map(override => Object.assign({}, override, {
+      active: !override.expiresAt || new Date(override.expiresAt) > now
+    }))
+  };
+}
+
+module.exports = {
+  formatDay,
+  describeSchedule,
+  getRegistrationWindow,
+  checkStudent,
+  requireOpen,
+  grantOverride,
+  removeOverride,
+  listOverrides
+};
@@ -0,0 +1,316 @@
+/* ============================================================
+   REGISTRATIONS
+   ============================================================
+   Creates and removes student registrations together with the
+   spot reservations they hold. Every function here works on a
+   database draft passed in by store.update(), so callers get
+   all-or-nothing changes.
+
+   Uniqueness rules: one registration per student ID and per
+   email address, one student per solo spot and per half of a
+   shared spot. Data that breaks them (from before the rules)
+   is reported by lib/duplicates.js.
+
+   Eligibility: once a roster is imported, the student must be
+   on it (see lib/roster.js); their grade is taken from it.
+   A student whose parking privileges were revoked for
+   violations cannot register again (see lib/violations.js).
+   Registration follows the phases in public/data/config.json
+   (see lib/phases.js).
+
+   Registration structure: {fullName, studentId, email, phone,
+              spotType, gradeLevel, parkingLot, parkingSpot,
+              vehicles (see lib/vehicles.js),
+              parkingPartner (if shared), partnerDays (if shared),
+              userSchedule (if shared), half (if shared),
+              partner (if shared, see lib/partners.js),
+              suspension (while suspended, see lib/violations.js),
+              submittedAt, changedAt (after a self-service change,
+              see lib/self-service.js), referenceId,
+              previousReferenceIds (after a swap, see lib/swaps.js),
+              lottery (if a lottery draw gave the spot: {drawId,
+              ticket, preferenceRank}, see lib/lottery.js)}
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const crypto = require('crypto');
+const parking = require('./parking');
+const holds = require('./holds');
+const partners = require('./partners');
+const phases = require('./phases');
+const roster = require('./roster');
+const vehicles = require('./vehicles');
+const violations = require('./violations');
+const { HttpError } = require('./http');
+const { text, validateStudentFields } = require('./validation');
+
+const SCHEDULES = {
+  A: 'Monday/Wednesday/Friday',
+  B: 'Tuesday/Thursday'
+};
+
+/**
+ * Generate unique reference ID (REF-TIMESTAMP-RANDOM)
+ * @returns {string} Reference ID
+ */
+function generateReferenceId() {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = crypto.randomBytes(4).toString('hex').substring(0, 5).toUpperCase();
+  return `REF-${timestamp}-${random}`;
+}
+
+/**
+ * Normalize an email address for comparison
+ * @param {*} email - Email address
+ * @returns {string} Trimmed lower-case address
+ */
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Reject a student who already has a registration, or an email
+ * address already used by another student
+ * @param {object} db - Database
+ * @param {object} input - Submitted registration fields
+ */
+function checkUniqueStudent(db, input) {
+  const studentId = text(input, 'studentId');
+  const email = normalizeEmail(input.email);
+  const errors = [];
+
+  if (db.registrations.some(r => r.studentId === studentId)) {
+    errors.push(`Student ID ${studentId} already has a parking registration. Each student may register for one spot; ` +
+      'please contact the Administration Office if you need to change it.');
+  }
+  if (db.registrations.some(r => r.studentId !== studentId && normalizeEmail(r.email) === email)) {
+    errors.push(`The email address ${text(input, 'email')} is already used by another student's registration. ` +
+      'Please use your own email address.');
+  }
+
+  if (errors.length > 0) {
+    throw new HttpError(409, 'This registration duplicates an existing one', errors);
+  }
+}
+
+/**
+ * Find the registered student occupying a spot (or half)
+ * @param {object} db - Database
+ * @param {string} spotId - Spot identifier
+ * @param {string|null} half - 'A', 'B', or null for the whole spot
+ * @param {string} [exceptReferenceId] - Registration to ignore
+ * @returns {object|undefined} Registration
+ */
+function findOccupant(db, spotId, half, exceptReferenceId) {
+  return db.registrations.find(r => r.referenceId !== exceptReferenceId && r.parkingSpot === spotId &&
+    (half === null || !r.half || r.half === half));
+}
+
+/**
+ * Validate a submission and reserve its spot. Shared spots either
+ * invite a partner (partnerStudentId) to the other half, or join a
+ * partner who sent an invite (inviteCode).
+ * @param {object} db - Database draft
+ * @param {object} input - Submitted registration fields
+ * @param {object} [options] - {requireVehicles: false} when the office
+ *   registers a student who has not given vehicle details yet;
+ *   {ignorePhases: true} when the office registers a student
+ *   outside the registration phases;
+ *   {withoutInvite: true} registers a shared half without inviting a
+ *   partner and pairs the student with whoever has the other half
+ *   (waitlist half offers, see lib/waitlist.js)
+ * @returns {object} The saved registration
+ */
+function createRegistration(db, input, options = {}) {
+  const errors = validateStudentFields(input);
+  const vehicleCheck = vehicles.readVehicles(input, { required: options.requireVehicles !== false });
+  const joiningPartner = Boolean(text(input, 'inviteCode'));
+  let spotId = text(input, 'parkingSpot');
+
+  if (!spotId && !joiningPartner) {
+    errors.push('Please select a parking spot first.');
+  }
+  errors.push(...vehicleCheck.errors);
+
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Please fix the following errors', errors);
+  }
+
+  checkUniqueStudent(db, input);
+  violations.requireNotRevoked(db, text(input, 'studentId'));
+  const rosterEntry = roster.requireEligible(db, input);
+  if (!options.ignorePhases) {
+    phases.requireOpen(db, {
+      studentId: text(input, 'studentId'),
+      gradeLevel: rosterEntry ? rosterEntry.gradeLevel : text(input, 'gradeLevel')
+    }, { joiningPartner: joiningPartner });
+  }
+
+  // An invite decides the spot and half
+  const invite = joiningPartner ? partners.checkInviteAcceptance(db, input) : null;
+  if (invite) {
+    spotId = invite.spotId;
+  }
+
+  const found = parking.findSpot(parking.loadLayout(db), spotId);
+  if (!found) {
+    throw new HttpError(404, `Parking spot ${spotId} does not exist`);
+  }
+
+  const { lot, spot } = found;
+
+  if (!parking.isOpen(spot)) {
+    throw new HttpError(409, `Parking spot ${spot.id} is not open for student registration. Please select another spot.`);
+  }
+
+  const half = invite ? invite.half : spot.type === 'shared' ? text(input, 'half') : null;
+  let partnerStudentId = null;
+
+  if (!invite) {
+    if (spot.type === 'shared' && !parking.HALVES.includes(half)) {
+      throw new HttpError(400, 'Please choose which half of the shared spot you want.');
+    }
+
+    if (spot.type === 'shared' && !options.withoutInvite && !text(input, 'parkingPartner')) {
+      throw new HttpError(400, 'Partner name is required for shared spots');
+    }
+
+    if (spot.type === 'shared') {
+      partners.checkSchedule(input, half);
+    }
+
+    // Rejects the spot if it was taken or held by someone else, then uses up the student's hold
+    holds.claimHold(db, input, spot.id, half);
+
+    if (spot.type === 'shared' && !options.withoutInvite) {
+      partnerStudentId = partners.checkNewInvite(db, input, spot.id, half);
+    }
+  }
+
+  vehicles.checkUniquePlates(db, vehicleCheck.vehicles, spot.id);
+
+  if (findOccupant(db, spot.id, half)) {
+    throw new HttpError(409, half
+      ? `Half ${half} of spot ${spot.id} already has a registered student. Please select another spot.`
+      : `Spot ${spot.id} already has a registered student. Please select another spot.`);
+  }
+
+  const registration = {
+    fullName: text(input, 'fullName'),
+    studentId: text(input, 'studentId'),
+    email: text(input, 'email'),
+    phone: text(input, 'phone'),
+    gradeLevel: rosterEntry ? rosterEntry.gradeLevel : text(input, 'gradeLevel'),
+    parkingLot: lot.name,
+    parkingSpot: spot.id,
+    spotType: spot.type,
+    vehicles: vehicleCheck.vehicles
+  };
+
+  if (spot.type === 'shared') {
+    registration.parkingPartner = invite ? invite.inviter.fullName : text(input, 'parkingPartner');
+    registration.partnerDays = partners.PARKING_DAYS[half];
+    registration.userSchedule = SCHEDULES[half];
+    registration.half = half;
+  }
+
+  registration.submittedAt = new Date().toISOString();
+  registration.referenceId = generateReferenceId();
+
+  db.registrations.push(registration);
+  db.reservations.push({
+    spotId: spot.id,
+    half: half,
+    assignedTo: registration.fullName,
+    studentId: registration.studentId,
+    referenceId: registration.referenceId,
+    reservedAt: registration.submittedAt
+  });
+
+  if (invite) {
+    partners.confirmInvite(db, invite.inviter, registration);
+  } else if (spot.type === 'shared' && options.withoutInvite) {
+    const neighbour = findOccupant(db, spot.id, partners.otherHalf(half));
+    if (neighbour) {
+      partners.pairHalves(neighbour, registration);
+    }
+  } else if (spot.type === 'shared') {
+    partners.createInvite(db, registration, partnerStudentId, registration.parkingPartner);
+  }
+
+  return registration;
+}
+
+/**
+ * Find a registration by reference ID
+ * @param {object} db - Database
+ * @param {string} referenceId - Registration reference ID
+ * @returns {object|undefined} Registration
+ */
+function findRegistration(db, referenceId) {
+  return db.registrations.find(r => r.referenceId === referenceId);
+}
+
+/**
+ * Find a registration by its reference ID or one it had before
+ * (reference numbers are reissued when students swap spots)
+ * @param {object} db - Database
+ * @param {string} referenceId - Current or previous reference ID
+ * @returns {object|undefined} Registration
+ */
+function findCurrentRegistration(db, referenceId) {
+  return findRegistration(db, referenceId) ||
+    db.registrations.find(r => (r.previousReferenceIds || []).includes(referenceId));
+}
+
+/**
+ * Remove a registration and free its spot
+ * @param {object} db - Database draft
+ * @param {string} referenceId - Registration reference ID
+ * @returns {object} The removed registration
+ */
+function removeRegistration(db, referenceId) {
+  const registration = findRegistration(db, referenceId);
+  if (!registration) {
+    throw new HttpError(404, 'Registration not found');
+  }
+
+  db.registrations = db.registrations.filter(r => r.referenceId !== referenceId);
+  db.reservations = db.reservations.filter(r => r.referenceId !== referenceId);
+  partners.unlinkRemoved(db, [registration]);
+  return registration;
+}
+
+/**
+ * Clear a spot: free it and remove the registrations holding it
+ * @param {object} db - Database draft
+ * @param {string} spotId - Spot identifier
+ * @returns {object[]} The removed registrations
+ */
+function clearSpot(db, spotId) {
+  if (!parking.findSpot(parking.loadLayout(db), spotId)) {
+    throw new HttpError(404, `Parking spot ${spotId} does not exist`);
+  }
+
+  const removed = db.registrations.filter(r => r.parkingSpot === spotId);
+  db.registrations = db.registrations.filter(r => r.parkingSpot !== spotId);
+  db.reservations = db.reservations.filter(r => r.spotId !== spotId);
+  partners.unlinkRemoved(db, removed);
+  return removed;
+}
+
+module.exports = {
+  SCHEDULES,
+  generateReferenceId,
+  normalizeEmail,
+  findOccupant,
+  createRegistration,
+  findRegistration,
+  findCurrentRegistration,
+  removeRegistration,
+  clearSpot
+};
@@ -0,0 +1,101 @@
+/* ============================================================
+   ADMIN ROLES & PERMISSIONS
+   ============================================================
+   Each admin account has one role; each role grants a fixed
+   set of permissions. API routes declare the permission they
+   need, and the dashboard hides controls the role lacks.
+
+   Roles:
+   - security     Security staff: verify permits and log
+                  violations on the security page only (no
+                  dashboard)
+   - viewer       View dashboard data only
+   - clerk        Front-office clerk: edit registrations,
+                  clear spots, export, verify permits,
+                  log violations
+   - coordinator  Parking coordinator: everything, including
+                  reset, lot management, roster imports,
+                  running the parking lottery and importing or
+                  restoring data
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const PERMISSIONS = {
+  VIEW: 'view',
+  EDIT_REGISTRATIONS: 'edit-registrations',
+  CLEAR_SPOTS: 'clear-spots',
+  EXPORT: 'export',
+  RESET: 'reset',
+  MANAGE_LOTS: 'manage-lots',
+  MANAGE_ROSTER: 'manage-roster',
+  VERIFY_PERMITS: 'verify-permits',
+  RECORD_VIOLATIONS: 'record-violations',
+  RUN_LOTTERY: 'run-lottery',
+  IMPORT_DATA: 'import-data'
+};
+
+const ROLES = {
+  security: {
+    label: 'Security Officer',
+    permissions: [PERMISSIONS.VERIFY_PERMITS, PERMISSIONS.RECORD_VIOLATIONS]
+  },
+  viewer: {
+    label: 'Viewer',
+    permissions: [PERMISSIONS.VIEW]
+  },
+  clerk: {
+    label: 'Front-Office Clerk',
+    permissions: [
+      PERMISSIONS.VIEW,
+      PERMISSIONS.EDIT_REGISTRATIONS,
+      PERMISSIONS.CLEAR_SPOTS,
+      PERMISSIONS.EXPORT,
+      PERMISSIONS.VERIFY_PERMITS,
+      PERMISSIONS.RECORD_VIOLATIONS
+    ]
+  },
+  coordinator: {
+    label: 'Parking Coordinator',
+    permissions: Object.values(PERMISSIONS)
+  }
+};
+
+/**
+ * Check whether a role name exists
+ * @param {string} role - Role name
+ * @returns {boolean} True if known
+ */
+function isRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLES, role);
+}
+
+/**
+ * Get the permissions granted to a role
+ * @param {string} role - Role name
+ * @returns {string[]} Permissions (empty for unknown roles)
+ */
+function permissionsFor(role) {
+  return isRole(role) ? ROLES[role].permissions.slice() : [];
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name
+ * @returns {boolean} True if granted
+ */
+function hasPermission(role, permission) {
+  return permissionsFor(role).includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  isRole,
+  permissionsFor,
+  hasPermission
+};
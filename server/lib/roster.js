@@ -0,0 +1,519 @@
+/* ============================================================
+   ELIGIBILITY ROSTER
+   ============================================================
+   The official roster of students allowed to park on campus,
+   imported by staff from a CSV export of the student
+   information system. Once a roster is imported, every
+   registration is checked against it: the student ID must be
+   on the roster, the name must match, and the student must
+   hold a driver's license. Students who are turned away can
+   ask the office for a manual review; an approved review
+   counts as eligible even after the roster is re-imported.
+
+   No roster imported (db.roster is null) = no checks.
+
+   Roster structure: {importedAt, importedBy, fileName,
+              students: [{studentId, fullName, gradeLevel,
+              email, licenseStatus}]}
+   licenseStatus: 'licensed' | 'permit' | 'none'
+
+   Review structure: {reviewId, fullName, studentId, email,
+              phone, gradeLevel, reason, message, note, status,
+              requestedAt, decidedBy, decidedAt, decisionNote}
+   status: 'pending' | 'approved' | 'rejected'
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+const { text, validateStudentId, validateEmail, validateStudentFields } = require('./validation');
+
+const GRADES = { 9: 'Freshman', 10: 'Sophomore', 11: 'Junior', 12: 'Senior' };
+const LICENSE_STATUSES = ['licensed', 'permit', 'none'];
+const REVIEW_DECISIONS = { approve: 'approved', reject: 'rejected' };
+const NOTE_MAX_LENGTH = 300;
+const MAX_ROW_ERRORS = 20;
+
+// CSV header (lower case, letters and digits only) → roster field
+const COLUMNS = {
+  studentid: 'studentId',
+  id: 'studentId',
+  studentnumber: 'studentId',
+  fullname: 'fullName',
+  name: 'fullName',
+  studentname: 'fullName',
+  firstname: 'firstName',
+  lastname: 'lastName',
+  grade: 'gradeLevel',
+  gradelevel: 'gradeLevel',
+  email: 'email',
+  emailaddress: 'email',
+  license: 'licenseStatus',
+  licensestatus: 'licenseStatus',
+  permitstatus: 'licenseStatus',
+  licensepermitstatus: 'licenseStatus'
+};
+
+// Spellings seen in student information system exports
+const LICENSE_VALUES = {
+  licensed: 'licensed',
+  license: 'licensed',
+  probationary: 'licensed',
+  basic: 'licensed',
+  yes: 'licensed',
+  y: 'licensed',
+  permit: 'permit',
+  learner: 'permit',
+  learners: 'permit',
+  learnerspermit: 'permit',
+  learnerpermit: 'permit',
+  none: 'none',
+  no: 'none',
+  n: 'none'
+};
+
+// Why a student was turned away, as shown to them
+// An unknown ID and a wrong name get the same message, so the roster cannot be probed one ID at a time
+const NO_MATCH = id => `Student ID ${id} with the name you entered is not on the roster of students eligible for ` +
+  'campus parking. Check the ID on your school ID card and enter your name as it appears on your school records.';
+
+const REJECTIONS = {
+  'not-on-roster': NO_MATCH,
+  'name-mismatch': NO_MATCH,
+  'no-license': () => 'The school roster does not show a driver\'s license for you (a learner\'s permit is not ' +
+    'enough to park on campus). Bring your license to the Administration Office to have it added.',
+  'review-pending': () => 'Your request for a manual eligibility review is waiting for the Administration Office. ' +
+    'You will be contacted by email.',
+  'review-rejected': () => 'The Administration Office reviewed your eligibility and could not approve it. ' +
+    'Please contact the office for details.'
+};
+
+/**
+ * Generate a review ID (ER-TIMESTAMP-RANDOM)
+ * @returns {string} Review ID
+ */
+function generateReviewId() {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = crypto.randomBytes(4).toString('hex').substring(0, 5).toUpperCase();
+  return `ER-${timestamp}-${random}`;
+}
+
+/**
+ * Split CSV text into rows of fields (quoted fields may hold
+ * commas, doubled quotes and line breaks)
+ * @param {string} csv - CSV text
+ * @returns {string[][]} Rows
+ */
+function parseCsv(csv) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const source = csv.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+/**
+ * Normalize a grade ('12', '12th', 'senior') to its name
+ * @param {string} value - Grade from the CSV or the form
+ * @returns {string|null} 'Freshman' ... 'Senior', or null
+ */
+function normalizeGrade(value) {
+  const grade = String(value || '').trim().toLowerCase();
+  const number = parseInt(grade, 10);
+
+  if (GRADES[number]) return GRADES[number];
+  return Object.values(GRADES).find(name => name.toLowerCase() === grade) || null;
+}
+
+/**
+ * Split a name into comparable words (case, accents, commas and
+ * word order do not matter)
+ * @param {string} name - Full name
+ * @returns {string[]} Lower-case words
+ */
+function nameWords(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['\u2019]/g, '')
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Check a submitted name against the roster name. Every submitted
+ * word must be on the roster, so a missing middle name is fine but
+ * a first name alone is not.
+ * @param {string} submitted - Name from the form
+ * @param {string} official - Name on the roster
+ * @returns {boolean} True if they match
+ */
+function namesMatch(submitted, official) {
+  const words = nameWords(submitted);
+  const officialWords = nameWords(official);
+
+  return words.length >= Math.min(2, officialWords.length) &&
+    words.every(word => officialWords.includes(word));
+}
+
+/**
+ * Turn one CSV row into a roster student
+ * @param {object} values - Field → raw value
+ * @param {number} line - Line number for error messages
+ * @param {string[]} errors - Collects problems
+ * @returns {object|null} Student, or null if the row is invalid
+ */
+function readRosterRow(values, line, errors) {
+  const studentId = (values.studentId || '').trim();
+  const fullName = (values.fullName ||
+    [values.firstName, values.lastName].filter(Boolean).join(' ')).trim().replace(/\s+/g, ' ');
+  const gradeLevel = normalizeGrade(values.gradeLevel);
+  const email = (values.email || '').trim();
+  const licenseStatus = LICENSE_VALUES[(values.licenseStatus || 'none').toLowerCase().replace(/[^a-z]/g, '')];
+  const problems = [];
+
+  if (!validateStudentId(studentId)) problems.push(`student ID "${studentId}" must be 6-8 digits`);
+  if (!fullName) problems.push('name is missing');
+  if (!gradeLevel) problems.push(`grade "${values.gradeLevel || ''}" is not 9-12`);
+  if (email && !validateEmail(email)) problems.push(`email "${email}" is not valid`);
+  if (!licenseStatus) problems.push(`license status "${values.licenseStatus}" is not licensed, permit or none`);
+
+  if (problems.length > 0) {
+    errors.push(`Line ${line}: ${problems.join('; ')}`);
+    return null;
+  }
+
+  return { studentId, fullName, gradeLevel, email, licenseStatus };
+}
+
+/**
+ * Replace the roster with an imported CSV file. Nothing is
+ * imported if any row is invalid.
+ * @param {object} db - Database draft
+ * @param {object} input - {csv, fileName}
+ * @param {string} by - Admin username
+ * @returns {object} {before, roster} Summaries (see summarizeRoster)
+ */
+function importRoster(db, input, by) {
+  const csv = typeof input.csv === 'string' ? input.csv : '';
+  const rows = parseCsv(csv);
+
+  if (rows.length < 2) {
+    throw new HttpError(400, 'The roster file needs a header row and at least one student.');
+  }
+
+  const fields = rows[0].map(header => COLUMNS[header.toLowerCase().replace(/[^a-z0-9]/g, '')] || null);
+  const missing = [];
+  if (!fields.includes('studentId')) missing.push('student ID');
+  if (!fields.includes('fullName') && !(fields.includes('firstName') && fields.includes('lastName'))) {
+    missing.push('name (or first and last name)');
+  }
+  if (!fields.includes('gradeLevel')) missing.push('grade');
+  if (!fields.includes('licenseStatus')) missing.push('license status');
+  if (missing.length > 0) {
+    throw new HttpError(400, `The roster file is missing columns: ${missing.join(', ')}`);
+  }
+
+  const errors = [];
+  const students = [];
+  const seen = new Set();
+
+  rows.slice(1).forEach((row, index) => {
+    const line = index + 2;
+    const values = {};
+    fields.forEach((field, column) => {
+      if (field) values[field] = row[column] || '';
+    });
+
+    const student = readRosterRow(values, line, errors);
+    if (!student) return;
+
+    if (seen.has(student.studentId)) {
+      errors.push(`Line ${line}: student ID ${student.studentId} is listed more than once`);
+      return;
+    }
+    seen.add(student.studentId);
+    students.push(student);
+  });
+
+  if (errors.length > 0) {
+    const shown = errors.slice(0, MAX_ROW_ERRORS);
+    if (errors.length > shown.length) shown.push(`...and ${errors.length - shown.length} more`);
+    throw new HttpError(400, 'The roster file has problems, so nothing was imported', shown);
+  }
+
+  const before = summarizeRoster(db.roster);
+  db.roster = {
+    importedAt: new Date().toISOString(),
+    importedBy: by,
+    fileName: text(input, 'fileName'),
+    students: students
+  };
+
+  return { before: before, roster: summarizeRoster(db.roster) };
+}
+
+/**
+ * Summarize a roster without its student list
+ * @param {object|null} roster - db.roster
+ * @returns {object|null} {importedAt, importedBy, fileName, total, licensed, permit, none}
+ */
+function summarizeRoster(roster) {
+  if (!roster) return null;
+
+  const summary = {
+    importedAt: roster.importedAt,
+    importedBy: roster.importedBy,
+    fileName: roster.fileName,
+    total: roster.students.length
+  };
+  LICENSE_STATUSES.forEach(status => {
+    summary[status] = roster.students.filter(student => student.licenseStatus === status).length;
+  });
+  return summary;
+}
+
+/**
+ * Find the latest review request for a student
+ * @param {object} db - Database
+ * @param {string} studentId - Student ID
+ * @returns {object|undefined} Review
+ */
+function latestReview(db, studentId) {
+  return db.eligibilityReviews.filter(review => review.studentId === studentId).pop();
+}
+
+/**
+ * Check a student against the roster
+ * @param {object} db - Database
+ * @param {object} input - {studentId, fullName}
+ * @returns {object} {eligible, reason, message, student, review};
+ *   student is the roster entry when found, reason one of the
+ *   REJECTIONS keys when not eligible
+ */
+function checkEligibility(db, input) {
+  const studentId = text(input, 'studentId');
+  const fullName = text(input, 'fullName');
+  const review = latestReview(db, studentId);
+  const result = { eligible: true, reason: null, message: '', student: null, review: review || null };
+
+  if (!db.roster) return result;
+
+  const student = db.roster.students.find(entry => entry.studentId === studentId);
+  let reason = null;
+
+  // The office has already looked at this student
+  if (review && review.status === 'approved' &&
+      (namesMatch(fullName, review.fullName) || (student && namesMatch(fullName, student.fullName)))) {
+    result.student = student || null;
+    return result;
+  }
+
+  if (!student) {
+    reason = 'not-on-roster';
+  } else if (!namesMatch(fullName, student.fullName)) {
+    reason = 'name-mismatch';
+  } else if (student.licenseStatus !== 'licensed') {
+    reason = 'no-license';
+  }
+
+  // Only the student the review was for learns how it went
+  const ownReview = Boolean(review && namesMatch(fullName, review.fullName));
+  if (reason && ownReview && review.status === 'pending') reason = 'review-pending';
+  if (reason && ownReview && review.status === 'rejected') reason = 'review-rejected';
+
+  result.student = reason === 'name-mismatch' ? null : student || null;
+  if (reason) {
+    result.eligible = false;
+    result.reason = reason;
+    result.message = REJECTIONS[reason](studentId);
+  }
+  return result;
+}
+
+/**
+ * Tell a student whether their ID and name are eligible. Nothing
+ * from the roster is returned, and an unknown ID reads the same as
+ * a wrong name.
+ * @param {object} db - Database
+ * @param {object} input - {studentId, fullName}
+ * @returns {object} {rosterActive, eligible, message, canRequestReview}
+ */
+function verifyStudent(db, input) {
+  if (!validateStudentId(input.studentId) || !text(input, 'fullName')) {
+    throw new HttpError(400, 'Enter your full name and 6-8 digit student ID');
+  }
+
+  const result = checkEligibility(db, input);
+  return {
+    rosterActive: Boolean(db.roster),
+    eligible: result.eligible,
+    message: result.message,
+    canRequestReview: !result.eligible && !result.reason.startsWith('review-')
+  };
+}
+
+/**
+ * Reject a registration from a student who is not eligible
+ * @param {object} db - Database
+ * @param {object} input - Submitted registration fields
+ * @returns {object|null} The student's roster entry, if any
+ */
+function requireEligible(db, input) {
+  const result = checkEligibility(db, input);
+  if (!result.eligible) {
+    throw new HttpError(403, 'You are not eligible for student parking', [result.message]);
+  }
+  return result.student;
+}
+
+/**
+ * Queue a turned-away student for a manual review by the office
+ * @param {object} db - Database draft
+ * @param {object} input - {fullName, studentId, email, phone, gradeLevel, note}
+ * @returns {object} {review, created}; a student with a pending
+ *   review gets that one back
+ */
+function requestReview(db, input) {
+  const errors = validateStudentFields(input);
+  if (text(input, 'note').length > NOTE_MAX_LENGTH) {
+    errors.push(`Note must be ${NOTE_MAX_LENGTH} characters or fewer`);
+  }
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Please fix the following errors', errors);
+  }
+
+  const result = checkEligibility(db, input);
+  if (result.eligible) {
+    throw new HttpError(400, 'You are eligible to register, so no review is needed.');
+  }
+  if (result.reason === 'review-pending') {
+    return { review: result.review, created: false };
+  }
+  if (result.reason === 'review-rejected') {
+    throw new HttpError(409, REJECTIONS['review-rejected']());
+  }
+
+  const review = {
+    reviewId: generateReviewId(),
+    fullName: text(input, 'fullName'),
+    studentId: text(input, 'studentId'),
+    email: text(input, 'email'),
+    phone: text(input, 'phone'),
+    gradeLevel: text(input, 'gradeLevel'),
+    reason: result.reason,
+    message: result.message,
+    note: text(input, 'note'),
+    status: 'pending',
+    requestedAt: new Date().toISOString(),
+    decidedBy: null,
+    decidedAt: null,
+    decisionNote: ''
+  };
+
+  db.eligibilityReviews.push(review);
+  return { review: review, created: true };
+}
+
+/**
+ * All review requests with the student's current roster entry,
+ * newest first
+ * @param {object} db - Database
+ * @returns {object[]} Reviews with rosterEntry (or null)
+ */
+function listReviews(db) {
+  const students = db.roster ? db.roster.students : [];
+  return db.eligibilityReviews
+    .map(review => Object.assign({}, review, {
+      rosterEntry: students.find(student => student.studentId === review.studentId) || null
+    }))
+    .reverse();
+}
+
+/**
+ * Approve or reject a pending review
+ * @param {object} db - Database draft
+ * @param {string} reviewId - Review ID
+ * @param {object} input - {decision: 'approve'|'reject', note}
+ * @param {string} by - Admin username
+ * @returns {object} {before, review}
+ */
+function decideReview(db, reviewId, input, by) {
+  const status = REVIEW_DECISIONS[text(input, 'decision')];
+  if (!status) {
+    throw new HttpError(400, 'Decision must be approve or reject');
+  }
+
+  const review = db.eligibilityReviews.find(entry => entry.reviewId === reviewId);
+  if (!review) {
+    throw new HttpError(404, `Review ${reviewId} not found`);
+  }
+  if (review.status !== 'pending') {
+    throw new HttpError(409, `Review ${reviewId} was already ${review.status}.`);
+  }
+
+  const before = Object.assign({}, review);
+  review.status = status;
+  review.decidedBy = by;
+  review.decidedAt = new Date().toISOString();
+  review.decisionNote = text(input, 'note');
+
+  return { before: before, review: review };
+}
+
+module.exports = {
+  GRADES,
+  LICENSE_STATUSES,
+  parseCsv,
+  normalizeGrade,
+  namesMatch,
+  importRoster,
+  summarizeRoster,
+  checkEligibility,
+  verifyStudent,
+  requireEligible,
+  requestReview,
+  listReviews,
+  decideReview
+};
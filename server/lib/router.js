@@ -0,0 +1,84 @@
+/* ============================================================
+   ROUTER
+   ============================================================
+   Minimal method + path router for the REST API.
+   Paths may contain named parameters (e.g. '/api/spots/:spotId')
+   which are decoded and passed to the handler as params.
+   Routes marked `auth: true` require a valid admin session;
+   routes with a `permission` also require a role granting it.
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+class Router {
+  constructor() {
+    this.routes = [];
+  }
+
+  /**
+   * Register a route
+   * @param {string} method - HTTP method (GET, POST, PUT, DELETE)
+   * @param {string} path - Path pattern (e.g. '/api/lots/:lotKey')
+   * @param {Function} handler - async (context) => response data
+   * @param {object} [options] - {auth: true} for admin-only routes,
+   *   {permission: 'reset'} to also require a permission
+   */
+  add(method, path, handler, options = {}) {
+    const paramNames = [];
+    const pattern = path.replace(/:([A-Za-z]+)/g, (match, name) => {
+      paramNames.push(name);
+      return '([^/]+)';
+    });
+
+    this.routes.push({
+      method: method,
+      regex: new RegExp(`^${pattern}$`),
+      paramNames: paramNames,
+      handler: handler,
+      auth: options.auth === true || Boolean(options.permission),
+      permission: options.permission || null
+    });
+  }
+
+  /**
+   * Register a list of route definitions
+   * @param {Array<{method, path, handler, auth, permission}>} routes - Route definitions
+   */
+  addAll(routes) {
+    routes.forEach(route => this.add(route.method, route.path, route.handler, route));
+  }
+
+  /**
+   * Find the route matching a request
+   * @param {string} method - HTTP method
+   * @param {string} pathname - Request path
+   * @returns {{handler: Function, params: object, auth: boolean, permission: string|null}|null|false}
+   *   Match, null when no path matches, false when the path
+   *   matches but the method does not
+   */
+  match(method, pathname) {
+    let pathMatched = false;
+
+    for (const route of this.routes) {
+      const result = route.regex.exec(pathname);
+      if (!result) continue;
+
+      pathMatched = true;
+      if (route.method !== method) continue;
+
+      const params = {};
+      route.paramNames.forEach((name, index) => {
+        params[name] = decodeURIComponent(result[index + 1]);
+      });
+
+      return { handler: route.handler, params: params, auth: route.auth, permission: route.permission };
+    }
+
+    return pathMatched ? false : null;
+  }
+}
+
+module.exports = Router;
@@ -0,0 +1,230 @@
+/* ============================================================
+   STUDENT SELF-SERVICE
+   ============================================================
+   Lets a student manage their own registration from any
+   device (my-registration.html). The student proves it is
+   theirs with their student ID and reference number; both must
+   match, and a mismatch gets the same answer as an unknown
+   reference so numbers cannot be guessed one at a time. A
+   reference number replaced by a spot swap still works.
+
+   - Contact details: email and phone, checked like the
+     registration form (the email must not belong to another
+     student's registration)
+   - Spot switch: the registration moves to the new spot in
+     place, so its details, vehicles, reference number, lottery
+     result and suspension stay as they are. The new spot gets
+     the checks of a new registration (registration phase, hold,
+     shared-spot half, partner and schedule, plates, occupant),
+     so switches follow the same phases as registering and none
+     happen during a lottery window. The student's own spot and
+     invite hold do not count against the new spot, so they can
+     switch to the half their invite holds. An open partner
+     invite moves along with the student; a student whose
+     partner has joined them cannot move on their own. The store
+     rolls the whole change back if any check fails.
+   - Cancel: removes the registration and frees the spot
+
+   Registration: changedAt after the student changes it here
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const registrations = require('./registrations');
+const parking = require('./parking');
+const phases = require('./phases');
+const holds = require('./holds');
+const partners = require('./partners');
+const vehicles = require('./vehicles');
+const { HttpError } = require('./http');
+const { text, validateEmail } = require('./validation');
+
+/**
+ * Find the registration a student is asking about
+ * @param {object} db - Database
+ * @param {object} input - {studentId, referenceId}
+ * @returns {object} Registration
+ */
+function findOwnRegistration(db, input) {
+  const studentId = text(input, 'studentId');
+  const referenceId = text(input, 'referenceId').toUpperCase();
+
+  if (!studentId || !referenceId) {
+    throw new HttpError(400, 'Enter your student ID and the reference number from your confirmation.');
+  }
+
+  const registration = registrations.findCurrentRegistration(db, referenceId);
+  if (!registration || registration.studentId !== studentId) {
+    throw new HttpError(404, 'No registration matches that student ID and reference number. ' +
+      'Please check both, or contact the Administration Office.');
+  }
+  return registration;
+}
+
+/**
+ * Update a student's email and phone
+ * @param {object} db - Database draft
+ * @param {object} input - {studentId, referenceId, email, phone}
+ * @returns {object} {before, registration}
+ */
+function updateContact(db, input) {
+  const registration = findOwnRegistration(db, input);
+  const email = text(input, 'email');
+  const errors = [];
+
+  if (!email) {
+    errors.push('Email is required');
+  } else if (!validateEmail(email)) {
+    errors.push('Please enter a valid email address');
+  }
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Please fix the following errors', errors);
+  }
+
+  const normalized = registrations.normalizeEmail(email);
+  if (db.registrations.some(r => r.studentId !== registration.studentId &&
+      registrations.normalizeEmail(r.email) === normalized)) {
+    throw new HttpError(409, 'This registration duplicates an existing one', [
+      `The email address ${email} is already used by another student's registration. Please use your own email address.`
+    ]);
+  }
+
+  const before = JSON.parse(JSON.stringify(registration));
+  registration.email = email;
+  registration.phone = text(input, 'phone');
+  registration.changedAt = new Date().toISOString();
+  return { before: before, registration: registration };
+}
+
+/**
+ * Move a student to another spot (or half) in place, keeping their
+ * details, vehicles, reference number, lottery result, suspension and
+ * partner invite
+ * @param {object} db - Database draft
+ * @param {object} input - {studentId, referenceId, parkingSpot, half,
+ *   holdId, holdToken, and for shared spots parkingPartner,
+ *   partnerStudentId, partnerDays}
+ * @returns {object} {before, registration}
+ */
+function moveRegistration(db, input) {
+  const registration = findOwnRegistration(db, input);
+  const spotId = text(input, 'parkingSpot').toUpperCase();
+  const partner = registration.partner;
+
+  if (spotId === registration.parkingSpot && (text(input, 'half') || null) === (registration.half || null)) {
+    throw new HttpError(400, `You are already registered on spot ${spotId}${registration.half ? ` (half ${registration.half})` : ''}.`);
+  }
+  if (partner && partner.status === 'confirmed') {
+    throw new HttpError(409, `You share spot ${registration.parkingSpot} with ${partner.name}, who would be left ` +
+      'without a partner. Please contact the Administration Office to move.');
+  }
+
+  phases.requireOpen(db, { studentId: registration.studentId, gradeLevel: registration.gradeLevel });
+
+  const found = parking.findSpot(parking.loadLayout(db), spotId);
+  if (!found) {
+    throw new HttpError(404, `Parking spot ${spotId} does not exist`);
+  }
+
+  const { lot, spot } = found;
+  const half = spot.type === 'shared' ? text(input, 'half') : null;
+  // An open invite goes along with the student; otherwise a shared spot needs a new one
+  const keepsInvite = Boolean(partner && partner.status === 'invited');
+  let partnerStudentId = null;
+
+  // The student's own spot and invite hold are given up by the move, so they do not block it
+  db.reservations = db.reservations.filter(r => r.referenceId !== registration.referenceId);
+  if (keepsInvite) {
+    db.holds = holds.activeHolds(db).filter(hold => hold.holdId !== partner.holdId);
+  }
+
+  if (!parking.isOpen(spot)) {
+    throw new HttpError(409, `Parking spot ${spot.id} is not open for student registration. Please select another spot.`);
+  }
+
+  if (spot.type === 'shared') {
+    if (!parking.HALVES.includes(half)) {
+      throw new HttpError(400, 'Please choose which half of the shared spot you want.');
+    }
+    if (!keepsInvite && !text(input, 'parkingPartner')) {
+      throw new HttpError(400, 'Partner name is required for shared spots');
+    }
+    partners.checkSchedule(input, half);
+  }
+
+  // Rejects the spot if it was taken or held by someone else, then uses up the student's hold
+  holds.claimHold(db, input, spot.id, half);
+
+  if (spot.type === 'shared') {
+    partnerStudentId = partners.checkNewInvite(db, keepsInvite
+      ? { studentId: registration.studentId, partnerStudentId: partner.studentId }
+      : input, spot.id, half);
+  }
+
+  vehicles.checkUniquePlates(db, registration.vehicles || [], spot.id, registration.referenceId);
+
+  if (registrations.findOccupant(db, spot.id, half, registration.referenceId)) {
+    throw new HttpError(409, half
+      ? `Half ${half} of spot ${spot.id} already has a registered student. Please select another spot.`
+      : `Spot ${spot.id} already has a registered student. Please select another spot.`);
+  }
+
+  const before = JSON.parse(JSON.stringify(registration));
+  const now = new Date().toISOString();
+
+  registration.parkingLot = lot.name;
+  registration.parkingSpot = spot.id;
+  registration.spotType = spot.type;
+  if (spot.type === 'shared') {
+    registration.parkingPartner = keepsInvite ? registration.parkingPartner : text(input, 'parkingPartner');
+    registration.partnerDays = partners.PARKING_DAYS[half];
+    registration.userSchedule = registrations.SCHEDULES[half];
+    registration.half = half;
+  } else {
+    ['parkingPartner', 'partnerDays', 'userSchedule', 'half'].forEach(field => {
+      delete registration[field];
+    });
+  }
+  registration.changedAt = now;
+
+  db.reservations.push({
+    spotId: spot.id,
+    half: half,
+    assignedTo: registration.fullName,
+    studentId: registration.studentId,
+    referenceId: registration.referenceId,
+    reservedAt: now
+  });
+
+  if (keepsInvite) {
+    partners.moveInvite(db, registration);
+  } else if (spot.type === 'shared') {
+    partners.createInvite(db, registration, partnerStudentId, registration.parkingPartner);
+  } else {
+    // A partner whose registration was removed has nothing to share on a solo spot
+    delete registration.partner;
+  }
+
+  return { before: before, registration: registration };
+}
+
+/**
+ * Cancel a student's registration and free their spot
+ * @param {object} db - Database draft
+ * @param {object} input - {studentId, referenceId}
+ * @returns {object} The cancelled registration
+ */
+function cancelRegistration(db, input) {
+  const registration = findOwnRegistration(db, input);
+  return registrations.removeRegistration(db, registration.referenceId);
+}
+
+module.exports = {
+  findOwnRegistration,
+  updateContact,
+  moveRegistration,
+  cancelRegistration
+};
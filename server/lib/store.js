@@ -0,0 +1,122 @@
+/* ============================================================
+   DATA STORE
+   ============================================================
+   JSON file database for the parking portal. The whole data
+   set is kept in memory and written back to disk after every
+   change, using a temporary file + rename so a crash never
+   leaves a half-written database behind.
+
+   File: server/data/db.json (created on first run)
+   Structure: {lots, reservations: [], registrations: [], holds: [],
+              waitlist: [], partnerPosts: [], partnerRequests: [],
+              roster, eligibilityReviews: [], violations: [],
+              swaps: [], phaseOverrides: [], lotteryApplications: [],
+              lotteryDraws: [], exportPresets: []}
+              lots is null until the lot layout is first
+              saved (see lib/parking.js); holds are short-lived
+              spot holds (see lib/holds.js); waitlist entries are
+              described in lib/waitlist.js; partner-finder board
+              posts and match requests in lib/board.js; roster is
+              null until the eligibility roster is first imported
+              (see lib/roster.js); violations in lib/violations.js;
+              spot swaps in lib/swaps.js; registration phase
+              overrides in lib/phases.js; lottery applications
+              and draws in lib/lottery.js; saved export settings
+              in lib/export-presets.js
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.MHS_DATA_DIR || path.join(__dirname, '..', 'data');
+const DB_FILE = path.join(DATA_DIR, 'db.json');
+
+/**
+ * Create an empty database
+ * @returns {object} Empty data set
+ */
+function createEmptyDatabase() {
+  return {
+    lots: null,
+    reservations: [],
+    registrations: [],
+    holds: [],
+    waitlist: [],
+    partnerPosts: [],
+    partnerRequests: [],
+    roster: null,
+    eligibilityReviews: [],
+    violations: [],
+    swaps: [],
+    phaseOverrides: [],
+    lotteryApplications: [],
+    lotteryDraws: [],
+    exportPresets: []
+  };
+}
+
+let database = null;
+
+/**
+ * Load the database from disk (once)
+ * @returns {object} Database contents
+ */
+function load() {
+  if (database) return database;
+
+  if (fs.existsSync(DB_FILE)) {
+    database = Object.assign(createEmptyDatabase(), JSON.parse(fs.readFileSync(DB_FILE, 'utf8')));
+    console.log('✓ Database loaded:', DB_FILE);
+  } else {
+    database = createEmptyDatabase();
+    save();
+    console.log('✓ New database created:', DB_FILE);
+  }
+
+  return database;
+}
+
+/**
+ * Write the database to disk
+ */
+function save() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const tempFile = `${DB_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(database, null, 2));
+  fs.renameSync(tempFile, DB_FILE);
+}
+
+/**
+ * Read the current database contents
+ * @returns {object} Database (do not modify - use update())
+ */
+function read() {
+  return load();
+}
+
+/**
+ * Apply a change to the database and save it.
+ * The change function works on a copy; if it throws, nothing
+ * is saved, so every update is all-or-nothing.
+ * @param {Function} change - (db) => result
+ * @returns {*} Whatever the change function returned
+ */
+function update(change) {
+  const draft = JSON.parse(JSON.stringify(load()));
+  const result = change(draft);
+  database = draft;
+  save();
+  return result;
+}
+
+module.exports = {
+  DATA_DIR,
+  createEmptyDatabase,
+  read,
+  update
+};
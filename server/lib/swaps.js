@@ -0,0 +1,454 @@
+/* ============================================================
+   SPOT SWAPS
+   ============================================================
+   Two registered students trade spots. One student proposes a
+   swap for the spot (or shared half) another student holds;
+   the other accepts or declines from their My Registration
+   page. When server/config/swap-policy.json requires it, an
+   accepted swap waits for an admin to approve or reject it.
+   Students prove who they are with their student ID and
+   reference number (see lib/self-service.js).
+
+   Rules:
+   - Solo spots are traded for solo spots and shared halves for
+     shared halves; two partners on one spot may trade halves
+     (and with them their days)
+   - The partner on the other half of a shared spot stays with
+     the spot and becomes the new student's partner; a swap
+     waits while either student has an open partner invite
+   - One open proposal per student; proposals expire after
+     expiresAfterHours
+   - Open swaps are cancelled once either registration has
+     moved, been removed or been swapped elsewhere
+
+   Completing a swap exchanges both assignments and their
+   reservations in one store update, then reissues both
+   reference numbers (old permits stop verifying; the old
+   numbers are kept in previousReferenceIds so the students can
+   still look their registration up).
+
+   Swap structure: {swapId, status, from, to, message,
+              proposedAt, expiresAt, respondedAt, decision,
+              completedAt}
+   status: 'proposed' | 'accepted' (awaiting an admin) |
+           'completed' | 'declined' | 'cancelled' | 'rejected' |
+           'expired'
+   from/to: {referenceId, studentId, fullName, parkingLot,
+             parkingSpot, half, newReferenceId (once completed)}
+   decision: {by, at, reason} when an admin (or the system)
+             closed the swap
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const parking = require('./parking');
+const registrations = require('./registrations');
+const selfService = require('./self-service');
+const vehicles = require('./vehicles');
+const { displayName } = require('./board');
+const { HttpError } = require('./http');
+const { text } = require('./validation');
+
+const POLICY_FILE = process.env.MHS_SWAP_POLICY_FILE ||
+  path.join(__dirname, '..', 'config', 'swap-policy.json');
+const DEFAULT_POLICY = { requireAdminApproval: false, expiresAfterHours: 72 };
+const OPEN_STATUSES = ['proposed', 'accepted'];
+const DECISIONS = ['approve', 'reject'];
+const MESSAGE_MAX_LENGTH = 200;
+
+// Fields that describe the spot rather than the student; they change hands in a swap
+const SPOT_FIELDS = ['parkingLot', 'parkingSpot', 'spotType', 'half', 'partnerDays', 'userSchedule',
+  'parkingPartner', 'partner'];
+const HALF_FIELDS = ['half', 'partnerDays', 'userSchedule'];
+
+/**
+ * Generate a swap ID (SW-TIMESTAMP-RANDOM)
+ * @returns {string} Swap ID
+ */
+function generateSwapId() {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = crypto.randomBytes(4).toString('hex').substring(0, 5).toUpperCase();
+  return `SW-${timestamp}-${random}`;
+}
+
+/**
+ * Read the swap policy (read on every use, so edits apply at once)
+ * @returns {object} {requireAdminApproval, expiresAfterHours}
+ */
+function loadPolicy() {
+  if (!fs.existsSync(POLICY_FILE)) return DEFAULT_POLICY;
+
+  try {
+    const policy = JSON.parse(fs.readFileSync(POLICY_FILE, 'utf8'));
+    return {
+      requireAdminApproval: policy.requireAdminApproval === true,
+      expiresAfterHours: Number.isInteger(policy.expiresAfterHours) && policy.expiresAfterHours > 0
+        ? policy.expiresAfterHours : DEFAULT_POLICY.expiresAfterHours
+    };
+  } catch (error) {
+    console.error('✗ Could not read swap policy, using the default:', error.message);
+    return DEFAULT_POLICY;
+  }
+}
+
+/**
+ * Record one side of a swap
+ * @param {object} registration - Registration
+ * @returns {object} {referenceId, studentId, fullName, parkingLot, parkingSpot, half}
+ */
+function describeParty(registration) {
+  return {
+    referenceId: registration.referenceId,
+    studentId: registration.studentId,
+    fullName: registration.fullName,
+    parkingLot: registration.parkingLot,
+    parkingSpot: registration.parkingSpot,
+    half: registration.half || null
+  };
+}
+
+/**
+ * Find the registration one side of a swap still refers to
+ * @param {object} db - Database
+ * @param {object} party - Swap side
+ * @returns {object|undefined} Registration, if it still holds the recorded spot
+ */
+function findPartyRegistration(db, party) {
+  return db.registrations.find(r => r.referenceId === party.referenceId &&
+    r.parkingSpot === party.parkingSpot && (r.half || null) === party.half);
+}
+
+/**
+ * Close swaps that can no longer go ahead: proposals past their
+ * expiry, and open swaps whose registrations have changed
+ * @param {object} db - Database draft
+ * @param {Date} [now] - Current time
+ */
+function closeStaleSwaps(db, now = new Date()) {
+  db.swaps.forEach(swap => {
+    if (!OPEN_STATUSES.includes(swap.status)) return;
+
+    if (!findPartyRegistration(db, swap.from) || !findPartyRegistration(db, swap.to)) {
+      swap.status = 'cancelled';
+      swap.decision = { by: 'system', at: now.toISOString(), reason: 'One of the registrations changed spots or was removed.' };
+    } else if (swap.status === 'proposed' && new Date(swap.expiresAt) <= now) {
+      swap.status = 'expired';
+    }
+  });
+}
+
+/**
+ * Find a swap by ID
+ * @param {object} db - Database
+ * @param {string} swapId - Swap ID
+ * @returns {object} Swap
+ */
+function findSwap(db, swapId) {
+  const swap = db.swaps.find(item => item.swapId === swapId);
+  if (!swap) {
+    throw new HttpError(404, 'Swap request not found');
+  }
+  return swap;
+}
+
+/**
+ * Reject a swap the rules do not allow
+ * @param {object} own - Proposing student's registration
+ * @param {object} target - Registration on the wanted spot
+ */
+function checkSwappable(own, target) {
+  if (own.referenceId === target.referenceId) {
+    throw new HttpError(400, 'That is already your spot.');
+  }
+  if (own.spotType !== target.spotType) {
+    throw new HttpError(400, 'Solo spots can only be swapped for solo spots, and shared halves for shared halves.');
+  }
+  if ([own, target].some(r => r.partner && r.partner.status === 'invited')) {
+    throw new HttpError(409, 'A shared half with an open partner invite cannot be swapped. ' +
+      'Please wait until the partner registers or the invite expires.');
+  }
+}
+
+/**
+ * Propose a swap for the spot (or half) another student holds
+ * @param {object} db - Database draft
+ * @param {object} input - {studentId, referenceId, spotId, half, message}
+ * @returns {object} The new swap
+ */
+function proposeSwap(db, input) {
+  closeStaleSwaps(db);
+
+  const own = selfService.findOwnRegistration(db, input);
+  const spotId = text(input, 'spotId').toUpperCase();
+  const half = text(input, 'half').toUpperCase() || null;
+  const message = text(input, 'message');
+
+  const found = parking.findSpot(parking.loadLayout(db), spotId);
+  if (!found) {
+    throw new HttpError(404, `Parking spot ${spotId} does not exist`);
+  }
+  if (found.spot.type === 'shared' && !parking.HALVES.includes(half)) {
+    throw new HttpError(400, 'Please choose which half of the shared spot you want.');
+  }
+  if (message.length > MESSAGE_MAX_LENGTH) {
+    throw new HttpError(400, `Your message must be ${MESSAGE_MAX_LENGTH} characters or fewer.`);
+  }
+
+  const target = registrations.findOccupant(db, found.spot.id, found.spot.type === 'shared' ? half : null);
+  if (!target) {
+    throw new HttpError(404, `Nobody is registered on spot ${found.spot.id}${half ? ` (half ${half})` : ''}. ` +
+      'To move to an open spot, use Switch Spot instead.');
+  }
+  checkSwappable(own, target);
+
+  const open = db.swaps.find(swap => OPEN_STATUSES.includes(swap.status) && swap.from.studentId === own.studentId);
+  if (open) {
+    throw new HttpError(409, `You already have an open swap request for spot ${open.to.parkingSpot}. ` +
+      'Please cancel it before proposing another.');
+  }
+
+  const policy = loadPolicy();
+  const now = new Date();
+  const swap = {
+    swapId: generateSwapId(),
+    status: 'proposed',
+    from: describeParty(own),
+    to: describeParty(target),
+    message: message,
+    proposedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + policy.expiresAfterHours * 60 * 60 * 1000).toISOString(),
+    respondedAt: null,
+    decision: null,
+    completedAt: null
+  };
+
+  db.swaps.push(swap);
+  return swap;
+}
+
+/**
+ * Exchange the assignments of both registrations and reissue their
+ * reference numbers
+ * @param {object} db - Database draft
+ * @param {object} swap - Swap being completed
+ * @returns {object} {before: [from, to], registrations: [from, to]}
+ */
+function completeSwap(db, swap) {
+  const a = findPartyRegistration(db, swap.from);
+  const b = findPartyRegistration(db, swap.to);
+  const before = [JSON.parse(JSON.stringify(a)), JSON.parse(JSON.stringify(b))];
+  const reservationA = db.reservations.find(r => r.referenceId === a.referenceId);
+  const reservationB = db.reservations.find(r => r.referenceId === b.referenceId);
+  const sameSpot = a.parkingSpot === b.parkingSpot;
+
+  // Partners on one spot trade halves only; otherwise the spot changes hands with its partner
+  (sameSpot ? HALF_FIELDS : SPOT_FIELDS).forEach(field => {
+    const value = a[field];
+    if (b[field] === undefined) delete a[field]; else a[field] = b[field];
+    if (value === undefined) delete b[field]; else b[field] = value;
+  });
+
+  if (reservationA && reservationB) {
+    const spot = { spotId: reservationA.spotId, half: reservationA.half };
+    reservationA.spotId = reservationB.spotId;
+    reservationA.half = reservationB.half;
+    reservationB.spotId = spot.spotId;
+    reservationB.half = spot.half;
+  }
+
+  // The partner on the other half now shares the spot with its new student
+  [a, b].forEach(registration => {
+    const partner = registration.partner;
+    if (sameSpot || !partner || partner.status !== 'confirmed') return;
+
+    const partnerRegistration = registrations.findRegistration(db, partner.referenceId);
+    if (partnerRegistration) {
+      partnerRegistration.parkingPartner = registration.fullName;
+      partnerRegistration.partner = Object.assign({}, partnerRegistration.partner, {
+        studentId: registration.studentId,
+        name: registration.fullName,
+        referenceId: registration.referenceId
+      });
+    }
+  });
+
+  [a, b].forEach(registration => {
+    vehicles.checkUniquePlates(db, registration.vehicles || [], registration.parkingSpot, registration.referenceId);
+  });
+
+  // Reissue both reference numbers (and every link to them)
+  const now = new Date().toISOString();
+  [[a, reservationA, swap.from], [b, reservationB, swap.to]].forEach(([registration, reservation, party]) => {
+    const oldReferenceId = registration.referenceId;
+    registration.referenceId = registrations.generateReferenceId();
+    registration.previousReferenceIds = (registration.previousReferenceIds || []).concat(oldReferenceId);
+    registration.changedAt = now;
+    if (reservation) reservation.referenceId = registration.referenceId;
+    party.newReferenceId = registration.referenceId;
+
+    db.registrations.forEach(other => {
+      if (other.partner && other.partner.referenceId === oldReferenceId) {
+        other.partner = Object.assign({}, other.partner, { referenceId: registration.referenceId });
+      }
+    });
+  });
+
+  swap.status = 'completed';
+  swap.completedAt = now;
+  closeStaleSwaps(db);
+
+  return { before: before, registrations: [a, b] };
+}
+
+/**
+ * Accept or decline a swap proposed to the student
+ * @param {object} db - Database draft
+ * @param {string} swapId - Swap ID
+ * @param {object} input - {studentId, referenceId, accept}
+ * @returns {object} {swap, completed: {before, registrations} | null}
+ */
+function respondToSwap(db, swapId, input) {
+  closeStaleSwaps(db);
+
+  const own = selfService.findOwnRegistration(db, input);
+  const swap = findSwap(db, swapId);
+  if (swap.to.referenceId !== own.referenceId) {
+    throw new HttpError(403, 'This swap request was not sent to you.');
+  }
+  if (swap.status !== 'proposed') {
+    throw new HttpError(409, `This swap request is already ${swap.status}.`);
+  }
+
+  swap.respondedAt = new Date().toISOString();
+  if (input.accept !== true) {
+    swap.status = 'declined';
+    return { swap: swap, completed: null };
+  }
+
+  swap.status = 'accepted';
+  return { swap: swap, completed: loadPolicy().requireAdminApproval ? null : completeSwap(db, swap) };
+}
+
+/**
+ * Cancel a swap the student proposed
+ * @param {object} db - Database draft
+ * @param {string} swapId - Swap ID
+ * @param {object} input - {studentId, referenceId}
+ * @returns {object} The cancelled swap
+ */
+function cancelSwap(db, swapId, input) {
+  closeStaleSwaps(db);
+
+  const own = selfService.findOwnRegistration(db, input);
+  const swap = findSwap(db, swapId);
+  if (swap.from.referenceId !== own.referenceId) {
+    throw new HttpError(403, 'Only the student who proposed a swap can cancel it.');
+  }
+  if (!OPEN_STATUSES.includes(swap.status)) {
+    throw new HttpError(409, `This swap request is already ${swap.status}.`);
+  }
+
+  swap.status = 'cancelled';
+  return swap;
+}
+
+/**
+ * Approve or reject an accepted swap (admin)
+ * @param {object} db - Database draft
+ * @param {string} swapId - Swap ID
+ * @param {object} input - {decision: 'approve' | 'reject', reason}
+ * @param {string} by - Admin deciding
+ * @returns {object} {swap, completed: {before, registrations} | null}
+ */
+function decideSwap(db, swapId, input, by) {
+  closeStaleSwaps(db);
+
+  const swap = findSwap(db, swapId);
+  const decision = text(input, 'decision');
+  const reason = text(input, 'reason');
+
+  if (!DECISIONS.includes(decision)) {
+    throw new HttpError(400, 'Decision must be approve or reject');
+  }
+  if (swap.status !== 'accepted') {
+    throw new HttpError(409, swap.status === 'proposed'
+      ? 'The other student has not accepted this swap yet.'
+      : `This swap is already ${swap.status}.`);
+  }
+  if (decision === 'reject' && !reason) {
+    throw new HttpError(400, 'Give a reason for rejecting the swap; both students will see it.');
+  }
+
+  swap.decision = { by: by, at: new Date().toISOString(), reason: reason.slice(0, MESSAGE_MAX_LENGTH) };
+  if (decision === 'reject') {
+    swap.status = 'rejected';
+    return { swap: swap, completed: null };
+  }
+  return { swap: swap, completed: completeSwap(db, swap) };
+}
+
+/**
+ * A student's swaps, as they may see them: the other student's
+ * name is shortened until the swap is completed
+ * @param {object} db - Database draft
+ * @param {object} input - {studentId, referenceId}
+ * @returns {object} {requireAdminApproval, swaps (newest first)}
+ */
+function listOwnSwaps(db, input) {
+  closeStaleSwaps(db);
+
+  const own = selfService.findOwnRegistration(db, input);
+  const swaps = db.swaps
+    .filter(swap => swap.from.studentId === own.studentId || swap.to.studentId === own.studentId)
+    .reverse()
+    .map(swap => {
+      const outgoing = swap.from.studentId === own.studentId;
+      const mine = outgoing ? swap.from : swap.to;
+      const theirs = outgoing ? swap.to : swap.from;
+      return {
+        swapId: swap.swapId,
+        status: swap.status,
+        direction: outgoing ? 'outgoing' : 'incoming',
+        otherName: swap.status === 'completed' ? theirs.fullName : displayName(theirs.fullName),
+        yourSpot: { parkingLot: mine.parkingLot, parkingSpot: mine.parkingSpot, half: mine.half },
+        theirSpot: { parkingLot: theirs.parkingLot, parkingSpot: theirs.parkingSpot, half: theirs.half },
+        message: swap.message,
+        proposedAt: swap.proposedAt,
+        expiresAt: swap.expiresAt,
+        respondedAt: swap.respondedAt,
+        completedAt: swap.completedAt,
+        reason: swap.decision ? swap.decision.reason : null,
+        newReferenceId: mine.newReferenceId || null
+      };
+    });
+
+  return { requireAdminApproval: loadPolicy().requireAdminApproval, swaps: swaps };
+}
+
+/**
+ * All swaps for the admin dashboard
+ * @param {object} db - Database draft
+ * @returns {object} {requireAdminApproval, expiresAfterHours, swaps (newest first)}
+ */
+function listSwaps(db) {
+  closeStaleSwaps(db);
+  return Object.assign({}, loadPolicy(), { swaps: db.swaps.slice().reverse() });
+}
+
+module.exports = {
+  OPEN_STATUSES,
+  DECISIONS,
+  loadPolicy,
+  proposeSwap,
+  respondToSwap,
+  cancelSwap,
+  decideSwap,
+  listOwnSwaps,
+  listSwaps
+};
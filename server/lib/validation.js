@@ -0,0 +1,81 @@
+/* ============================================================
+   REGISTRATION VALIDATION
+   ============================================================
+   Server-side copy of the checks performed by form.js, so a
+   registration is never accepted just because the browser
+   said it was valid.
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const STUDENT_ID_PATTERN = /^\d{6,8}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Read a trimmed string field from request input
+ * @param {object} input - Request body
+ * @param {string} field - Field name
+ * @returns {string} Trimmed value ('' when missing)
+ */
+function text(input, field) {
+  return typeof input[field] === 'string' ? input[field].trim() : '';
+}
+
+/**
+ * Validate student ID format
+ * @param {string} id - Student ID
+ * @returns {boolean} True if 6-8 digits
+ */
+function validateStudentId(id) {
+  return STUDENT_ID_PATTERN.test(String(id || '').trim());
+}
+
+/**
+ * Validate email format
+ * @param {string} email - Email address
+ * @returns {boolean} True if valid
+ */
+function validateEmail(email) {
+  return EMAIL_PATTERN.test(String(email || '').trim());
+}
+
+/**
+ * Validate the student fields of a registration
+ * @param {object} input - Request body
+ * @returns {string[]} Error messages (empty when valid)
+ */
+function validateStudentFields(input) {
+  const errors = [];
+
+  if (!text(input, 'fullName')) {
+    errors.push('Full Name is required');
+  }
+
+  if (!text(input, 'studentId')) {
+    errors.push('Student ID is required');
+  } else if (!validateStudentId(input.studentId)) {
+    errors.push('Student ID must be 6-8 digits');
+  }
+
+  if (!text(input, 'email')) {
+    errors.push('Email is required');
+  } else if (!validateEmail(input.email)) {
+    errors.push('Please enter a valid email address');
+  }
+
+  if (!text(input, 'gradeLevel')) {
+    errors.push('Grade level is required');
+  }
+
+  return errors;
+}
+
+module.exports = {
+  text,
+  validateStudentId,
+  validateEmail,
+  validateStudentFields
+};
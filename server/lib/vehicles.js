@@ -0,0 +1,161 @@
+/* ============================================================
+   VEHICLES
+   ============================================================
+   The cars a registered student may park, so security can
+   match a car in a spot to a student. Each registration lists
+   one to MAX_VEHICLES vehicles.
+
+   Vehicle structure: {plate, state, make, model, color}
+   plate is stored upper case without spaces or hyphens
+   (e.g. 'ABC1234'); state is a two-letter US code.
+
+   A plate (with its state) belongs to one registration, except
+   that shared-spot partners on the same spot may list the same
+   car. Staff can change a registration's vehicles later, e.g.
+   for a student registered from the waitlist (which does not
+   ask for vehicles) or one who changed cars.
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const { HttpError } = require('./http');
+const { text } = require('./validation');
+
+const MAX_VEHICLES = 3;
+const DETAIL_MAX_LENGTH = 30;
+const PLATE_PATTERN = /^[A-Z0-9]{2,8}$/;
+const STATES = [
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+  'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC',
+  'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'
+];
+
+/**
+ * Normalize a plate for storage and comparison
+ * @param {*} plate - Plate as typed (e.g. 'abc-1234')
+ * @returns {string} Upper case, no spaces or hyphens
+ */
+function normalizePlate(plate) {
+  return String(plate || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Describe a vehicle's plate for messages
+ * @param {object} vehicle - Vehicle
+ * @returns {string} e.g. 'NJ ABC1234'
+ */
+function describePlate(vehicle) {
+  return `${vehicle.state} ${vehicle.plate}`;
+}
+
+/**
+ * Validate and normalize the vehicles on a submission
+ * @param {object} input - Request body with vehicles: [{plate, state, make, model, color}]
+ * @param {object} [options] - {required: false} to allow no vehicles
+ * @returns {object} {vehicles, errors}
+ */
+function readVehicles(input, options = {}) {
+  const required = options.required !== false;
+  const list = Array.isArray(input.vehicles) ? input.vehicles : [];
+  const vehicles = [];
+  const errors = [];
+
+  if (list.length === 0 && required) {
+    errors.push('Add at least one vehicle you will park on campus');
+  }
+  if (list.length > MAX_VEHICLES) {
+    errors.push(`You can register up to ${MAX_VEHICLES} vehicles`);
+  }
+
+  list.slice(0, MAX_VEHICLES).forEach((raw, index) => {
+    const item = raw && typeof raw === 'object' ? raw : {};
+    const label = list.length > 1 ? `Vehicle ${index + 1}: ` : '';
+    const vehicle = {
+      plate: normalizePlate(item.plate),
+      state: text(item, 'state').toUpperCase(),
+      make: text(item, 'make'),
+      model: text(item, 'model'),
+      color: text(item, 'color')
+    };
+
+    if (!vehicle.plate) {
+      errors.push(`${label}License plate is required`);
+    } else if (!PLATE_PATTERN.test(vehicle.plate)) {
+      errors.push(`${label}License plate must be 2-8 letters and numbers`);
+    }
+    if (!STATES.includes(vehicle.state)) {
+      errors.push(`${label}Choose the state that issued the plate`);
+    }
+    if (!vehicle.make) errors.push(`${label}Make is required`);
+    if (!vehicle.color) errors.push(`${label}Color is required`);
+    if ([vehicle.make, vehicle.model, vehicle.color].some(detail => detail.length > DETAIL_MAX_LENGTH)) {
+      errors.push(`${label}Make, model and color must be ${DETAIL_MAX_LENGTH} characters or fewer`);
+    }
+
+    if (vehicles.some(other => other.plate === vehicle.plate && other.state === vehicle.state)) {
+      errors.push(`${label}${describePlate(vehicle)} is listed twice`);
+    }
+    vehicles.push(vehicle);
+  });
+
+  return { vehicles: vehicles, errors: errors };
+}
+
+/**
+ * Reject plates already registered to another student (a partner
+ * on the same spot may share a car)
+ * @param {object} db - Database
+ * @param {object[]} vehicles - Normalized vehicles
+ * @param {string} spotId - Spot the registration is on
+ * @param {string} [exceptReferenceId] - Registration being edited
+ */
+function checkUniquePlates(db, vehicles, spotId, exceptReferenceId) {
+  const errors = [];
+
+  vehicles.forEach(vehicle => {
+    const owner = db.registrations.find(registration => registration.referenceId !== exceptReferenceId &&
+      registration.parkingSpot !== spotId &&
+      (registration.vehicles || []).some(other => other.plate === vehicle.plate && other.state === vehicle.state));
+    if (owner) {
+      errors.push(`License plate ${describePlate(vehicle)} is already registered to another student. ` +
+        'If this is your car, please contact the Administration Office.');
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new HttpError(409, 'This vehicle is already registered', errors);
+  }
+}
+
+/**
+ * Replace a registration's vehicles (admin)
+ * @param {object} db - Database draft
+ * @param {object} registration - Registration in the draft
+ * @param {object} input - {vehicles: [...]}
+ * @returns {object} {before, vehicles}
+ */
+function updateVehicles(db, registration, input) {
+  const result = readVehicles(input);
+  if (result.errors.length > 0) {
+    throw new HttpError(400, 'Please fix the following errors', result.errors);
+  }
+
+  checkUniquePlates(db, result.vehicles, registration.parkingSpot, registration.referenceId);
+
+  const before = registration.vehicles || [];
+  registration.vehicles = result.vehicles;
+  return { before: before, vehicles: result.vehicles };
+}
+
+module.exports = {
+  MAX_VEHICLES,
+  STATES,
+  normalizePlate,
+  describePlate,
+  readVehicles,
+  checkUniquePlates,
+  updateVehicles
+};
@@ -0,0 +1,343 @@
+/* ============================================================
+   VIOLATIONS & INCIDENTS
+   ============================================================
+   Parking violations logged by security staff and the office
+   against a spot, a license plate or a registration. A
+   violation is charged to a student when it names their
+   registration, or a plate (and state, when staff give it)
+   registered to exactly one student; a plate registered in
+   several states is refused until staff choose the state.
+   Otherwise (e.g. an unregistered car) it is kept on record
+   without a student.
+
+   Each charged violation counts toward the consequences in
+   server/config/violation-policy.json (read on every use, so
+   edits apply at once): the step with the highest count the
+   student has reached applies - a warning, a suspension for a
+   number of days, or revocation. Revocation removes the
+   registration (the route frees the spot and offers it to the
+   waitlist) and stops the student registering again. Voided
+   violations no longer count; voiding the one that suspended
+   a student lifts the suspension.
+
+   Violation structure: {violationId, type, notes, occurredAt,
+              recordedAt, recordedBy, spotId, plate, state,
+              referenceId, studentId, fullName, parkingSpot,
+              consequence: {offense, action, days, until} | null,
+              voided: {by, at, reason} | null}
+   Registration: suspension {violationId, until} while suspended
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const parking = require('./parking');
+const vehicles = require('./vehicles');
+const { HttpError } = require('./http');
+const { text } = require('./validation');
+
+const POLICY_FILE = process.env.MHS_VIOLATION_POLICY_FILE ||
+  path.join(__dirname, '..', 'config', 'violation-policy.json');
+const TYPES = {
+  'wrong-spot': 'Parked in the wrong spot',
+  'no-permit': 'No permit / not registered',
+  'wrong-day': 'Shared spot used on the partner\'s day',
+  'permit-not-displayed': 'Permit not displayed',
+  'unsafe-parking': 'Unsafe or double parking',
+  other: 'Other'
+};
+const CONSEQUENCE_ACTIONS = ['warning', 'suspension', 'revocation'];
+const NOTES_MAX_LENGTH = 500;
+const DEFAULT_POLICY = [
+  { violations: 1, action: 'warning' },
+  { violations: 3, action: 'suspension', days: 5 },
+  { violations: 5, action: 'revocation' }
+];
+
+/**
+ * Generate a violation ID (VL-TIMESTAMP-RANDOM)
+ * @returns {string} Violation ID
+ */
+function generateViolationId() {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = crypto.randomBytes(4).toString('hex').substring(0, 5).toUpperCase();
+  return `VL-${timestamp}-${random}`;
+}
+
+/**
+ * Read the consequence policy, ordered by violation count
+ * @returns {object[]} Steps: {violations, action, days}
+ */
+function loadPolicy() {
+  let steps = DEFAULT_POLICY;
+
+  if (fs.existsSync(POLICY_FILE)) {
+    try {
+      steps = JSON.parse(fs.readFileSync(POLICY_FILE, 'utf8')).consequences;
+    } catch (error) {
+      console.error('✗ Could not read violation policy, using the default:', error.message);
+    }
+  }
+
+  const valid = Array.isArray(steps) && steps.every(step => step &&
+    Number.isInteger(step.violations) && step.violations > 0 &&
+    CONSEQUENCE_ACTIONS.includes(step.action) &&
+    (step.action !== 'suspension' || (Number.isInteger(step.days) && step.days > 0)));
+  if (!valid) {
+    console.error('✗ Violation policy is invalid, using the default:', POLICY_FILE);
+    steps = DEFAULT_POLICY;
+  }
+
+  return steps.slice().sort((a, b) => a.violations - b.violations);
+}
+
+/**
+ * Charged violations for a student that still count
+ * @param {object} db - Database
+ * @param {string} studentId - Student ID
+ * @returns {object[]} Violations, oldest first
+ */
+function countingViolations(db, studentId) {
+  return db.violations.filter(violation => violation.studentId === studentId && !violation.voided);
+}
+
+/**
+ * Check whether a student's parking privileges were revoked
+ * @param {object} db - Database
+ * @param {string} studentId - Student ID
+ * @returns {boolean} True if revoked
+ */
+function isRevoked(db, studentId) {
+  return countingViolations(db, studentId).some(violation =>
+    violation.consequence && violation.consequence.action === 'revocation');
+}
+
+/**
+ * Reject a registration from a student whose privileges were revoked
+ * @param {object} db - Database
+ * @param {string} studentId - Student ID
+ */
+function requireNotRevoked(db, studentId) {
+  if (isRevoked(db, studentId)) {
+    throw new HttpError(403, 'Your parking privileges have been revoked for this school year. ' +
+      'Please contact the Administration Office.');
+  }
+}
+
+/**
+ * Check whether a registration is suspended
+ * @param {object} registration - Registration
+ * @param {Date} [now] - Time to check
+ * @returns {boolean} True if suspended at that time
+ */
+function isSuspended(registration, now = new Date()) {
+  return Boolean(registration.suspension && new Date(registration.suspension.until) > now);
+}
+
+/**
+ * Find the registration a violation is charged to
+ * @param {object} db - Database
+ * @param {string} referenceId - Reference number given by staff
+ * @param {string} plate - Normalized plate given by staff
+ * @param {string} state - State of the plate ('' if not given)
+ * @returns {object|null} Registration
+ */
+function findOffender(db, referenceId, plate, state) {
+  if (referenceId) {
+    const registration = db.registrations.find(r => r.referenceId === referenceId);
+    if (!registration) {
+      throw new HttpError(404, `No registration has reference ${referenceId}`);
+    }
+    return registration;
+  }
+
+  if (plate) {
+    const owners = db.registrations.filter(r => (r.vehicles || []).some(vehicle =>
+      vehicle.plate === plate && (!state || vehicle.state === state)));
+    if (owners.length > 1) {
+      throw new HttpError(409, `Plate ${plate} is registered in more than one state. Choose the state on the plate ` +
+        'or enter the permit reference', owners.map(owner => {
+        const vehicle = owner.vehicles.find(item => item.plate === plate);
+        return `${vehicle.state} ${plate}: ${owner.fullName} (${owner.referenceId})`;
+      }));
+    }
+    if (owners.length === 1) return owners[0];
+  }
+
+  return null;
+}
+
+/**
+ * Work out the consequence a student has reached
+ * @param {number} offense - Number of counting violations, including the new one
+ * @param {Date} now - Time of the violation
+ * @returns {object|null} {offense, action, days, until}
+ */
+function consequenceFor(offense, now) {
+  const step = loadPolicy().filter(item => item.violations <= offense).pop();
+  if (!step) return null;
+
+  const consequence = { offense: offense, action: step.action, days: null, until: null };
+  if (step.action === 'suspension') {
+    consequence.days = step.days;
+    consequence.until = new Date(now.getTime() + step.days * 24 * 60 * 60 * 1000).toISOString();
+  }
+  return consequence;
+}
+
+/**
+ * Log a violation and apply the consequence the student reached
+ * @param {object} db - Database draft
+ * @param {object} input - {type, notes, spotId, plate, state, referenceId, occurredAt}
+ * @param {string} by - Staff member logging it
+ * @returns {object} {violation, registration (charged, or null), suspended}
+ *   - the caller removes the registration when the consequence is revocation
+ */
+function recordViolation(db, input, by) {
+  const errors = [];
+  const type = text(input, 'type');
+  const notes = text(input, 'notes');
+  const spotId = text(input, 'spotId').toUpperCase();
+  const plate = vehicles.normalizePlate(input.plate);
+  const state = plate ? text(input, 'state').toUpperCase() : '';
+  const referenceId = text(input, 'referenceId').toUpperCase();
+  const now = new Date();
+  const occurredAt = text(input, 'occurredAt') ? new Date(text(input, 'occurredAt')) : now;
+
+  if (!Object.prototype.hasOwnProperty.call(TYPES, type)) {
+    errors.push('Choose the type of violation');
+  }
+  if (!spotId && !plate && !referenceId) {
+    errors.push('Enter the spot, the license plate or the permit reference number');
+  }
+  if (spotId && !parking.findSpot(parking.loadLayout(db), spotId)) {
+    errors.push(`Parking spot ${spotId} does not exist`);
+  }
+  if (state && !vehicles.STATES.includes(state)) {
+    errors.push('Choose the state that issued the plate');
+  }
+  if (notes.length > NOTES_MAX_LENGTH) {
+    errors.push(`Notes must be ${NOTES_MAX_LENGTH} characters or fewer`);
+  }
+  if (type === 'other' && !notes) {
+    errors.push('Describe the violation in the notes');
+  }
+  if (isNaN(occurredAt.getTime()) || occurredAt > now) {
+    errors.push('When it happened must be a valid time, not in the future');
+  }
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Please fix the following errors', errors);
+  }
+
+  const registration = findOffender(db, referenceId, plate, state);
+  const vehicle = registration && plate
+    ? (registration.vehicles || []).find(item => item.plate === plate && (!state || item.state === state))
+    : null;
+
+  const violation = {
+    violationId: generateViolationId(),
+    type: type,
+    notes: notes,
+    occurredAt: occurredAt.toISOString(),
+    recordedAt: now.toISOString(),
+    recordedBy: by,
+    spotId: spotId || null,
+    plate: plate || null,
+    state: vehicle ? vehicle.state : state || null,
+    referenceId: registration ? registration.referenceId : null,
+    studentId: registration ? registration.studentId : null,
+    fullName: registration ? registration.fullName : null,
+    parkingSpot: registration ? registration.parkingSpot : null,
+    consequence: null,
+    voided: null
+  };
+
+  let suspended = false;
+  if (registration) {
+    violation.consequence = consequenceFor(countingViolations(db, registration.studentId).length + 1, now);
+
+    // A longer suspension already in place is kept
+    const consequence = violation.consequence;
+    if (consequence && consequence.action === 'suspension' &&
+      (!isSuspended(registration, now) || registration.suspension.until < consequence.until)) {
+      registration.suspension = { violationId: violation.violationId, until: violation.consequence.until };
+      suspended = true;
+    }
+  }
+
+  db.violations.push(violation);
+  return { violation: violation, registration: registration, suspended: suspended };
+}
+
+/**
+ * Void a violation logged by mistake
+ * @param {object} db - Database draft
+ * @param {string} violationId - Violation ID
+ * @param {object} input - {reason}
+ * @param {string} by - Admin voiding it
+ * @returns {object} {before, violation, liftedSuspension}
+ */
+function voidViolation(db, violationId, input, by) {
+  const violation = db.violations.find(item => item.violationId === violationId);
+  if (!violation) {
+    throw new HttpError(404, 'Violation not found');
+  }
+  if (violation.voided) {
+    throw new HttpError(409, 'This violation was already voided');
+  }
+
+  const reason = text(input, 'reason');
+  if (!reason) {
+    throw new HttpError(400, 'Give a reason for voiding the violation');
+  }
+
+  const before = JSON.parse(JSON.stringify(violation));
+  violation.voided = { by: by, at: new Date().toISOString(), reason: reason.slice(0, NOTES_MAX_LENGTH) };
+
+  // Lift the suspension this violation caused, if it is still in place
+  // (found by student, as the reference number may have been reissued)
+  const registration = violation.studentId ? db.registrations.find(r => r.studentId === violation.studentId) : null;
+  const liftedSuspension = Boolean(registration && registration.suspension &&
+    registration.suspension.violationId === violationId);
+  if (liftedSuspension) {
+    delete registration.suspension;
+  }
+
+  return { before: before, violation: violation, liftedSuspension: liftedSuspension };
+}
+
+/**
+ * A student's violation history for the admin table
+ * @param {object} db - Database
+ * @param {string} studentId - Student ID
+ * @returns {object[]} Violations, newest first (voided ones included)
+ */
+function historyFor(db, studentId) {
+  return db.violations.filter(violation => violation.studentId === studentId).reverse();
+}
+
+/**
+ * Describe the policy and types for the admin screens
+ * @returns {object} {types, consequences, states (plate states)}
+ */
+function describePolicy() {
+  return { types: TYPES, consequences: loadPolicy(), states: vehicles.STATES };
+}
+
+module.exports = {
+  TYPES,
+  loadPolicy,
+  describePolicy,
+  countingViolations,
+  isRevoked,
+  requireNotRevoked,
+  isSuspended,
+  recordViolation,
+  voidViolation,
+  historyFor
+};
@@ -0,0 +1,439 @@
+/* ============================================================
+   WAITLIST
+   ============================================================
+   Students who find no open spot join the waitlist with the
+   lots and spot type they want. When an admin clears a spot,
+   the freed spot is offered to the first eligible
+   student in order: it is held for them for OFFER_HOURS while
+   the office contacts them, and the admin records whether they
+   accepted (which registers them on the spot) or declined
+   (which offers the spot to the next student). An offer nobody
+   answered by the end of its hold expires and the spot goes to
+   the next student (expireOffers(), run every minute by
+   server.js and before an outcome is recorded).
+
+   Entry structure: {waitlistId, fullName, studentId, email,
+              phone, gradeLevel, lotPreferences: [lotKey] (empty
+              = any lot), spotType: 'solo'|'shared'|'any',
+              parkingPartner, partnerStudentId, status, joinedAt,
+              offer, history,
+              referenceId (once accepted)}
+   status: 'waiting' | 'offered' | 'accepted' | 'declined' |
+           'expired'
+   offer: {spotId, half, lotName, holdId, holdToken, offeredAt,
+           expiresAt} while offered, otherwise null
+   history: [{outcome: 'offered'|'accepted'|'declined'|'expired',
+              spotId, half, at, by}]
+
+   A shared spot with both halves free is offered whole (half
+   null) to a student who named a partner; accepting registers
+   them on half A and invites the partner to half B (see
+   lib/partners.js). A single free half, or the halves of a
+   spot no such student wants, is offered to students without a
+   partner; accepting pairs them with the student on the other
+   half, if any.
+
+   Joining takes the eligibility roster and revocation checks of
+   registering, so an offer never goes to a student who could not
+   accept it.
+
+   The waitlist order is the order of db.waitlist.
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const crypto = require('crypto');
+const parking = require('./parking');
+const holds = require('./holds');
+const registrations = require('./registrations');
+const roster = require('./roster');
+const violations = require('./violations');
+const { HttpError } = require('./http');
+const { text, validateStudentFields, validateStudentId } = require('./validation');
+
+const OFFER_HOURS = 48;
+const SPOT_PREFERENCES = ['solo', 'shared', 'any'];
+const OUTCOMES = ['accepted', 'declined'];
+const SYSTEM = 'system';
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+/**
+ * Generate a waitlist ID (WL-TIMESTAMP-RANDOM)
+ * @returns {string} Waitlist ID
+ */
+function generateWaitlistId() {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = crypto.randomBytes(4).toString('hex').substring(0, 5).toUpperCase();
+  return `WL-${timestamp}-${random}`;
+}
+
+/**
+ * Check whether an entry is still in the queue
+ * @param {object} entry - Waitlist entry
+ * @returns {boolean} True if waiting or offered
+ */
+function isActiveEntry(entry) {
+  return ACTIVE_STATUSES.includes(entry.status);
+}
+
+/**
+ * Find a waitlist entry by ID
+ * @param {object} db - Database
+ * @param {string} waitlistId - Waitlist ID
+ * @returns {object} Entry
+ */
+function findEntry(db, waitlistId) {
+  const entry = db.waitlist.find(e => e.waitlistId === waitlistId);
+  if (!entry) {
+    throw new HttpError(404, 'Waitlist entry not found');
+  }
+  return entry;
+}
+
+/**
+ * Position of an entry among the students still waiting (1-based)
+ * @param {object} db - Database
+ * @param {object} entry - Waitlist entry
+ * @returns {number|null} Position, or null once accepted/declined
+ */
+function positionOf(db, entry) {
+  if (!isActiveEntry(entry)) return null;
+  return db.waitlist.filter(isActiveEntry).indexOf(entry) + 1;
+}
+
+/**
+ * Describe an entry without its hold token
+ * @param {object} db - Database
+ * @param {object} entry - Waitlist entry
+ * @returns {object} Entry with its position
+ */
+function describeEntry(db, entry) {
+  const described = Object.assign({}, entry, { position: positionOf(db, entry) });
+  if (entry.offer) {
+    described.offer = Object.assign({}, entry.offer);
+    delete described.offer.holdToken;
+  }
+  return described;
+}
+
+/**
+ * All entries in waitlist order, for the admin dashboard
+ * @param {object} db - Database
+ * @returns {object[]} Entries with positions
+ */
+function listEntries(db) {
+  return db.waitlist.map(entry => describeEntry(db, entry));
+}
+
+/**
+ * Add a student to the end of the waitlist
+ * @param {object} db - Database draft
+ * @param {object} input - {fullName, studentId, email, phone, gradeLevel,
+ *   lotPreferences, spotType, parkingPartner, partnerStudentId}
+ * @returns {object} The new entry with its position
+ */
+function joinWaitlist(db, input) {
+  const errors = validateStudentFields(input);
+  const lots = parking.loadLayout(db);
+  const spotType = text(input, 'spotType') || 'any';
+  const lotPreferences = Array.isArray(input.lotPreferences) ? [...new Set(input.lotPreferences)] : [];
+
+  if (!SPOT_PREFERENCES.includes(spotType)) {
+    errors.push('Spot type preference must be solo, shared or any');
+  }
+
+  lotPreferences.filter(lotKey => !lots[lotKey]).forEach(lotKey => {
+    errors.push(`Unknown parking lot "${lotKey}"`);
+  });
+
+  const partnerStudentId = text(input, 'partnerStudentId');
+  if (partnerStudentId && !text(input, 'parkingPartner')) {
+    errors.push("Please enter your partner's name with their student ID");
+  } else if (text(input, 'parkingPartner') && !validateStudentId(partnerStudentId)) {
+    errors.push('Partner student ID must be 6-8 digits');
+  } else if (partnerStudentId && partnerStudentId === text(input, 'studentId')) {
+    errors.push('Your partner must be a different student');
+  }
+
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Please fix the following errors', errors);
+  }
+
+  const studentId = text(input, 'studentId');
+  if (db.registrations.some(r => r.studentId === studentId)) {
+    throw new HttpError(409, 'This student ID already has a parking registration.');
+  }
+  if (db.waitlist.some(e => e.studentId === studentId && isActiveEntry(e))) {
+    throw new HttpError(409, 'This student ID is already on the waitlist.');
+  }
+  // Only students who could register when a spot is offered may wait for one
+  violations.requireNotRevoked(db, studentId);
+  const rosterEntry = roster.requireEligible(db, input);
+
+  const entry = {
+    waitlistId: generateWaitlistId(),
+    fullName: text(input, 'fullName'),
+    studentId: studentId,
+    email: text(input, 'email'),
+    phone: text(input, 'phone'),
+    gradeLevel: rosterEntry ? rosterEntry.gradeLevel : text(input, 'gradeLevel'),
+    lotPreferences: lotPreferences,
+    spotType: spotType,
+    parkingPartner: text(input, 'parkingPartner'),
+    partnerStudentId: partnerStudentId,
+    status: 'waiting',
+    joinedAt: new Date().toISOString(),
+    offer: null,
+    history: []
+  };
+
+  db.waitlist.push(entry);
+  return describeEntry(db, entry);
+}
+
+/**
+ * Check whether a waiting student wants a spot. A whole shared
+ * spot only goes to a student who named a partner, a single half
+ * only to a student who did not.
+ * @param {object} entry - Waitlist entry
+ * @param {string} lotKey - Lot of the spot
+ * @param {object} spot - Spot from the layout
+ * @param {string|null} half - Half on offer, or null for the whole spot
+ * @returns {boolean} True if the spot can be offered to them
+ */
+function isEligible(entry, lotKey, spot, half) {
+  const hasPartner = Boolean(entry.parkingPartner && entry.partnerStudentId);
+
+  return entry.status === 'waiting' &&
+    (entry.lotPreferences.length === 0 || entry.lotPreferences.includes(lotKey)) &&
+    (entry.spotType === 'any' || entry.spotType === spot.type) &&
+    (spot.type !== 'shared' || (half ? !hasPartner : hasPartner));
+}
+
+/**
+ * Offer a free spot to the next eligible student
+ * @param {object} db - Database draft
+ * @param {string} spotId - Spot identifier
+ * @param {string|null} half - null for the whole spot, or 'A'/'B'
+ * @param {string} by - Who triggered the offer (admin username)
+ * @returns {object|null} {waitlistId, fullName, spotId, half}, or null
+ *   if the spot is not free or nobody wants it
+ */
+function offerSpot(db, spotId, half, by) {
+  const found = parking.findSpot(parking.loadLayout(db), spotId);
+  if (!found || !parking.isOpen(found.spot)) return null;
+  if (!parking.isAvailable(db.reservations, spotId, half) || holds.isHeldByOthers(db, spotId, half)) return null;
+
+  const entry = db.waitlist.find(e => isEligible(e, found.lotKey, found.spot, half));
+  if (!entry) return null;
+
+  db.holds = holds.activeHolds(db);
+  const hold = holds.createHold(db, spotId, half, OFFER_HOURS * 60);
+  const now = new Date().toISOString();
+
+  entry.status = 'offered';
+  entry.offer = {
+    spotId: spotId,
+    half: half,
+    lotName: found.lot.name,
+    holdId: hold.holdId,
+    holdToken: hold.holdToken,
+    offeredAt: now,
+    expiresAt: hold.expiresAt
+  };
+  entry.history.push({ outcome: 'offered', spotId: spotId, half: half, at: now, by: by });
+
+  return { waitlistId: entry.waitlistId, fullName: entry.fullName, spotId: spotId, half: half };
+}
+
+/**
+ * Offer a cleared spot to the waitlist. A shared spot goes whole
+ * to one student and their partner if it can; otherwise each free
+ * half goes to a student without a partner.
+ * @param {object} db - Database draft
+ * @param {string} spotId - Spot identifier
+ * @param {string} by - Who cleared the spot
+ * @returns {object[]} Offers made (see offerSpot)
+ */
+function offerFreedSpot(db, spotId, by) {
+  const found = parking.findSpot(parking.loadLayout(db), spotId);
+  const whole = offerSpot(db, spotId, null, by);
+
+  if (whole || !found || found.spot.type !== 'shared') {
+    return [whole].filter(Boolean);
+  }
+  return parking.HALVES.map(half => offerSpot(db, spotId, half, by)).filter(Boolean);
+}
+
+/**
+ * Offer a spot (or half) again after its offer was declined or expired
+ * @param {object} db - Database draft
+ * @param {object} offer - The previous offer ({spotId, half})
+ * @param {string} by - Who closed the previous offer
+ * @returns {object[]} Offers made (see offerSpot)
+ */
+function reofferSpot(db, offer, by) {
+  return offer.half ? [offerSpot(db, offer.spotId, offer.half, by)].filter(Boolean) : offerFreedSpot(db, offer.spotId, by);
+}
+
+/**
+ * Expire offers whose hold ran out before the office recorded an
+ * answer, and offer those spots to the next students
+ * @param {object} db - Database draft
+ * @param {Date} [now] - Current time
+ * @returns {object} {expired: [{before, entry}], offers} (see offerSpot)
+ */
+function expireOffers(db, now = new Date()) {
+  const expired = [];
+  const offers = [];
+
+  db.waitlist.filter(entry => entry.status === 'offered' && new Date(entry.offer.expiresAt) <= now).forEach(entry => {
+    const before = describeEntry(db, entry);
+    const offer = entry.offer;
+
+    db.holds = holds.activeHolds(db).filter(hold => hold.holdId !== offer.holdId);
+    entry.status = 'expired';
+    entry.offer = null;
+    entry.history.push({ outcome: 'expired', spotId: offer.spotId, half: offer.half, at: now.toISOString(), by: SYSTEM });
+    expired.push({ before: before, entry: describeEntry(db, entry) });
+    offers.push(...reofferSpot(db, offer, SYSTEM));
+  });
+
+  return { expired: expired, offers: offers };
+}
+
+/**
+ * Record whether a student accepted or declined their offer
+ * @param {object} db - Database draft
+ * @param {string} waitlistId - Waitlist ID
+ * @param {string} outcome - 'accepted' or 'declined'
+ * @param {string} by - Admin recording the outcome
+ * @returns {object} {before, entry, registration, nextOffers}
+ */
+function recordOutcome(db, waitlistId, outcome, by) {
+  if (!OUTCOMES.includes(outcome)) {
+    throw new HttpError(400, 'Outcome must be accepted or declined');
+  }
+
+  const entry = findEntry(db, waitlistId);
+  if (entry.status === 'expired') {
+    throw new HttpError(409, `The offer to ${entry.fullName} expired and the spot went to the next student.`);
+  }
+  if (entry.status !== 'offered') {
+    throw new HttpError(409, `${entry.fullName} does not have an open offer.`);
+  }
+
+  const before = describeEntry(db, entry);
+  const offer = entry.offer;
+  let registration = null;
+  let nextOffers = [];
+
+  if (outcome === 'accepted') {
+    // Registers the student through the normal path; the offer's hold lets them have the spot.
+    // A whole shared spot: they take half A and their partner is invited to half B.
+    // A half: they are paired with the student on the other half, if any.
+    // The waitlist does not ask for vehicles; the office adds them to the registration later.
+    // Staff record the outcome, so the registration phases do not apply.
+    const found = parking.findSpot(parking.loadLayout(db), offer.spotId);
+    const shared = Boolean(found && found.spot.type === 'shared');
+    registration = registrations.createRegistration(db, {
+      fullName: entry.fullName,
+      studentId: entry.studentId,
+      email: entry.email,
+      phone: entry.phone,
+      gradeLevel: entry.gradeLevel,
+      parkingSpot: offer.spotId,
+      half: offer.half || (shared ? 'A' : null),
+      parkingPartner: entry.parkingPartner,
+      partnerStudentId: entry.partnerStudentId,
+      holdId: offer.holdId,
+      holdToken: offer.holdToken
+    }, { requireVehicles: false, ignorePhases: true, withoutInvite: Boolean(offer.half) });
+    entry.referenceId = registration.referenceId;
+  } else {
+    db.holds = holds.activeHolds(db).filter(hold => hold.holdId !== offer.holdId);
+  }
+
+  entry.status = outcome;
+  entry.offer = null;
+  entry.history.push({ outcome: outcome, spotId: offer.spotId, half: offer.half, at: new Date().toISOString(), by: by });
+
+  if (outcome === 'declined') {
+    nextOffers = reofferSpot(db, offer, by);
+  }
+
+  return { before: before, entry: describeEntry(db, entry), registration: registration, nextOffers: nextOffers };
+}
+
+/**
+ * Move an entry one place up or down among the students still waiting
+ * @param {object} db - Database draft
+ * @param {string} waitlistId - Waitlist ID
+ * @param {string} direction - 'up' or 'down'
+ * @returns {{entry: object, from: number, to: number}} Old and new positions
+ */
+function moveEntry(db, waitlistId, direction) {
+  if (direction !== 'up' && direction !== 'down') {
+    throw new HttpError(400, 'Direction must be up or down');
+  }
+
+  const entry = findEntry(db, waitlistId);
+  if (!isActiveEntry(entry)) {
+    throw new HttpError(409, `${entry.fullName} is no longer on the waitlist.`);
+  }
+
+  const from = positionOf(db, entry);
+  const active = db.waitlist.filter(isActiveEntry);
+  const neighbour = active[direction === 'up' ? from - 2 : from];
+  if (!neighbour) {
+    throw new HttpError(409, `${entry.fullName} is already ${direction === 'up' ? 'first' : 'last'} on the waitlist.`);
+  }
+
+  // Swap the two entries in place so accepted/declined entries keep their spots
+  const entryIndex = db.waitlist.indexOf(entry);
+  const neighbourIndex = db.waitlist.indexOf(neighbour);
+  db.waitlist[entryIndex] = neighbour;
+  db.waitlist[neighbourIndex] = entry;
+
+  return { entry: describeEntry(db, entry), from: from, to: positionOf(db, entry) };
+}
+
+/**
+ * Public status of an entry, for the student
+ * @param {object} db - Database
+ * @param {string} waitlistId - Waitlist ID
+ * @returns {object} {waitlistId, fullName, status, position, lotPreferences,
+ *   spotType, joinedAt, offer, referenceId}
+ */
+function getStatus(db, waitlistId) {
+  const entry = describeEntry(db, findEntry(db, waitlistId));
+  return {
+    waitlistId: entry.waitlistId,
+    fullName: entry.fullName,
+    status: entry.status,
+    position: entry.position,
+    lotPreferences: entry.lotPreferences,
+    spotType: entry.spotType,
+    joinedAt: entry.joinedAt,
+    offer: entry.offer ? { spotId: entry.offer.spotId, half: entry.offer.half,
+      lotName: entry.offer.lotName, expiresAt: entry.offer.expiresAt } : null,
+    referenceId: entry.referenceId || null
+  };
+}
+
+module.exports = {
+  OFFER_HOURS,
+  SPOT_PREFERENCES,
+  OUTCOMES,
+  listEntries,
+  joinWaitlist,
+  offerSpot,
+  offerFreedSpot,
+  expireOffers,
+  recordOutcome,
+  moveEntry,
+  getStatus
+};
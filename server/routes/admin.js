@@ -0,0 +1,599 @@
+/* ============================================================
+   ADMIN ROUTES
+   ============================================================
+   GET    /api/admin/registrations               - All registrations, each
+                                                   with its student's
+                                                   violation history
+   DELETE /api/admin/registrations/:referenceId  - Remove a student
+   PUT    /api/admin/registrations/:referenceId/vehicles - Replace a
+                                                   student's vehicles
+                                                   ({vehicles})
+   POST   /api/admin/spots/:spotId/clear         - Clear a spot (and offer
+                                                   it to the waitlist)
+   POST   /api/admin/reset                       - Reset all data
+   GET    /api/admin/lots                        - Lot layout for the editor
+   PUT    /api/admin/lots                        - Save an edited lot layout
+   GET    /api/admin/export                      - Full data snapshot
+   GET    /api/admin/audit                       - Audit log entries
+                                                   (?actor=&action=&from=&to=)
+   GET    /api/admin/waitlist                    - Waitlist in order
+   POST   /api/admin/waitlist/:waitlistId/move   - Move up or down
+                                                   ({direction})
+   POST   /api/admin/waitlist/:waitlistId/outcome - Record an accepted or
+                                                   declined offer ({outcome})
+   GET    /api/admin/duplicates                  - Duplicates & conflicts report
+   POST   /api/admin/duplicates/merge            - Merge duplicate registrations
+                                                   ({keepReferenceId,
+                                                   mergeReferenceIds})
+   POST   /api/admin/duplicates/resolve-spot     - Keep one student on a spot
+                                                   ({spotId, keepReferenceId})
+   POST   /api/admin/duplicates/repair-reservations - Match reservations to
+                                                   registrations
+   GET    /api/admin/roster                      - Eligibility roster and summary
+   POST   /api/admin/roster                      - Replace the roster from CSV
+                                                   ({csv, fileName})
+   GET    /api/admin/eligibility-reviews         - Manual review requests
+   POST   /api/admin/eligibility-reviews/:reviewId/decide - Approve or reject
+                                                   a review ({decision, note})
+   GET    /api/admin/violations                  - Violations, types and the
+                                                   consequence policy
+   POST   /api/admin/violations/:violationId/void - Void a violation
+                                                   ({reason})
+   GET    /api/admin/board                       - All partner-board posts
+   POST   /api/admin/board/posts/:postId/moderate - Hide or restore a post
+                                                   ({action, reason})
+   GET    /api/admin/swaps                       - Spot swaps and the swap policy
+   POST   /api/admin/swaps/:swapId/decide        - Approve or reject an
+                                                   accepted swap
+                                                   ({decision, reason})
+   GET    /api/admin/phase-overrides             - Registration schedule and
+                                                   phase overrides
+   POST   /api/admin/phase-overrides             - Let a student register
+                                                   outside their phase
+                                                   ({studentId, fullName,
+                                                   note, expiresAt})
+   DELETE /api/admin/phase-overrides/:studentId  - Remove an override
+   GET    /api/admin/lottery                     - Lottery applications and
+                                                   draws
+   POST   /api/admin/lottery/draws               - Run a lottery draw
+                                                   ({seed, waitlistUnassigned})
+   GET    /api/admin/lottery/draws/:drawId       - A full draw record (seed,
+                                                   entrants, spots, tickets
+                                                   and outcomes) for export
+   POST   /api/admin/lottery/draws/:drawId/verify - Re-run a draw from its
+                                                   seed and compare
+   GET    /api/admin/analytics                   - Occupancy and registration
+                                                   trends, uptake, grade mix
+                                                   and fill-rate projection
+   GET    /api/admin/export-presets              - Saved export presets
+   POST   /api/admin/export-presets              - Save an export preset
+                                                   ({name, view, format,
+                                                   columns, filters})
+   DELETE /api/admin/export-presets/:presetId    - Remove an export preset
+   POST   /api/admin/import/preview              - Check an import file and
+                                                   list what it would change
+                                                   ({format, mode, content,
+                                                   fileName})
+   POST   /api/admin/import                      - Apply a previewed import
+                                                   (same body plus the
+                                                   preview's fingerprint)
+
+   Every route requires an admin session token and the
+   permission listed on it (see lib/roles.js).
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const store = require('../lib/store');
+const parking = require('../lib/parking');
+const registrations = require('../lib/registrations');
+const holds = require('../lib/holds');
+const layout = require('../lib/layout');
+const waitlist = require('../lib/waitlist');
+const board = require('../lib/board');
+const duplicates = require('../lib/duplicates');
+const roster = require('../lib/roster');
+const vehicles = require('../lib/vehicles');
+const violations = require('../lib/violations');
+const swaps = require('../lib/swaps');
+const phases = require('../lib/phases');
+const lottery = require('../lib/lottery');
+const analytics = require('../lib/analytics');
+const exportPresets = require('../lib/export-presets');
+const dataImport = require('../lib/import');
+const audit = require('../lib/audit');
+const { PERMISSIONS } = require('../lib/roles');
+const { HttpError } = require('../lib/http');
+
+module.exports = [
+  {
+    method: 'GET',
+    path: '/api/admin/registrations',
+    permission: PERMISSIONS.VIEW,
+    handler: () => {
+      const db = store.read();
+      return db.registrations.map(registration =>
+        Object.assign({}, registration, { violations: violations.historyFor(db, registration.studentId) }));
+    }
+  },
+  {
+    method: 'DELETE',
+    path: '/api/admin/registrations/:referenceId',
+    permission: PERMISSIONS.EDIT_REGISTRATIONS,
+    handler: ({ params, session }) => {
+      const removed = store.update(db => registrations.removeRegistration(db, params.referenceId));
+      audit.record(audit.adminActor(session), 'registration.remove', removed.referenceId, removed, null);
+      console.log('✓ Registration removed:', removed.referenceId);
+      return removed;
+    }
+  },
+  {
+    method: 'PUT',
+    path: '/api/admin/registrations/:referenceId/vehicles',
+    permission: PERMISSIONS.EDIT_REGISTRATIONS,
+    handler: ({ params, body, session }) => {
+      const result = store.update(db => {
+        const registration = registrations.findRegistration(db, params.referenceId);
+        if (!registration) {
+          throw new HttpError(404, 'Registration not found');
+        }
+        return Object.assign({ registration: registration }, vehicles.updateVehicles(db, registration, body));
+      });
+      audit.record(audit.adminActor(session), 'registration.vehicles', params.referenceId,
+        { vehicles: result.before }, { vehicles: result.vehicles });
+      console.log('✓ Vehicles updated:', params.referenceId, `(${result.vehicles.length})`);
+      return result.registration;
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/admin/spots/:spotId/clear',
+    permission: PERMISSIONS.CLEAR_SPOTS,
+    handler: ({ params, session }) => {
+      const result = store.update(db => {
+        const removed = registrations.clearSpot(db, params.spotId);
+        return { removed: removed, offers: waitlist.offerFreedSpot(db, params.spotId, session.username) };
+      });
+      const who = audit.adminActor(session);
+      audit.record(who, 'spot.clear', params.spotId,
+        { registrations: result.removed }, { registrations: [] });
+      result.offers.forEach(offer => audit.record(who, 'waitlist.offer', offer.waitlistId, null, offer));
+      console.log('✓ Spot cleared:', params.spotId, `(${result.offers.length} waitlist offer(s))`);
+      return { spotId: params.spotId, removedRegistrations: result.removed, waitlistOffers: result.offers };
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/admin/reset',
+    permission: PERMISSIONS.RESET,
+    handler: ({ session }) => {
+      const before = store.update(db => {
+        const previous = { registrations: db.registrations, reservations: db.reservations, waitlist: db.waitlist,
+          partnerPosts: db.partnerPosts, partnerRequests: db.partnerRequests, violations: db.violations,
+          swaps: db.swaps, lotteryApplications: db.lotteryApplications, lotteryDraws: db.lotteryDraws };
+        db.registrations = [];
+        db.reservations = [];
+        db.holds = [];
+        db.waitlist = [];
+        db.partnerPosts = [];
+        db.partnerRequests = [];
+        db.violations = [];
+        db.swaps = [];
+        db.lotteryApplications = [];
+        db.lotteryDraws = [];
+        return previous;
+      });
+      audit.record(audit.adminActor(session), 'data.reset', null, before,
+        { registrations: [], reservations: [], waitlist: [], partnerPosts: [], partnerRequests: [], violations: [],
+          swaps: [], lotteryApplications: [], lotteryDraws: [] });
+      console.log('✓ All data reset');
+      return { reset: true };
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/admin/lots',
+    permission: PERMISSIONS.MANAGE_LOTS,
+    handler: () => parking.loadLayout()
+  },
+  {
+    method: 'PUT',
+    path: '/api/admin/lots',
+    permission: PERMISSIONS.MANAGE_LOTS,
+    handler: ({ body, session }) => {
+      const saved = store.update(db => layout.saveLayout(db, body.lots));
+      const changes = layout.diffLayouts(saved.before, saved.after);
+      audit.record(audit.adminActor(session), 'config.change', 'lots', changes.before, changes.after);
+      console.log('✓ Lot layout saved:', Object.keys(saved.after).length, 'lots');
+      return parking.getParkingData(holds.activeHolds(store.read()));
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/admin/export',
+    permission: PERMISSIONS.EXPORT,
+    handler: () => {
+      const parkingData = parking.getParkingData();
+      const studentSubmissions = store.read().registrations;
+      const violationRecords = store.read().violations;
+      const swapRecords = store.read().swaps;
+      const lotteryDraws = store.read().lotteryDraws;
+
+      return {
+        exportDate: new Date().toISOString(),
+        parkingData: parkingData,
+        studentSubmissions: studentSubmissions,
+        vehicles: studentSubmissions.flatMap(registration => (registration.vehicles || []).map(vehicle =>
+          Object.assign({}, vehicle, {
+            fullName: registration.fullName,
+            studentId: registration.studentId,
+            referenceId: registration.referenceId,
+            parkingSpot: registration.parkingSpot,
+            half: registration.half || null
+          }))),
+        holds: store.read().holds,
+        waitlist: store.read().waitlist,
+        partnerPosts: store.read().partnerPosts,
+        partnerRequests: store.read().partnerRequests,
+        roster: store.read().roster,
+        eligibilityReviews: store.read().eligibilityReviews,
+        violations: violationRecords,
+        swaps: swapRecords,
+        phaseOverrides: store.read().phaseOverrides,
+        lotteryApplications: store.read().lotteryApplications,
+        lotteryDraws: lotteryDraws,
+        statistics: {
+          totalRegistrations: studentSubmissions.length,
+          totalViolations: violationRecords.filter(violation => !violation.voided).length,
+          completedSwaps: swapRecords.filter(swap => swap.status === 'completed').length,
+          lotteryDraws: lotteryDraws.length,
+          totalVehicles: studentSubmissions.reduce((sum, registration) => sum + (registration.vehicles || []).length, 0),
+          exportedSpots: Object.values(parkingData).reduce((sum, lot) => sum + lot.spots.length, 0)
+        }
+      };
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/admin/audit',
+    permission: PERMISSIONS.VIEW,
+    handler: ({ query }) => {
+      const allEntries = audit.readEntries();
+
+      return {
+        entries: audit.readEntries({
+          actor: query.get('actor') || '',
+          action: query.get('action') || '',
+          from: query.get('from') || '',
+          to: query.get('to') || ''
+        }),
+        actors: [...new Set(allEntries.map(entry => entry.actor))].sort(),
+        actions: audit.ACTIONS
+      };
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/admin/waitlist',
+    permission: PERMISSIONS.VIEW,
+    handler: () => waitlist.listEntries(store.read())
+  },
+  {
+    method: 'POST',
+    path: '/api/admin/waitlist/:waitlistId/move',
+    permission: PERMISSIONS.EDIT_REGISTRATIONS,
+    handler: ({ params, body, session }) => {
+      const moved = store.update(db => waitlist.moveEntry(db, params.waitlistId, body.direction));
+      audit.record(audit.adminActor(session), 'waitlist.reorder', params.waitlistId,
+        { position: moved.from }, { position: moved.to });
+      console.log('✓ Waitlist entry moved:', params.waitlistId, `${moved.from} → ${moved.to}`);
+      return moved.entry;
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/admin/waitlist/:waitlistId/outcome',
+    permission: PERMISSIONS.EDIT_REGISTRATIONS,
+    handler: ({ params, body, session }) => {
+      // Expire stale offers first so an answer cannot be recorded for one
+      const expiry = store.update(db => waitlist.expireOffers(db));
+      const system = audit.systemActor();
+      expiry.expired.forEach(item => audit.record(system, 'waitlist.expire', item.entry.waitlistId, item.before, item.entry));
+      expiry.offers.forEach(offer => audit.record(system, 'waitlist.offer', offer.waitlistId, null, offer));
+
+      const result = store.update(db => waitlist.recordOutcome(db, params.waitlistId, body.outcome, session.username));
+      const who = audit.adminActor(session);
+
+      audit.record(who, result.entry.status === 'accepted' ? 'waitlist.accept' : 'waitlist.decline',
+        params.waitlistId, result.before, result.entry);
+      if (result.registration) {
+        audit.record(who, 'registration.submit', result.registration.referenceId, null, result.registration);
+      }
+      result.nextOffers.forEach(offer => audit.record(who, 'waitlist.offer', offer.waitlistId, null, offer));
+
+      console.log('✓ Waitlist outcome recorded:', params.waitlistId, result.entry.status);
+      return { entry: result.entry, registration: result.registration, nextOffers: result.nextOffers };
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/admin/duplicates',
+    permission: PERMISSIONS.VIEW,
+    handler: () => duplicates.buildReport(store.read())
+  },
+  {
+    method: 'POST',
+    path: '/api/admin/duplicates/merge',
+    permission: PERMISSIONS.EDIT_REGISTRATIONS,
+    handler: ({ body, session }) => {
+      const result = store.update(db => duplicates.mergeRegistrations(db, body));
+      const who = audit.adminActor(session);
+
+      audit.record(who, 'registration.merge', result.kept.referenceId, result.before, result.kept);
+      result.removed.forEach(registration => {
+        audit.record(who, 'registration.remove', registration.referenceId, registration, null);
+      });
+      console.log('✓ Registrations merged into', result.kept.referenceId + ':', result.removed.length);
+      return { kept: result.kept, removed: result.removed };
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/admin/duplicates/resolve-spot',
+    permission: PERMISSIONS.EDIT_REGISTRATIONS,
+    handler: ({ body, session }) => {
+      const result = store.update(db => duplicates.resolveSpotConflict(db, body));
+      const who = audit.adminActor(session);
+
+      audit.record(who, 'spot.resolve', result.kept.parkingSpot, result.removed, result.kept);
+      result.removed.forEach(registration => {
+        audit.record(who, 'registration.remove', registration.referenceId, registration, null);
+      });
+      console.log('✓ Spot conflict resolved:', result.kept.parkingSpot, `kept ${result.kept.referenceId}`);
+      return result;
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/admin/duplicates/repair-reservations',
+    permission: PERMISSIONS.EDIT_REGISTRATIONS,
+    handler: ({ session }) => {
+      const result = store.update(db => duplicates.repairReservations(db));
+      audit.record(audit.adminActor(session), 'reservations.repair', null,
+        { removed: result.removed }, { added: result.added, skipped: result.skipped.map(r => r.referenceId) });
+      console.log('✓ Reservations repaired:', `${result.removed.length} removed, ${result.added.length} added`);
+      return result;
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/admin/roster',
+    permission: PERMISSIONS.VIEW,
+    handler: () => {
+      const db = store.read();
+      return { summary: roster.summarizeRoster(db.roster), students: db.roster ? db.roster.students : [] };
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/admin/roster',
+    permission: PERMISSIONS.MANAGE_ROSTER,
+    handler: ({ body, session }) => {
+      const result = store.update(db => roster.importRoster(db, body, session.username));
+      audit.record(audit.adminActor(session), 'roster.import', 'roster', result.before, result.roster);
+      console.log('✓ Eligibility roster imported:', result.roster.total, 'students');
+      return result.roster;
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/admin/eligibility-reviews',
+    permission: PERMISSIONS.VIEW,
+    handler: () => roster.listReviews(store.read())
+  },
+  {
+    method: 'POST',
+    path: '/api/admin/eligibility-reviews/:reviewId/decide',
+    permission: PERMISSIONS.EDIT_REGISTRATIONS,
+    handler: ({ params, body, session }) => {
+      const result = store.update(db => roster.decideReview(db, params.reviewId, body, session.username));
+      const action = result.review.status === 'approved' ? 'eligibility.approve' : 'eligibility.reject';
+      audit.record(audit.adminActor(session), action, params.reviewId, result.before, result.review);
+      console.log('✓ Eligibility review', result.review.status + ':', params.reviewId);
+      return result.review;
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/admin/violations',
+    permission: PERMISSIONS.VIEW,
+    handler: () => Object.assign(violations.describePolicy(), {
+      violations: store.read().violations.slice().reverse()
+    })
+  },
+  {
+    method: 'POST',
+    path: '/api/admin/violations/:violationId/void',
+    permission: PERMISSIONS.EDIT_REGISTRATIONS,
+    handler: ({ params, body, session }) => {
+      const result = store.update(db => violations.voidViolation(db, params.violationId, body, session.username));
+      audit.record(audit.adminActor(session), 'violation.void', params.violationId, result.before, result.violation);
+      console.log('✓ Violation voided:', params.violationId,
+        result.liftedSuspension ? '(suspension lifted)' : '');
+      return result.violation;
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/admin/board',
+    permission: PERMISSIONS.VIEW,
+    handler: () => board.listPosts(store.read())
+  },
+  {
+    method: 'POST',
+    path: '/api/admin/board/posts/:postId/moderate',
+    permission: PERMISSIONS.EDIT_REGISTRATIONS,
+    handler: ({ params, body, session }) => {
+      const result = store.update(db => board.moderatePost(db, params.postId, body, session.username));
+      audit.record(audit.adminActor(session), result.post.hidden ? 'board.hide' : 'board.restore',
+        params.postId, result.before, result.post);
+      console.log('✓ Board post moderated:', params.postId, result.post.hidden ? 'hidden' : 'restored');
+      return result.post;
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/admin/swaps',
+    permission: PERMISSIONS.VIEW,
+    // Listing closes expired and stale swaps, so it saves
+    handler: () => store.update(db => swaps.listSwaps(db))
+  },
+  {
+    method: 'POST',
+    path: '/api/admin/swaps/:swapId/decide',
+    permission: PERMISSIONS.EDIT_REGISTRATIONS,
+    handler: ({ params, body, session }) => {
+      const result = store.update(db => swaps.decideSwap(db, params.swapId, body, session.username));
+      const who = audit.adminActor(session);
+      audit.record(who, result.completed ? 'swap.approve' : 'swap.reject', params.swapId, null, result.swap);
+      if (result.completed) {
+        result.completed.registrations.forEach((registration, index) => {
+          audit.record(who, 'swap.complete', params.swapId, result.completed.before[index], registration);
+        });
+      }
+      console.log('✓ Swap', result.swap.status + ':', params.swapId);
+      return result.swap;
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/admin/phase-overrides',
+    permission: PERMISSIONS.VIEW,
+    handler: () => phases.listOverrides(store.read())
+  },
+  {
+    method: 'POST',
+    path: '/api/admin/phase-overrides',
+    permission: PERMISSIONS.EDIT_REGISTRATIONS,
+    handler: ({ body, session }) => {
+      const result = store.update(db => phases.grantOverride(db, body, session.username));
+      audit.record(audit.adminActor(session), 'phase.override', result.override.studentId, result.before, result.override);
+      console.log('✓ Registration phase override granted:', result.override.studentId);
+      return result.override;
+    }
+  },
+  {
+    method: 'DELETE',
+    path: '/api/admin/phase-overrides/:studentId',
+    permission: PERMISSIONS.EDIT_REGISTRATIONS,
+    handler: ({ params, session }) => {
+      const override = store.update(db => phases.removeOverride(db, params.studentId));
+      audit.record(audit.adminActor(session), 'phase.override-remove', params.studentId, override, null);
+      console.log('✓ Registration phase override removed:', params.studentId);
+      return override;
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/admin/lottery',
+    permission: PERMISSIONS.VIEW,
+    handler: () => lottery.listLottery(store.read())
+  },
+  {
+    method: 'POST',
+    path: '/api/admin/lottery/draws',
+    permission: PERMISSIONS.RUN_LOTTERY,
+    handler: (context) => {
+      const result = store.update(db => lottery.drawLottery(db, context.body, context.session.username));
+      const who = audit.adminActor(context.session);
+
+      // The whole draw goes in the audit log, so it can be re-run even after a reset
+      audit.record(who, 'lottery.draw', result.draw.drawId, null, result.draw);
+      result.registrations.forEach(registration => {
+        audit.record(who, 'registration.submit', registration.referenceId, null, registration);
+      });
+      result.waitlistEntries.forEach(entry => {
+        audit.record(who, 'waitlist.join', entry.waitlistId, null, entry);
+      });
+
+      const summary = lottery.summarizeDraw(result.draw);
+      console.log('✓ Lottery drawn:', summary.drawId, `(${summary.assigned} assigned, ${summary.unassigned} without a spot)`);
+      context.status = 201;
+      return summary;
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/admin/lottery/draws/:drawId',
+    permission: PERMISSIONS.EXPORT,
+    handler: ({ params }) => lottery.findDraw(store.read(), params.drawId)
+  },
+  {
+    method: 'POST',
+    path: '/api/admin/lottery/draws/:drawId/verify',
+    permission: PERMISSIONS.VIEW,
+    handler: ({ params }) => {
+      const result = lottery.verifyDraw(store.read(), params.drawId);
+      console.log(result.matches ? '✓ Lottery draw verified:' : '✗ Lottery draw does not match its seed:', params.drawId);
+      return result;
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/admin/analytics',
+    permission: PERMISSIONS.VIEW,
+    handler: () => analytics.buildAnalytics(store.read())
+  },
+  {
+    method: 'GET',
+    path: '/api/admin/export-presets',
+    permission: PERMISSIONS.EXPORT,
+    handler: () => exportPresets.listPresets(store.read())
+  },
+  {
+    method: 'POST',
+    path: '/api/admin/export-presets',
+    permission: PERMISSIONS.EXPORT,
+    handler: (context) => {
+      const result = store.update(db => exportPresets.savePreset(db, context.body, context.session.username));
+      audit.record(audit.adminActor(context.session), 'export.preset', result.preset.presetId, result.before, result.preset);
+      console.log('✓ Export preset saved:', result.preset.name);
+      context.status = result.before ? 200 : 201;
+      return result.preset;
+    }
+  },
+  {
+    method: 'DELETE',
+    path: '/api/admin/export-presets/:presetId',
+    permission: PERMISSIONS.EXPORT,
+    handler: ({ params, session }) => {
+      const preset = store.update(db => exportPresets.removePreset(db, params.presetId));
+      audit.record(audit.adminActor(session), 'export.preset-remove', params.presetId, preset, null);
+      console.log('✓ Export preset removed:', preset.name);
+      return preset;
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/admin/import/preview',
+    permission: PERMISSIONS.IMPORT_DATA,
+    handler: ({ body }) => dataImport.previewImport(store.read(), body)
+  },
+  {
+    method: 'POST',
+    path: '/api/admin/import',
+    permission: PERMISSIONS.IMPORT_DATA,
+    handler: ({ body, session }) => {
+      const result = store.update(db => dataImport.applyImport(db, body));
+      const counts = result.summary.counts.registrations;
+      audit.record(audit.adminActor(session), 'data.import', result.summary.fileName || null, result.before, result.after);
+      console.log('✓ Data imported:', result.summary.mode, result.summary.fileName,
+        `(${counts.added} added, ${counts.updated} updated, ${counts.removed} removed, ` +
+        `${result.summary.rejectedTotal} rejected)`);
+      return result.summary;
+    }
+  }
+];
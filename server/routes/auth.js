@@ -0,0 +1,79 @@
+/* ============================================================
+   ADMIN AUTHENTICATION ROUTES
+   ============================================================
+   POST /api/admin/login    - Exchange username + password for a token
+   POST /api/admin/logout   - End the current session
+   GET  /api/admin/session  - Check a token; returns the logged-in
+                              account, its role and permissions
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const auth = require('../lib/auth');
+const accounts = require('../lib/accounts');
+const audit = require('../lib/audit');
+const { HttpError } = require('../lib/http');
+
+module.exports = [
+  {
+    method: 'POST',
+    path: '/api/admin/login',
+    handler: ({ req, body }) => {
+      auth.checkLoginAllowed(req);
+
+      const username = typeof body.username === 'string' ? body.username.trim() : '';
+      const password = typeof body.password === 'string' ? body.password : '';
+      if (!username || !password) {
+        throw new HttpError(400, 'Please enter your username and password.');
+      }
+
+      const account = accounts.verifyCredentials(username, password);
+      if (!account) {
+        const remaining = auth.recordFailedLogin(req);
+        audit.record({ actor: username, actorType: 'admin' }, 'admin.login-failed',
+          req.socket.remoteAddress || null, null, { attemptsRemaining: remaining });
+        console.warn('✗ Admin login failed for user:', username);
+
+        if (remaining === 0) {
+          throw new HttpError(429, 'Too many failed login attempts. Login is locked for 15 minutes.');
+        }
+        throw new HttpError(401, `Invalid username or password. ${remaining} attempt(s) remaining.`);
+      }
+
+      auth.clearFailedLogins(req);
+      audit.record(audit.adminActor(account), 'admin.login', null, null, { role: account.role });
+      console.log('✓ Admin login successful:', account.username);
+      return Object.assign(auth.issueToken(account), { account: accounts.publicAccount(account) });
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/admin/logout',
+    auth: true,
+    handler: ({ session }) => {
+      auth.revokeSession(session);
+      audit.record(audit.adminActor(session), 'admin.logout', null, null, null);
+      console.log('✓ Admin logged out:', session.username);
+      return { loggedOut: true };
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/admin/session',
+    auth: true,
+    handler: ({ session }) => ({
+      authenticated: true,
+      expiresAt: new Date(session.exp).toISOString(),
+      account: {
+        username: session.username,
+        displayName: session.displayName,
+        role: session.role,
+        roleLabel: session.roleLabel,
+        permissions: session.permissions
+      }
+    })
+  }
+];
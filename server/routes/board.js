@@ -0,0 +1,89 @@
+/* ============================================================
+   PARTNER-FINDER BOARD ROUTES
+   ============================================================
+   GET  /api/board                               - Open posts (?lot=)
+   POST /api/board/posts                         - Post on the board
+   POST /api/board/posts/:postId/view            - Own post, requests
+                                                   and match ({postToken})
+   POST /api/board/posts/:postId/withdraw        - Take a post down
+                                                   ({postToken})
+   POST /api/board/requests                      - Send a match request
+                                                   ({fromPostId, postToken,
+                                                   toPostId})
+   POST /api/board/requests/:requestId/respond   - Accept or decline
+                                                   ({postToken, accept})
+   POST /api/board/requests/:requestId/cancel    - Cancel a sent request
+                                                   ({postToken})
+
+   Admin moderation routes live in routes/admin.js.
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const store = require('../lib/store');
+const board = require('../lib/board');
+const audit = require('../lib/audit');
+
+module.exports = [
+  {
+    method: 'GET',
+    path: '/api/board',
+    handler: ({ query }) => board.listBoard(store.read(), query.get('lot') || '')
+  },
+  {
+    method: 'POST',
+    path: '/api/board/posts',
+    handler: (context) => {
+      const created = store.update(db => board.createPost(db, context.body));
+      audit.record(audit.studentActor(created.post), 'board.post', created.post.postId, null, created.post);
+      console.log('✓ Board post created:', created.post.postId);
+      context.status = 201;
+      return created;
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/board/posts/:postId/view',
+    handler: ({ params, body }) => board.getOwnPost(store.read(), params.postId, body)
+  },
+  {
+    method: 'POST',
+    path: '/api/board/posts/:postId/withdraw',
+    handler: ({ params, body }) => {
+      const result = store.update(db => board.withdrawPost(db, params.postId, body));
+      audit.record(audit.studentActor(result.post), 'board.withdraw', params.postId, result.before, result.post);
+      console.log('✓ Board post withdrawn:', params.postId);
+      return board.getOwnPost(store.read(), params.postId, body);
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/board/requests',
+    handler: (context) => {
+      const request = store.update(db => board.sendRequest(db, context.body));
+      console.log('✓ Match request sent:', request.requestId);
+      context.status = 201;
+      return request;
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/board/requests/:requestId/respond',
+    handler: ({ params, body }) => {
+      const result = store.update(db => board.respondToRequest(db, params.requestId, body));
+      if (result.request.status === 'accepted') {
+        audit.record(audit.studentActor(result.post), 'board.match', params.requestId, null, result.request);
+      }
+      console.log('✓ Match request', result.request.status + ':', params.requestId);
+      return result.post;
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/board/requests/:requestId/cancel',
+    handler: ({ params, body }) => store.update(db => board.cancelRequest(db, params.requestId, body))
+  }
+];
@@ -0,0 +1,33 @@
+/* ============================================================
+   SPOT HOLD ROUTES
+   ============================================================
+   POST /api/holds                   - Hold a spot for 10 minutes
+                                       (releases previousHoldId)
+   POST /api/holds/:holdId/release   - Give up a hold early
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const store = require('../lib/store');
+const holds = require('../lib/holds');
+
+module.exports = [
+  {
+    method: 'POST',
+    path: '/api/holds',
+    handler: (context) => {
+      const hold = store.update(db => holds.placeHold(db, context.body));
+      console.log('✓ Spot held:', hold.spotId + (hold.half ? `-${hold.half}` : ''));
+      context.status = 201;
+      return hold;
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/holds/:holdId/release',
+    handler: ({ params, body }) => store.update(db => holds.releaseHold(db, params.holdId, body.holdToken))
+  }
+];
@@ -0,0 +1,37 @@
+/* ============================================================
+   LOT & SPOT ROUTES
+   ============================================================
+   GET /api/lots            - All lots with current spot status
+                              (?holdId= shows the caller's own
+                              held spot as available)
+   GET /api/spots/:spotId   - One spot with its lot
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const store = require('../lib/store');
+const parking = require('../lib/parking');
+const holds = require('../lib/holds');
+const { HttpError } = require('../lib/http');
+
+module.exports = [
+  {
+    method: 'GET',
+    path: '/api/lots',
+    handler: ({ query }) => parking.getParkingData(holds.activeHolds(store.read(), query.get('holdId') || undefined))
+  },
+  {
+    method: 'GET',
+    path: '/api/spots/:spotId',
+    handler: ({ params }) => {
+      const found = parking.findSpot(parking.getParkingData(holds.activeHolds(store.read())), params.spotId);
+      if (!found) {
+        throw new HttpError(404, `Parking spot ${params.spotId} does not exist`);
+      }
+      return Object.assign({ lotKey: found.lotKey, lot: found.lot.name }, found.spot);
+    }
+  }
+];
@@ -0,0 +1,39 @@
+/* ============================================================
+   STUDENT LOTTERY ROUTES
+   ============================================================
+   POST /api/lottery/applications                 - Apply for the
+                                                    parking lottery
+   GET  /api/lottery/applications/:applicationId  - Status and, once
+                                                    drawn, the result
+
+   Applications are only taken during a lottery phase (see
+   lib/phases.js). Admin lottery routes live in routes/admin.js.
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const store = require('../lib/store');
+const lottery = require('../lib/lottery');
+const audit = require('../lib/audit');
+
+module.exports = [
+  {
+    method: 'POST',
+    path: '/api/lottery/applications',
+    handler: (context) => {
+      const application = store.update(db => lottery.apply(db, context.body));
+      audit.record(audit.studentActor(application), 'lottery.apply', application.applicationId, null, application);
+      console.log('✓ Lottery application received:', application.applicationId);
+      context.status = 201;
+      return lottery.getStatus(store.read(), application.applicationId);
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/lottery/applications/:applicationId',
+    handler: ({ params }) => lottery.getStatus(store.read(), params.applicationId)
+  }
+];
@@ -0,0 +1,52 @@
+/* ============================================================
+   REGISTRATION PHASE ROUTES
+   ============================================================
+   GET  /api/registration-phase        - The phase now, the next
+                                         one and the whole schedule
+   POST /api/registration-phase/check  - Whether a student may
+                                         register now ({studentId,
+                                         gradeLevel, inviteCode})
+
+   Joining a partner skips the phase only with a valid invite for
+   the student, checked as when registering (lib/partners.js).
+   The answer uses the grade as the student typed it, never the
+   roster, so it cannot tell anyone who is on the roster;
+   registering checks the phase again with the roster's grade.
+
+   The phases come from public/data/config.json (see
+   lib/phases.js); overrides are managed in routes/admin.js.
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const store = require('../lib/store');
+const phases = require('../lib/phases');
+const partners = require('../lib/partners');
+
+module.exports = [
+  {
+    method: 'GET',
+    path: '/api/registration-phase',
+    handler: () => phases.describeSchedule()
+  },
+  {
+    method: 'POST',
+    path: '/api/registration-phase/check',
+    handler: ({ body }) => {
+      const db = store.read();
+      const joiningPartner = Boolean(body.inviteCode);
+      if (joiningPartner) {
+        partners.checkInviteAcceptance(db, body);
+      }
+      const result = phases.checkStudent(db, {
+        studentId: body.studentId,
+        gradeLevel: body.gradeLevel
+      }, { joiningPartner: joiningPartner });
+
+      return { allowed: result.allowed, override: result.override, message: result.message };
+    }
+  }
+];
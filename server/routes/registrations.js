@@ -0,0 +1,114 @@
+/* ============================================================
+   STUDENT REGISTRATION ROUTES
+   ============================================================
+   POST /api/registrations               - Submit a registration
+   GET  /api/registrations/:referenceId  - Look up a registration
+                                           (?studentId= must match;
+                                           also by a reference
+                                           replaced in a swap)
+   GET  /api/invites/:inviteCode         - Describe a partner invite
+   POST /api/my-registration             - Look up your registration
+                                           ({studentId, referenceId})
+   PUT  /api/my-registration/contact     - Update your email and phone
+   POST /api/my-registration/move        - Switch to another spot
+                                           (held on the parking page)
+   POST /api/my-registration/cancel      - Cancel and free your spot
+
+   Looking up a registration needs both the student ID and the
+   reference number: in the query string for the GET route, in
+   the body for the my-registration routes (see
+   lib/self-service.js). A spot freed by
+   a switch or cancellation is offered to the waitlist.
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const store = require('../lib/store');
+const registrations = require('../lib/registrations');
+const partners = require('../lib/partners');
+const selfService = require('../lib/self-service');
+const waitlist = require('../lib/waitlist');
+const audit = require('../lib/audit');
+
+module.exports = [
+  {
+    method: 'POST',
+    path: '/api/registrations',
+    handler: (context) => {
+      const registration = store.update(db => registrations.createRegistration(db, context.body));
+      audit.record(audit.studentActor(registration), 'registration.submit',
+        registration.referenceId, null, registration);
+      console.log('✓ Registration saved:', registration.referenceId);
+      context.status = 201;
+      return registration;
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/registrations/:referenceId',
+    handler: ({ params, query }) => selfService.findOwnRegistration(store.read(), {
+      studentId: query.get('studentId') || '',
+      referenceId: params.referenceId
+    })
+  },
+  {
+    method: 'GET',
+    path: '/api/invites/:inviteCode',
+    handler: ({ params }) => partners.describeInvite(store.read(), params.inviteCode)
+  },
+  {
+    method: 'POST',
+    path: '/api/my-registration',
+    handler: ({ body }) => selfService.findOwnRegistration(store.read(), body)
+  },
+  {
+    method: 'PUT',
+    path: '/api/my-registration/contact',
+    handler: ({ body }) => {
+      const result = store.update(db => selfService.updateContact(db, body));
+      const registration = result.registration;
+      audit.record(audit.studentActor(registration), 'registration.update',
+        registration.referenceId, result.before, registration);
+      console.log('✓ Contact details updated:', registration.referenceId);
+      return registration;
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/my-registration/move',
+    handler: ({ body }) => {
+      const result = store.update(db => {
+        const moved = selfService.moveRegistration(db, body);
+        moved.offers = waitlist.offerFreedSpot(db, moved.before.parkingSpot, `student:${moved.before.studentId}`);
+        return moved;
+      });
+      const who = audit.studentActor(result.registration);
+      audit.record(who, 'registration.move', result.registration.referenceId, result.before, result.registration);
+      result.offers.forEach(offer => audit.record(who, 'waitlist.offer', offer.waitlistId, null, offer));
+      console.log('✓ Registration moved:', result.registration.referenceId,
+        `${result.before.parkingSpot} → ${result.registration.parkingSpot}`);
+      return result.registration;
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/my-registration/cancel',
+    handler: ({ body }) => {
+      const result = store.update(db => {
+        const cancelled = selfService.cancelRegistration(db, body);
+        return {
+          cancelled: cancelled,
+          offers: waitlist.offerFreedSpot(db, cancelled.parkingSpot, `student:${cancelled.studentId}`)
+        };
+      });
+      const who = audit.studentActor(result.cancelled);
+      audit.record(who, 'registration.cancel', result.cancelled.referenceId, result.cancelled, null);
+      result.offers.forEach(offer => audit.record(who, 'waitlist.offer', offer.waitlistId, null, offer));
+      console.log('✓ Registration cancelled:', result.cancelled.referenceId);
+      return { cancelled: true, referenceId: result.cancelled.referenceId };
+    }
+  }
+];
@@ -0,0 +1,44 @@
+/* ============================================================
+   STUDENT ELIGIBILITY ROUTES
+   ============================================================
+   POST /api/roster/verify          - Whether a student ID and name
+                                      pair is eligible
+                                      ({studentId, fullName}); no
+                                      roster data is returned
+   POST /api/eligibility-reviews    - Ask the office for a manual
+                                      eligibility review
+
+   Roster import and review decisions live in routes/admin.js.
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const store = require('../lib/store');
+const roster = require('../lib/roster');
+const audit = require('../lib/audit');
+
+module.exports = [
+  {
+    method: 'POST',
+    path: '/api/roster/verify',
+    handler: ({ body }) => roster.verifyStudent(store.read(), body)
+  },
+  {
+    method: 'POST',
+    path: '/api/eligibility-reviews',
+    handler: (context) => {
+      const result = store.update(db => roster.requestReview(db, context.body));
+      const review = result.review;
+
+      if (result.created) {
+        audit.record(audit.studentActor(review), 'eligibility.request', review.reviewId, null, review);
+        console.log('✓ Eligibility review requested:', review.reviewId);
+        context.status = 201;
+      }
+      return { reviewId: review.reviewId, status: review.status, requestedAt: review.requestedAt };
+    }
+  }
+];
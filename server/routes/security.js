@@ -0,0 +1,84 @@
+/* ============================================================
+   SECURITY ROUTES
+   ============================================================
+   GET  /api/security/verify      - Check a permit (?q= reference
+                                    number, license plate or
+                                    spot ID; &state= for a plate)
+   GET  /api/security/violation-policy
+                                  - Violation types, plate states
+                                    and the consequence policy
+   POST /api/security/violations  - Log a violation ({type, notes,
+                                    spotId, plate, state,
+                                    referenceId, occurredAt});
+                                    applies the consequence the
+                                    student reached
+
+   Require an admin session whose role can verify permits or
+   log violations (security staff, clerks and coordinators).
+   Violations are listed and voided in routes/admin.js.
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const store = require('../lib/store');
+const permits = require('../lib/permits');
+const registrations = require('../lib/registrations');
+const violations = require('../lib/violations');
+const waitlist = require('../lib/waitlist');
+const audit = require('../lib/audit');
+const { PERMISSIONS } = require('../lib/roles');
+
+module.exports = [
+  {
+    method: 'GET',
+    path: '/api/security/verify',
+    permission: PERMISSIONS.VERIFY_PERMITS,
+    handler: ({ query }) => permits.verifyPermit(store.read(), query.get('q'), query.get('state'))
+  },
+  {
+    method: 'GET',
+    path: '/api/security/violation-policy',
+    permission: PERMISSIONS.RECORD_VIOLATIONS,
+    handler: () => violations.describePolicy()
+  },
+  {
+    method: 'POST',
+    path: '/api/security/violations',
+    permission: PERMISSIONS.RECORD_VIOLATIONS,
+    handler: (context) => {
+      const session = context.session;
+      const result = store.update(db => {
+        const recorded = violations.recordViolation(db, context.body, session.username);
+        const consequence = recorded.violation.consequence;
+        recorded.revoked = null;
+        recorded.offers = [];
+
+        // Revocation frees the spot and offers it to the waitlist
+        if (consequence && consequence.action === 'revocation') {
+          recorded.revoked = registrations.removeRegistration(db, recorded.registration.referenceId);
+          recorded.offers = waitlist.offerFreedSpot(db, recorded.revoked.parkingSpot, session.username);
+        }
+        return recorded;
+      });
+
+      const who = audit.adminActor(session);
+      const violation = result.violation;
+      audit.record(who, 'violation.record', violation.violationId, null, violation);
+      if (result.suspended) {
+        audit.record(who, 'registration.suspend', violation.referenceId, null, result.registration.suspension);
+      }
+      if (result.revoked) {
+        audit.record(who, 'registration.revoke', violation.referenceId, result.revoked, null);
+      }
+      result.offers.forEach(offer => audit.record(who, 'waitlist.offer', offer.waitlistId, null, offer));
+      console.log('✓ Violation recorded:', violation.violationId,
+        violation.consequence ? `(${violation.consequence.action})` : '(no student)');
+
+      context.status = 201;
+      return { violation: violation, waitlistOffers: result.offers };
+    }
+  }
+];
@@ -0,0 +1,74 @@
+/* ============================================================
+   SPOT SWAP ROUTES
+   ============================================================
+   POST /api/swaps                    - Propose a swap ({studentId,
+                                        referenceId, spotId, half,
+                                        message})
+   POST /api/swaps/mine               - Your swaps ({studentId,
+                                        referenceId})
+   POST /api/swaps/:swapId/respond    - Accept or decline a swap
+                                        proposed to you ({studentId,
+                                        referenceId, accept})
+   POST /api/swaps/:swapId/cancel     - Cancel a swap you proposed
+                                        ({studentId, referenceId})
+
+   Students prove who they are with their student ID and
+   reference number (see lib/self-service.js). Admin swap
+   routes live in routes/admin.js.
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const store = require('../lib/store');
+const swaps = require('../lib/swaps');
+const audit = require('../lib/audit');
+
+module.exports = [
+  {
+    method: 'POST',
+    path: '/api/swaps',
+    handler: (context) => {
+      const swap = store.update(db => swaps.proposeSwap(db, context.body));
+      audit.record(audit.studentActor(swap.from), 'swap.propose', swap.swapId, null, swap);
+      console.log('✓ Swap proposed:', swap.swapId);
+      context.status = 201;
+      return store.update(db => swaps.listOwnSwaps(db, context.body));
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/swaps/mine',
+    handler: ({ body }) => store.update(db => swaps.listOwnSwaps(db, body))
+  },
+  {
+    method: 'POST',
+    path: '/api/swaps/:swapId/respond',
+    handler: ({ params, body }) => {
+      const result = store.update(db => swaps.respondToSwap(db, params.swapId, body));
+      const who = audit.studentActor(result.swap.to);
+      audit.record(who, result.swap.status === 'declined' ? 'swap.decline' : 'swap.accept',
+        result.swap.swapId, null, result.swap);
+      if (result.completed) {
+        // One entry per student, from the old reference number to the new one
+        result.completed.registrations.forEach((registration, index) => {
+          audit.record(who, 'swap.complete', result.swap.swapId, result.completed.before[index], registration);
+        });
+        console.log('✓ Swap completed:', result.swap.swapId);
+      }
+      // The old reference number still finds the registration (see lib/registrations.js)
+      return store.update(db => swaps.listOwnSwaps(db, body));
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/swaps/:swapId/cancel',
+    handler: ({ params, body }) => {
+      const swap = store.update(db => swaps.cancelSwap(db, params.swapId, body));
+      audit.record(audit.studentActor(swap.from), 'swap.cancel', swap.swapId, null, swap);
+      return store.update(db => swaps.listOwnSwaps(db, body));
+    }
+  }
+];
@@ -0,0 +1,36 @@
+/* ============================================================
+   STUDENT WAITLIST ROUTES
+   ============================================================
+   POST /api/waitlist               - Join the waitlist
+   GET  /api/waitlist/:waitlistId   - Position and any open offer
+
+   Admin waitlist routes live in routes/admin.js.
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const store = require('../lib/store');
+const waitlist = require('../lib/waitlist');
+const audit = require('../lib/audit');
+
+module.exports = [
+  {
+    method: 'POST',
+    path: '/api/waitlist',
+    handler: (context) => {
+      const entry = store.update(db => waitlist.joinWaitlist(db, context.body));
+      audit.record(audit.studentActor(entry), 'waitlist.join', entry.waitlistId, null, entry);
+      console.log('✓ Waitlist joined:', entry.waitlistId, `(position ${entry.position})`);
+      context.status = 201;
+      return waitlist.getStatus(store.read(), entry.waitlistId);
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/waitlist/:waitlistId',
+    handler: ({ params }) => waitlist.getStatus(store.read(), params.waitlistId)
+  }
+];
@@ -0,0 +1,194 @@
+/* ============================================================
+   MHS PARKING PORTAL SERVER
+   ============================================================
+   Small Node server (no dependencies) that serves the static
+   pages and the REST API used by every page. All data lives
+   in server/data/db.json, so registrations made on any device
+   show up on the admin dashboard.
+
+   Usage:   node server/server.js
+   Options: PORT (default 3000), MHS_DATA_DIR (default server/data)
+
+   Static files: the root HTML pages and the public/ folder.
+   API routes:   see server/routes/*.js
+   Background:   every minute, waitlist offers nobody answered
+                 before their hold ran out expire and the spot is
+                 offered to the next student
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const Router = require('./lib/router');
+const auth = require('./lib/auth');
+const accounts = require('./lib/accounts');
+const store = require('./lib/store');
+const waitlist = require('./lib/waitlist');
+const audit = require('./lib/audit');
+const { HttpError, sendJson, sendError, readJsonBody } = require('./lib/http');
+
+const PORT = Number(process.env.PORT) || 3000;
+const WAITLIST_SWEEP_MS = 60 * 1000;
+const SITE_ROOT = path.join(__dirname, '..');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+// Register API routes
+const router = new Router();
+router.addAll(require('./routes/lots'));
+router.addAll(require('./routes/registrations'));
+router.addAll(require('./routes/phases'));
+router.addAll(require('./routes/lottery'));
+router.addAll(require('./routes/swaps'));
+router.addAll(require('./routes/holds'));
+router.addAll(require('./routes/waitlist'));
+router.addAll(require('./routes/board'));
+router.addAll(require('./routes/roster'));
+router.addAll(require('./routes/auth'));
+router.addAll(require('./routes/admin'));
+router.addAll(require('./routes/security'));
+
+/**
+ * Handle an API request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed request URL
+ */
+async function handleApiRequest(req, res, url) {
+  const match = router.match(req.method, url.pathname);
+
+  if (match === null) {
+    sendError(res, 404, 'Not found');
+    return;
+  }
+
+  if (match === false) {
+    sendError(res, 405, 'Method not allowed');
+    return;
+  }
+
+  // Admin routes need a valid signed session token (and maybe a permission)
+  const session = match.auth ? auth.requireSession(req) : null;
+  if (match.permission) {
+    auth.requirePermission(session, match.permission);
+  }
+
+  const context = {
+    req: req,
+    res: res,
+    params: match.params,
+    query: url.searchParams,
+    body: req.method === 'GET' ? {} : await readJsonBody(req),
+    session: session,
+    status: 200
+  };
+
+  const result = await match.handler(context);
+  sendJson(res, context.status, result);
+}
+
+/**
+ * Serve a static file from the site root
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed request URL
+ */
+function serveStaticFile(req, res, url) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    sendError(res, 405, 'Method not allowed');
+    return;
+  }
+
+  let pathname;
+  try {
+    pathname = decodeURIComponent(url.pathname);
+  } catch (error) {
+    sendError(res, 400, 'Bad request');
+    return;
+  }
+  if (pathname === '/') pathname = '/index.html';
+
+  // Only the root pages and the public folder are served
+  const isRootPage = /^\/[\w-]+\.html$/.test(pathname);
+  const isPublicAsset = pathname.startsWith('/public/');
+  const filePath = path.normalize(path.join(SITE_ROOT, pathname));
+
+  if ((!isRootPage && !isPublicAsset) || !filePath.startsWith(SITE_ROOT + path.sep)) {
+    sendError(res, 404, 'Not found');
+    return;
+  }
+
+  fs.readFile(filePath, (error, content) => {
+    if (error) {
+      sendError(res, 404, 'Not found');
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream'
+    });
+    res.end(req.method === 'HEAD' ? undefined : content);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  if (!url.pathname.startsWith('/api/')) {
+    serveStaticFile(req, res, url);
+    return;
+  }
+
+  handleApiRequest(req, res, url).catch(error => {
+    if (error instanceof HttpError) {
+      sendError(res, error.status, error.message, error.details);
+      return;
+    }
+
+    console.error('✗ Unexpected server error:', error);
+    sendError(res, 500, 'Internal server error');
+  });
+});
+
+/**
+ * Expire unanswered waitlist offers and offer their spots on
+ */
+function sweepWaitlistOffers() {
+  try {
+    const expiry = store.update(db => waitlist.expireOffers(db));
+    const system = audit.systemActor();
+
+    expiry.expired.forEach(item => audit.record(system, 'waitlist.expire', item.entry.waitlistId, item.before, item.entry));
+    expiry.offers.forEach(offer => audit.record(system, 'waitlist.offer', offer.waitlistId, null, offer));
+    if (expiry.expired.length > 0) {
+      console.log('✓ Waitlist offers expired:', expiry.expired.length, `(${expiry.offers.length} new offer(s))`);
+    }
+  } catch (error) {
+    console.error('✗ Waitlist sweep failed:', error);
+  }
+}
+
+server.listen(PORT, () => {
+  console.log(`✓ MHS Parking Portal running at http://localhost:${PORT}`);
+  if (accounts.loadAccounts().length === 0) {
+    console.warn('⚠ No admin accounts yet. Create the first one with: ' +
+      'node server/tools/manage-admins.js add <username> coordinator <password> [display name]');
+  }
+
+  sweepWaitlistOffers();
+  setInterval(sweepWaitlistOffers, WAITLIST_SWEEP_MS);
+});
@@ -0,0 +1,150 @@
+/* ============================================================
+   MANAGE ADMIN ACCOUNTS
+   ============================================================
+   Command-line tool for the accounts in
+   server/config/admin-accounts.json. The file is created by the
+   first "add", which is how a new install gets its coordinator.
+
+   Usage:
+     node server/tools/manage-admins.js list
+     node server/tools/manage-admins.js add <username> <role> <password> [display name]
+     node server/tools/manage-admins.js set-role <username> <role>
+     node server/tools/manage-admins.js set-password <username> <password>
+     node server/tools/manage-admins.js remove <username>
+
+   Roles: security, viewer, clerk, coordinator (see server/lib/roles.js)
+   Every change is recorded in the audit log as config.change.
+
+   @version 1.0
+   @author MHS Admin
+*/
+
+'use strict';
+
+const accounts = require('../lib/accounts');
+const roles = require('../lib/roles');
+const audit = require('../lib/audit');
+
+const MIN_PASSWORD_LENGTH = 10;
+
+// Account changes made here are logged as config changes
+const CLI_ACTOR = { actor: 'manage-admins', actorType: 'system' };
+
+/**
+ * Print an error and exit
+ * @param {string} message - Error message
+ */
+function fail(message) {
+  console.error(`✗ ${message}`);
+  process.exit(1);
+}
+
+/**
+ * Validate a role argument
+ * @param {string} role - Role name
+ */
+function checkRole(role) {
+  if (!roles.isRole(role)) {
+    fail(`Unknown role "${role}". Choose one of: ${Object.keys(roles.ROLES).join(', ')}`);
+  }
+}
+
+/**
+ * Validate a password argument
+ * @param {string} password - Password
+ */
+function checkPassword(password) {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    fail(`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+  }
+}
+
+/**
+ * Record an account change in the audit log
+ * @param {string} username - Account that changed
+ * @param {object|null} before - Account before (without password fields)
+ * @param {object|null} after - Account after (without password fields)
+ */
+function logChange(username, before, after) {
+  audit.record(CLI_ACTOR, 'config.change', `account:${username}`, before, after);
+}
+
+/**
+ * Find an account or exit
+ * @param {object[]} list - All accounts
+ * @param {string} username - Username
+ * @returns {object} Account
+ */
+function requireAccount(list, username) {
+  const account = list.find(a => a.username === String(username || '').toLowerCase());
+  if (!account) fail(`No account named "${username}".`);
+  return account;
+}
+
+const [command, ...args] = process.argv.slice(2);
+const list = accounts.loadAccounts();
+
+switch (command) {
+  case 'list':
+    list.forEach(account => {
+      const info = accounts.publicAccount(account);
+      console.log(`${info.username}\t${info.roleLabel}\t${info.displayName}`);
+    });
+    break;
+
+  case 'add': {
+    const [username, role, password, ...nameParts] = args;
+    const name = String(username || '').toLowerCase();
+    if (!accounts.USERNAME_PATTERN.test(name)) {
+      fail('Usernames must be 3-32 characters: letters, digits, ".", "_" or "-".');
+    }
+    if (list.some(a => a.username === name)) fail(`Account "${name}" already exists.`);
+    checkRole(role);
+    checkPassword(password);
+
+    list.push(Object.assign({
+      username: name,
+      displayName: nameParts.join(' ') || name,
+      role: role
+    }, accounts.createCredentials(password)));
+    accounts.saveAccounts(list);
+    logChange(name, null, accounts.publicAccount(list[list.length - 1]));
+    console.log(`✓ Added ${name} (${roles.ROLES[role].label})`);
+    break;
+  }
+
+  case 'set-role': {
+    const [username, role] = args;
+    const account = requireAccount(list, username);
+    checkRole(role);
+    const before = accounts.publicAccount(account);
+    account.role = role;
+    accounts.saveAccounts(list);
+    logChange(account.username, before, accounts.publicAccount(account));
+    console.log(`✓ ${account.username} is now ${roles.ROLES[role].label}`);
+    break;
+  }
+
+  case 'set-password': {
+    const [username, password] = args;
+    const account = requireAccount(list, username);
+    checkPassword(password);
+    Object.assign(account, accounts.createCredentials(password));
+    accounts.saveAccounts(list);
+    logChange(account.username, null, { passwordChanged: true });
+    console.log(`✓ Password updated for ${account.username}`);
+    break;
+  }
+
+  case 'remove': {
+    const account = requireAccount(list, args[0]);
+    accounts.saveAccounts(list.filter(a => a !== account));
+    logChange(account.username, accounts.publicAccount(account), null);
+    console.log(`✓ Removed ${account.username}`);
+    break;
+  }
+
+  default:
+    fail('Usage: manage-admins.js list | add <username> <role> <password> [display name] | ' +
+      'set-role <username> <role> | set-password <username> <password> | remove <username>');
+}